@@ -0,0 +1,68 @@
+const { getActionType, parseCommand } = require('../src/action-types');
+
+describe('parseCommand', () => {
+  test('finds the action type and the text after the command', () => {
+    const command = parseCommand('Closing this soon.\n@close-at 2024-01-02 14:30 EST\nThanks');
+
+    expect(command.actionType.name).toBe('close');
+    expect(command.text).toBe('2024-01-02 14:30 EST');
+  });
+
+  test('returns null without a known command', () => {
+    expect(parseCommand('@merge-at')).toBeNull();
+    expect(parseCommand('@deploy-at 2024-01-02 14:30')).toBeNull();
+  });
+});
+
+describe('getActionType', () => {
+  test('defaults to merging', () => {
+    expect(getActionType()).toMatchObject({ name: 'merge', command: '@merge-at', title: 'merge' });
+  });
+
+  test('rejects unknown actions', () => {
+    expect(() => getActionType('deploy')).toThrow('Unknown scheduled action: deploy');
+  });
+});
+
+describe('label', () => {
+  const { parse } = getActionType('label');
+
+  test('parses a bare or quoted label before the time', () => {
+    expect(parse('stale +2h')).toEqual({ details: { label: 'stale' }, rest: '+2h' });
+    expect(parse('"ready to ship" 2024-01-02 14:30 EST'))
+      .toEqual({ details: { label: 'ready to ship' }, rest: '2024-01-02 14:30 EST' });
+  });
+
+  test('needs a label', () => {
+    expect(parse('')).toBeNull();
+  });
+});
+
+describe('validate', () => {
+  test('only closes and labels open PRs', () => {
+    expect(() => getActionType('close').validate({ state: 'closed' })).toThrow('This PR is not open');
+    expect(() => getActionType('label').validate({ state: 'open' })).not.toThrow();
+  });
+
+  test('only marks drafts ready for review', () => {
+    const { validate } = getActionType('ready');
+
+    expect(() => validate({ state: 'open', draft: false })).toThrow('This PR is already ready for review');
+    expect(() => validate({ state: 'open', draft: true })).not.toThrow();
+  });
+});
+
+describe('execute', () => {
+  const pr = { owner: 'owner', repo: 'repo', number: 5 };
+
+  test('leaves a PR that is no longer a draft alone', async () => {
+    const octokit = {
+      graphql: jest.fn(),
+      rest: { pulls: { get: jest.fn().mockResolvedValue({ data: { draft: false } }) } }
+    };
+
+    await expect(getActionType('ready').execute(octokit, pr))
+      .resolves.toBe('ℹ️ This PR was already ready for review, so the scheduled change had nothing to do.');
+    expect(octokit.graphql).not.toHaveBeenCalled();
+  });
+});
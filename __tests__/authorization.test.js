@@ -0,0 +1,292 @@
+const {
+  getAuthorizationPolicy,
+  getPermissionLevel,
+  parseCodeowners,
+  findCodeOwners,
+  checkPermission,
+  checkSchedulingRules,
+  checkCancelRules,
+  formatDenial
+} = require('../src/authorization');
+
+jest.mock('@actions/core');
+
+const notFound = () => Object.assign(new Error('Not Found'), { status: 404 });
+
+describe('getAuthorizationPolicy', () => {
+  test('defaults to write permission with no other rules', () => {
+    expect(getAuthorizationPolicy({})).toEqual({
+      permission: 'write',
+      teams: [],
+      codeowners: false,
+      selfSchedule: 'allow',
+      cancel: ['anyone']
+    });
+  });
+
+  test('reads the configured rules', () => {
+    expect(getAuthorizationPolicy({
+      authorization: { permission: 'maintain', teams: 'release', codeowners: true, 'self-schedule': 'approved' }
+    })).toEqual({
+      permission: 'maintain',
+      teams: ['release'],
+      codeowners: true,
+      selfSchedule: 'approved',
+      cancel: ['anyone']
+    });
+  });
+
+  test('rejects unknown values', () => {
+    expect(() => getAuthorizationPolicy({ authorization: { permission: 'owner' } }))
+      .toThrow('authorization.permission must be one of: read, triage, write, maintain, admin');
+    expect(() => getAuthorizationPolicy({ authorization: { 'self-schedule': 'never' } }))
+      .toThrow('authorization.self-schedule must be one of: allow, approved');
+  });
+});
+
+describe('getPermissionLevel', () => {
+  let mockOctokit;
+
+  beforeEach(() => {
+    mockOctokit = {
+      rest: {
+        repos: {
+          getCollaboratorPermissionLevel: jest.fn()
+        }
+      }
+    };
+  });
+
+  test('prefers the role name over the legacy permission', async () => {
+    mockOctokit.rest.repos.getCollaboratorPermissionLevel.mockResolvedValue({
+      data: { permission: 'write', role_name: 'maintain' }
+    });
+
+    await expect(getPermissionLevel(mockOctokit, 'owner', 'repo', 'testuser')).resolves.toBe('maintain');
+  });
+
+  test('uses the base permission for custom roles', async () => {
+    mockOctokit.rest.repos.getCollaboratorPermissionLevel.mockResolvedValue({
+      data: { permission: 'write', role_name: 'release-manager' }
+    });
+
+    await expect(getPermissionLevel(mockOctokit, 'owner', 'repo', 'testuser')).resolves.toBe('write');
+  });
+
+  test('treats users who are not collaborators as having no permission', async () => {
+    mockOctokit.rest.repos.getCollaboratorPermissionLevel.mockRejectedValue(notFound());
+
+    await expect(getPermissionLevel(mockOctokit, 'owner', 'repo', 'testuser')).resolves.toBe('none');
+  });
+
+  test('throws when the API call fails', async () => {
+    mockOctokit.rest.repos.getCollaboratorPermissionLevel.mockRejectedValue(new Error('API Error'));
+
+    await expect(getPermissionLevel(mockOctokit, 'owner', 'repo', 'testuser')).rejects.toThrow('API Error');
+  });
+});
+
+describe('checkPermission', () => {
+  const policy = getAuthorizationPolicy({});
+  let mockOctokit;
+
+  beforeEach(() => {
+    mockOctokit = {
+      rest: {
+        repos: {
+          getCollaboratorPermissionLevel: jest.fn()
+        }
+      }
+    };
+  });
+
+  test.each(['admin', 'maintain', 'write'])('allows %s', async role => {
+    mockOctokit.rest.repos.getCollaboratorPermissionLevel.mockResolvedValue({ data: { role_name: role } });
+
+    await expect(checkPermission(mockOctokit, 'owner', 'repo', 'testuser', policy)).resolves.toBeNull();
+  });
+
+  test.each(['triage', 'read', 'none'])('denies %s', async role => {
+    mockOctokit.rest.repos.getCollaboratorPermissionLevel.mockResolvedValue({ data: { permission: role } });
+
+    await expect(checkPermission(mockOctokit, 'owner', 'repo', 'testuser', policy)).resolves.toEqual({
+      rule: 'permission',
+      reason: `@testuser needs write permission or higher, but has ${role}`
+    });
+  });
+});
+
+describe('CODEOWNERS matching', () => {
+  const rules = parseCodeowners([
+    '# Default owners',
+    '*       @owner/core',
+    '*.md    @docs-writer # docs',
+    '/src/api/ @api-dev',
+    'build/  @owner/infra',
+    'docs/**/*.png @designer'
+  ].join('\n'));
+
+  test('uses the last matching pattern', () => {
+    expect(findCodeOwners(rules, 'src/index.js')).toEqual(['@owner/core']);
+    expect(findCodeOwners(rules, 'src/README.md')).toEqual(['@docs-writer']);
+    expect(findCodeOwners(rules, 'src/api/routes/users.js')).toEqual(['@api-dev']);
+    expect(findCodeOwners(rules, 'packages/app/build/out.js')).toEqual(['@owner/infra']);
+    expect(findCodeOwners(rules, 'docs/images/logo.png')).toEqual(['@designer']);
+  });
+
+  test('returns nothing for files without owners', () => {
+    expect(findCodeOwners(parseCodeowners('/src/ @dev'), 'lib/src/index.js')).toEqual([]);
+  });
+});
+
+describe('checkSchedulingRules', () => {
+  const pullRequest = { number: 5, user: { login: 'author' } };
+  let mockOctokit;
+
+  beforeEach(() => {
+    mockOctokit = {
+      rest: {
+        teams: {
+          getMembershipForUserInOrg: jest.fn().mockRejectedValue(notFound())
+        },
+        repos: {
+          getContent: jest.fn().mockRejectedValue(notFound())
+        },
+        pulls: {
+          listFiles: jest.fn().mockResolvedValue({ data: [{ filename: 'src/api/users.js' }] }),
+          listReviews: jest.fn().mockResolvedValue({ data: [] })
+        }
+      }
+    };
+  });
+
+  test('allows everyone with permission by default', async () => {
+    await expect(checkSchedulingRules(mockOctokit, 'owner', 'repo', pullRequest, 'author', getAuthorizationPolicy({})))
+      .resolves.toBeNull();
+  });
+
+  test('allows members of a listed team', async () => {
+    mockOctokit.rest.teams.getMembershipForUserInOrg
+      .mockRejectedValueOnce(notFound())
+      .mockResolvedValueOnce({ data: { state: 'active' } });
+    const policy = getAuthorizationPolicy({ authorization: { teams: ['other-org/leads', 'release'] } });
+
+    await expect(checkSchedulingRules(mockOctokit, 'owner', 'repo', pullRequest, 'testuser', policy)).resolves.toBeNull();
+    expect(mockOctokit.rest.teams.getMembershipForUserInOrg).toHaveBeenCalledWith({
+      org: 'other-org',
+      team_slug: 'leads',
+      username: 'testuser'
+    });
+  });
+
+  test('allows code owners of a changed file', async () => {
+    mockOctokit.rest.repos.getContent
+      .mockRejectedValueOnce(notFound())
+      .mockResolvedValueOnce({ data: { content: Buffer.from('/src/api/ @testuser').toString('base64') } });
+    const policy = getAuthorizationPolicy({ authorization: { codeowners: true } });
+
+    await expect(checkSchedulingRules(mockOctokit, 'owner', 'repo', pullRequest, 'testuser', policy)).resolves.toBeNull();
+    expect(mockOctokit.rest.repos.getContent).toHaveBeenCalledWith({ owner: 'owner', repo: 'repo', path: 'CODEOWNERS' });
+  });
+
+  test('allows members of a code owner team', async () => {
+    mockOctokit.rest.repos.getContent.mockResolvedValue({
+      data: { content: Buffer.from('* @owner/api-team').toString('base64') }
+    });
+    mockOctokit.rest.teams.getMembershipForUserInOrg.mockResolvedValue({ data: { state: 'active' } });
+    const policy = getAuthorizationPolicy({ authorization: { codeowners: true } });
+
+    await expect(checkSchedulingRules(mockOctokit, 'owner', 'repo', pullRequest, 'testuser', policy)).resolves.toBeNull();
+  });
+
+  test('names both rules when neither is met', async () => {
+    const policy = getAuthorizationPolicy({ authorization: { teams: ['release'], codeowners: true } });
+
+    const denied = await checkSchedulingRules(mockOctokit, 'owner', 'repo', pullRequest, 'testuser', policy);
+
+    expect(formatDenial(denied)).toBe(
+      'Not allowed by the "teams/codeowners" rule: only members of @release or code owners of the changed files can schedule merges.'
+    );
+  });
+
+  test('lets authors schedule their own PR once someone else approved it', async () => {
+    mockOctokit.rest.pulls.listReviews.mockResolvedValue({
+      data: [{ user: { login: 'reviewer' }, state: 'APPROVED' }]
+    });
+    const policy = getAuthorizationPolicy({ authorization: { 'self-schedule': 'approved' } });
+
+    await expect(checkSchedulingRules(mockOctokit, 'owner', 'repo', pullRequest, 'author', policy)).resolves.toBeNull();
+    await expect(checkSchedulingRules(mockOctokit, 'owner', 'repo', pullRequest, 'testuser', policy)).resolves.toBeNull();
+  });
+
+  test('throws when a lookup fails', async () => {
+    mockOctokit.rest.teams.getMembershipForUserInOrg.mockRejectedValue(
+      Object.assign(new Error('Resource not accessible by integration'), { status: 403 })
+    );
+    const policy = getAuthorizationPolicy({ authorization: { teams: ['release'] } });
+
+    await expect(checkSchedulingRules(mockOctokit, 'owner', 'repo', pullRequest, 'testuser', policy))
+      .rejects.toThrow('Resource not accessible by integration');
+  });
+});
+
+describe('checkCancelRules', () => {
+  const pullRequest = { number: 5, user: { login: 'author' } };
+  const scheduleInfo = { scheduledBy: 'alice' };
+  const policy = cancel => getAuthorizationPolicy({ authorization: { cancel } });
+  let mockOctokit;
+
+  beforeEach(() => {
+    mockOctokit = {
+      rest: {
+        repos: {
+          getCollaboratorPermissionLevel: jest.fn().mockResolvedValue({ data: { permission: 'write' } })
+        },
+        teams: {
+          getMembershipForUserInOrg: jest.fn().mockRejectedValue(notFound())
+        }
+      }
+    };
+  });
+
+  test('lets anyone cancel by default', async () => {
+    await expect(checkCancelRules(mockOctokit, 'owner', 'repo', scheduleInfo, pullRequest, 'bob', getAuthorizationPolicy({})))
+      .resolves.toBeNull();
+  });
+
+  test('lets the scheduler and the PR author cancel', async () => {
+    await expect(checkCancelRules(mockOctokit, 'owner', 'repo', scheduleInfo, pullRequest, 'alice', policy(['scheduler'])))
+      .resolves.toBeNull();
+    await expect(checkCancelRules(mockOctokit, 'owner', 'repo', scheduleInfo, pullRequest, 'author', policy(['author'])))
+      .resolves.toBeNull();
+  });
+
+  test('lets admins and team members cancel', async () => {
+    mockOctokit.rest.repos.getCollaboratorPermissionLevel.mockResolvedValueOnce({ data: { permission: 'admin' } });
+    mockOctokit.rest.teams.getMembershipForUserInOrg.mockResolvedValueOnce({ data: { state: 'active' } });
+
+    await expect(checkCancelRules(mockOctokit, 'owner', 'repo', scheduleInfo, pullRequest, 'bob', policy(['admins'])))
+      .resolves.toBeNull();
+    await expect(checkCancelRules(mockOctokit, 'owner', 'repo', scheduleInfo, pullRequest, 'bob', policy(['@release'])))
+      .resolves.toBeNull();
+    expect(mockOctokit.rest.teams.getMembershipForUserInOrg).toHaveBeenCalledWith({
+      org: 'owner',
+      team_slug: 'release',
+      username: 'bob'
+    });
+  });
+
+  test('lists everyone who may cancel when denied', async () => {
+    const denied = await checkCancelRules(mockOctokit, 'owner', 'repo', {}, pullRequest, 'bob',
+      policy(['scheduler', 'author', 'admins', '@release']));
+
+    expect(denied).toEqual({
+      rule: 'cancel',
+      reason: 'only whoever scheduled it, the PR author, admins or members of @release can cancel or replace this schedule'
+    });
+  });
+
+  test('rejects unknown rules', () => {
+    expect(() => policy(['owner'])).toThrow('Invalid authorization.cancel rule "owner". Use anyone, scheduler, author, admins or a @team');
+  });
+});
@@ -0,0 +1,117 @@
+const { updatePRBranch, isBranchUpdate } = require('../src/branch-updater');
+const { createComment } = require('../src/utils');
+
+jest.mock('@actions/core');
+jest.mock('../src/utils');
+
+describe('updatePRBranch', () => {
+  let mockOctokit;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockOctokit = {
+      rest: {
+        pulls: {
+          get: jest.fn().mockResolvedValue({
+            data: { mergeable_state: 'behind', head: { sha: 'abc1234567' }, base: { ref: 'main' } }
+          }),
+          updateBranch: jest.fn().mockResolvedValue({ status: 202 })
+        }
+      }
+    };
+  });
+
+  test('updates a branch that is behind its base', async () => {
+    const result = await updatePRBranch(mockOctokit, 'owner', 'repo', 123, 'abc1234567');
+
+    expect(result).toEqual({ previousSha: 'abc1234567' });
+    expect(mockOctokit.rest.pulls.updateBranch).toHaveBeenCalledWith({
+      owner: 'owner',
+      repo: 'repo',
+      pull_number: 123,
+      expected_head_sha: 'abc1234567'
+    });
+  });
+
+  test('leaves up to date branches alone', async () => {
+    mockOctokit.rest.pulls.get.mockResolvedValue({
+      data: { mergeable_state: 'clean', head: { sha: 'abc1234567' }, base: { ref: 'main' } }
+    });
+
+    expect(await updatePRBranch(mockOctokit, 'owner', 'repo', 123)).toBeNull();
+    expect(mockOctokit.rest.pulls.updateBranch).not.toHaveBeenCalled();
+  });
+
+  test('does not update when the head moved since scheduling', async () => {
+    expect(await updatePRBranch(mockOctokit, 'owner', 'repo', 123, 'def5678901')).toBeNull();
+    expect(mockOctokit.rest.pulls.updateBranch).not.toHaveBeenCalled();
+  });
+
+  test('reports merge conflicts', async () => {
+    mockOctokit.rest.pulls.updateBranch.mockRejectedValue({
+      status: 422,
+      message: 'merge conflict between base and head'
+    });
+
+    await expect(updatePRBranch(mockOctokit, 'owner', 'repo', 123))
+      .rejects.toThrow('Failed to update branch: merge conflict between base and head');
+    expect(createComment).toHaveBeenCalledWith(
+      mockOctokit,
+      'owner',
+      'repo',
+      123,
+      '❌ Failed to update the branch from main before the scheduled merge: There are merge conflicts that need to be resolved.'
+    );
+  });
+});
+
+describe('isBranchUpdate', () => {
+  let mockOctokit;
+
+  beforeEach(() => {
+    mockOctokit = {
+      rest: {
+        repos: {
+          getCommit: jest.fn().mockResolvedValue({
+            data: { parents: [{ sha: 'abc1234567' }, { sha: 'base123' }] }
+          }),
+          compareCommits: jest.fn().mockResolvedValue({ data: { status: 'identical' } })
+        }
+      }
+    };
+  });
+
+  test('accepts a merge of the previous head and the base tip', async () => {
+    expect(await isBranchUpdate(mockOctokit, 'owner', 'repo', 'def5678901', 'abc1234567', 'main')).toBe(true);
+    expect(mockOctokit.rest.repos.getCommit).toHaveBeenCalledWith({ owner: 'owner', repo: 'repo', ref: 'def5678901' });
+    expect(mockOctokit.rest.repos.compareCommits).toHaveBeenCalledWith({
+      owner: 'owner',
+      repo: 'repo',
+      base: 'base123',
+      head: 'main'
+    });
+  });
+
+  test('accepts the update after the base has moved on', async () => {
+    mockOctokit.rest.repos.compareCommits.mockResolvedValue({ data: { status: 'ahead' } });
+
+    expect(await isBranchUpdate(mockOctokit, 'owner', 'repo', 'def5678901', 'abc1234567', 'main')).toBe(true);
+  });
+
+  test('rejects commits pushed on top of the previous head', async () => {
+    mockOctokit.rest.repos.getCommit.mockResolvedValue({ data: { parents: [{ sha: 'abc1234567' }] } });
+
+    expect(await isBranchUpdate(mockOctokit, 'owner', 'repo', 'def5678901', 'abc1234567', 'main')).toBe(false);
+    expect(mockOctokit.rest.repos.compareCommits).not.toHaveBeenCalled();
+  });
+
+  test('rejects merges of anything other than the base history', async () => {
+    mockOctokit.rest.repos.getCommit.mockResolvedValue({
+      data: { parents: [{ sha: 'abc1234567' }, { sha: 'feature999' }] }
+    });
+    mockOctokit.rest.repos.compareCommits.mockResolvedValue({ data: { status: 'diverged' } });
+
+    expect(await isBranchUpdate(mockOctokit, 'owner', 'repo', 'def5678901', 'abc1234567', 'main')).toBe(false);
+    expect(await isBranchUpdate(mockOctokit, 'owner', 'repo', 'def5678901', 'other', 'main')).toBe(false);
+  });
+});
@@ -1,11 +1,36 @@
-const { validateScheduleTime, handleComment, hasWritePermission } = require('../src/comment-handler');
+const {
+  validateScheduleTime,
+  handleComment,
+  getAllowedMergeMethods,
+  parseMergeMethod,
+  parsePriority,
+  resolveCommitDetails
+} = require('../src/comment-handler');
+const { getMergePolicy } = require('../src/merge-windows');
 const github = require('@actions/github');
-const { createComment, removeScheduleInfo, storeScheduleInfo } = require('../src/utils');
+const {
+  createComment,
+  removeScheduleInfo,
+  storeScheduleInfo,
+  getScheduleInfo,
+  getScheduledPRs,
+  getLatestScheduleComment,
+  updateScheduleInfo
+} = require('../src/utils');
+const { loadRepoConfig } = require('../src/config');
+const core = require('@actions/core');
 
 // Mock @actions/core
 jest.mock('@actions/core', () => ({
   error: jest.fn(),
-  debug: jest.fn()
+  debug: jest.fn(),
+  info: jest.fn(),
+  warning: jest.fn(),
+  summary: {
+    addHeading: jest.fn(),
+    addRaw: jest.fn(),
+    write: jest.fn()
+  }
 }));
 
 // Mock @actions/github
@@ -24,7 +49,18 @@ jest.mock('@actions/github', () => ({
 jest.mock('../src/utils', () => ({
   createComment: jest.fn(),
   removeScheduleInfo: jest.fn(),
-  storeScheduleInfo: jest.fn()
+  storeScheduleInfo: jest.fn(),
+  getScheduleInfo: jest.fn(),
+  getScheduledPRs: jest.fn(),
+  getLatestScheduleComment: jest.fn(),
+  updateScheduleInfo: jest.fn(),
+  MERGE_METHODS: ['merge', 'squash', 'rebase'],
+  DEFAULT_MERGE_METHOD: 'squash'
+}));
+
+// Mock config
+jest.mock('../src/config', () => ({
+  loadRepoConfig: jest.fn().mockResolvedValue({})
 }));
 
 describe('validateScheduleTime', () => {
@@ -150,10 +186,48 @@ describe('validateScheduleTime', () => {
       .rejects.toThrow('Invalid date/time format: Invalid time format');
   });
 
+  test('accepts relative expressions', async () => {
+    const result = await validateScheduleTime('+2h', 'UTC');
+    expect(result.toISOString()).toBe('2024-01-01T14:00:00.000Z');
+  });
+
+  test('rejects relative expressions more than 30 days in future', async () => {
+    await expect(validateScheduleTime('in 31 days', 'UTC'))
+      .rejects.toThrow('Invalid date/time format: Cannot schedule more than 30 days in advance');
+  });
+
+  test('rejects relative expressions in the past', async () => {
+    await expect(validateScheduleTime('today 9am', 'UTC'))
+      .rejects.toThrow('Invalid date/time format: Scheduled time must be in the future');
+  });
+
+  test('rejects times within a blackout period', async () => {
+    const policy = getMergePolicy({
+      blackouts: [{ start: '2024-01-02', end: '2024-01-03', reason: 'Release freeze' }]
+    });
+
+    await expect(validateScheduleTime('2024-01-02 14:30', 'UTC', policy))
+      .rejects.toThrow('Invalid date/time format: Scheduled time falls within a blackout period: Release freeze');
+  });
+
+  test('accepts times outside blackout periods', async () => {
+    const policy = getMergePolicy({
+      blackouts: [{ start: '2024-01-05', end: '2024-01-06' }]
+    });
+
+    const result = await validateScheduleTime('2024-01-02 14:30', 'UTC', policy);
+    expect(result.toISOString()).toBe('2024-01-02T14:30:00.000Z');
+  });
+
   test('rejects invalid date format', async () => {
     await expect(validateScheduleTime('2024-13-45 14:30', 'UTC'))
       .rejects.toThrow('Invalid date/time format: Invalid date format');
   });
+
+  test('rejects when time part is empty', async () => {
+    await expect(validateScheduleTime('2024-01-02 '))
+      .rejects.toThrow('Invalid date/time format: Date and time must be provided');
+  });
 });
 
 describe('handleComment', () => {
@@ -169,7 +243,24 @@ describe('handleComment', () => {
           createComment: jest.fn()
         },
         repos: {
-          getCollaboratorPermissionLevel: jest.fn()
+          getCollaboratorPermissionLevel: jest.fn(),
+          get: jest.fn().mockResolvedValue({
+            data: {
+              allow_merge_commit: true,
+              allow_squash_merge: true,
+              allow_rebase_merge: true
+            }
+          })
+        },
+        pulls: {
+          get: jest.fn().mockResolvedValue({
+            data: {
+              number: 123,
+              title: 'Add widgets',
+              user: { login: 'author' },
+              head: { sha: 'abc1234567' }
+            }
+          })
         }
       }
     };
@@ -194,15 +285,19 @@ describe('handleComment', () => {
       }
     });
 
-    await handleComment('token', 'owner/repo', 123, '@merge-at 2024-01-02 14:30');
+    const result = await handleComment('token', 'owner/repo', 123, '@merge-at 2024-01-02 14:30');
 
     expect(createComment).toHaveBeenCalledWith(
       expect.anything(),
       'owner',
       'repo',
       123,
-      '❌ Only users with write permission can schedule PR merges.'
+      '❌ Not allowed by the "permission" rule: @testuser needs write permission or higher, but has read.'
     );
+    expect(result).toEqual({
+      action: 'rejected',
+      error: 'Not allowed by the "permission" rule: @testuser needs write permission or higher, but has read.'
+    });
   });
 
   test('allows commands from users with write permission', async () => {
@@ -222,11 +317,96 @@ describe('handleComment', () => {
       }
     });
 
-    const validCommand = '@merge-at 2024-01-02 14:30';
-    await handleComment('token', 'owner/repo', 123, validCommand);
+    const validCommand = '@merge-at 2024-01-02 14:30 EST';
+    const result = await handleComment('token', 'owner/repo', 123, validCommand);
 
     // Verify schedule info was stored
     expect(storeScheduleInfo).toHaveBeenCalled();
+    expect(result).toEqual({ action: 'scheduled', scheduleTime: '2024-01-02T19:30:00.000Z', timezone: 'EST' });
+  });
+
+  test('allows commands from users with the maintain role', async () => {
+    mockOctokit.rest.issues.getComment.mockResolvedValue({
+      data: { user: { login: 'testuser' } }
+    });
+    mockOctokit.rest.repos.getCollaboratorPermissionLevel.mockResolvedValue({
+      data: { permission: 'write', role_name: 'maintain' }
+    });
+
+    await handleComment('token', 'owner/repo', 123, '@merge-at 2024-01-02 14:30');
+
+    expect(storeScheduleInfo).toHaveBeenCalled();
+  });
+
+  test('reports permission lookups that fail instead of denying', async () => {
+    mockOctokit.rest.issues.getComment.mockResolvedValue({
+      data: { user: { login: 'testuser' } }
+    });
+    mockOctokit.rest.repos.getCollaboratorPermissionLevel.mockRejectedValue(
+      Object.assign(new Error('Server Error'), { status: 502 })
+    );
+
+    await handleComment('token', 'owner/repo', 123, '@merge-at 2024-01-02 14:30');
+
+    expect(storeScheduleInfo).not.toHaveBeenCalled();
+    expect(createComment).toHaveBeenCalledWith(
+      expect.anything(),
+      'owner',
+      'repo',
+      123,
+      '❌ Unable to check whether @testuser may schedule merges: Server Error. Please try again.'
+    );
+  });
+
+  test('rejects users outside the configured teams', async () => {
+    mockOctokit.rest.issues.getComment.mockResolvedValue({
+      data: { user: { login: 'testuser' } }
+    });
+    mockOctokit.rest.repos.getCollaboratorPermissionLevel.mockResolvedValue({
+      data: { permission: 'write' }
+    });
+    mockOctokit.rest.teams = {
+      getMembershipForUserInOrg: jest.fn().mockRejectedValue(Object.assign(new Error('Not Found'), { status: 404 }))
+    };
+    loadRepoConfig.mockResolvedValueOnce({ authorization: { teams: ['release'] } });
+
+    await handleComment('token', 'owner/repo', 123, '@merge-at 2024-01-02 14:30');
+
+    expect(mockOctokit.rest.teams.getMembershipForUserInOrg).toHaveBeenCalledWith({
+      org: 'owner',
+      team_slug: 'release',
+      username: 'testuser'
+    });
+    expect(storeScheduleInfo).not.toHaveBeenCalled();
+    expect(createComment).toHaveBeenCalledWith(
+      expect.anything(),
+      'owner',
+      'repo',
+      123,
+      '❌ Not allowed by the "teams" rule: only members of @release can schedule merges.'
+    );
+  });
+
+  test('rejects authors scheduling their own PR without an approval', async () => {
+    mockOctokit.rest.issues.getComment.mockResolvedValue({
+      data: { user: { login: 'author' } }
+    });
+    mockOctokit.rest.repos.getCollaboratorPermissionLevel.mockResolvedValue({
+      data: { permission: 'admin' }
+    });
+    mockOctokit.rest.pulls.listReviews = jest.fn().mockResolvedValue({ data: [] });
+    loadRepoConfig.mockResolvedValueOnce({ authorization: { 'self-schedule': 'approved' } });
+
+    await handleComment('token', 'owner/repo', 123, '@merge-at 2024-01-02 14:30');
+
+    expect(storeScheduleInfo).not.toHaveBeenCalled();
+    expect(createComment).toHaveBeenCalledWith(
+      expect.anything(),
+      'owner',
+      'repo',
+      123,
+      '❌ Not allowed by the "self-schedule" rule: authors can only schedule their own PRs after an approving review.'
+    );
   });
 
   test('handles cancel command correctly', async () => {
@@ -245,7 +425,7 @@ describe('handleComment', () => {
       }
     });
 
-    await handleComment('token', 'owner/repo', 123, '@merge-at cancel');
+    const result = await handleComment('token', 'owner/repo', 123, '@merge-at cancel');
 
     expect(removeScheduleInfo).toHaveBeenCalledWith(
       expect.anything(),
@@ -253,155 +433,1029 @@ describe('handleComment', () => {
       'repo',
       123
     );
+    expect(result).toEqual({ action: 'cancelled' });
 
     expect(createComment).toHaveBeenCalledWith(
       expect.anything(),
       'owner',
       'repo',
       123,
-      '🚫 Scheduled merge has been cancelled.'
+      '🚫 Scheduled merge has been cancelled by @testuser.'
     );
   });
 
-  test('handles invalid command format', async () => {
-    // Mock comment data with write permission
+  test('names the scheduler and the user who cancelled', async () => {
     mockOctokit.rest.issues.getComment.mockResolvedValue({
-      data: {
-        user: {
-          login: 'testuser'
-        }
-      }
+      data: { user: { login: 'author' } }
+    });
+    mockOctokit.rest.repos.getCollaboratorPermissionLevel.mockResolvedValue({
+      data: { permission: 'write' }
     });
+    getScheduleInfo.mockResolvedValueOnce({ scheduleDate: '2024-01-02T14:30:00Z', scheduledBy: 'alice' });
+    loadRepoConfig.mockResolvedValueOnce({ authorization: { cancel: ['scheduler', 'author'] } });
+
+    await handleComment('token', 'owner/repo', 123, '@merge-at cancel');
+
+    expect(removeScheduleInfo).toHaveBeenCalledWith(expect.anything(), 'owner', 'repo', 123);
+    expect(createComment).toHaveBeenCalledWith(
+      expect.anything(),
+      'owner',
+      'repo',
+      123,
+      '🚫 The merge scheduled by @alice has been cancelled by @author.'
+    );
+  });
 
+  test('rejects cancelling someone else\'s schedule when the cancel rule forbids it', async () => {
+    mockOctokit.rest.issues.getComment.mockResolvedValue({
+      data: { user: { login: 'testuser' } }
+    });
     mockOctokit.rest.repos.getCollaboratorPermissionLevel.mockResolvedValue({
-      data: {
-        permission: 'write'
-      }
+      data: { permission: 'write' }
     });
+    getScheduleInfo.mockResolvedValueOnce({ scheduleDate: '2024-01-02T14:30:00Z', scheduledBy: 'alice' });
+    loadRepoConfig.mockResolvedValueOnce({ authorization: { cancel: ['scheduler', 'admins'] } });
 
-    await handleComment('token', 'owner/repo', 123, '@merge-at invalid-format');
+    await handleComment('token', 'owner/repo', 123, '@merge-at cancel');
 
+    expect(removeScheduleInfo).not.toHaveBeenCalled();
     expect(createComment).toHaveBeenCalledWith(
       expect.anything(),
       'owner',
       'repo',
       123,
-      '❌ Invalid command format. Please use: @merge-at YYYY-MM-DD HH:mm[am|pm] [timezone]'
+      '❌ Not allowed by the "cancel" rule: only @alice (who scheduled it) or admins can cancel or replace this schedule.'
     );
   });
 
-  test('handles API errors gracefully', async () => {
-    mockOctokit.rest.issues.getComment.mockRejectedValue(new Error('API Error'));
+  test('rejects replacing someone else\'s schedule when the cancel rule forbids it', async () => {
+    mockOctokit.rest.issues.getComment.mockResolvedValue({
+      data: { user: { login: 'testuser' } }
+    });
+    mockOctokit.rest.repos.getCollaboratorPermissionLevel.mockResolvedValue({
+      data: { permission: 'write' }
+    });
+    getScheduleInfo.mockResolvedValueOnce({ scheduleDate: '2024-01-02T14:30:00Z', scheduledBy: 'alice' });
+    loadRepoConfig.mockResolvedValueOnce({ authorization: { cancel: 'scheduler' } });
 
-    await handleComment('token', 'owner/repo', 123, '@merge-at 2024-01-02 14:30');
+    await handleComment('token', 'owner/repo', 123, '@merge-at 2024-01-02 16:00');
 
+    expect(storeScheduleInfo).not.toHaveBeenCalled();
+    expect(removeScheduleInfo).not.toHaveBeenCalled();
     expect(createComment).toHaveBeenCalledWith(
       expect.anything(),
       'owner',
       'repo',
       123,
-      '❌ An error occurred while processing your command. Please try again.'
+      '❌ Not allowed by the "cancel" rule: only @alice (who scheduled it) can cancel or replace this schedule.'
     );
   });
 
-  test('handles error during schedule info storage', async () => {
+  test('writes a dry run summary instead of changing anything', async () => {
     mockOctokit.rest.issues.getComment.mockResolvedValue({
-      data: {
-        user: {
-          login: 'testuser'
-        }
-      }
+      data: { user: { login: 'testuser' } }
+    });
+    mockOctokit.rest.repos.getCollaboratorPermissionLevel.mockResolvedValue({
+      data: { permission: 'write' }
+    });
+
+    await handleComment('token', 'owner/repo', 123, '@merge-at 2024-01-02 14:30', { dryRun: true });
+
+    expect(mockOctokit.rest.issues.createComment).not.toHaveBeenCalled();
+    expect(core.summary.addHeading).toHaveBeenCalledWith('Dry run', 2);
+    expect(core.summary.write).toHaveBeenCalled();
+  });
+
+  test('confirms a schedule that is waiting after new commits', async () => {
+    mockOctokit.rest.issues.getComment.mockResolvedValue({
+      data: { user: { login: 'testuser' } }
+    });
+    mockOctokit.rest.repos.getCollaboratorPermissionLevel.mockResolvedValue({
+      data: { permission: 'write' }
+    });
+    getScheduleInfo.mockResolvedValue({ commentId: 42, headSha: 'old', awaitingConfirmation: true });
+
+    await handleComment('token', 'owner/repo', 123, '@merge-at confirm');
+
+    expect(updateScheduleInfo).toHaveBeenCalledWith(expect.anything(), 'owner', 'repo', 42, {
+      headSha: 'abc1234567',
+      awaitingConfirmation: false
     });
+    expect(createComment).toHaveBeenCalledWith(
+      expect.anything(),
+      'owner',
+      'repo',
+      123,
+      '✅ Scheduled merge confirmed for commit abc1234.'
+    );
+    expect(storeScheduleInfo).not.toHaveBeenCalled();
+  });
 
+  test('rejects confirm when nothing is waiting', async () => {
+    mockOctokit.rest.issues.getComment.mockResolvedValue({
+      data: { user: { login: 'testuser' } }
+    });
     mockOctokit.rest.repos.getCollaboratorPermissionLevel.mockResolvedValue({
-      data: {
-        permission: 'write'
-      }
+      data: { permission: 'write' }
     });
+    getScheduleInfo.mockResolvedValue({ commentId: 42, headSha: 'abc1234567' });
 
-    // Mock storage error
-    storeScheduleInfo.mockRejectedValue(new Error('Storage failed'));
+    await handleComment('token', 'owner/repo', 123, '@merge-at confirm');
 
-    await handleComment('token', 'owner/repo', 123, '@merge-at 2024-01-02 14:30');
+    expect(updateScheduleInfo).not.toHaveBeenCalled();
+    expect(createComment).toHaveBeenCalledWith(
+      expect.anything(),
+      'owner',
+      'repo',
+      123,
+      '❌ There is no scheduled merge waiting for confirmation.'
+    );
+  });
 
+  test('lists the scheduled merges in the repository', async () => {
+    mockOctokit.rest.issues.getComment.mockResolvedValue({
+      data: { user: { login: 'testuser' } }
+    });
+    mockOctokit.rest.repos.getCollaboratorPermissionLevel.mockResolvedValue({
+      data: { permission: 'write' }
+    });
+    mockOctokit.rest.pulls.get.mockResolvedValue({
+      data: { title: 'Add widgets', mergeable_state: 'dirty' }
+    });
+    getScheduledPRs.mockResolvedValue([
+      { owner: 'owner', repo: 'repo', number: 124, scheduleTime: new Date('2024-01-02T14:30:00Z'), timezone: 'Europe/London' }
+    ]);
+    getLatestScheduleComment.mockResolvedValue({ user: { login: 'alice' } });
+
+    await handleComment('token', 'owner/repo', 123, '@merge-at list');
+
+    expect(getScheduledPRs).toHaveBeenCalledWith(mockOctokit, ['repo:owner/repo']);
     expect(createComment).toHaveBeenCalledWith(
       expect.anything(),
       'owner',
       'repo',
       123,
-      '❌ Storage failed'
+      expect.stringContaining('| owner/repo#124 | Add widgets | 2024-01-02 14:30 UTC | 2024-01-02 14:30 Europe/London | @alice | ❌ Conflicts |')
     );
+    expect(storeScheduleInfo).not.toHaveBeenCalled();
   });
-});
 
-describe('hasWritePermission', () => {
-  let mockOctokit;
+  test('shows the schedule of the current PR', async () => {
+    mockOctokit.rest.issues.getComment.mockResolvedValue({
+      data: { user: { login: 'testuser' } }
+    });
+    mockOctokit.rest.repos.getCollaboratorPermissionLevel.mockResolvedValue({
+      data: { permission: 'write' }
+    });
+    getScheduleInfo.mockResolvedValue({ scheduleDate: '2024-01-02T14:30:00.000Z', timezone: 'UTC', commentId: 42 });
 
-  beforeEach(() => {
-    mockOctokit = {
-      rest: {
-        repos: {
-          getCollaboratorPermissionLevel: jest.fn()
-        }
-      }
-    };
+    await handleComment('token', 'owner/repo', 123, '@merge-at status');
+
+    expect(createComment).toHaveBeenCalledWith(
+      expect.anything(),
+      'owner',
+      'repo',
+      123,
+      expect.stringContaining('| owner/repo#123 | Add widgets | 2024-01-02 14:30 UTC |')
+    );
   });
 
-  test('returns true for admin permission', async () => {
+  test('reports when the current PR has no schedule', async () => {
+    mockOctokit.rest.issues.getComment.mockResolvedValue({
+      data: { user: { login: 'testuser' } }
+    });
     mockOctokit.rest.repos.getCollaboratorPermissionLevel.mockResolvedValue({
-      data: {
-        permission: 'admin'
-      }
+      data: { permission: 'write' }
     });
+    getScheduleInfo.mockResolvedValue(null);
 
-    const result = await hasWritePermission(mockOctokit, 'owner', 'repo', 'testuser');
-    expect(result).toBe(true);
+    await handleComment('token', 'owner/repo', 123, '@merge-at status');
+
+    expect(createComment).toHaveBeenCalledWith(
+      expect.anything(),
+      'owner',
+      'repo',
+      123,
+      'ℹ️ This PR has no scheduled merge.'
+    );
   });
 
-  test('returns true for write permission', async () => {
+  test('handles invalid command format', async () => {
+    // Mock comment data with write permission
+    mockOctokit.rest.issues.getComment.mockResolvedValue({
+      data: {
+        user: {
+          login: 'testuser'
+        }
+      }
+    });
+
     mockOctokit.rest.repos.getCollaboratorPermissionLevel.mockResolvedValue({
       data: {
         permission: 'write'
       }
     });
 
-    const result = await hasWritePermission(mockOctokit, 'owner', 'repo', 'testuser');
-    expect(result).toBe(true);
+    const result = await handleComment('token', 'owner/repo', 123, '@merge-at invalid-format');
+
+    expect(result.action).toBe('rejected');
+
+    expect(createComment).toHaveBeenCalledWith(
+      expect.anything(),
+      'owner',
+      'repo',
+      123,
+      '❌ Invalid command format. Please use: @merge-at YYYY-MM-DD HH:mm[am|pm] [timezone] [--method merge|squash|rebase]'
+    );
   });
 
-  test('returns false for read permission', async () => {
+  test('schedules closing a PR', async () => {
+    mockOctokit.rest.issues.getComment.mockResolvedValue({
+      data: { user: { login: 'testuser' } }
+    });
     mockOctokit.rest.repos.getCollaboratorPermissionLevel.mockResolvedValue({
-      data: {
-        permission: 'read'
-      }
+      data: { permission: 'write' }
+    });
+    mockOctokit.rest.pulls.get.mockResolvedValue({
+      data: { number: 123, state: 'open', user: { login: 'author' }, head: { sha: 'abc1234567' } }
     });
 
-    const result = await hasWritePermission(mockOctokit, 'owner', 'repo', 'testuser');
-    expect(result).toBe(false);
-  });
+    const result = await handleComment('token', 'owner/repo', 123, '@close-at 2024-01-02 14:30 EST');
 
-  test('returns false when API call fails', async () => {
-    mockOctokit.rest.repos.getCollaboratorPermissionLevel.mockRejectedValue(
-      new Error('API Error')
+    expect(removeScheduleInfo).toHaveBeenCalledWith(expect.anything(), 'owner', 'repo', 123);
+    expect(storeScheduleInfo).toHaveBeenCalledWith(
+      expect.anything(),
+      'owner',
+      'repo',
+      123,
+      expect.any(Date),
+      '2024-01-02 02:30 PM',
+      '2024-01-02 19:30',
+      'EST',
+      { action: 'close', scheduledBy: 'testuser' }
     );
+    expect(result).toEqual({ action: 'scheduled', scheduleTime: '2024-01-02T19:30:00.000Z', timezone: 'EST' });
+  });
+
+  test('refuses to replace a schedule of a different type', async () => {
+    mockOctokit.rest.issues.getComment.mockResolvedValue({
+      data: { user: { login: 'testuser' } }
+    });
+    mockOctokit.rest.repos.getCollaboratorPermissionLevel.mockResolvedValue({
+      data: { permission: 'write' }
+    });
+    mockOctokit.rest.pulls.get.mockResolvedValue({
+      data: { number: 123, state: 'open', user: { login: 'author' }, head: { sha: 'abc1234567' } }
+    });
+    getScheduleInfo.mockResolvedValueOnce({ scheduleDate: '2024-01-02T14:30:00Z', scheduledBy: 'testuser' });
 
-    const result = await hasWritePermission(mockOctokit, 'owner', 'repo', 'testuser');
-    expect(result).toBe(false);
+    await handleComment('token', 'owner/repo', 123, '@close-at 2024-01-03 14:30');
+
+    expect(removeScheduleInfo).not.toHaveBeenCalled();
+    expect(storeScheduleInfo).not.toHaveBeenCalled();
+    expect(createComment).toHaveBeenCalledWith(
+      expect.anything(),
+      'owner',
+      'repo',
+      123,
+      '❌ This PR already has a scheduled merge. Cancel it with `@merge-at cancel` before scheduling a close.'
+    );
   });
 
-  test('returns false for no permission', async () => {
+  test('refuses to schedule a merge over a scheduled action', async () => {
+    mockOctokit.rest.issues.getComment.mockResolvedValue({
+      data: { user: { login: 'testuser' } }
+    });
     mockOctokit.rest.repos.getCollaboratorPermissionLevel.mockResolvedValue({
-      data: {
-        permission: 'none'
-      }
+      data: { permission: 'write' }
     });
+    getScheduleInfo.mockResolvedValueOnce({ action: 'label', label: 'wip', scheduledBy: 'testuser' });
+
+    await handleComment('token', 'owner/repo', 123, '@merge-at 2024-01-03 14:30');
 
-    const result = await hasWritePermission(mockOctokit, 'owner', 'repo', 'testuser');
-    expect(result).toBe(false);
+    expect(storeScheduleInfo).not.toHaveBeenCalled();
+    expect(createComment).toHaveBeenCalledWith(
+      expect.anything(),
+      'owner',
+      'repo',
+      123,
+      '❌ This PR already has a scheduled label. Cancel it with `@label-at cancel` before scheduling a merge.'
+    );
   });
 
-  test('rejects when time part is empty', async () => {
-    await expect(validateScheduleTime('2024-01-02 '))
-      .rejects.toThrow('Invalid date/time format: Date and time must be provided');
+  test('schedules adding a quoted label', async () => {
+    mockOctokit.rest.issues.getComment.mockResolvedValue({
+      data: { user: { login: 'testuser' } }
+    });
+    mockOctokit.rest.repos.getCollaboratorPermissionLevel.mockResolvedValue({
+      data: { permission: 'write' }
+    });
+    mockOctokit.rest.pulls.get.mockResolvedValue({
+      data: { number: 123, state: 'open', user: { login: 'author' }, head: { sha: 'abc1234567' } }
+    });
+
+    await handleComment('token', 'owner/repo', 123, '@label-at "ready to ship" 2024-01-02 14:30');
+
+    expect(storeScheduleInfo).toHaveBeenCalledWith(
+      expect.anything(),
+      'owner',
+      'repo',
+      123,
+      expect.any(Date),
+      expect.any(String),
+      expect.any(String),
+      'UTC',
+      { action: 'label', scheduledBy: 'testuser', label: 'ready to ship' }
+    );
+  });
+
+  test('rejects marking a PR ready for review that is not a draft', async () => {
+    mockOctokit.rest.issues.getComment.mockResolvedValue({
+      data: { user: { login: 'testuser' } }
+    });
+    mockOctokit.rest.repos.getCollaboratorPermissionLevel.mockResolvedValue({
+      data: { permission: 'write' }
+    });
+    mockOctokit.rest.pulls.get.mockResolvedValue({
+      data: { number: 123, state: 'open', draft: false, user: { login: 'author' }, head: { sha: 'abc1234567' } }
+    });
+
+    const result = await handleComment('token', 'owner/repo', 123, '@ready-at 2024-01-02 14:30');
+
+    expect(storeScheduleInfo).not.toHaveBeenCalled();
+    expect(result).toEqual({ action: 'rejected', error: 'This PR is already ready for review' });
+  });
+
+  test('shows the usage of the command that was used', async () => {
+    mockOctokit.rest.issues.getComment.mockResolvedValue({
+      data: { user: { login: 'testuser' } }
+    });
+    mockOctokit.rest.repos.getCollaboratorPermissionLevel.mockResolvedValue({
+      data: { permission: 'write' }
+    });
+
+    await handleComment('token', 'owner/repo', 123, '@label-at');
+    await handleComment('token', 'owner/repo', 123, '@label-at wip');
+
+    expect(createComment).toHaveBeenLastCalledWith(
+      expect.anything(),
+      'owner',
+      'repo',
+      123,
+      '❌ Invalid command format. Please use: @label-at <label> YYYY-MM-DD HH:mm[am|pm] [timezone]'
+    );
+  });
+
+  test('cancels a scheduled close', async () => {
+    mockOctokit.rest.issues.getComment.mockResolvedValue({
+      data: { user: { login: 'testuser' } }
+    });
+    mockOctokit.rest.repos.getCollaboratorPermissionLevel.mockResolvedValue({
+      data: { permission: 'write' }
+    });
+    getScheduleInfo.mockResolvedValueOnce({ action: 'close', scheduledBy: 'alice' });
+
+    const result = await handleComment('token', 'owner/repo', 123, '@close-at cancel');
+
+    expect(removeScheduleInfo).toHaveBeenCalledWith(expect.anything(), 'owner', 'repo', 123);
+    expect(createComment).toHaveBeenCalledWith(
+      expect.anything(),
+      'owner',
+      'repo',
+      123,
+      '🚫 The close scheduled by @alice has been cancelled by @testuser.'
+    );
+    expect(result).toEqual({ action: 'cancelled' });
+  });
+
+  test('rejects cancelling a schedule of another kind', async () => {
+    mockOctokit.rest.issues.getComment.mockResolvedValue({
+      data: { user: { login: 'testuser' } }
+    });
+    mockOctokit.rest.repos.getCollaboratorPermissionLevel.mockResolvedValue({
+      data: { permission: 'write' }
+    });
+    getScheduleInfo.mockResolvedValueOnce({ commentId: 42, scheduledBy: 'alice' });
+
+    const result = await handleComment('token', 'owner/repo', 123, '@close-at cancel');
+
+    expect(removeScheduleInfo).not.toHaveBeenCalled();
+    expect(createComment).toHaveBeenCalledWith(
+      expect.anything(),
+      'owner',
+      'repo',
+      123,
+      '❌ This PR has a scheduled merge, not a close. Cancel it with `@merge-at cancel` instead.'
+    );
+    expect(result).toEqual({
+      action: 'rejected',
+      error: 'This PR has a scheduled merge, not a close. Cancel it with `@merge-at cancel` instead.'
+    });
+  });
+
+  test('rejects confirming a schedule of another kind', async () => {
+    mockOctokit.rest.issues.getComment.mockResolvedValue({
+      data: { user: { login: 'testuser' } }
+    });
+    mockOctokit.rest.repos.getCollaboratorPermissionLevel.mockResolvedValue({
+      data: { permission: 'write' }
+    });
+    getScheduleInfo.mockResolvedValueOnce({ commentId: 42, headSha: 'old', awaitingConfirmation: true });
+
+    const result = await handleComment('token', 'owner/repo', 123, '@label-at confirm');
+
+    expect(updateScheduleInfo).not.toHaveBeenCalled();
+    expect(createComment).toHaveBeenCalledWith(
+      expect.anything(),
+      'owner',
+      'repo',
+      123,
+      '❌ This PR has a scheduled merge, not a label. Confirm it with `@merge-at confirm` instead.'
+    );
+    expect(result).toEqual({
+      action: 'rejected',
+      error: 'This PR has a scheduled merge, not a label. Confirm it with `@merge-at confirm` instead.'
+    });
+  });
+
+  test('uses the commenter\'s timezone from the repository config', async () => {
+    mockOctokit.rest.issues.getComment.mockResolvedValue({
+      data: { user: { login: 'TestUser' } }
+    });
+    mockOctokit.rest.repos.getCollaboratorPermissionLevel.mockResolvedValue({
+      data: { permission: 'write' }
+    });
+    loadRepoConfig.mockResolvedValueOnce({ timezones: { testuser: 'America/Los_Angeles' } });
+
+    const result = await handleComment('token', 'owner/repo', 123, '@merge-at 2024-01-02 14:30', { defaultTimezone: 'Europe/Berlin' });
+
+    expect(result).toEqual({ action: 'scheduled', scheduleTime: '2024-01-02T22:30:00.000Z', timezone: 'America/Los_Angeles' });
+  });
+
+  test('falls back to the default timezone', async () => {
+    mockOctokit.rest.issues.getComment.mockResolvedValue({
+      data: { user: { login: 'testuser' } }
+    });
+    mockOctokit.rest.repos.getCollaboratorPermissionLevel.mockResolvedValue({
+      data: { permission: 'write' }
+    });
+
+    const result = await handleComment('token', 'owner/repo', 123, '@merge-at 2024-01-02 14:30', { defaultTimezone: 'Europe/Berlin' });
+
+    expect(result).toEqual({ action: 'scheduled', scheduleTime: '2024-01-02T13:30:00.000Z', timezone: 'Europe/Berlin' });
+  });
+
+  test('suggests a timezone when the one given is unknown', async () => {
+    mockOctokit.rest.issues.getComment.mockResolvedValue({
+      data: { user: { login: 'testuser' } }
+    });
+    mockOctokit.rest.repos.getCollaboratorPermissionLevel.mockResolvedValue({
+      data: { permission: 'write' }
+    });
+
+    await handleComment('token', 'owner/repo', 123, '@merge-at 2024-01-02 14:30 America/Los_Angles');
+
+    expect(storeScheduleInfo).not.toHaveBeenCalled();
+    expect(createComment).toHaveBeenCalledWith(
+      expect.anything(),
+      'owner',
+      'repo',
+      123,
+      '❌ Unknown timezone "America/Los_Angles". Did you mean America/Los_Angeles?'
+    );
+  });
+
+  test('stores the default merge method when no flag is given', async () => {
+    mockOctokit.rest.issues.getComment.mockResolvedValue({
+      data: { user: { login: 'testuser' } }
+    });
+    mockOctokit.rest.repos.getCollaboratorPermissionLevel.mockResolvedValue({
+      data: { permission: 'write' }
+    });
+
+    await handleComment('token', 'owner/repo', 123, '@merge-at 2024-01-02 14:30', { mergeMethod: 'merge' });
+
+    expect(storeScheduleInfo).toHaveBeenCalledWith(
+      expect.anything(),
+      'owner',
+      'repo',
+      123,
+      expect.any(Date),
+      expect.any(String),
+      expect.any(String),
+      'UTC',
+      { mergeMethod: 'merge', scheduledBy: 'testuser', headSha: 'abc1234567' }
+    );
+  });
+
+  test('stores the merge method from the --method flag', async () => {
+    mockOctokit.rest.issues.getComment.mockResolvedValue({
+      data: { user: { login: 'testuser' } }
+    });
+    mockOctokit.rest.repos.getCollaboratorPermissionLevel.mockResolvedValue({
+      data: { permission: 'write' }
+    });
+
+    await handleComment('token', 'owner/repo', 123, '@merge-at 2024-01-02 14:30 America/New_York --method rebase');
+
+    expect(storeScheduleInfo).toHaveBeenCalledWith(
+      expect.anything(),
+      'owner',
+      'repo',
+      123,
+      expect.any(Date),
+      expect.any(String),
+      expect.any(String),
+      'America/New_York',
+      { mergeMethod: 'rebase', scheduledBy: 'testuser', headSha: 'abc1234567' }
+    );
+  });
+
+  test('stores the priority from the --priority flag', async () => {
+    mockOctokit.rest.issues.getComment.mockResolvedValue({
+      data: { user: { login: 'testuser' } }
+    });
+    mockOctokit.rest.repos.getCollaboratorPermissionLevel.mockResolvedValue({
+      data: { permission: 'write' }
+    });
+
+    await handleComment('token', 'owner/repo', 123, '@merge-at 2024-01-02 14:30 --priority 5 --method merge');
+
+    expect(storeScheduleInfo).toHaveBeenCalledWith(
+      expect.anything(),
+      'owner',
+      'repo',
+      123,
+      expect.any(Date),
+      expect.any(String),
+      expect.any(String),
+      'UTC',
+      { mergeMethod: 'merge', scheduledBy: 'testuser', priority: 5, headSha: 'abc1234567' }
+    );
+  });
+
+  test('stores the post-merge hooks from the --then flag', async () => {
+    mockOctokit.rest.issues.getComment.mockResolvedValue({
+      data: { user: { login: 'testuser' } }
+    });
+    mockOctokit.rest.repos.getCollaboratorPermissionLevel.mockResolvedValue({
+      data: { permission: 'write' }
+    });
+    loadRepoConfig.mockResolvedValueOnce({ 'merge-hooks': { 'deploy-staging': { workflow: 'deploy.yml' } } });
+
+    await handleComment('token', 'owner/repo', 123, '@merge-at 2024-01-02 14:30 --then deploy-staging');
+
+    expect(storeScheduleInfo).toHaveBeenCalledWith(
+      expect.anything(),
+      'owner',
+      'repo',
+      123,
+      expect.any(Date),
+      expect.any(String),
+      expect.any(String),
+      'UTC',
+      { mergeMethod: 'squash', scheduledBy: 'testuser', hooks: ['deploy-staging'], headSha: 'abc1234567' }
+    );
+  });
+
+  test('rejects post-merge hooks that are not defined', async () => {
+    mockOctokit.rest.issues.getComment.mockResolvedValue({
+      data: { user: { login: 'testuser' } }
+    });
+    mockOctokit.rest.repos.getCollaboratorPermissionLevel.mockResolvedValue({
+      data: { permission: 'write' }
+    });
+
+    const result = await handleComment('token', 'owner/repo', 123, '@merge-at 2024-01-02 14:30 --then deploy');
+
+    expect(storeScheduleInfo).not.toHaveBeenCalled();
+    expect(result).toEqual({
+      action: 'rejected',
+      error: 'Unknown merge hook "deploy". No hooks are defined under merge-hooks in the repository config'
+    });
+  });
+
+  test('stores prerequisites from an "after" command without a time', async () => {
+    mockOctokit.rest.issues.getComment.mockResolvedValue({
+      data: { user: { login: 'testuser' } }
+    });
+    mockOctokit.rest.repos.getCollaboratorPermissionLevel.mockResolvedValue({
+      data: { permission: 'write' }
+    });
+
+    await handleComment('token', 'owner/repo', 123, '@merge-at after #120, owner/lib#7');
+
+    expect(mockOctokit.rest.pulls.get).toHaveBeenCalledWith({ owner: 'owner', repo: 'lib', pull_number: 7 });
+    expect(storeScheduleInfo).toHaveBeenCalledWith(
+      expect.anything(),
+      'owner',
+      'repo',
+      123,
+      new Date('2024-01-01T12:00:00Z'),
+      expect.any(String),
+      expect.any(String),
+      'UTC',
+      {
+        mergeMethod: 'squash',
+        scheduledBy: 'testuser',
+        dependencies: [
+          { owner: 'owner', repo: 'repo', number: 120 },
+          { owner: 'owner', repo: 'lib', number: 7 }
+        ],
+        headSha: 'abc1234567'
+      }
+    );
+  });
+
+  test('stores prerequisites together with a time', async () => {
+    mockOctokit.rest.issues.getComment.mockResolvedValue({
+      data: { user: { login: 'testuser' } }
+    });
+    mockOctokit.rest.repos.getCollaboratorPermissionLevel.mockResolvedValue({
+      data: { permission: 'write' }
+    });
+
+    await handleComment('token', 'owner/repo', 123, '@merge-at 2024-01-02 14:30 EST after #120');
+
+    expect(storeScheduleInfo).toHaveBeenCalledWith(
+      expect.anything(),
+      'owner',
+      'repo',
+      123,
+      new Date('2024-01-02T19:30:00Z'),
+      expect.any(String),
+      expect.any(String),
+      'EST',
+      expect.objectContaining({ dependencies: [{ owner: 'owner', repo: 'repo', number: 120 }] })
+    );
+  });
+
+  test('rejects prerequisites that do not exist', async () => {
+    mockOctokit.rest.issues.getComment.mockResolvedValue({
+      data: { user: { login: 'testuser' } }
+    });
+    mockOctokit.rest.repos.getCollaboratorPermissionLevel.mockResolvedValue({
+      data: { permission: 'write' }
+    });
+    mockOctokit.rest.pulls.get.mockImplementation(({ pull_number }) => (pull_number === 999
+      ? Promise.reject(Object.assign(new Error('Not Found'), { status: 404 }))
+      : Promise.resolve({ data: { number: 123, user: { login: 'author' }, head: { sha: 'abc1234567' } } })));
+
+    await handleComment('token', 'owner/repo', 123, '@merge-at after #999');
+
+    expect(storeScheduleInfo).not.toHaveBeenCalled();
+    expect(createComment).toHaveBeenCalledWith(
+      expect.anything(),
+      'owner',
+      'repo',
+      123,
+      '❌ Prerequisite #999 was not found'
+    );
+  });
+
+  test('rejects a PR scheduled after itself', async () => {
+    mockOctokit.rest.issues.getComment.mockResolvedValue({
+      data: { user: { login: 'testuser' } }
+    });
+    mockOctokit.rest.repos.getCollaboratorPermissionLevel.mockResolvedValue({
+      data: { permission: 'write' }
+    });
+
+    await handleComment('token', 'owner/repo', 123, '@merge-at after #123');
+
+    expect(storeScheduleInfo).not.toHaveBeenCalled();
+    expect(createComment).toHaveBeenCalledWith(
+      expect.anything(),
+      'owner',
+      'repo',
+      123,
+      '❌ A PR cannot be scheduled to merge after itself'
+    );
+  });
+
+  test('schedules every PR below a stacked PR', async () => {
+    mockOctokit.rest.issues.getComment.mockResolvedValue({
+      data: { user: { login: 'testuser' } }
+    });
+    mockOctokit.rest.repos.getCollaboratorPermissionLevel.mockResolvedValue({
+      data: { permission: 'write' }
+    });
+    mockOctokit.rest.pulls.get.mockResolvedValue({
+      data: { number: 123, title: 'Top', base: { ref: 'feature-a' }, head: { sha: 'abc1234567' } }
+    });
+    mockOctokit.rest.pulls.list = jest.fn()
+      .mockResolvedValueOnce({
+        data: [{ number: 120, title: 'Bottom', base: { ref: 'main' }, head: { sha: 'def4567890' } }]
+      })
+      .mockResolvedValueOnce({ data: [] });
+
+    await handleComment('token', 'owner/repo', 123, '@merge-at 2024-01-02 14:30 --stack');
+
+    expect(storeScheduleInfo).toHaveBeenCalledTimes(2);
+    expect(storeScheduleInfo).toHaveBeenNthCalledWith(1,
+      expect.anything(), 'owner', 'repo', 120,
+      expect.anything(), expect.any(String), expect.any(String), 'UTC',
+      { mergeMethod: 'squash', scheduledBy: 'testuser', stackBase: 'main', headSha: 'def4567890' }
+    );
+    expect(storeScheduleInfo).toHaveBeenNthCalledWith(2,
+      expect.anything(), 'owner', 'repo', 123,
+      expect.anything(), expect.any(String), expect.any(String), 'UTC',
+      {
+        mergeMethod: 'squash',
+        scheduledBy: 'testuser',
+        dependencies: [{ owner: 'owner', repo: 'repo', number: 120 }],
+        stackBase: 'main',
+        headSha: 'abc1234567'
+      }
+    );
+  });
+
+  test('refuses the whole stack when a PR below fails the scheduling rules', async () => {
+    mockOctokit.rest.issues.getComment.mockResolvedValue({
+      data: { user: { login: 'testuser' } }
+    });
+    mockOctokit.rest.repos.getCollaboratorPermissionLevel.mockResolvedValue({
+      data: { permission: 'write' }
+    });
+    mockOctokit.rest.pulls.get.mockResolvedValue({
+      data: { number: 123, title: 'Top', user: { login: 'other' }, base: { ref: 'feature-a' }, head: { sha: 'abc1234567' } }
+    });
+    mockOctokit.rest.pulls.list = jest.fn()
+      .mockResolvedValueOnce({
+        data: [{ number: 120, title: 'Bottom', user: { login: 'testuser' }, base: { ref: 'main' }, head: { sha: 'def4567890' } }]
+      })
+      .mockResolvedValueOnce({ data: [] });
+    mockOctokit.rest.pulls.listReviews = jest.fn().mockResolvedValue({ data: [] });
+    loadRepoConfig.mockResolvedValueOnce({ authorization: { 'self-schedule': 'approved' } });
+
+    await handleComment('token', 'owner/repo', 123, '@merge-at 2024-01-02 14:30 --stack');
+
+    expect(storeScheduleInfo).not.toHaveBeenCalled();
+    expect(removeScheduleInfo).not.toHaveBeenCalled();
+    expect(createComment).toHaveBeenCalledWith(
+      expect.anything(),
+      'owner',
+      'repo',
+      123,
+      '❌ Cannot schedule the stack because of #120. Not allowed by the "self-schedule" rule: authors can only schedule their own PRs after an approving review.'
+    );
+  });
+
+  test('rejects merge methods the repository does not allow', async () => {
+    mockOctokit.rest.issues.getComment.mockResolvedValue({
+      data: { user: { login: 'testuser' } }
+    });
+    mockOctokit.rest.repos.getCollaboratorPermissionLevel.mockResolvedValue({
+      data: { permission: 'write' }
+    });
+    mockOctokit.rest.repos.get.mockResolvedValue({
+      data: {
+        allow_merge_commit: true,
+        allow_squash_merge: false,
+        allow_rebase_merge: false
+      }
+    });
+
+    await handleComment('token', 'owner/repo', 123, '@merge-at 2024-01-02 14:30');
+
+    expect(storeScheduleInfo).not.toHaveBeenCalled();
+    expect(createComment).toHaveBeenCalledWith(
+      expect.anything(),
+      'owner',
+      'repo',
+      123,
+      '❌ Merge method "squash" is not allowed in this repository. Allowed methods: merge'
+    );
+  });
+
+  test('rejects unknown merge methods', async () => {
+    mockOctokit.rest.issues.getComment.mockResolvedValue({
+      data: { user: { login: 'testuser' } }
+    });
+    mockOctokit.rest.repos.getCollaboratorPermissionLevel.mockResolvedValue({
+      data: { permission: 'write' }
+    });
+
+    await handleComment('token', 'owner/repo', 123, '@merge-at 2024-01-02 14:30 --method fast-forward');
+
+    expect(storeScheduleInfo).not.toHaveBeenCalled();
+    expect(createComment).toHaveBeenCalledWith(
+      expect.anything(),
+      'owner',
+      'repo',
+      123,
+      '❌ Invalid merge method "fast-forward". Use one of: merge, squash, rebase'
+    );
+  });
+
+  test('rejects schedules in a configured blackout', async () => {
+    mockOctokit.rest.issues.getComment.mockResolvedValue({
+      data: { user: { login: 'testuser' } }
+    });
+    mockOctokit.rest.repos.getCollaboratorPermissionLevel.mockResolvedValue({
+      data: { permission: 'write' }
+    });
+    loadRepoConfig.mockResolvedValueOnce({
+      blackouts: [{ start: '2024-01-02', end: '2024-01-02', reason: 'Release freeze' }]
+    });
+
+    await handleComment('token', 'owner/repo', 123, '@merge-at 2024-01-02 14:30');
+
+    expect(loadRepoConfig).toHaveBeenCalledWith(mockOctokit, 'owner', 'repo');
+    expect(storeScheduleInfo).not.toHaveBeenCalled();
+    expect(createComment).toHaveBeenCalledWith(
+      expect.anything(),
+      'owner',
+      'repo',
+      123,
+      expect.stringContaining('Scheduled time falls within a blackout period: Release freeze')
+    );
+  });
+
+  test('accepts relative schedule expressions', async () => {
+    mockOctokit.rest.issues.getComment.mockResolvedValue({
+      data: { user: { login: 'testuser' } }
+    });
+    mockOctokit.rest.repos.getCollaboratorPermissionLevel.mockResolvedValue({
+      data: { permission: 'write' }
+    });
+
+    await handleComment('token', 'owner/repo', 123, '@merge-at tomorrow 9am America/Chicago --method merge');
+
+    expect(storeScheduleInfo).toHaveBeenCalledWith(
+      expect.anything(),
+      'owner',
+      'repo',
+      123,
+      new Date('2024-01-02T15:00:00Z'),
+      expect.any(String),
+      expect.any(String),
+      'America/Chicago',
+      { mergeMethod: 'merge', scheduledBy: 'testuser', headSha: 'abc1234567' }
+    );
+  });
+
+  test('stores rendered commit templates from the comment', async () => {
+    mockOctokit.rest.issues.getComment.mockResolvedValue({
+      data: { user: { login: 'scheduler' } }
+    });
+    mockOctokit.rest.repos.getCollaboratorPermissionLevel.mockResolvedValue({
+      data: { permission: 'write' }
+    });
+    await handleComment('token', 'owner/repo', 123,
+      '@merge-at 2024-01-02 14:30\n```commit\nfeat: {{title}} (#{{number}})\n\nScheduled by {{scheduler}}\n```');
+
+    expect(storeScheduleInfo).toHaveBeenCalledWith(
+      expect.anything(),
+      'owner',
+      'repo',
+      123,
+      expect.any(Date),
+      expect.any(String),
+      expect.any(String),
+      'UTC',
+      {
+        mergeMethod: 'squash',
+        scheduledBy: 'scheduler',
+        headSha: 'abc1234567',
+        commitTitle: 'feat: Add widgets (#123)',
+        commitMessage: 'Scheduled by scheduler'
+      }
+    );
+  });
+
+  test('handles API errors gracefully', async () => {
+    mockOctokit.rest.issues.getComment.mockRejectedValue(new Error('API Error'));
+
+    const result = await handleComment('token', 'owner/repo', 123, '@merge-at 2024-01-02 14:30');
+
+    expect(result).toEqual({ action: 'failed', error: 'API Error' });
+
+    expect(createComment).toHaveBeenCalledWith(
+      expect.anything(),
+      'owner',
+      'repo',
+      123,
+      '❌ An error occurred while processing your command. Please try again.'
+    );
+  });
+
+  test('handles error during schedule info storage', async () => {
+    mockOctokit.rest.issues.getComment.mockResolvedValue({
+      data: {
+        user: {
+          login: 'testuser'
+        }
+      }
+    });
+
+    mockOctokit.rest.repos.getCollaboratorPermissionLevel.mockResolvedValue({
+      data: {
+        permission: 'write'
+      }
+    });
+
+    // Mock storage error
+    storeScheduleInfo.mockRejectedValue(new Error('Storage failed'));
+
+    await handleComment('token', 'owner/repo', 123, '@merge-at 2024-01-02 14:30');
+
+    expect(createComment).toHaveBeenCalledWith(
+      expect.anything(),
+      'owner',
+      'repo',
+      123,
+      '❌ Storage failed'
+    );
+  });
+});
+
+describe('parseMergeMethod', () => {
+  test('returns the default when no flag is given', () => {
+    expect(parseMergeMethod('@merge-at 2024-01-02 14:30')).toBe('squash');
+    expect(parseMergeMethod('@merge-at 2024-01-02 14:30', 'merge')).toBe('merge');
+  });
+
+  test('parses the flag case-insensitively', () => {
+    expect(parseMergeMethod('@merge-at 2024-01-02 14:30 --method REBASE')).toBe('rebase');
+  });
+
+  test('throws for unknown methods', () => {
+    expect(() => parseMergeMethod('@merge-at 2024-01-02 14:30 --method octopus'))
+      .toThrow('Invalid merge method "octopus"');
+  });
+});
+
+describe('parsePriority', () => {
+  test('returns nothing when no flag is given', () => {
+    expect(parsePriority('@merge-at 2024-01-02 14:30')).toBeUndefined();
+  });
+
+  test('parses whole numbers', () => {
+    expect(parsePriority('@merge-at 2024-01-02 14:30 --priority 10')).toBe(10);
+    expect(parsePriority('@merge-at 2024-01-02 14:30 --priority -1')).toBe(-1);
+  });
+
+  test('throws for anything else', () => {
+    expect(() => parsePriority('@merge-at 2024-01-02 14:30 --priority high'))
+      .toThrow('Invalid priority "high". Use a whole number, e.g. --priority 10');
+  });
+});
+
+describe('getAllowedMergeMethods', () => {
+  test('returns methods enabled in the repository settings', async () => {
+    const mockOctokit = {
+      rest: {
+        repos: {
+          get: jest.fn().mockResolvedValue({
+            data: {
+              allow_merge_commit: false,
+              allow_squash_merge: true,
+              allow_rebase_merge: true
+            }
+          })
+        }
+      }
+    };
+
+    const result = await getAllowedMergeMethods(mockOctokit, 'owner', 'repo');
+    expect(result).toEqual(['squash', 'rebase']);
+    expect(mockOctokit.rest.repos.get).toHaveBeenCalledWith({ owner: 'owner', repo: 'repo' });
+  });
+});
+
+describe('resolveCommitDetails', () => {
+  const pr = { number: 123, title: 'Add widgets', user: { login: 'author' } };
+
+  test('returns nothing when no templates are configured', () => {
+    expect(resolveCommitDetails(pr, '@merge-at 2024-01-02 14:30')).toEqual({});
+  });
+
+  test('renders templates from the action inputs', () => {
+    const result = resolveCommitDetails(pr, '@merge-at 2024-01-02 14:30', {
+      commitTitleTemplate: '{{title}} (#{{number}})',
+      commitMessageTemplate: 'Author: {{author}}\nScheduled: {{scheduled_time}}',
+      scheduler: 'scheduler',
+      scheduledTime: '2024-01-02 14:30 UTC'
+    });
+
+    expect(result).toEqual({
+      commitTitle: 'Add widgets (#123)',
+      commitMessage: 'Author: author\nScheduled: 2024-01-02 14:30 UTC'
+    });
+  });
+
+  test('prefers the comment template over the action inputs', () => {
+    const result = resolveCommitDetails(pr,
+      '@merge-at 2024-01-02 14:30\n```commit\nfix: {{title}}\n```', {
+        commitTitleTemplate: 'ignored',
+        commitMessageTemplate: 'Merged by {{scheduler}}',
+        scheduler: 'scheduler'
+      });
+
+    expect(result).toEqual({
+      commitTitle: 'fix: Add widgets',
+      commitMessage: 'Merged by scheduler'
+    });
   });
 });
@@ -0,0 +1,60 @@
+const { renderTemplate, parseCommitTemplate, renderCommitTemplates } = require('../src/commit-template');
+
+describe('renderTemplate', () => {
+  test('replaces known placeholders', () => {
+    const result = renderTemplate('feat: {{title}} (#{{ number }})', {
+      title: 'Add widgets',
+      number: 123
+    });
+    expect(result).toBe('feat: Add widgets (#123)');
+  });
+
+  test('leaves unknown placeholders untouched', () => {
+    expect(renderTemplate('{{title}} {{unknown}}', { title: 'Fix' }))
+      .toBe('Fix {{unknown}}');
+  });
+
+  test('returns undefined for empty templates', () => {
+    expect(renderTemplate('', { title: 'Fix' })).toBeUndefined();
+    expect(renderTemplate(undefined, { title: 'Fix' })).toBeUndefined();
+  });
+});
+
+describe('parseCommitTemplate', () => {
+  test('parses title and message from a commit block', () => {
+    const body = '@merge-at 2024-01-02 14:30\n```commit\nfeat: {{title}}\n\nScheduled by @{{scheduler}}\n```';
+
+    expect(parseCommitTemplate(body)).toEqual({
+      titleTemplate: 'feat: {{title}}',
+      messageTemplate: 'Scheduled by @{{scheduler}}'
+    });
+  });
+
+  test('parses a title-only commit block', () => {
+    const body = '@merge-at 2024-01-02 14:30\r\n```commit\r\nfix: {{title}}\r\n```';
+
+    expect(parseCommitTemplate(body)).toEqual({
+      titleTemplate: 'fix: {{title}}',
+      messageTemplate: undefined
+    });
+  });
+
+  test('returns null without a commit block', () => {
+    expect(parseCommitTemplate('@merge-at 2024-01-02 14:30')).toBeNull();
+    expect(parseCommitTemplate('@merge-at 2024-01-02 14:30\n```\nnot a commit\n```')).toBeNull();
+  });
+});
+
+describe('renderCommitTemplates', () => {
+  test('renders both templates', () => {
+    const result = renderCommitTemplates(
+      { titleTemplate: '{{title}} (#{{number}})', messageTemplate: 'By {{author}}' },
+      { title: 'Fix', number: 7, author: 'octocat' }
+    );
+
+    expect(result).toEqual({
+      commitTitle: 'Fix (#7)',
+      commitMessage: 'By octocat'
+    });
+  });
+});
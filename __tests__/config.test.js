@@ -0,0 +1,92 @@
+const { loadRepoConfig, clearConfigCache } = require('../src/config');
+const core = require('@actions/core');
+
+jest.mock('@actions/core');
+
+function encode(content) {
+  return {
+    data: {
+      content: Buffer.from(content).toString('base64'),
+      encoding: 'base64'
+    }
+  };
+}
+
+describe('loadRepoConfig', () => {
+  let mockOctokit;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    clearConfigCache();
+    mockOctokit = {
+      rest: {
+        repos: {
+          getContent: jest.fn()
+        }
+      }
+    };
+  });
+
+  test('parses the config file', async () => {
+    mockOctokit.rest.repos.getContent.mockResolvedValue(encode([
+      'blackouts:',
+      '  - start: 2024-12-20',
+      '    end: 2025-01-02',
+      '    reason: Holiday freeze'
+    ].join('\n')));
+
+    const config = await loadRepoConfig(mockOctokit, 'owner', 'repo');
+
+    expect(mockOctokit.rest.repos.getContent).toHaveBeenCalledWith({
+      owner: 'owner',
+      repo: 'repo',
+      path: '.github/merge-scheduler.yml'
+    });
+    expect(config).toEqual({
+      blackouts: [{ start: '2024-12-20', end: '2025-01-02', reason: 'Holiday freeze' }]
+    });
+  });
+
+  test('returns an empty config when the file is missing', async () => {
+    mockOctokit.rest.repos.getContent.mockRejectedValue({ status: 404 });
+
+    const config = await loadRepoConfig(mockOctokit, 'owner', 'repo');
+    expect(config).toEqual({});
+  });
+
+  test('returns an empty config for an empty file', async () => {
+    mockOctokit.rest.repos.getContent.mockResolvedValue(encode(''));
+
+    const config = await loadRepoConfig(mockOctokit, 'owner', 'repo');
+    expect(config).toEqual({});
+  });
+
+  test('caches the config per repository', async () => {
+    mockOctokit.rest.repos.getContent.mockResolvedValue(encode('blackouts: []'));
+
+    await loadRepoConfig(mockOctokit, 'owner', 'repo');
+    await loadRepoConfig(mockOctokit, 'owner', 'repo');
+    await loadRepoConfig(mockOctokit, 'owner', 'other');
+
+    expect(mockOctokit.rest.repos.getContent).toHaveBeenCalledTimes(2);
+  });
+
+  test('rejects configs that are not a mapping', async () => {
+    mockOctokit.rest.repos.getContent.mockResolvedValue(encode('- just\n- a list'));
+
+    await expect(loadRepoConfig(mockOctokit, 'owner', 'repo'))
+      .rejects.toThrow('Unable to load .github/merge-scheduler.yml: .github/merge-scheduler.yml must contain a YAML mapping');
+    expect(core.error).toHaveBeenCalled();
+  });
+
+  test('does not cache failed loads', async () => {
+    mockOctokit.rest.repos.getContent
+      .mockRejectedValueOnce(new Error('Server Error'))
+      .mockResolvedValueOnce(encode('blackouts: []'));
+
+    await expect(loadRepoConfig(mockOctokit, 'owner', 'repo'))
+      .rejects.toThrow('Unable to load .github/merge-scheduler.yml: Server Error');
+    await expect(loadRepoConfig(mockOctokit, 'owner', 'repo'))
+      .resolves.toEqual({ blackouts: [] });
+  });
+});
@@ -0,0 +1,145 @@
+const {
+  parseDependencies,
+  validateDependencies,
+  orderByDependencies,
+  checkPrerequisites
+} = require('../src/dependencies');
+const { createComment } = require('../src/utils');
+
+jest.mock('@actions/core');
+jest.mock('../src/utils');
+
+describe('parseDependencies', () => {
+  test('returns the text unchanged without an "after" clause', () => {
+    expect(parseDependencies('2024-01-02 14:30 EST', 'owner', 'repo'))
+      .toEqual({ dependencies: [], rest: '2024-01-02 14:30 EST' });
+  });
+
+  test('resolves short references against the current repository', () => {
+    expect(parseDependencies('after #120', 'owner', 'repo')).toEqual({
+      dependencies: [{ owner: 'owner', repo: 'repo', number: 120 }],
+      rest: ''
+    });
+  });
+
+  test('parses several prerequisites next to a time', () => {
+    expect(parseDependencies('2024-01-02 14:30 EST after #120, other/lib#7 #120', 'owner', 'repo')).toEqual({
+      dependencies: [
+        { owner: 'owner', repo: 'repo', number: 120 },
+        { owner: 'other', repo: 'lib', number: 7 }
+      ],
+      rest: '2024-01-02 14:30 EST'
+    });
+  });
+});
+
+describe('validateDependencies', () => {
+  let mockOctokit;
+
+  beforeEach(() => {
+    mockOctokit = {
+      rest: {
+        pulls: {
+          get: jest.fn().mockResolvedValue({ data: { state: 'open', merged: false } })
+        }
+      }
+    };
+  });
+
+  test('accepts open and merged prerequisites', async () => {
+    mockOctokit.rest.pulls.get.mockResolvedValueOnce({ data: { state: 'closed', merged: true } });
+
+    await expect(validateDependencies(mockOctokit, 'owner', 'repo', 1, [
+      { owner: 'owner', repo: 'repo', number: 2 },
+      { owner: 'other', repo: 'lib', number: 3 }
+    ])).resolves.toBeUndefined();
+  });
+
+  test('rejects prerequisites closed without merging', async () => {
+    mockOctokit.rest.pulls.get.mockResolvedValue({ data: { state: 'closed', merged: false } });
+
+    await expect(validateDependencies(mockOctokit, 'owner', 'repo', 1, [{ owner: 'other', repo: 'lib', number: 3 }]))
+      .rejects.toThrow('Prerequisite other/lib#3 was closed without merging');
+  });
+
+  test('passes through unexpected API errors', async () => {
+    mockOctokit.rest.pulls.get.mockRejectedValue(Object.assign(new Error('Server Error'), { status: 500 }));
+
+    await expect(validateDependencies(mockOctokit, 'owner', 'repo', 1, [{ owner: 'owner', repo: 'repo', number: 2 }]))
+      .rejects.toThrow('Server Error');
+  });
+});
+
+describe('orderByDependencies', () => {
+  const pr = (number, ...after) => ({
+    owner: 'owner',
+    repo: 'repo',
+    number,
+    dependencies: after.map(dependency => ({ owner: 'owner', repo: 'repo', number: dependency }))
+  });
+
+  test('moves prerequisites ahead of their dependents', () => {
+    const { ordered, cycles } = orderByDependencies([pr(3, 2), pr(1), pr(2, 1), pr(4, 99)]);
+
+    expect(ordered.map(({ number }) => number)).toEqual([1, 2, 3, 4]);
+    expect(cycles).toEqual([]);
+  });
+
+  test('reports and leaves out dependency cycles', () => {
+    const { ordered, cycles } = orderByDependencies([pr(1, 3), pr(2, 1), pr(3, 2), pr(4)]);
+
+    expect(ordered.map(({ number }) => number)).toEqual([4]);
+    expect(cycles).toHaveLength(1);
+    expect(cycles[0].map(({ number }) => number)).toEqual([1, 3, 2, 1]);
+  });
+});
+
+describe('checkPrerequisites', () => {
+  let mockOctokit;
+  let store;
+  const pr = {
+    owner: 'owner',
+    repo: 'repo',
+    number: 5,
+    dependencies: [
+      { owner: 'owner', repo: 'repo', number: 1 },
+      { owner: 'other', repo: 'lib', number: 2 }
+    ]
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockOctokit = {
+      rest: {
+        pulls: {
+          get: jest.fn().mockResolvedValue({ data: { state: 'open', merged: false } })
+        }
+      }
+    };
+    store = { update: jest.fn() };
+  });
+
+  test('lists the prerequisites that have not merged yet', async () => {
+    mockOctokit.rest.pulls.get.mockResolvedValueOnce({ data: { state: 'closed', merged: true } });
+
+    await expect(checkPrerequisites(mockOctokit, store, pr))
+      .resolves.toBe('prerequisites other/lib#2 to merge');
+  });
+
+  test('skips prerequisites merged earlier in the run', async () => {
+    mockOctokit.rest.pulls.get.mockResolvedValue({ data: { state: 'closed', merged: true } });
+
+    await expect(checkPrerequisites(mockOctokit, store, pr, new Set(['owner/repo#1']))).resolves.toBeNull();
+    expect(mockOctokit.rest.pulls.get).toHaveBeenCalledTimes(1);
+  });
+
+  test('holds the schedule when a prerequisite was closed', async () => {
+    mockOctokit.rest.pulls.get.mockResolvedValueOnce({ data: { state: 'closed', merged: false } });
+
+    await expect(checkPrerequisites(mockOctokit, store, pr))
+      .resolves.toBe('prerequisite #1 to be reopened');
+    expect(createComment).toHaveBeenCalledWith(mockOctokit, 'owner', 'repo', 5,
+      expect.stringContaining('prerequisite #1 was closed without merging'));
+    expect(store.update).toHaveBeenCalledWith(pr, { blockedBy: '#1' });
+  });
+});
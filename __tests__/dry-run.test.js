@@ -0,0 +1,153 @@
+const { createDryRun, writeDryRunSummary } = require('../src/dry-run');
+const core = require('@actions/core');
+
+jest.mock('@actions/core');
+
+describe('createDryRun', () => {
+  let mockOctokit;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockOctokit = {
+      graphql: jest.fn(),
+      rest: {
+        pulls: {
+          get: jest.fn().mockResolvedValue({ data: { number: 1 } }),
+          merge: jest.fn()
+        },
+        issues: {
+          createComment: jest.fn(),
+          removeLabel: jest.fn()
+        },
+        search: {
+          issuesAndPullRequests: jest.fn().mockResolvedValue({ data: { items: [] } })
+        }
+      }
+    };
+  });
+
+  test('skips and records mutating calls', async () => {
+    const dryRun = createDryRun();
+    const octokit = dryRun.wrap(mockOctokit);
+
+    const { data } = await octokit.rest.pulls.merge({
+      owner: 'owner',
+      repo: 'repo',
+      pull_number: 1,
+      merge_method: 'squash',
+      sha: 'abc1234567'
+    });
+    await octokit.rest.issues.createComment({
+      owner: 'owner',
+      repo: 'repo',
+      issue_number: 1,
+      body: '✅ Successfully merged as scheduled!\n<!-- hidden -->'
+    });
+    await octokit.rest.issues.removeLabel({ owner: 'owner', repo: 'repo', issue_number: 1, name: 'merge-scheduled' });
+
+    expect(data).toEqual({ merged: true });
+    expect(mockOctokit.rest.pulls.merge).not.toHaveBeenCalled();
+    expect(mockOctokit.rest.issues.createComment).not.toHaveBeenCalled();
+    expect(mockOctokit.rest.issues.removeLabel).not.toHaveBeenCalled();
+    expect(dryRun.actions).toEqual([
+      { endpoint: 'pulls.merge', target: 'owner/repo#1', details: 'squash merge of abc1234' },
+      { endpoint: 'issues.createComment', target: 'owner/repo#1', details: '✅ Successfully merged as scheduled!' },
+      { endpoint: 'issues.removeLabel', target: 'owner/repo#1', details: 'merge-scheduled' }
+    ]);
+    expect(core.info).toHaveBeenCalledWith('[dry-run] Skipped pulls.merge on owner/repo#1: squash merge of abc1234');
+  });
+
+  test('passes reads through', async () => {
+    const octokit = createDryRun().wrap(mockOctokit);
+
+    await octokit.rest.pulls.get({ owner: 'owner', repo: 'repo', pull_number: 1 });
+    await octokit.rest.search.issuesAndPullRequests({ q: 'label:merge-scheduled' });
+
+    expect(mockOctokit.rest.pulls.get).toHaveBeenCalled();
+    expect(mockOctokit.rest.search.issuesAndPullRequests).toHaveBeenCalled();
+    await octokit.graphql('query { viewer { login } }');
+    expect(mockOctokit.graphql).toHaveBeenCalledWith('query { viewer { login } }', {});
+  });
+
+  test('skips post-merge dispatches', async () => {
+    mockOctokit.rest.actions = { createWorkflowDispatch: jest.fn() };
+    mockOctokit.rest.repos = { createDispatchEvent: jest.fn() };
+    const dryRun = createDryRun();
+    const octokit = dryRun.wrap(mockOctokit);
+
+    await octokit.rest.actions.createWorkflowDispatch({ owner: 'owner', repo: 'repo', workflow_id: 'deploy.yml', ref: 'main' });
+    await octokit.rest.repos.createDispatchEvent({ owner: 'owner', repo: 'repo', event_type: 'pr-merged' });
+
+    expect(mockOctokit.rest.actions.createWorkflowDispatch).not.toHaveBeenCalled();
+    expect(mockOctokit.rest.repos.createDispatchEvent).not.toHaveBeenCalled();
+    expect(dryRun.actions).toEqual([
+      { endpoint: 'actions.createWorkflowDispatch', target: 'owner/repo', details: 'deploy.yml on main' },
+      { endpoint: 'repos.createDispatchEvent', target: 'owner/repo', details: 'pr-merged' }
+    ]);
+  });
+
+  test('skips and records GraphQL mutations', async () => {
+    const dryRun = createDryRun();
+    const octokit = dryRun.wrap(mockOctokit);
+
+    await octokit.graphql('mutation($id: ID!) { markPullRequestReadyForReview(input: { pullRequestId: $id }) { clientMutationId } }',
+      { id: 'PR_1' });
+
+    expect(mockOctokit.graphql).not.toHaveBeenCalled();
+    expect(dryRun.actions).toEqual([{ endpoint: 'graphql.markPullRequestReadyForReview', target: 'PR_1' }]);
+  });
+
+  test('records skipped calls made outside the GitHub API', () => {
+    const dryRun = createDryRun();
+
+    dryRun.record({ endpoint: 'webhook', target: 'hooks.slack.com', details: 'merged owner/repo#1' });
+
+    expect(dryRun.actions).toEqual([{ endpoint: 'webhook', target: 'hooks.slack.com', details: 'merged owner/repo#1' }]);
+    expect(core.info).toHaveBeenCalledWith('[dry-run] Skipped webhook on hooks.slack.com: merged owner/repo#1');
+  });
+});
+
+describe('writeDryRunSummary', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  test('reports each PR and every skipped call', async () => {
+    await writeDryRunSummary([
+      { owner: 'owner', repo: 'repo', number: 1, outcome: 'merged', reason: 'due and mergeable' },
+      { owner: 'owner', repo: 'repo', number: 2, outcome: 'failed', reason: 'Failed to merge PR: Merge requirements not met:\n- Check `build` did not pass (failure)' }
+    ], [
+      { endpoint: 'pulls.merge', target: 'owner/repo#1', details: 'squash merge' }
+    ]);
+
+    expect(core.summary.addHeading).toHaveBeenCalledWith('Dry run', 2);
+    expect(core.summary.addRaw).toHaveBeenCalledWith([
+      '',
+      '| PR | Result | Why |',
+      '| --- | --- | --- |',
+      '| owner/repo#1 | ✅ Would merge | due and mergeable |',
+      '| owner/repo#2 | ❌ Would fail | Failed to merge PR: Merge requirements not met: - Check `build` did not pass (failure) |'
+    ].join('\n'), true);
+    expect(core.summary.addRaw).toHaveBeenCalledWith([
+      '',
+      '| Skipped call | Target | Details |',
+      '| --- | --- | --- |',
+      '| pulls.merge | owner/repo#1 | squash merge |'
+    ].join('\n'), true);
+    expect(core.summary.write).toHaveBeenCalled();
+  });
+
+  test('says when nothing would have changed', async () => {
+    await writeDryRunSummary([], []);
+
+    expect(core.summary.addRaw).toHaveBeenCalledWith('\nNo changes would have been made.', true);
+  });
+
+  test('only warns when the summary cannot be written', async () => {
+    core.summary.write.mockRejectedValueOnce(new Error('No summary file'));
+
+    await writeDryRunSummary([], []);
+
+    expect(core.warning).toHaveBeenCalledWith('Unable to write the dry run summary: No summary file');
+  });
+});
@@ -0,0 +1,143 @@
+const core = require('@actions/core');
+const { getMergeCleanup, findClosingReferences, runMergeCleanup } = require('../src/merge-cleanup');
+
+jest.mock('@actions/core');
+
+const pullRequest = {
+  number: 12,
+  body: 'Fixes #4, closes octo-org/api#7 and resolves: #9.\nRelated to #10',
+  labels: [{ name: 'ready-to-merge' }, { name: 'bug' }],
+  head: { ref: 'feature-x', repo: { full_name: 'owner/repo' } }
+};
+
+const everything = {
+  deleteBranch: true,
+  closeIssues: true,
+  removeLabels: ['ready-to-merge', 'needs-review'],
+  addLabels: ['released']
+};
+
+describe('getMergeCleanup', () => {
+  test('does nothing by default', () => {
+    expect(getMergeCleanup(undefined)).toEqual({
+      deleteBranch: false,
+      closeIssues: false,
+      removeLabels: [],
+      addLabels: []
+    });
+  });
+
+  test('reads the post-merge section', () => {
+    expect(getMergeCleanup({
+      'post-merge': {
+        'delete-branch': true,
+        'close-issues': true,
+        labels: { remove: ['ready-to-merge', 'needs-review'], add: 'released' }
+      }
+    })).toEqual(everything);
+  });
+
+  test('rejects invalid settings', () => {
+    expect(() => getMergeCleanup({ 'post-merge': ['delete-branch'] })).toThrow('post-merge must be a mapping');
+    expect(() => getMergeCleanup({ 'post-merge': { 'delete-branch': 'yes' } }))
+      .toThrow('post-merge.delete-branch must be true or false');
+    expect(() => getMergeCleanup({ 'post-merge': { labels: ['released'] } }))
+      .toThrow('post-merge.labels must be a mapping with remove and add lists');
+    expect(() => getMergeCleanup({ 'post-merge': { labels: { add: { name: 'released' } } } }))
+      .toThrow('post-merge.labels.add must be a label or a list of labels');
+  });
+});
+
+describe('findClosingReferences', () => {
+  test('finds issues referenced with closing keywords', () => {
+    expect(findClosingReferences(pullRequest.body, 'owner', 'repo')).toEqual([
+      { owner: 'owner', repo: 'repo', number: 4 },
+      { owner: 'octo-org', repo: 'api', number: 7 },
+      { owner: 'owner', repo: 'repo', number: 9 }
+    ]);
+    expect(findClosingReferences('Fixes #4 and FIXED #4', 'owner', 'repo')).toHaveLength(1);
+    expect(findClosingReferences(null, 'owner', 'repo')).toEqual([]);
+  });
+});
+
+describe('runMergeCleanup', () => {
+  let octokit;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    octokit = {
+      rest: {
+        repos: { getBranch: jest.fn().mockResolvedValue({ data: { protected: false } }) },
+        pulls: { list: jest.fn().mockResolvedValue({ data: [] }) },
+        git: { deleteRef: jest.fn() },
+        issues: {
+          get: jest.fn().mockResolvedValue({ data: { state: 'open' } }),
+          update: jest.fn(),
+          removeLabel: jest.fn(),
+          addLabels: jest.fn()
+        }
+      }
+    };
+  });
+
+  test('runs every configured step', async () => {
+    octokit.rest.issues.get.mockImplementation(async ({ issue_number: number }) =>
+      ({ data: { state: number === 9 ? 'closed' : 'open' } }));
+
+    const results = await runMergeCleanup(octokit, 'owner', 'repo', pullRequest, everything);
+
+    expect(octokit.rest.git.deleteRef).toHaveBeenCalledWith({ owner: 'owner', repo: 'repo', ref: 'heads/feature-x' });
+    expect(octokit.rest.issues.update).toHaveBeenCalledTimes(2);
+    expect(octokit.rest.issues.update).toHaveBeenCalledWith({
+      owner: 'octo-org',
+      repo: 'api',
+      issue_number: 7,
+      state: 'closed',
+      state_reason: 'completed'
+    });
+    expect(octokit.rest.issues.removeLabel).toHaveBeenCalledTimes(1);
+    expect(octokit.rest.issues.removeLabel).toHaveBeenCalledWith({ owner: 'owner', repo: 'repo', issue_number: 12, name: 'ready-to-merge' });
+    expect(octokit.rest.issues.addLabels).toHaveBeenCalledWith({ owner: 'owner', repo: 'repo', issue_number: 12, labels: ['released'] });
+    expect(results).toEqual([
+      { name: 'delete-branch', ok: true, message: 'deleted feature-x' },
+      { name: 'close #4', ok: true, message: 'closed' },
+      { name: 'close octo-org/api#7', ok: true, message: 'closed' },
+      { name: 'close #9', ok: true, message: 'already closed' },
+      { name: 'remove-labels', ok: true, message: 'removed ready-to-merge' },
+      { name: 'add-labels', ok: true, message: 'added released' }
+    ]);
+  });
+
+  test('keeps branches from forks, protected branches and branches with PRs on top', async () => {
+    const cleanup = { ...everything, closeIssues: false, removeLabels: [], addLabels: [] };
+    const run = async pr => (await runMergeCleanup(octokit, 'owner', 'repo', pr, cleanup))[0].message;
+
+    await expect(run({ ...pullRequest, head: { ref: 'patch-1', repo: { full_name: 'someone/repo' } } }))
+      .resolves.toBe('kept patch-1 because it belongs to a fork');
+
+    octokit.rest.repos.getBranch.mockResolvedValueOnce({ data: { protected: true } });
+    await expect(run(pullRequest)).resolves.toBe('kept feature-x because it is protected');
+
+    octokit.rest.pulls.list.mockResolvedValueOnce({ data: [{ number: 13 }] });
+    await expect(run(pullRequest)).resolves.toBe('kept feature-x because open PRs are based on it');
+
+    octokit.rest.git.deleteRef.mockRejectedValueOnce(Object.assign(new Error('Reference does not exist'), { status: 422 }));
+    await expect(run(pullRequest)).resolves.toBe('feature-x was already deleted');
+
+    expect(octokit.rest.pulls.list).toHaveBeenCalledWith({ owner: 'owner', repo: 'repo', state: 'open', base: 'feature-x', per_page: 1 });
+  });
+
+  test('reports a failed step without stopping the others', async () => {
+    octokit.rest.git.deleteRef.mockRejectedValue(Object.assign(new Error('Resource not accessible by integration'), { status: 403 }));
+
+    const results = await runMergeCleanup(octokit, 'owner', 'repo', pullRequest,
+      { ...everything, closeIssues: false, removeLabels: [] });
+
+    expect(results).toEqual([
+      { name: 'delete-branch', ok: false, message: 'Resource not accessible by integration' },
+      { name: 'add-labels', ok: true, message: 'added released' }
+    ]);
+    expect(core.warning).toHaveBeenCalledWith(
+      'Post-merge cleanup delete-branch for PR #12 failed: Resource not accessible by integration');
+  });
+});
@@ -0,0 +1,189 @@
+const { getMergeGate, isGateActive, evaluateMergeGate, formatGateFailures } = require('../src/merge-gate');
+
+jest.mock('@actions/core');
+
+describe('getMergeGate', () => {
+  test('defaults to no requirements', () => {
+    const gate = getMergeGate({});
+    expect(gate).toEqual({ checks: 'none', approvals: 0 });
+    expect(isGateActive(gate)).toBe(false);
+    expect(isGateActive(undefined)).toBe(false);
+  });
+
+  test('normalizes configured requirements', () => {
+    const gate = getMergeGate({ 'merge-gate': { checks: ['build', 'lint'], approvals: '2' } });
+    expect(gate).toEqual({ checks: ['build', 'lint'], approvals: 2 });
+    expect(isGateActive(gate)).toBe(true);
+  });
+
+  test('rejects invalid requirements', () => {
+    expect(() => getMergeGate({ 'merge-gate': { checks: 'some' } }))
+      .toThrow('merge-gate.checks must be "all", "none" or a list of check names');
+    expect(() => getMergeGate({ 'merge-gate': { approvals: -1 } }))
+      .toThrow('merge-gate.approvals must be a non-negative integer');
+  });
+});
+
+describe('evaluateMergeGate', () => {
+  let mockOctokit;
+
+  beforeEach(() => {
+    mockOctokit = {
+      rest: {
+        repos: {
+          getCombinedStatusForRef: jest.fn().mockResolvedValue({
+            data: {
+              statuses: [
+                { context: 'ci/build', state: 'success' },
+                { context: 'ci/deploy-preview', state: 'error' }
+              ]
+            }
+          })
+        },
+        checks: {
+          listForRef: jest.fn().mockResolvedValue({
+            data: {
+              check_runs: [
+                { name: 'lint', status: 'completed', conclusion: 'success' },
+                { name: 'test', status: 'in_progress', conclusion: null },
+                { name: 'docs', status: 'completed', conclusion: 'skipped' },
+                { name: 'e2e', status: 'completed', conclusion: 'failure' }
+              ]
+            }
+          })
+        },
+        pulls: {
+          listReviews: jest.fn().mockResolvedValue({
+            data: [
+              { user: { login: 'alice' }, state: 'CHANGES_REQUESTED' },
+              { user: { login: 'alice' }, state: 'APPROVED' },
+              { user: { login: 'bob' }, state: 'COMMENTED' },
+              { user: { login: 'carol' }, state: 'CHANGES_REQUESTED' }
+            ]
+          })
+        }
+      }
+    };
+  });
+
+  test('lists every failing condition when all checks are required', async () => {
+    const result = await evaluateMergeGate(mockOctokit, 'owner', 'repo', 123, 'abc123', { checks: 'all', approvals: 2 });
+
+    expect(mockOctokit.rest.checks.listForRef).toHaveBeenCalledWith({
+      owner: 'owner',
+      repo: 'repo',
+      ref: 'abc123',
+      per_page: 100,
+      page: 1
+    });
+    expect(result).toEqual({
+      passed: false,
+      pending: ['test'],
+      failures: [
+        'Check `ci/deploy-preview` did not pass (error)',
+        'Check `test` is still in_progress',
+        'Check `e2e` did not pass (failure)',
+        'Needs 2 approving review(s), has 1',
+        'Changes requested by @carol'
+      ]
+    });
+  });
+
+  test('only evaluates the named checks', async () => {
+    const result = await evaluateMergeGate(mockOctokit, 'owner', 'repo', 123, 'abc123', {
+      checks: ['ci/build', 'lint', 'security'],
+      approvals: 0
+    });
+
+    expect(result.failures).toEqual(['Required check `security` has not reported']);
+    expect(mockOctokit.rest.pulls.listReviews).not.toHaveBeenCalled();
+  });
+
+  test('waits for checks that have not reported when asked to', async () => {
+    const named = await evaluateMergeGate(mockOctokit, 'owner', 'repo', 123, 'abc123', {
+      checks: ['ci/build', 'security'],
+      approvals: 0,
+      awaitChecks: true
+    });
+    expect(named).toEqual({
+      passed: false,
+      failures: ['Required check `security` has not reported yet'],
+      pending: ['security']
+    });
+
+    mockOctokit.rest.repos.getCombinedStatusForRef.mockResolvedValue({ data: { statuses: [] } });
+    mockOctokit.rest.checks.listForRef.mockResolvedValue({ data: { check_runs: [] } });
+
+    const all = await evaluateMergeGate(mockOctokit, 'owner', 'repo', 123, 'abc123', {
+      checks: 'all',
+      approvals: 0,
+      awaitChecks: true
+    });
+    expect(all).toEqual({
+      passed: false,
+      failures: ['No checks have reported on this commit yet'],
+      pending: ['checks to report']
+    });
+
+    const unreported = await evaluateMergeGate(mockOctokit, 'owner', 'repo', 123, 'abc123', { checks: 'all', approvals: 0 });
+    expect(unreported.passed).toBe(true);
+  });
+
+  test('passes when requirements are met', async () => {
+    const result = await evaluateMergeGate(mockOctokit, 'owner', 'repo', 123, 'abc123', {
+      checks: ['ci/build', 'lint', 'docs'],
+      approvals: 1
+    });
+
+    expect(result.failures).toEqual(['Changes requested by @carol']);
+
+    mockOctokit.rest.pulls.listReviews.mockResolvedValue({
+      data: [{ user: { login: 'alice' }, state: 'APPROVED' }]
+    });
+
+    const passing = await evaluateMergeGate(mockOctokit, 'owner', 'repo', 123, 'abc123', {
+      checks: ['ci/build', 'lint', 'docs'],
+      approvals: 1
+    });
+    expect(passing).toEqual({ passed: true, failures: [], pending: [] });
+  });
+
+  test('reads every page of statuses, check runs and reviews', async () => {
+    const runs = Array.from({ length: 100 }, (_, index) => ({ name: `job ${index}`, status: 'completed', conclusion: 'success' }));
+    const approvals = Array.from({ length: 100 }, (_, index) => ({ user: { login: `user${index}` }, state: 'COMMENTED' }));
+    mockOctokit.rest.repos.getCombinedStatusForRef.mockResolvedValue({ data: { statuses: [] } });
+    mockOctokit.rest.checks.listForRef
+      .mockResolvedValueOnce({ data: { check_runs: runs } })
+      .mockResolvedValueOnce({ data: { check_runs: [{ name: 'late', status: 'completed', conclusion: 'failure' }] } });
+    mockOctokit.rest.pulls.listReviews
+      .mockResolvedValueOnce({ data: approvals })
+      .mockResolvedValueOnce({ data: [{ user: { login: 'dave' }, state: 'CHANGES_REQUESTED' }] });
+
+    const result = await evaluateMergeGate(mockOctokit, 'owner', 'repo', 123, 'abc123', { checks: 'all', approvals: 0 });
+    const reviewed = await evaluateMergeGate(mockOctokit, 'owner', 'repo', 123, 'abc123', { checks: 'none', approvals: 1 });
+
+    expect(result.failures).toEqual(['Check `late` did not pass (failure)']);
+    expect(mockOctokit.rest.checks.listForRef).toHaveBeenLastCalledWith({ owner: 'owner', repo: 'repo', ref: 'abc123', per_page: 100, page: 2 });
+    expect(reviewed.failures).toEqual(['Needs 1 approving review(s), has 0', 'Changes requested by @dave']);
+  });
+
+  test('skips checks when only approvals are required', async () => {
+    await evaluateMergeGate(mockOctokit, 'owner', 'repo', 123, 'abc123', { checks: 'none', approvals: 1 });
+
+    expect(mockOctokit.rest.repos.getCombinedStatusForRef).not.toHaveBeenCalled();
+    expect(mockOctokit.rest.pulls.listReviews).toHaveBeenCalledWith({
+      owner: 'owner',
+      repo: 'repo',
+      pull_number: 123,
+      per_page: 100,
+      page: 1
+    });
+  });
+});
+
+describe('formatGateFailures', () => {
+  test('formats failures as a list', () => {
+    expect(formatGateFailures(['Check `a` failed', 'Needs 1 approving review(s), has 0']))
+      .toBe('Merge requirements not met:\n- Check `a` failed\n- Needs 1 approving review(s), has 0');
+  });
+});
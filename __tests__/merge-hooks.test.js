@@ -0,0 +1,174 @@
+const core = require('@actions/core');
+const {
+  getMergeHooks,
+  parseThenFlags,
+  validateHookNames,
+  selectHooks,
+  runMergeHooks,
+  formatPostMergeResults
+} = require('../src/merge-hooks');
+
+jest.mock('@actions/core');
+
+const config = {
+  'merge-hooks': {
+    'deploy-staging': {
+      workflow: 'deploy.yml',
+      inputs: { environment: 'staging', sha: '{{sha}}', notify: true }
+    },
+    announce: {
+      event: 'pr-merged',
+      payload: { channel: 'releases', title: 'Merged #{{number}}' }
+    }
+  },
+  'post-merge': {
+    hooks: ['announce']
+  }
+};
+
+const merge = {
+  number: 12,
+  title: 'Add widgets',
+  author: 'alice',
+  base: 'main',
+  headSha: 'abc1234567',
+  sha: 'def7654321',
+  mergeMethod: 'squash'
+};
+
+describe('getMergeHooks', () => {
+  test('returns no hooks without config', () => {
+    expect(getMergeHooks(undefined)).toEqual({ hooks: {}, defaults: [] });
+  });
+
+  test('reads workflow and repository_dispatch hooks', () => {
+    const { hooks, defaults } = getMergeHooks(config);
+
+    expect(hooks['deploy-staging']).toEqual({
+      name: 'deploy-staging',
+      workflow: 'deploy.yml',
+      ref: undefined,
+      inputs: { environment: 'staging', sha: '{{sha}}', notify: true }
+    });
+    expect(hooks.announce).toEqual({
+      name: 'announce',
+      event: 'pr-merged',
+      payload: { channel: 'releases', title: 'Merged #{{number}}' }
+    });
+    expect(defaults).toEqual(['announce']);
+  });
+
+  test('rejects invalid hooks', () => {
+    const invalid = hook => () => getMergeHooks({ 'merge-hooks': { deploy: hook } });
+
+    expect(() => getMergeHooks({ 'merge-hooks': ['deploy'] })).toThrow('merge-hooks must be a mapping');
+    expect(invalid({})).toThrow('merge-hooks.deploy needs either a workflow or an event');
+    expect(invalid({ workflow: 'deploy.yml', event: 'deploy' })).toThrow('needs either a workflow or an event');
+    expect(invalid({ workflow: 'deploy.yml', inputs: ['staging'] })).toThrow('merge-hooks.deploy.inputs must be a mapping');
+    expect(invalid({ event: 'deploy', payload: 'staging' })).toThrow('merge-hooks.deploy.payload must be a mapping');
+    expect(() => getMergeHooks({ 'post-merge': { hooks: ['deploy'] } }))
+      .toThrow('post-merge.hooks lists "deploy", which is not defined under merge-hooks');
+  });
+});
+
+describe('parseThenFlags', () => {
+  test('collects hook names from every --then flag', () => {
+    expect(parseThenFlags('@merge-at +2h --then deploy-staging,announce --then deploy-staging')).toEqual([
+      'deploy-staging',
+      'announce'
+    ]);
+    expect(parseThenFlags('@merge-at +2h')).toEqual([]);
+  });
+});
+
+describe('validateHookNames', () => {
+  test('names the defined hooks when one is unknown', () => {
+    expect(() => validateHookNames(['deploy'], getMergeHooks(config)))
+      .toThrow('Unknown merge hook "deploy". Defined hooks: deploy-staging, announce');
+    expect(() => validateHookNames(['deploy'], getMergeHooks({})))
+      .toThrow('No hooks are defined under merge-hooks in the repository config');
+    expect(() => validateHookNames(['announce'], getMergeHooks(config))).not.toThrow();
+  });
+});
+
+describe('selectHooks', () => {
+  test('runs the repository hooks first and each hook once', () => {
+    const hooks = selectHooks(getMergeHooks(config), ['deploy-staging', 'announce', 'removed']);
+
+    expect(hooks.map(({ name }) => name)).toEqual(['announce', 'deploy-staging', 'removed']);
+    expect(hooks[2]).toEqual({ name: 'removed' });
+  });
+});
+
+describe('runMergeHooks', () => {
+  let octokit;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    octokit = {
+      rest: {
+        actions: { createWorkflowDispatch: jest.fn() },
+        repos: { createDispatchEvent: jest.fn() }
+      }
+    };
+  });
+
+  test('dispatches the workflow on the base branch with rendered inputs', async () => {
+    const { hooks } = getMergeHooks(config);
+
+    const results = await runMergeHooks(octokit, 'owner', 'repo', [hooks['deploy-staging']], merge);
+
+    expect(octokit.rest.actions.createWorkflowDispatch).toHaveBeenCalledWith({
+      owner: 'owner',
+      repo: 'repo',
+      workflow_id: 'deploy.yml',
+      ref: 'main',
+      inputs: { environment: 'staging', sha: 'def7654321', notify: 'true' }
+    });
+    expect(results).toEqual([{ name: 'deploy-staging', ok: true, message: 'started the deploy.yml workflow on main' }]);
+  });
+
+  test('sends a repository_dispatch event with the merge details', async () => {
+    const { hooks } = getMergeHooks(config);
+
+    await runMergeHooks(octokit, 'owner', 'repo', [hooks.announce], merge);
+
+    expect(octokit.rest.repos.createDispatchEvent).toHaveBeenCalledWith({
+      owner: 'owner',
+      repo: 'repo',
+      event_type: 'pr-merged',
+      client_payload: {
+        channel: 'releases',
+        title: 'Merged #12',
+        sha: 'def7654321',
+        merge_method: 'squash',
+        pull_request: {
+          number: 12,
+          title: 'Add widgets',
+          author: 'alice',
+          head_sha: 'abc1234567',
+          base: 'main'
+        }
+      }
+    });
+  });
+
+  test('reports each failure and keeps going', async () => {
+    octokit.rest.actions.createWorkflowDispatch.mockRejectedValue(new Error('Workflow does not have \'workflow_dispatch\' trigger'));
+    const hooks = selectHooks(getMergeHooks(config), ['deploy-staging', 'removed']);
+
+    const results = await runMergeHooks(octokit, 'owner', 'repo', hooks, merge);
+
+    expect(results).toEqual([
+      { name: 'announce', ok: true, message: 'sent the pr-merged repository_dispatch event' },
+      { name: 'deploy-staging', ok: false, message: 'Workflow does not have \'workflow_dispatch\' trigger' },
+      { name: 'removed', ok: false, message: 'the hook is no longer defined under merge-hooks' }
+    ]);
+    expect(core.warning).toHaveBeenCalledTimes(2);
+    expect(formatPostMergeResults(results)).toBe([
+      '- ✅ announce: sent the pr-merged repository_dispatch event',
+      '- ❌ deploy-staging: Workflow does not have \'workflow_dispatch\' trigger',
+      '- ❌ removed: the hook is no longer defined under merge-hooks'
+    ].join('\n'));
+  });
+});
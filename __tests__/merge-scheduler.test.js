@@ -1,5 +1,8 @@
-const { mergePR, processScheduledMerges } = require('../src/merge-scheduler');
-const { createComment, getScheduledPRs } = require('../src/utils');
+const { mergePR, processScheduledMerges, orderMergeQueue } = require('../src/merge-scheduler');
+const { createComment, getScheduledPRs, updateScheduleInfo, removeScheduleInfo, listAllComments } = require('../src/utils');
+const { loadRepoConfig } = require('../src/config');
+const { updatePRBranch, isBranchUpdate } = require('../src/branch-updater');
+const { writeScheduleSummary } = require('../src/schedule-report');
 const core = require('@actions/core');
 const github = require('@actions/github');
 
@@ -7,6 +10,9 @@ const github = require('@actions/github');
 jest.mock('@actions/core');
 jest.mock('@actions/github');
 jest.mock('../src/utils');
+jest.mock('../src/config');
+jest.mock('../src/branch-updater');
+jest.mock('../src/schedule-report');
 
 describe('mergePR', () => {
   let mockOctokit;
@@ -54,6 +60,298 @@ describe('mergePR', () => {
     );
   });
 
+  test('merges PR with the requested merge method', async () => {
+    mockOctokit.rest.pulls.get.mockResolvedValue({
+      data: { mergeable: true, mergeable_state: 'clean' }
+    });
+    mockOctokit.rest.pulls.merge.mockResolvedValue({
+      data: { merged: true }
+    });
+
+    await mergePR(mockOctokit, 'owner', 'repo', 123, { mergeMethod: 'rebase' });
+
+    expect(mockOctokit.rest.pulls.merge).toHaveBeenCalledWith({
+      owner: 'owner',
+      repo: 'repo',
+      pull_number: 123,
+      merge_method: 'rebase'
+    });
+  });
+
+  test('passes the commit title and message when squashing', async () => {
+    mockOctokit.rest.pulls.get.mockResolvedValue({
+      data: { mergeable: true, mergeable_state: 'clean' }
+    });
+    mockOctokit.rest.pulls.merge.mockResolvedValue({
+      data: { merged: true }
+    });
+
+    await mergePR(mockOctokit, 'owner', 'repo', 123, {
+      commitTitle: 'feat: Add widgets (#123)',
+      commitMessage: 'Scheduled merge'
+    });
+
+    expect(mockOctokit.rest.pulls.merge).toHaveBeenCalledWith({
+      owner: 'owner',
+      repo: 'repo',
+      pull_number: 123,
+      merge_method: 'squash',
+      commit_title: 'feat: Add widgets (#123)',
+      commit_message: 'Scheduled merge'
+    });
+  });
+
+  test('ignores the commit title when rebasing', async () => {
+    mockOctokit.rest.pulls.get.mockResolvedValue({
+      data: { mergeable: true, mergeable_state: 'clean' }
+    });
+    mockOctokit.rest.pulls.merge.mockResolvedValue({
+      data: { merged: true }
+    });
+
+    await mergePR(mockOctokit, 'owner', 'repo', 123, {
+      mergeMethod: 'rebase',
+      commitTitle: 'feat: Add widgets (#123)'
+    });
+
+    expect(mockOctokit.rest.pulls.merge).toHaveBeenCalledWith({
+      owner: 'owner',
+      repo: 'repo',
+      pull_number: 123,
+      merge_method: 'rebase'
+    });
+  });
+
+  test('refuses to merge when the merge gate fails', async () => {
+    mockOctokit.rest.pulls.get.mockResolvedValue({
+      data: { mergeable: true, mergeable_state: 'blocked', head: { sha: 'abc123' } }
+    });
+    mockOctokit.rest.checks = {
+      listForRef: jest.fn().mockResolvedValue({
+        data: { check_runs: [{ name: 'test', status: 'completed', conclusion: 'failure' }] }
+      })
+    };
+    mockOctokit.rest.repos = {
+      getCombinedStatusForRef: jest.fn().mockResolvedValue({ data: { statuses: [] } })
+    };
+    mockOctokit.rest.pulls.listReviews = jest.fn().mockResolvedValue({ data: [] });
+
+    await expect(mergePR(mockOctokit, 'owner', 'repo', 123, { gate: { checks: 'all', approvals: 1 } }))
+      .rejects.toThrow('Failed to merge PR: Merge requirements not met');
+
+    expect(mockOctokit.rest.pulls.merge).not.toHaveBeenCalled();
+    expect(createComment).toHaveBeenCalledTimes(1);
+    expect(createComment).toHaveBeenCalledWith(
+      mockOctokit,
+      'owner',
+      'repo',
+      123,
+      '❌ Failed to merge PR: Merge requirements not met:\n- Check `test` did not pass (failure)\n- Needs 1 approving review(s), has 0'
+    );
+  });
+
+  test('merges when the merge gate passes', async () => {
+    mockOctokit.rest.pulls.get.mockResolvedValue({
+      data: { mergeable: true, mergeable_state: 'clean', head: { sha: 'abc123' } }
+    });
+    mockOctokit.rest.pulls.merge.mockResolvedValue({ data: { merged: true } });
+    mockOctokit.rest.pulls.listReviews = jest.fn().mockResolvedValue({
+      data: [{ user: { login: 'alice' }, state: 'APPROVED' }]
+    });
+
+    await mergePR(mockOctokit, 'owner', 'repo', 123, { gate: { checks: 'none', approvals: 1 } });
+
+    expect(mockOctokit.rest.pulls.merge).toHaveBeenCalled();
+  });
+
+  test('lists failing conditions when GitHub rejects the merge', async () => {
+    mockOctokit.rest.pulls.get.mockResolvedValue({
+      data: { mergeable: true, mergeable_state: 'blocked', head: { sha: 'abc123' } }
+    });
+    mockOctokit.rest.pulls.merge.mockRejectedValue({ status: 405, message: 'Not allowed' });
+    mockOctokit.rest.checks = {
+      listForRef: jest.fn().mockResolvedValue({
+        data: { check_runs: [{ name: 'test', status: 'queued', conclusion: null }] }
+      })
+    };
+    mockOctokit.rest.repos = {
+      getCombinedStatusForRef: jest.fn().mockResolvedValue({ data: { statuses: [] } })
+    };
+
+    await expect(mergePR(mockOctokit, 'owner', 'repo', 123))
+      .rejects.toThrow('Failed to merge PR: Merge requirements not met:\n- Check `test` is still queued');
+  });
+
+  test('notifies webhooks when the merge succeeds or fails', async () => {
+    const notifier = { notify: jest.fn() };
+    mockOctokit.rest.pulls.get.mockResolvedValue({
+      data: { mergeable: true, mergeable_state: 'clean', head: { sha: 'abc1234' } }
+    });
+    mockOctokit.rest.pulls.merge
+      .mockResolvedValueOnce({ data: { merged: true, sha: 'merge567' } })
+      .mockRejectedValueOnce(Object.assign(new Error('Server Error'), { status: 500 }));
+
+    await mergePR(mockOctokit, 'owner', 'repo', 123, { notifier });
+    await expect(mergePR(mockOctokit, 'owner', 'repo', 124, { notifier, mergeMethod: 'rebase' })).rejects.toThrow();
+
+    expect(notifier.notify).toHaveBeenCalledWith('merged', 'owner', 'repo', 123, { mergeMethod: 'squash', sha: 'merge567' });
+    expect(notifier.notify).toHaveBeenCalledWith('failed', 'owner', 'repo', 124, {
+      mergeMethod: 'rebase',
+      reason: 'Server Error'
+    });
+  });
+
+  test('keeps a landed merge as merged when a later step fails', async () => {
+    const notifier = { notify: jest.fn() };
+    const store = { remove: jest.fn().mockRejectedValue(Object.assign(new Error('Bad Gateway'), { status: 502 })) };
+    mockOctokit.rest.pulls.get.mockResolvedValue({
+      data: { mergeable: true, mergeable_state: 'clean', head: { sha: 'abc1234' } }
+    });
+    mockOctokit.rest.pulls.merge.mockResolvedValue({ data: { merged: true, sha: 'merge567' } });
+
+    await expect(mergePR(mockOctokit, 'owner', 'repo', 123, { notifier, store })).resolves.toEqual({ merged: true });
+
+    expect(core.warning).toHaveBeenCalledWith('PR #123 was merged, but removing the schedule failed: Bad Gateway');
+    expect(createComment).toHaveBeenCalledTimes(1);
+    expect(createComment).toHaveBeenCalledWith(mockOctokit, 'owner', 'repo', 123, '✅ Successfully merged as scheduled!');
+    expect(notifier.notify).toHaveBeenCalledTimes(1);
+    expect(notifier.notify).toHaveBeenCalledWith('merged', 'owner', 'repo', 123, { mergeMethod: 'squash', sha: 'merge567' });
+  });
+
+  test('reports post-merge hooks in the success comment', async () => {
+    mockOctokit.rest.actions = {
+      createWorkflowDispatch: jest.fn().mockRejectedValue(new Error('Resource not accessible by integration'))
+    };
+    mockOctokit.rest.repos = { createDispatchEvent: jest.fn() };
+    mockOctokit.rest.pulls.get.mockResolvedValue({
+      data: {
+        mergeable: true,
+        mergeable_state: 'clean',
+        title: 'Add widgets',
+        user: { login: 'alice' },
+        base: { ref: 'main' },
+        head: { sha: 'abc1234' }
+      }
+    });
+    mockOctokit.rest.pulls.merge.mockResolvedValue({ data: { merged: true, sha: 'def5678' } });
+
+    await mergePR(mockOctokit, 'owner', 'repo', 123, {
+      hooks: [
+        { name: 'deploy-staging', workflow: 'deploy.yml', inputs: { sha: '{{sha}}' } },
+        { name: 'announce', event: 'pr-merged', payload: {} }
+      ]
+    });
+
+    expect(mockOctokit.rest.actions.createWorkflowDispatch).toHaveBeenCalledWith({
+      owner: 'owner',
+      repo: 'repo',
+      workflow_id: 'deploy.yml',
+      ref: 'main',
+      inputs: { sha: 'def5678' }
+    });
+    expect(mockOctokit.rest.repos.createDispatchEvent).toHaveBeenCalledWith(expect.objectContaining({
+      event_type: 'pr-merged',
+      client_payload: expect.objectContaining({ sha: 'def5678' })
+    }));
+    expect(createComment).toHaveBeenCalledWith(mockOctokit, 'owner', 'repo', 123, [
+      '✅ Successfully merged as scheduled!',
+      '',
+      'Post-merge hooks:',
+      '- ❌ deploy-staging: Resource not accessible by integration',
+      '- ✅ announce: sent the pr-merged repository_dispatch event'
+    ].join('\n'));
+    expect(removeScheduleInfo).toHaveBeenCalledWith(mockOctokit, 'owner', 'repo', 123);
+  });
+
+  test('reports post-merge cleanup without failing the merge', async () => {
+    mockOctokit.rest.repos = { getBranch: jest.fn().mockRejectedValue(new Error('Branch not found')) };
+    mockOctokit.rest.issues = { addLabels: jest.fn() };
+    mockOctokit.rest.pulls.get.mockResolvedValue({
+      data: {
+        mergeable: true,
+        mergeable_state: 'clean',
+        head: { sha: 'abc1234', ref: 'feature-x', repo: { full_name: 'owner/repo' } }
+      }
+    });
+    mockOctokit.rest.pulls.merge.mockResolvedValue({ data: { merged: true, sha: 'def5678' } });
+
+    const result = await mergePR(mockOctokit, 'owner', 'repo', 123, {
+      cleanup: { deleteBranch: true, closeIssues: false, removeLabels: [], addLabels: ['released'] }
+    });
+
+    expect(result).toEqual({ merged: true });
+    expect(createComment).toHaveBeenCalledWith(mockOctokit, 'owner', 'repo', 123, [
+      '✅ Successfully merged as scheduled!',
+      '',
+      'Post-merge cleanup:',
+      '- ❌ delete-branch: Branch not found',
+      '- ✅ add-labels: added released'
+    ].join('\n'));
+  });
+
+  test('defers while mergeability is still being computed', async () => {
+    mockOctokit.rest.pulls.get.mockResolvedValue({
+      data: { mergeable: null, mergeable_state: 'unknown' }
+    });
+
+    const result = await mergePR(mockOctokit, 'owner', 'repo', 123, { allowRetry: true });
+
+    expect(result).toEqual({ merged: false, reason: 'GitHub is still checking whether the PR is mergeable' });
+    expect(mockOctokit.rest.pulls.merge).not.toHaveBeenCalled();
+    expect(createComment).not.toHaveBeenCalled();
+  });
+
+  test('fails when mergeability is still unknown without retries', async () => {
+    mockOctokit.rest.pulls.get.mockResolvedValue({
+      data: { mergeable: null, mergeable_state: 'unknown' }
+    });
+
+    await expect(mergePR(mockOctokit, 'owner', 'repo', 123))
+      .rejects.toThrow('GitHub has not finished checking whether the PR is mergeable.');
+  });
+
+  test('defers while gate checks are pending', async () => {
+    mockOctokit.rest.pulls.get.mockResolvedValue({
+      data: { mergeable: true, mergeable_state: 'blocked', head: { sha: 'abc123' } }
+    });
+    mockOctokit.rest.checks = {
+      listForRef: jest.fn().mockResolvedValue({
+        data: { check_runs: [{ name: 'test', status: 'in_progress', conclusion: null }] }
+      })
+    };
+    mockOctokit.rest.repos = {
+      getCombinedStatusForRef: jest.fn().mockResolvedValue({ data: { statuses: [] } })
+    };
+
+    const result = await mergePR(mockOctokit, 'owner', 'repo', 123, {
+      gate: { checks: 'all', approvals: 0 },
+      allowRetry: true
+    });
+
+    expect(result).toEqual({ merged: false, reason: 'waiting for test' });
+    expect(createComment).not.toHaveBeenCalled();
+  });
+
+  test('defers when GitHub rejects the merge because checks are pending', async () => {
+    mockOctokit.rest.pulls.get.mockResolvedValue({
+      data: { mergeable: true, mergeable_state: 'blocked', head: { sha: 'abc123' } }
+    });
+    mockOctokit.rest.pulls.merge.mockRejectedValue({ status: 405, message: 'Not allowed' });
+    mockOctokit.rest.checks = {
+      listForRef: jest.fn().mockResolvedValue({
+        data: { check_runs: [{ name: 'test', status: 'queued', conclusion: null }] }
+      })
+    };
+    mockOctokit.rest.repos = {
+      getCombinedStatusForRef: jest.fn().mockResolvedValue({ data: { statuses: [] } })
+    };
+
+    const result = await mergePR(mockOctokit, 'owner', 'repo', 123, { allowRetry: true });
+
+    expect(result).toEqual({ merged: false, reason: 'waiting for test' });
+    expect(createComment).not.toHaveBeenCalled();
+  });
+
   test('handles unmergeable PR', async () => {
     mockOctokit.rest.pulls.get.mockResolvedValue({
       data: { mergeable: false, mergeable_state: 'dirty' }
@@ -73,6 +371,50 @@ describe('mergePR', () => {
     );
   });
 
+  test('passes the scheduled head commit to the merge', async () => {
+    mockOctokit.rest.pulls.get.mockResolvedValue({
+      data: { mergeable: true, mergeable_state: 'clean', head: { sha: 'abc1234567' } }
+    });
+    mockOctokit.rest.pulls.merge.mockResolvedValue({
+      data: { merged: true }
+    });
+
+    await mergePR(mockOctokit, 'owner', 'repo', 123, { sha: 'abc1234567' });
+
+    expect(mockOctokit.rest.pulls.merge).toHaveBeenCalledWith({
+      owner: 'owner',
+      repo: 'repo',
+      pull_number: 123,
+      merge_method: 'squash',
+      sha: 'abc1234567'
+    });
+  });
+
+  test('refuses to merge when the head moved after scheduling', async () => {
+    mockOctokit.rest.pulls.get.mockResolvedValue({
+      data: { mergeable: true, mergeable_state: 'clean', head: { sha: 'def5678901' } }
+    });
+
+    await expect(mergePR(mockOctokit, 'owner', 'repo', 123, { sha: 'abc1234567' }))
+      .rejects.toThrow('New commits were pushed after the merge was scheduled for abc1234');
+
+    expect(mockOctokit.rest.pulls.merge).not.toHaveBeenCalled();
+    expect(createComment).toHaveBeenCalledTimes(1);
+  });
+
+  test('reports a head change detected by the merge API', async () => {
+    mockOctokit.rest.pulls.get.mockResolvedValue({
+      data: { mergeable: true, mergeable_state: 'clean', head: { sha: 'abc1234567' } }
+    });
+    mockOctokit.rest.pulls.merge.mockRejectedValue({
+      status: 409,
+      message: 'Head branch was modified. Review and try the merge again.'
+    });
+
+    await expect(mergePR(mockOctokit, 'owner', 'repo', 123, { sha: 'abc1234567' }))
+      .rejects.toThrow('New commits were pushed after the merge was scheduled');
+  });
+
   test('handles PR not found', async () => {
     mockOctokit.rest.pulls.get.mockRejectedValue({
       status: 404,
@@ -111,6 +453,7 @@ describe('processScheduledMerges', () => {
     mockDate = new Date('2024-01-01T12:00:00Z');
     // Mock Date.now() to return our fixed time
     Date.now = jest.fn(() => mockDate.getTime());
+    loadRepoConfig.mockResolvedValue({});
   });
 
   afterEach(() => {
@@ -137,6 +480,32 @@ describe('processScheduledMerges', () => {
     expect(core.info).toHaveBeenCalledWith(expect.stringContaining('Time to merge PR #123'));
   });
 
+  test('searches only the configured repositories', async () => {
+    const mockOctokitInstance = { rest: {} };
+    github.getOctokit.mockReturnValue(mockOctokitInstance);
+    getScheduledPRs.mockResolvedValue([]);
+
+    await processScheduledMerges('fake-token', { repositories: ['repo:owner/repo'] });
+
+    expect(getScheduledPRs).toHaveBeenCalledWith(mockOctokitInstance, ['repo:owner/repo']);
+  });
+
+  test('writes the scheduled PRs to the job summary', async () => {
+    const mockOctokitInstance = { rest: {} };
+    const mockScheduledPRs = [{
+      owner: 'owner',
+      repo: 'repo',
+      number: 123,
+      scheduleTime: '2999-01-01T13:00:00Z'
+    }];
+    github.getOctokit.mockReturnValue(mockOctokitInstance);
+    getScheduledPRs.mockResolvedValue(mockScheduledPRs);
+
+    await processScheduledMerges('fake-token');
+
+    expect(writeScheduleSummary).toHaveBeenCalledWith(mockOctokitInstance, mockScheduledPRs);
+  });
+
   test('handles no scheduled PRs', async () => {
     getScheduledPRs.mockResolvedValue([]);
 
@@ -180,6 +549,30 @@ describe('processScheduledMerges', () => {
     expect(core.info).toHaveBeenCalledWith('Completed processing scheduled merges');
   });
 
+  test('skips schedules waiting for confirmation', async () => {
+    getScheduledPRs.mockResolvedValue([{
+      owner: 'owner',
+      repo: 'repo',
+      number: 123,
+      scheduleTime: new Date(new Date().getTime() - 1000).toISOString(),
+      awaitingConfirmation: true
+    }]);
+    const mockOctokitInstance = {
+      rest: {
+        pulls: {
+          get: jest.fn(),
+          merge: jest.fn()
+        }
+      }
+    };
+    github.getOctokit.mockReturnValue(mockOctokitInstance);
+
+    await processScheduledMerges('fake-token');
+
+    expect(mockOctokitInstance.rest.pulls.get).not.toHaveBeenCalled();
+    expect(core.info).toHaveBeenCalledWith('PR #123 is waiting for @merge-at confirm after new commits');
+  });
+
   test('skips PRs scheduled for future', async () => {
     const mockScheduledPRs = [{
       owner: 'owner',
@@ -275,50 +668,287 @@ describe('processScheduledMerges', () => {
     });
   });
 
-  test('handles merge failure with detailed logging', async () => {
-    const mockScheduledPRs = [{
-      owner: 'owner',
-      repo: 'repo',
-      number: 123,
-      scheduleTime: '2024-01-01T11:00:00Z' // Past time
-    }];
-
-    getScheduledPRs.mockResolvedValue(mockScheduledPRs);
-    const mockError = new Error('Merge conflict');
+  test('uses the stored merge method before the default', async () => {
+    getScheduledPRs.mockResolvedValue([
+      {
+        owner: 'owner',
+        repo: 'repo',
+        number: 123,
+        scheduleTime: '2024-01-01T11:00:00Z',
+        mergeMethod: 'rebase'
+      },
+      {
+        owner: 'owner',
+        repo: 'repo',
+        number: 124,
+        scheduleTime: '2024-01-01T11:00:00Z'
+      }
+    ]);
     const mockOctokitInstance = {
       rest: {
         pulls: {
           get: jest.fn().mockResolvedValue({ data: { mergeable: true } }),
-          merge: jest.fn().mockRejectedValue(mockError)
+          merge: jest.fn().mockResolvedValue({ data: { merged: true } })
         }
       }
     };
     github.getOctokit.mockReturnValue(mockOctokitInstance);
 
-    await processScheduledMerges('fake-token');
+    await processScheduledMerges('fake-token', { mergeMethod: 'merge' });
 
-    // Check for the specific error message format from the code
-    expect(core.error).toHaveBeenCalledWith('Merge failed for PR #123: Failed to merge PR: Merge conflict');
+    expect(mockOctokitInstance.rest.pulls.merge).toHaveBeenCalledWith(
+      expect.objectContaining({ pull_number: 123, merge_method: 'rebase' })
+    );
+    expect(mockOctokitInstance.rest.pulls.merge).toHaveBeenCalledWith(
+      expect.objectContaining({ pull_number: 124, merge_method: 'merge' })
+    );
   });
 
-  test('handles API errors gracefully', async () => {
-    getScheduledPRs.mockRejectedValue(new Error('API Error'));
+  test('runs the repository hooks and the ones requested with --then', async () => {
+    loadRepoConfig.mockResolvedValue({
+      'merge-hooks': {
+        'deploy-staging': { workflow: 'deploy.yml' },
+        announce: { event: 'pr-merged' }
+      },
+      'post-merge': { hooks: ['announce'] }
+    });
+    getScheduledPRs.mockResolvedValue([
+      { owner: 'owner', repo: 'repo', number: 123, scheduleTime: '2024-01-01T11:00:00Z', hooks: ['deploy-staging'] }
+    ]);
+    const mockOctokitInstance = {
+      rest: {
+        pulls: {
+          get: jest.fn().mockResolvedValue({ data: { mergeable: true, base: { ref: 'main' } } }),
+          merge: jest.fn().mockResolvedValue({ data: { merged: true, sha: 'def5678' } })
+        },
+        actions: { createWorkflowDispatch: jest.fn() },
+        repos: { createDispatchEvent: jest.fn() }
+      }
+    };
+    github.getOctokit.mockReturnValue(mockOctokitInstance);
 
-    await expect(processScheduledMerges('fake-token'))
-      .rejects.toThrow('API Error');
+    await processScheduledMerges('fake-token');
 
-    expect(core.error).toHaveBeenCalledWith('Failed to process scheduled merges:');
+    expect(mockOctokitInstance.rest.repos.createDispatchEvent).toHaveBeenCalledWith(
+      expect.objectContaining({ event_type: 'pr-merged' }));
+    expect(mockOctokitInstance.rest.actions.createWorkflowDispatch).toHaveBeenCalledWith(
+      expect.objectContaining({ workflow_id: 'deploy.yml', ref: 'main' }));
+    expect(createComment).toHaveBeenCalledWith(mockOctokitInstance, 'owner', 'repo', 123,
+      expect.stringContaining('- ✅ announce: sent the pr-merged repository_dispatch event\n- ✅ deploy-staging: started'));
   });
 
-  test('handles invalid schedule times', async () => {
-    const mockScheduledPRs = [{
+  test('holds due PRs during a blackout and explains the delay once', async () => {
+    const farFuture = new Date(Date.UTC(new Date().getUTCFullYear() + 2, 0, 1)).toISOString().slice(0, 10);
+    getScheduledPRs.mockResolvedValue([{
       owner: 'owner',
       repo: 'repo',
       number: 123,
-      scheduleTime: 'invalid-date'
-    }];
+      commentId: 456,
+      scheduleTime: '2024-01-01T11:00:00Z'
+    }]);
+    loadRepoConfig.mockResolvedValue({
+      blackouts: [{ start: '2024-01-01', end: farFuture, reason: 'Code freeze' }]
+    });
+    const mockOctokitInstance = {
+      rest: {
+        pulls: {
+          get: jest.fn(),
+          merge: jest.fn()
+        }
+      }
+    };
+    github.getOctokit.mockReturnValue(mockOctokitInstance);
 
-    getScheduledPRs.mockResolvedValue(mockScheduledPRs);
+    await processScheduledMerges('fake-token');
+
+    expect(mockOctokitInstance.rest.pulls.merge).not.toHaveBeenCalled();
+    expect(createComment).toHaveBeenCalledWith(
+      mockOctokitInstance,
+      'owner',
+      'repo',
+      123,
+      expect.stringContaining('⏸️ Scheduled merge is on hold because merges are paused for a blackout period: Code freeze')
+    );
+    const [, , , commentId, { heldUntil }] = updateScheduleInfo.mock.calls[0];
+    expect(commentId).toBe(456);
+    expect(createComment.mock.calls[0][4]).toContain(`next merge window opens at ${heldUntil}`);
+
+    // The next run with the same hold stays quiet
+    createComment.mockClear();
+    getScheduledPRs.mockResolvedValue([{
+      owner: 'owner',
+      repo: 'repo',
+      number: 123,
+      commentId: 456,
+      heldUntil,
+      scheduleTime: '2024-01-01T11:00:00Z'
+    }]);
+
+    await processScheduledMerges('fake-token');
+
+    expect(createComment).not.toHaveBeenCalled();
+    expect(mockOctokitInstance.rest.pulls.merge).not.toHaveBeenCalled();
+  });
+
+  test('holds due PRs outside merge windows with no upcoming opening', async () => {
+    getScheduledPRs.mockResolvedValue([{
+      owner: 'owner',
+      repo: 'repo',
+      number: 123,
+      commentId: 456,
+      scheduleTime: '2024-01-01T11:00:00Z'
+    }]);
+    loadRepoConfig.mockResolvedValue({
+      'merge-windows': [{ days: [] }]
+    });
+    github.getOctokit.mockReturnValue({ rest: { pulls: { merge: jest.fn() } } });
+
+    await processScheduledMerges('fake-token');
+
+    expect(createComment).toHaveBeenCalledWith(
+      expect.anything(),
+      'owner',
+      'repo',
+      123,
+      '⏸️ Scheduled merge is on hold because the current time is outside the configured merge windows. No upcoming merge window was found, so it will stay on hold until the merge scheduler config changes.'
+    );
+    expect(updateScheduleInfo).toHaveBeenCalledWith(expect.anything(), 'owner', 'repo', 456, { heldUntil: 'none' });
+  });
+
+  test('retries pending merges within the grace period', async () => {
+    getScheduledPRs.mockResolvedValue([{
+      owner: 'owner',
+      repo: 'repo',
+      number: 123,
+      commentId: 456,
+      scheduleTime: '2024-01-01T11:00:00Z'
+    }]);
+    const mockOctokitInstance = {
+      rest: {
+        pulls: {
+          get: jest.fn().mockResolvedValue({ data: { mergeable: null } }),
+          merge: jest.fn()
+        }
+      }
+    };
+    github.getOctokit.mockReturnValue(mockOctokitInstance);
+
+    await processScheduledMerges('fake-token', { gracePeriod: 30 });
+
+    expect(mockOctokitInstance.rest.pulls.merge).not.toHaveBeenCalled();
+    expect(createComment).not.toHaveBeenCalled();
+    expect(removeScheduleInfo).not.toHaveBeenCalled();
+    expect(updateScheduleInfo).toHaveBeenCalledWith(mockOctokitInstance, 'owner', 'repo', 456, {
+      firstDueAt: expect.any(String),
+      attempts: 1
+    });
+  });
+
+  test('keeps the first due time and counts attempts across runs', async () => {
+    const firstDueAt = new Date(new Date().getTime() - 10 * 60 * 1000).toISOString();
+    getScheduledPRs.mockResolvedValue([{
+      owner: 'owner',
+      repo: 'repo',
+      number: 123,
+      commentId: 456,
+      firstDueAt,
+      attempts: 2,
+      scheduleTime: '2024-01-01T11:00:00Z'
+    }]);
+    github.getOctokit.mockReturnValue({
+      rest: {
+        pulls: {
+          get: jest.fn().mockResolvedValue({ data: { mergeable: null } }),
+          merge: jest.fn()
+        }
+      }
+    });
+
+    await processScheduledMerges('fake-token', { gracePeriod: 30 });
+
+    expect(updateScheduleInfo).toHaveBeenCalledWith(expect.anything(), 'owner', 'repo', 456, {
+      firstDueAt,
+      attempts: 3
+    });
+  });
+
+  test('posts a single final failure once the grace period expires', async () => {
+    getScheduledPRs.mockResolvedValue([{
+      owner: 'owner',
+      repo: 'repo',
+      number: 123,
+      commentId: 456,
+      firstDueAt: new Date(new Date().getTime() - 31 * 60 * 1000).toISOString(),
+      attempts: 6,
+      scheduleTime: '2024-01-01T11:00:00Z'
+    }]);
+    const mockOctokitInstance = {
+      rest: {
+        pulls: {
+          get: jest.fn().mockResolvedValue({ data: { mergeable: null } }),
+          merge: jest.fn()
+        }
+      }
+    };
+    github.getOctokit.mockReturnValue(mockOctokitInstance);
+
+    await processScheduledMerges('fake-token', { gracePeriod: 30 });
+
+    expect(updateScheduleInfo).not.toHaveBeenCalled();
+    expect(createComment).toHaveBeenCalledWith(
+      mockOctokitInstance,
+      'owner',
+      'repo',
+      123,
+      '❌ Failed to merge PR: GitHub has not finished checking whether the PR is mergeable.'
+    );
+    expect(removeScheduleInfo).toHaveBeenCalledWith(mockOctokitInstance, 'owner', 'repo', 123);
+  });
+
+  test('handles merge failure with detailed logging', async () => {
+    const mockScheduledPRs = [{
+      owner: 'owner',
+      repo: 'repo',
+      number: 123,
+      scheduleTime: '2024-01-01T11:00:00Z' // Past time
+    }];
+
+    getScheduledPRs.mockResolvedValue(mockScheduledPRs);
+    const mockError = new Error('Merge conflict');
+    const mockOctokitInstance = {
+      rest: {
+        pulls: {
+          get: jest.fn().mockResolvedValue({ data: { mergeable: true } }),
+          merge: jest.fn().mockRejectedValue(mockError)
+        }
+      }
+    };
+    github.getOctokit.mockReturnValue(mockOctokitInstance);
+
+    await processScheduledMerges('fake-token');
+
+    // Check for the specific error message format from the code
+    expect(core.error).toHaveBeenCalledWith('Merge failed for PR #123: Failed to merge PR: Merge conflict');
+  });
+
+  test('handles API errors gracefully', async () => {
+    getScheduledPRs.mockRejectedValue(new Error('API Error'));
+
+    await expect(processScheduledMerges('fake-token'))
+      .rejects.toThrow('API Error');
+
+    expect(core.error).toHaveBeenCalledWith('Failed to process scheduled merges:');
+  });
+
+  test('handles invalid schedule times', async () => {
+    const mockScheduledPRs = [{
+      owner: 'owner',
+      repo: 'repo',
+      number: 123,
+      scheduleTime: 'invalid-date'
+    }];
+
+    getScheduledPRs.mockResolvedValue(mockScheduledPRs);
 
     await processScheduledMerges('fake-token');
 
@@ -378,3 +1008,721 @@ describe('processScheduledMerges', () => {
     expect(core.info).toHaveBeenCalledWith('Completed processing scheduled merges');
   });
 });
+
+describe('processScheduledMerges with update-branch', () => {
+  let mockOctokitInstance;
+  let scheduledPR;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    loadRepoConfig.mockResolvedValue({});
+    mockOctokitInstance = {
+      rest: {
+        pulls: {
+          get: jest.fn(),
+          merge: jest.fn().mockResolvedValue({ data: { merged: true } })
+        },
+        repos: {
+          getCombinedStatusForRef: jest.fn().mockResolvedValue({ data: { statuses: [] } })
+        },
+        checks: {
+          listForRef: jest.fn().mockResolvedValue({
+            data: { check_runs: [{ name: 'test', status: 'in_progress' }] }
+          })
+        }
+      }
+    };
+    github.getOctokit.mockReturnValue(mockOctokitInstance);
+    scheduledPR = {
+      owner: 'owner',
+      repo: 'repo',
+      number: 123,
+      scheduleTime: new Date(new Date().getTime() - 1000).toISOString(),
+      headSha: 'abc1234567',
+      commentId: 42
+    };
+    getScheduledPRs.mockResolvedValue([scheduledPR]);
+  });
+
+  test('updates a branch that is behind and waits for the next run', async () => {
+    updatePRBranch.mockResolvedValue({ previousSha: 'abc1234567' });
+
+    await processScheduledMerges('fake-token', { updateBranch: true });
+
+    expect(updatePRBranch).toHaveBeenCalledWith(mockOctokitInstance, 'owner', 'repo', 123, 'abc1234567');
+    expect(updateScheduleInfo).toHaveBeenCalledWith(mockOctokitInstance, 'owner', 'repo', 42, {
+      branchUpdatedFrom: 'abc1234567',
+      branchUpdateRequestedAt: expect.any(String)
+    });
+    expect(mockOctokitInstance.rest.pulls.merge).not.toHaveBeenCalled();
+  });
+
+  test('updates the branch ahead of the scheduled time', async () => {
+    scheduledPR.scheduleTime = new Date(new Date().getTime() + 10 * 60 * 1000).toISOString();
+    updatePRBranch.mockResolvedValue(null);
+
+    await processScheduledMerges('fake-token', { updateBranch: true, updateBranchLead: 30 });
+
+    expect(updatePRBranch).toHaveBeenCalled();
+    expect(mockOctokitInstance.rest.pulls.merge).not.toHaveBeenCalled();
+  });
+
+  test('does not update the branch when the option is off', async () => {
+    mockOctokitInstance.rest.pulls.get.mockResolvedValue({
+      data: { mergeable: true, mergeable_state: 'clean', head: { sha: 'abc1234567' } }
+    });
+
+    await processScheduledMerges('fake-token');
+
+    expect(updatePRBranch).not.toHaveBeenCalled();
+    expect(mockOctokitInstance.rest.pulls.merge).toHaveBeenCalled();
+  });
+
+  test('adopts the updated head and waits for its checks', async () => {
+    scheduledPR.branchUpdatedFrom = 'abc1234567';
+    mockOctokitInstance.rest.pulls.get.mockResolvedValue({
+      data: { mergeable: true, mergeable_state: 'clean', head: { sha: 'def5678901' }, base: { ref: 'main' } }
+    });
+    isBranchUpdate.mockResolvedValue(true);
+
+    await processScheduledMerges('fake-token', { updateBranch: true });
+
+    expect(isBranchUpdate).toHaveBeenCalledWith(mockOctokitInstance, 'owner', 'repo', 'def5678901', 'abc1234567', 'main');
+    expect(updateScheduleInfo).toHaveBeenCalledWith(mockOctokitInstance, 'owner', 'repo', 42, { headSha: 'def5678901' });
+    expect(mockOctokitInstance.rest.checks.listForRef).toHaveBeenCalledWith(
+      expect.objectContaining({ ref: 'def5678901' })
+    );
+    expect(mockOctokitInstance.rest.pulls.merge).not.toHaveBeenCalled();
+    expect(removeScheduleInfo).not.toHaveBeenCalled();
+  });
+
+  test('merges the updated head once its checks pass', async () => {
+    scheduledPR.branchUpdatedFrom = 'abc1234567';
+    scheduledPR.headSha = 'def5678901';
+    mockOctokitInstance.rest.pulls.get.mockResolvedValue({
+      data: { mergeable: true, mergeable_state: 'clean', head: { sha: 'def5678901' } }
+    });
+    mockOctokitInstance.rest.checks.listForRef.mockResolvedValue({
+      data: { check_runs: [{ name: 'test', status: 'completed', conclusion: 'success' }] }
+    });
+
+    await processScheduledMerges('fake-token', { updateBranch: true });
+
+    expect(updatePRBranch).toHaveBeenCalled();
+    expect(mockOctokitInstance.rest.pulls.merge).toHaveBeenCalledWith(expect.objectContaining({ sha: 'def5678901' }));
+  });
+
+  test('waits while a requested update has not landed', async () => {
+    scheduledPR.branchUpdatedFrom = 'abc1234567';
+    scheduledPR.branchUpdateRequestedAt = new Date(new Date().getTime() - 5 * 60 * 1000).toISOString();
+    mockOctokitInstance.rest.pulls.get.mockResolvedValue({
+      data: { mergeable: true, mergeable_state: 'behind', head: { sha: 'abc1234567' }, base: { ref: 'main' } }
+    });
+
+    await processScheduledMerges('fake-token', { updateBranch: true });
+
+    expect(core.info).toHaveBeenCalledWith('Deferring PR #123: waiting for the branch update to finish');
+    expect(mockOctokitInstance.rest.pulls.merge).not.toHaveBeenCalled();
+    expect(removeScheduleInfo).not.toHaveBeenCalled();
+  });
+
+  test('gives up on an update that never lands', async () => {
+    scheduledPR.branchUpdatedFrom = 'abc1234567';
+    scheduledPR.branchUpdateRequestedAt = new Date(new Date().getTime() - 20 * 60 * 1000).toISOString();
+    mockOctokitInstance.rest.pulls.get.mockResolvedValue({
+      data: { mergeable: true, mergeable_state: 'behind', head: { sha: 'abc1234567' }, base: { ref: 'main' } }
+    });
+
+    await processScheduledMerges('fake-token', { updateBranch: true });
+
+    expect(createComment).toHaveBeenCalledWith(
+      mockOctokitInstance,
+      'owner',
+      'repo',
+      123,
+      expect.stringContaining('⚠️ The update from main did not land within 15 minutes')
+    );
+    expect(removeScheduleInfo).toHaveBeenCalledWith(mockOctokitInstance, 'owner', 'repo', 123);
+    expect(mockOctokitInstance.rest.pulls.merge).not.toHaveBeenCalled();
+  });
+
+  test('waits for checks to report on the updated head', async () => {
+    scheduledPR.branchUpdatedFrom = 'abc1234567';
+    scheduledPR.headSha = 'def5678901';
+    mockOctokitInstance.rest.pulls.get.mockResolvedValue({
+      data: { mergeable: true, mergeable_state: 'clean', head: { sha: 'def5678901' } }
+    });
+    mockOctokitInstance.rest.checks.listForRef.mockResolvedValue({ data: { check_runs: [] } });
+
+    await processScheduledMerges('fake-token', { updateBranch: true });
+
+    expect(core.info).toHaveBeenCalledWith('Deferring PR #123 (attempt 1): waiting for checks to report');
+    expect(mockOctokitInstance.rest.pulls.merge).not.toHaveBeenCalled();
+  });
+
+  test('stops waiting for checks on the updated head after the recheck period', async () => {
+    scheduledPR.branchUpdatedFrom = 'abc1234567';
+    scheduledPR.headSha = 'def5678901';
+    scheduledPR.firstDueAt = new Date(new Date().getTime() - 31 * 60 * 1000).toISOString();
+    mockOctokitInstance.rest.pulls.get.mockResolvedValue({
+      data: { mergeable: true, mergeable_state: 'clean', head: { sha: 'def5678901' } }
+    });
+
+    await processScheduledMerges('fake-token', { updateBranch: true });
+
+    expect(mockOctokitInstance.rest.pulls.merge).not.toHaveBeenCalled();
+    expect(createComment).toHaveBeenCalledWith(
+      mockOctokitInstance,
+      'owner',
+      'repo',
+      123,
+      expect.stringContaining('Check `test` is still in_progress')
+    );
+    expect(removeScheduleInfo).toHaveBeenCalledWith(mockOctokitInstance, 'owner', 'repo', 123);
+  });
+
+  test('drops the schedule when the update fails', async () => {
+    updatePRBranch.mockRejectedValue(new Error('Failed to update branch: merge conflict between base and head'));
+
+    await processScheduledMerges('fake-token', { updateBranch: true });
+
+    expect(removeScheduleInfo).toHaveBeenCalledWith(mockOctokitInstance, 'owner', 'repo', 123);
+    expect(mockOctokitInstance.rest.pulls.merge).not.toHaveBeenCalled();
+  });
+});
+
+describe('orderMergeQueue', () => {
+  test('orders by schedule time, then priority, then PR number', () => {
+    const queue = orderMergeQueue([
+      { number: 4, scheduleTime: '2024-01-01T13:00:00Z' },
+      { number: 3, scheduleTime: '2024-01-01T12:00:00Z' },
+      { number: 2, scheduleTime: '2024-01-01T12:00:00Z', priority: 5 },
+      { number: 1, scheduleTime: '2024-01-01T12:00:00Z' }
+    ]);
+
+    expect(queue.map(pr => pr.number)).toEqual([2, 1, 3, 4]);
+  });
+});
+
+describe('processScheduledMerges in queue mode', () => {
+  let mockOctokitInstance;
+  let dueTime;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    loadRepoConfig.mockResolvedValue({});
+    updatePRBranch.mockResolvedValue(null);
+    mockOctokitInstance = {
+      rest: {
+        pulls: {
+          get: jest.fn().mockResolvedValue({
+            data: { mergeable: true, mergeable_state: 'clean', head: { sha: 'abc1234567' } }
+          }),
+          merge: jest.fn().mockResolvedValue({ data: { merged: true } })
+        }
+      }
+    };
+    github.getOctokit.mockReturnValue(mockOctokitInstance);
+    dueTime = new Date(new Date().getTime() - 1000).toISOString();
+  });
+
+  test('merges one PR per repository and queues the rest', async () => {
+    getScheduledPRs.mockResolvedValue([
+      { owner: 'owner', repo: 'repo', number: 2, scheduleTime: dueTime, commentId: 20 },
+      { owner: 'owner', repo: 'repo', number: 1, scheduleTime: dueTime, priority: 1, commentId: 10 },
+      { owner: 'owner', repo: 'repo', number: 3, scheduleTime: dueTime, commentId: 30 },
+      { owner: 'owner', repo: 'other', number: 9, scheduleTime: dueTime, commentId: 90 }
+    ]);
+
+    await processScheduledMerges('fake-token', { queue: true });
+
+    expect(mockOctokitInstance.rest.pulls.merge).toHaveBeenCalledTimes(2);
+    expect(mockOctokitInstance.rest.pulls.merge).toHaveBeenCalledWith(expect.objectContaining({ repo: 'repo', pull_number: 1 }));
+    expect(mockOctokitInstance.rest.pulls.merge).toHaveBeenCalledWith(expect.objectContaining({ repo: 'other', pull_number: 9 }));
+    expect(createComment).toHaveBeenCalledWith(mockOctokitInstance, 'owner', 'repo', 2,
+      expect.stringContaining('🚦 Scheduled merge is next in the merge queue'));
+    expect(createComment).toHaveBeenCalledWith(mockOctokitInstance, 'owner', 'repo', 3,
+      '🚦 Scheduled merge is waiting in the merge queue at position 2, behind #2.');
+    expect(updateScheduleInfo).toHaveBeenCalledWith(mockOctokitInstance, 'owner', 'repo', 30, { queuePosition: 2 });
+  });
+
+  test('updates the head of the queue before merging it', async () => {
+    getScheduledPRs.mockResolvedValue([
+      { owner: 'owner', repo: 'repo', number: 2, scheduleTime: dueTime, headSha: 'abc1234567', commentId: 20 },
+      { owner: 'owner', repo: 'repo', number: 3, scheduleTime: dueTime, queuePosition: 1, commentId: 30 }
+    ]);
+    updatePRBranch.mockResolvedValue({ previousSha: 'abc1234567' });
+
+    await processScheduledMerges('fake-token', { queue: true });
+
+    expect(updatePRBranch).toHaveBeenCalledWith(mockOctokitInstance, 'owner', 'repo', 2, 'abc1234567');
+    expect(mockOctokitInstance.rest.pulls.merge).not.toHaveBeenCalled();
+    expect(createComment).toHaveBeenCalledWith(mockOctokitInstance, 'owner', 'repo', 3,
+      '🚦 Scheduled merge is waiting in the merge queue at position 2, behind #2.');
+  });
+
+  test('does not repeat an unchanged queue position', async () => {
+    getScheduledPRs.mockResolvedValue([
+      { owner: 'owner', repo: 'repo', number: 1, scheduleTime: dueTime, commentId: 10 },
+      { owner: 'owner', repo: 'repo', number: 2, scheduleTime: dueTime, queuePosition: 1, commentId: 20 }
+    ]);
+
+    await processScheduledMerges('fake-token', { queue: true });
+
+    expect(createComment).not.toHaveBeenCalledWith(mockOctokitInstance, 'owner', 'repo', 2, expect.anything());
+  });
+
+  test('moves on when the head of the queue fails', async () => {
+    getScheduledPRs.mockResolvedValue([
+      { owner: 'owner', repo: 'repo', number: 1, scheduleTime: dueTime, commentId: 10 },
+      { owner: 'owner', repo: 'repo', number: 2, scheduleTime: dueTime, commentId: 20 }
+    ]);
+    mockOctokitInstance.rest.pulls.get
+      .mockResolvedValueOnce({ data: { mergeable: false, mergeable_state: 'dirty' } });
+
+    await processScheduledMerges('fake-token', { queue: true });
+
+    expect(removeScheduleInfo).toHaveBeenCalledWith(mockOctokitInstance, 'owner', 'repo', 1);
+    expect(mockOctokitInstance.rest.pulls.merge).toHaveBeenCalledWith(expect.objectContaining({ pull_number: 2 }));
+  });
+});
+
+describe('processScheduledMerges with dependencies', () => {
+  let mockOctokitInstance;
+  let dueTime;
+  let pulls;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    loadRepoConfig.mockResolvedValue({});
+    pulls = {};
+    mockOctokitInstance = {
+      rest: {
+        pulls: {
+          get: jest.fn().mockImplementation(({ pull_number }) => Promise.resolve({
+            data: { mergeable: true, mergeable_state: 'clean', state: 'open', merged: false, ...pulls[pull_number] }
+          })),
+          merge: jest.fn().mockResolvedValue({ data: { merged: true } })
+        }
+      }
+    };
+    github.getOctokit.mockReturnValue(mockOctokitInstance);
+    dueTime = new Date(new Date().getTime() - 1000).toISOString();
+  });
+
+  test('waits for an open prerequisite', async () => {
+    getScheduledPRs.mockResolvedValue([
+      { owner: 'owner', repo: 'repo', number: 2, scheduleTime: dueTime, dependencies: [{ owner: 'owner', repo: 'repo', number: 120 }], commentId: 20 }
+    ]);
+
+    await processScheduledMerges('fake-token');
+
+    expect(mockOctokitInstance.rest.pulls.merge).not.toHaveBeenCalled();
+    expect(core.info).toHaveBeenCalledWith('PR #2 is waiting for prerequisites #120 to merge');
+    expect(createComment).not.toHaveBeenCalled();
+  });
+
+  test('merges a dependent right after its prerequisite in the same run', async () => {
+    getScheduledPRs.mockResolvedValue([
+      { owner: 'owner', repo: 'repo', number: 2, scheduleTime: dueTime, dependencies: [{ owner: 'owner', repo: 'repo', number: 1 }], commentId: 20 },
+      { owner: 'owner', repo: 'repo', number: 1, scheduleTime: dueTime, commentId: 10 }
+    ]);
+
+    await processScheduledMerges('fake-token');
+
+    expect(mockOctokitInstance.rest.pulls.merge.mock.calls.map(([args]) => args.pull_number)).toEqual([1, 2]);
+  });
+
+  test('merges once a prerequisite in another repository has merged', async () => {
+    pulls[7] = { state: 'closed', merged: true };
+    getScheduledPRs.mockResolvedValue([
+      { owner: 'owner', repo: 'repo', number: 2, scheduleTime: dueTime, dependencies: [{ owner: 'owner', repo: 'lib', number: 7 }], commentId: 20 }
+    ]);
+
+    await processScheduledMerges('fake-token');
+
+    expect(mockOctokitInstance.rest.pulls.get).toHaveBeenCalledWith({ owner: 'owner', repo: 'lib', pull_number: 7 });
+    expect(mockOctokitInstance.rest.pulls.merge).toHaveBeenCalledWith(expect.objectContaining({ pull_number: 2 }));
+  });
+
+  test('holds and explains once when a prerequisite closes without merging', async () => {
+    pulls[120] = { state: 'closed', merged: false };
+    getScheduledPRs.mockResolvedValue([
+      { owner: 'owner', repo: 'repo', number: 2, scheduleTime: dueTime, dependencies: [{ owner: 'owner', repo: 'repo', number: 120 }], commentId: 20 },
+      { owner: 'owner', repo: 'repo', number: 3, scheduleTime: dueTime, dependencies: [{ owner: 'owner', repo: 'repo', number: 120 }], blockedBy: '#120', commentId: 30 }
+    ]);
+
+    await processScheduledMerges('fake-token');
+
+    expect(mockOctokitInstance.rest.pulls.merge).not.toHaveBeenCalled();
+    expect(createComment).toHaveBeenCalledTimes(1);
+    expect(createComment).toHaveBeenCalledWith(mockOctokitInstance, 'owner', 'repo', 2,
+      expect.stringContaining('⏸️ Scheduled merge is on hold because prerequisite #120 was closed without merging'));
+    expect(updateScheduleInfo).toHaveBeenCalledWith(mockOctokitInstance, 'owner', 'repo', 20, { blockedBy: '#120' });
+    expect(removeScheduleInfo).not.toHaveBeenCalled();
+  });
+
+  test('removes schedules that depend on each other', async () => {
+    getScheduledPRs.mockResolvedValue([
+      { owner: 'owner', repo: 'repo', number: 1, scheduleTime: dueTime, dependencies: [{ owner: 'owner', repo: 'repo', number: 2 }], commentId: 10 },
+      { owner: 'owner', repo: 'repo', number: 2, scheduleTime: dueTime, dependencies: [{ owner: 'owner', repo: 'repo', number: 1 }], commentId: 20 },
+      { owner: 'owner', repo: 'repo', number: 3, scheduleTime: dueTime, commentId: 30 }
+    ]);
+
+    await processScheduledMerges('fake-token');
+
+    expect(createComment).toHaveBeenCalledWith(mockOctokitInstance, 'owner', 'repo', 1,
+      '❌ Scheduled merge removed because of a dependency cycle: #1 → #2 → #1. Reschedule without the circular "after" dependency.');
+    expect(removeScheduleInfo).toHaveBeenCalledWith(mockOctokitInstance, 'owner', 'repo', 1);
+    expect(removeScheduleInfo).toHaveBeenCalledWith(mockOctokitInstance, 'owner', 'repo', 2);
+    expect(mockOctokitInstance.rest.pulls.merge).toHaveBeenCalledTimes(1);
+    expect(mockOctokitInstance.rest.pulls.merge).toHaveBeenCalledWith(expect.objectContaining({ pull_number: 3 }));
+  });
+});
+
+describe('processScheduledMerges with stacked PRs', () => {
+  let mockOctokitInstance;
+  let dueTime;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    loadRepoConfig.mockResolvedValue({});
+    mockOctokitInstance = {
+      rest: {
+        pulls: {
+          get: jest.fn().mockResolvedValue({
+            data: { mergeable: true, mergeable_state: 'clean', state: 'open', merged: false, base: { ref: 'feature-a' } }
+          }),
+          update: jest.fn().mockResolvedValue({}),
+          merge: jest.fn().mockResolvedValue({ data: { merged: true } })
+        }
+      }
+    };
+    github.getOctokit.mockReturnValue(mockOctokitInstance);
+    dueTime = new Date(new Date().getTime() - 1000).toISOString();
+  });
+
+  test('retargets the next PR after the one below it merges', async () => {
+    getScheduledPRs.mockResolvedValue([
+      { owner: 'owner', repo: 'repo', number: 2, scheduleTime: dueTime, stackBase: 'main', dependencies: [{ owner: 'owner', repo: 'repo', number: 1 }], commentId: 20 },
+      { owner: 'owner', repo: 'repo', number: 1, scheduleTime: dueTime, stackBase: 'main', commentId: 10 }
+    ]);
+    mockOctokitInstance.rest.pulls.get.mockResolvedValueOnce({
+      data: { base: { ref: 'main' } }
+    });
+
+    await processScheduledMerges('fake-token');
+
+    expect(mockOctokitInstance.rest.pulls.merge).toHaveBeenCalledTimes(1);
+    expect(mockOctokitInstance.rest.pulls.merge).toHaveBeenCalledWith(expect.objectContaining({ pull_number: 1 }));
+    expect(mockOctokitInstance.rest.pulls.update).toHaveBeenCalledWith({
+      owner: 'owner',
+      repo: 'repo',
+      pull_number: 2,
+      base: 'main'
+    });
+    expect(updateScheduleInfo).toHaveBeenCalledWith(mockOctokitInstance, 'owner', 'repo', 20, { retargeted: true });
+  });
+
+  test('waits for checks on a retargeted PR', async () => {
+    getScheduledPRs.mockResolvedValue([
+      { owner: 'owner', repo: 'repo', number: 2, scheduleTime: dueTime, stackBase: 'main', retargeted: true, commentId: 20 }
+    ]);
+    mockOctokitInstance.rest.pulls.get
+      .mockResolvedValueOnce({ data: { base: { ref: 'main' } } })
+      .mockResolvedValue({ data: { mergeable: true, mergeable_state: 'clean', head: { sha: 'abc1234567' } } });
+    mockOctokitInstance.rest.checks = {
+      listForRef: jest.fn().mockResolvedValue({ data: { check_runs: [{ name: 'build', status: 'in_progress', conclusion: null }] } })
+    };
+    mockOctokitInstance.rest.repos = {
+      getCombinedStatusForRef: jest.fn().mockResolvedValue({ data: { statuses: [] } })
+    };
+
+    await processScheduledMerges('fake-token');
+
+    expect(mockOctokitInstance.rest.pulls.update).not.toHaveBeenCalled();
+    expect(mockOctokitInstance.rest.pulls.merge).not.toHaveBeenCalled();
+    expect(core.info).toHaveBeenCalledWith(expect.stringContaining('Deferring PR #2 (attempt 1)'));
+    expect(updateScheduleInfo).toHaveBeenCalledWith(mockOctokitInstance, 'owner', 'repo', 20, {
+      firstDueAt: expect.any(String),
+      attempts: 1,
+      retargeted: undefined,
+      recheckUntil: expect.any(String)
+    });
+    expect(removeScheduleInfo).not.toHaveBeenCalled();
+  });
+
+  test('stops waiting for checks on a retargeted PR after its recheck deadline', async () => {
+    getScheduledPRs.mockResolvedValue([{
+      owner: 'owner',
+      repo: 'repo',
+      number: 2,
+      scheduleTime: dueTime,
+      stackBase: 'main',
+      recheckUntil: new Date(new Date().getTime() - 1000).toISOString(),
+      commentId: 20
+    }]);
+    mockOctokitInstance.rest.pulls.get
+      .mockResolvedValueOnce({ data: { base: { ref: 'main' } } })
+      .mockResolvedValue({ data: { mergeable: true, mergeable_state: 'clean', head: { sha: 'abc1234567' } } });
+    mockOctokitInstance.rest.checks = {
+      listForRef: jest.fn().mockResolvedValue({ data: { check_runs: [{ name: 'build', status: 'in_progress', conclusion: null }] } })
+    };
+    mockOctokitInstance.rest.repos = {
+      getCombinedStatusForRef: jest.fn().mockResolvedValue({ data: { statuses: [] } })
+    };
+
+    await processScheduledMerges('fake-token');
+
+    expect(mockOctokitInstance.rest.pulls.merge).not.toHaveBeenCalled();
+    expect(removeScheduleInfo).toHaveBeenCalledWith(mockOctokitInstance, 'owner', 'repo', 2);
+  });
+});
+
+describe('processScheduledMerges in dry-run mode', () => {
+  let mockOctokitInstance;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    loadRepoConfig.mockResolvedValue({});
+    mockOctokitInstance = {
+      rest: {
+        pulls: {
+          get: jest.fn().mockResolvedValue({
+            data: { mergeable: true, mergeable_state: 'clean', head: { sha: 'abc1234567' } }
+          }),
+          merge: jest.fn()
+        }
+      }
+    };
+    github.getOctokit.mockReturnValue(mockOctokitInstance);
+  });
+
+  test('reports what would have merged without merging', async () => {
+    const dueTime = new Date(new Date().getTime() - 1000).toISOString();
+    const futureTime = new Date(new Date().getTime() + 60 * 60 * 1000).toISOString();
+    getScheduledPRs.mockResolvedValue([
+      { owner: 'owner', repo: 'repo', number: 1, scheduleTime: dueTime, commentId: 10 },
+      { owner: 'owner', repo: 'repo', number: 2, scheduleTime: futureTime, commentId: 20 }
+    ]);
+
+    const results = await processScheduledMerges('fake-token', { dryRun: true });
+
+    expect(mockOctokitInstance.rest.pulls.merge).not.toHaveBeenCalled();
+    expect(results).toEqual([
+      { owner: 'owner', repo: 'repo', number: 1, outcome: 'merged', reason: 'due and mergeable' },
+      { owner: 'owner', repo: 'repo', number: 2, outcome: 'scheduled', reason: `due at ${futureTime}` }
+    ]);
+    expect(core.info).toHaveBeenCalledWith('[dry-run] Skipped pulls.merge on owner/repo#1: squash merge');
+    expect(core.summary.addHeading).toHaveBeenCalledWith('Dry run', 2);
+  });
+});
+
+describe('processScheduledMerges with other scheduled actions', () => {
+  let mockOctokitInstance;
+  const dueTime = () => new Date(new Date().getTime() - 1000).toISOString();
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    loadRepoConfig.mockResolvedValue({});
+    mockOctokitInstance = {
+      graphql: jest.fn().mockResolvedValue({}),
+      rest: {
+        pulls: {
+          get: jest.fn().mockResolvedValue({ data: { state: 'open', draft: true, node_id: 'PR_1' } }),
+          update: jest.fn(),
+          merge: jest.fn()
+        },
+        issues: {
+          addLabels: jest.fn()
+        }
+      }
+    };
+    github.getOctokit.mockReturnValue(mockOctokitInstance);
+  });
+
+  test('runs due actions and leaves future ones', async () => {
+    const futureTime = new Date(new Date().getTime() + 60 * 60 * 1000).toISOString();
+    getScheduledPRs.mockResolvedValue([
+      { owner: 'owner', repo: 'repo', number: 1, action: 'close', scheduleTime: dueTime() },
+      { owner: 'owner', repo: 'repo', number: 2, action: 'ready', scheduleTime: dueTime() },
+      { owner: 'owner', repo: 'repo', number: 3, action: 'label', label: 'stale', scheduleTime: dueTime() },
+      { owner: 'owner', repo: 'repo', number: 4, action: 'close', scheduleTime: futureTime }
+    ]);
+
+    const results = await processScheduledMerges('fake-token');
+
+    expect(mockOctokitInstance.rest.pulls.update).toHaveBeenCalledWith({
+      owner: 'owner',
+      repo: 'repo',
+      pull_number: 1,
+      state: 'closed'
+    });
+    expect(mockOctokitInstance.graphql).toHaveBeenCalledWith(expect.stringContaining('markPullRequestReadyForReview'), { id: 'PR_1' });
+    expect(mockOctokitInstance.rest.issues.addLabels).toHaveBeenCalledWith({
+      owner: 'owner',
+      repo: 'repo',
+      issue_number: 3,
+      labels: ['stale']
+    });
+    expect(mockOctokitInstance.rest.pulls.merge).not.toHaveBeenCalled();
+    expect(createComment).toHaveBeenCalledWith(mockOctokitInstance, 'owner', 'repo', 1, '✅ Closed as scheduled.');
+    expect(removeScheduleInfo).toHaveBeenCalledTimes(3);
+    expect(results.map(({ number, outcome }) => [number, outcome])).toEqual([
+      [1, 'completed'],
+      [2, 'completed'],
+      [3, 'completed'],
+      [4, 'scheduled']
+    ]);
+  });
+
+  test('reports an action that has nothing left to do', async () => {
+    mockOctokitInstance.rest.pulls.get.mockResolvedValue({ data: { state: 'closed' } });
+    getScheduledPRs.mockResolvedValue([
+      { owner: 'owner', repo: 'repo', number: 1, action: 'close', scheduleTime: dueTime() }
+    ]);
+
+    await processScheduledMerges('fake-token');
+
+    expect(mockOctokitInstance.rest.pulls.update).not.toHaveBeenCalled();
+    expect(createComment).toHaveBeenCalledWith(mockOctokitInstance, 'owner', 'repo', 1,
+      'ℹ️ This PR was already closed, so the scheduled close had nothing to do.');
+  });
+
+  test('reports a failed action once and removes its schedule', async () => {
+    mockOctokitInstance.rest.issues.addLabels.mockRejectedValue(new Error('Resource not accessible by integration'));
+    getScheduledPRs.mockResolvedValue([
+      { owner: 'owner', repo: 'repo', number: 3, action: 'label', label: 'stale', scheduleTime: dueTime() }
+    ]);
+
+    const results = await processScheduledMerges('fake-token');
+
+    expect(createComment).toHaveBeenCalledWith(mockOctokitInstance, 'owner', 'repo', 3,
+      '❌ Failed to label PR: Resource not accessible by integration');
+    expect(removeScheduleInfo).toHaveBeenCalledWith(mockOctokitInstance, 'owner', 'repo', 3);
+    expect(results).toEqual([
+      { owner: 'owner', repo: 'repo', number: 3, outcome: 'failed', reason: 'Resource not accessible by integration' }
+    ]);
+  });
+});
+
+describe('processScheduledMerges with merge trains', () => {
+  let mockOctokitInstance;
+  const trainPR = (number, createdAt, overrides = {}) => ({
+    number,
+    title: `PR ${number}`,
+    created_at: createdAt,
+    labels: [{ name: 'release-ready' }],
+    head: { sha: `sha${number}` },
+    ...overrides
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    getScheduledPRs.mockResolvedValue([]);
+    listAllComments.mockResolvedValue([]);
+    loadRepoConfig.mockResolvedValue({
+      trains: [{ name: 'release', cron: '* * * * *', label: 'release-ready', issue: 7 }]
+    });
+    mockOctokitInstance = {
+      rest: {
+        pulls: {
+          list: jest.fn().mockResolvedValue({
+            data: [
+              trainPR(3, '2024-01-03T00:00:00Z'),
+              trainPR(2, '2024-01-02T00:00:00Z'),
+              trainPR(4, '2024-01-01T00:00:00Z', { draft: true }),
+              trainPR(5, '2024-01-01T00:00:00Z', { labels: [] })
+            ]
+          }),
+          get: jest.fn().mockImplementation(({ pull_number }) => Promise.resolve({
+            data: { mergeable: true, mergeable_state: 'clean', head: { sha: `sha${pull_number}` } }
+          })),
+          merge: jest.fn()
+            .mockResolvedValueOnce({ data: { merged: true } })
+            .mockRejectedValueOnce(Object.assign(new Error('Server Error'), { status: 500 }))
+        }
+      }
+    };
+    github.getOctokit.mockReturnValue(mockOctokitInstance);
+  });
+
+  test('merges the matching PRs in order and posts a summary', async () => {
+    const results = await processScheduledMerges('fake-token', { repositories: ['repo:owner/repo'] });
+
+    expect(mockOctokitInstance.rest.pulls.merge.mock.calls.map(([params]) => params)).toEqual([
+      { owner: 'owner', repo: 'repo', pull_number: 2, merge_method: 'squash', sha: 'sha2' },
+      { owner: 'owner', repo: 'repo', pull_number: 3, merge_method: 'squash', sha: 'sha3' }
+    ]);
+    expect(createComment).toHaveBeenCalledWith(mockOctokitInstance, 'owner', 'repo', 7, expect.stringMatching(
+      /^🚂 Merge train "release"[\s\S]*- #2 PR 2[\s\S]*- #4 PR 4: the PR is a draft\n- #3 PR 3: Server Error[\s\S]*MERGE_TRAIN_RUN/
+    ));
+    expect(results).toEqual([
+      { owner: 'owner', repo: 'repo', number: 2, outcome: 'merged', reason: 'merge train "release"' },
+      { owner: 'owner', repo: 'repo', number: 4, outcome: 'skipped', reason: 'the PR is a draft' },
+      { owner: 'owner', repo: 'repo', number: 3, outcome: 'failed', reason: 'Server Error' }
+    ]);
+  });
+
+  test('holds the train during a blackout', async () => {
+    loadRepoConfig.mockResolvedValue({
+      trains: [{ name: 'release', cron: '* * * * *', label: 'release-ready', issue: 7 }],
+      blackouts: [{ start: '2000-01-01', end: '2999-12-31', reason: 'Freeze' }]
+    });
+
+    const results = await processScheduledMerges('fake-token', { repositories: ['repo:owner/repo'] });
+
+    expect(mockOctokitInstance.rest.pulls.merge).not.toHaveBeenCalled();
+    expect(results.map(({ number }) => number)).toEqual([4, 2, 3]);
+    expect(results[1]).toEqual(expect.objectContaining({
+      outcome: 'held',
+      reason: expect.stringContaining('merges are paused for a blackout period: Freeze')
+    }));
+    // The run isn't recorded, so it goes ahead once the blackout is over
+    expect(createComment).not.toHaveBeenCalled();
+  });
+
+  test('holds the train outside the merge windows', async () => {
+    loadRepoConfig.mockResolvedValue({
+      trains: [{ name: 'release', cron: '* * * * *', label: 'release-ready', issue: 7 }],
+      'merge-windows': [{ days: [] }]
+    });
+
+    const results = await processScheduledMerges('fake-token', { repositories: ['repo:owner/repo'] });
+
+    expect(mockOctokitInstance.rest.pulls.merge).not.toHaveBeenCalled();
+    expect(createComment).not.toHaveBeenCalled();
+    expect(results).toEqual([4, 2, 3].map(number => ({
+      owner: 'owner',
+      repo: 'repo',
+      number,
+      outcome: 'held',
+      reason: 'the current time is outside the configured merge windows'
+    })));
+  });
+
+  test('does not run a train twice for the same occurrence', async () => {
+    jest.useFakeTimers({ now: new Date('2024-01-02T09:30:00Z'), doNotFake: ['nextTick', 'queueMicrotask', 'setImmediate'] });
+    loadRepoConfig.mockResolvedValue({
+      trains: [{ name: 'release', cron: '0 10 * * TUE', timezone: 'Europe/Berlin', label: 'release-ready', issue: 7 }]
+    });
+    listAllComments.mockImplementation(() => Promise.resolve(createComment.mock.calls.map(([, , , , body]) => ({ body }))));
+
+    try {
+      await processScheduledMerges('fake-token', { repositories: ['repo:owner/repo'] });
+      const results = await processScheduledMerges('fake-token', { repositories: ['repo:owner/repo'] });
+
+      expect(results).toEqual([]);
+      expect(createComment.mock.calls.filter(([, , , issue]) => issue === 7)).toHaveLength(1);
+    } finally {
+      jest.useRealTimers();
+    }
+  });
+
+  test('reports invalid train config without stopping the run', async () => {
+    loadRepoConfig.mockResolvedValue({ trains: [{ name: 'release' }] });
+
+    await expect(processScheduledMerges('fake-token', { repositories: ['repo:owner/repo'] })).resolves.toEqual([]);
+    expect(core.error).toHaveBeenCalledWith('Unable to read the merge trains of owner/repo:');
+  });
+});
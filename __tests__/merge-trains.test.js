@@ -0,0 +1,219 @@
+const {
+  parseCron,
+  getMergeTrains,
+  findDueOccurrence,
+  hasTrainRun,
+  listTrainPRs,
+  formatTrainSummary
+} = require('../src/merge-trains');
+const { listAllComments } = require('../src/utils');
+
+jest.mock('../src/utils', () => ({
+  ...jest.requireActual('../src/utils'),
+  listAllComments: jest.fn()
+}));
+
+const release = {
+  name: 'release',
+  cron: '0 10 * * TUE',
+  timezone: 'Europe/Berlin',
+  label: 'release-ready',
+  issue: 7
+};
+
+describe('parseCron', () => {
+  test('parses lists, ranges, steps and names', () => {
+    const cron = parseCron('*/15 9-17 1,15 jan-mar mon-fri');
+
+    expect([...cron.minutes]).toEqual([0, 15, 30, 45]);
+    expect([...cron.hours]).toEqual([9, 10, 11, 12, 13, 14, 15, 16, 17]);
+    expect([...cron.days]).toEqual([1, 15]);
+    expect([...cron.months]).toEqual([1, 2, 3]);
+    expect([...cron.weekdays]).toEqual([1, 2, 3, 4, 5]);
+  });
+
+  test('treats 7 as Sunday and a start with a step as running to the end', () => {
+    expect([...parseCron('0 0 * * 7').weekdays]).toEqual([0]);
+    expect([...parseCron('50/5 0 * * *').minutes]).toEqual([50, 55]);
+  });
+
+  test('rejects invalid expressions', () => {
+    expect(() => parseCron('0 10 * *')).toThrow('expected 5 fields');
+    expect(() => parseCron('60 10 * * *')).toThrow('Invalid minute "60" in cron expression "60 10 * * *"');
+    expect(() => parseCron('0 10 * * funday')).toThrow('Invalid day of week "funday"');
+    expect(() => parseCron('0 17-9 * * *')).toThrow('Invalid hour "17-9"');
+    expect(() => parseCron('*/0 10 * * *')).toThrow('Invalid minute "*/0"');
+  });
+});
+
+describe('getMergeTrains', () => {
+  test('returns no trains without config', () => {
+    expect(getMergeTrains(undefined)).toEqual([]);
+    expect(getMergeTrains({})).toEqual([]);
+  });
+
+  test('applies defaults', () => {
+    const [train] = getMergeTrains({ trains: [{ ...release, timezone: undefined, milestone: 'v2' }] });
+
+    expect(train).toMatchObject({
+      name: 'release',
+      timezone: 'UTC',
+      label: 'release-ready',
+      milestone: 'v2',
+      order: 'created',
+      mergeMethod: undefined,
+      issue: 7,
+      maxDelay: 120
+    });
+  });
+
+  test('rejects incomplete or invalid trains', () => {
+    const invalid = overrides => () => getMergeTrains({ trains: [{ ...release, ...overrides }] });
+
+    expect(invalid({ name: undefined })).toThrow('trains[0] needs a name');
+    expect(invalid({ cron: undefined })).toThrow('trains[0] (release) needs a cron expression');
+    expect(invalid({ timezone: 'Mars/Base' })).toThrow('Invalid timezone in trains[0] (release): Mars/Base');
+    expect(invalid({ label: undefined })).toThrow('needs a label or milestone to pick its PRs');
+    expect(invalid({ order: 'random' })).toThrow('order must be one of: created, updated, number');
+    expect(invalid({ 'merge-method': 'octopus' })).toThrow('merge-method must be one of: merge, squash, rebase');
+    expect(invalid({ issue: undefined })).toThrow('needs the number of the issue to post its summary on');
+    expect(invalid({ 'max-delay': -5 })).toThrow('max-delay must be a non-negative number of minutes');
+    expect(() => getMergeTrains({ trains: [release, release] }))
+      .toThrow('Merge train names must be unique, but "release" is used twice');
+  });
+});
+
+describe('findDueOccurrence', () => {
+  const [train] = getMergeTrains({ trains: [release] });
+
+  test('finds the latest occurrence in the train\'s timezone', () => {
+    expect(findDueOccurrence(train, new Date('2024-01-02T09:30:45Z'))).toEqual({
+      at: new Date('2024-01-02T09:00:00Z'),
+      local: '2024-01-02 10:00'
+    });
+  });
+
+  test('follows daylight saving time', () => {
+    expect(findDueOccurrence(train, new Date('2024-07-02T08:05:00Z'))).toEqual({
+      at: new Date('2024-07-02T08:00:00Z'),
+      local: '2024-07-02 10:00'
+    });
+  });
+
+  test('ignores occurrences older than the maximum delay', () => {
+    expect(findDueOccurrence(train, new Date('2024-01-02T11:01:00Z'))).toBeNull();
+    expect(findDueOccurrence(train, new Date('2024-01-03T09:00:00Z'))).toBeNull();
+  });
+
+  test('matches either the day of month or the day of week when both are set', () => {
+    const [monthly] = getMergeTrains({ trains: [{ ...release, cron: '0 10 1 * FRI', timezone: 'UTC', 'max-delay': 0 }] });
+
+    // Monday the 1st and Friday the 5th
+    expect(findDueOccurrence(monthly, new Date('2024-01-01T10:00:00Z'))).not.toBeNull();
+    expect(findDueOccurrence(monthly, new Date('2024-01-05T10:00:00Z'))).not.toBeNull();
+    expect(findDueOccurrence(monthly, new Date('2024-01-02T10:00:00Z'))).toBeNull();
+  });
+});
+
+describe('hasTrainRun', () => {
+  const [train] = getMergeTrains({ trains: [release] });
+  const occurrence = { at: new Date('2024-01-02T09:00:00Z'), local: '2024-01-02 10:00' };
+  const marker = run => `🚂 Merge train\n<!-- MERGE_TRAIN_RUN ${JSON.stringify(run)} -->`;
+
+  test('finds the summary of the same occurrence', async () => {
+    listAllComments.mockResolvedValue([
+      { body: 'unrelated' },
+      { body: marker({ train: 'release', at: '2024-01-02 10:00' }) }
+    ]);
+
+    await expect(hasTrainRun({}, 'owner', 'repo', train, occurrence)).resolves.toBe(true);
+    expect(listAllComments).toHaveBeenCalledWith({}, 'owner', 'repo', 7);
+  });
+
+  test('ignores other trains, other occurrences and broken markers', async () => {
+    listAllComments.mockResolvedValue([
+      { body: marker({ train: 'hotfix', at: '2024-01-02 10:00' }) },
+      { body: marker({ train: 'release', at: '2023-12-26 10:00' }) },
+      { body: '<!-- MERGE_TRAIN_RUN {broken -->' },
+      { body: null }
+    ]);
+
+    await expect(hasTrainRun({}, 'owner', 'repo', train, occurrence)).resolves.toBe(false);
+  });
+});
+
+describe('listTrainPRs', () => {
+  const pr = (number, createdAt, labels = ['release-ready'], milestone) => ({
+    number,
+    created_at: createdAt,
+    updated_at: `2024-02-0${10 - number}T00:00:00Z`,
+    labels: labels.map(name => ({ name })),
+    milestone: milestone && { title: milestone }
+  });
+
+  test('filters by label and milestone and sorts oldest first', async () => {
+    const octokit = {
+      rest: {
+        pulls: {
+          list: jest.fn()
+            .mockResolvedValueOnce({
+              data: [
+                pr(3, '2024-01-03T00:00:00Z', ['release-ready'], 'v2'),
+                ...Array.from({ length: 99 }, (_, index) => pr(100 + index, '2024-01-01T00:00:00Z', ['other']))
+              ]
+            })
+            .mockResolvedValueOnce({
+              data: [
+                pr(2, '2024-01-02T00:00:00Z', ['release-ready'], 'v2'),
+                pr(4, '2024-01-01T00:00:00Z', ['release-ready'], 'v1')
+              ]
+            })
+        }
+      }
+    };
+    const [train] = getMergeTrains({ trains: [{ ...release, milestone: 'v2' }] });
+
+    const prs = await listTrainPRs(octokit, 'owner', 'repo', train);
+
+    expect(prs.map(({ number }) => number)).toEqual([2, 3]);
+    expect(octokit.rest.pulls.list).toHaveBeenCalledWith({ owner: 'owner', repo: 'repo', state: 'open', per_page: 100, page: 2 });
+  });
+
+  test('sorts by number or last update', async () => {
+    const data = [pr(3, '2024-01-01T00:00:00Z'), pr(1, '2024-01-03T00:00:00Z'), pr(2, '2024-01-02T00:00:00Z')];
+    const octokit = { rest: { pulls: { list: jest.fn().mockResolvedValue({ data }) } } };
+    const order = async value => (await listTrainPRs(octokit, 'owner', 'repo',
+      getMergeTrains({ trains: [{ ...release, order: value }] })[0])).map(({ number }) => number);
+
+    await expect(order('number')).resolves.toEqual([1, 2, 3]);
+    await expect(order('updated')).resolves.toEqual([3, 2, 1]);
+  });
+});
+
+describe('formatTrainSummary', () => {
+  const [train] = getMergeTrains({ trains: [release] });
+  const occurrence = { at: new Date('2024-01-02T09:00:00Z'), local: '2024-01-02 10:00' };
+
+  test('lists what landed and what was skipped', () => {
+    const summary = formatTrainSummary(train, occurrence,
+      [{ number: 2, title: 'Add feature' }],
+      [{ number: 3, title: 'Fix bug', reason: 'Merge requirements not met:\n- Check `test` failed' }]);
+
+    expect(summary).toBe([
+      '🚂 Merge train "release" for 2024-01-02 10:00 Europe/Berlin',
+      '',
+      '**Landed:**',
+      '- #2 Add feature',
+      '',
+      '**Skipped:**',
+      '- #3 Fix bug: Merge requirements not met: Check `test` failed',
+      '',
+      '<!-- MERGE_TRAIN_RUN {"train":"release","at":"2024-01-02 10:00"} -->'
+    ].join('\n'));
+  });
+
+  test('says when nothing matched', () => {
+    expect(formatTrainSummary(train, occurrence, [], []))
+      .toContain('No open PRs have the label `release-ready`.');
+  });
+});
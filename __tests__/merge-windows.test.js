@@ -0,0 +1,160 @@
+const {
+  getMergePolicy,
+  findBlackout,
+  isInMergeWindow,
+  getNextMergeOpening,
+  describeBlackout
+} = require('../src/merge-windows');
+
+const businessHours = {
+  'merge-windows': [{
+    days: ['mon', 'tue', 'wed', 'thu', 'fri'],
+    start: '09:00',
+    end: '17:00',
+    timezone: 'America/New_York'
+  }]
+};
+
+describe('getMergePolicy', () => {
+  test('returns an open policy without config', () => {
+    expect(getMergePolicy()).toEqual({ windows: [], blackouts: [] });
+  });
+
+  test('rejects invalid windows', () => {
+    expect(() => getMergePolicy({ 'merge-windows': [{ days: ['funday'] }] }))
+      .toThrow('Invalid day in merge window: funday');
+    expect(() => getMergePolicy({ 'merge-windows': [{ start: '9am' }] }))
+      .toThrow('Invalid start time in merge window: 9am');
+    expect(() => getMergePolicy({ 'merge-windows': [{ start: '09:75' }] }))
+      .toThrow('Invalid start time in merge window: 09:75');
+    expect(() => getMergePolicy({ 'merge-windows': [{ end: '24:30' }] }))
+      .toThrow('Invalid end time in merge window: 24:30');
+    expect(() => getMergePolicy({ 'merge-windows': [{ start: '17:00', end: '17:00' }] }))
+      .toThrow('Merge window end (17:00) must differ from its start (17:00)');
+    expect(() => getMergePolicy({ 'merge-windows': [{ timezone: 'Foo/Bar' }] }))
+      .toThrow('Invalid timezone in merge window: Foo/Bar');
+  });
+
+  test('rejects invalid blackouts', () => {
+    expect(() => getMergePolicy({ blackouts: [{ start: '2024-12-20' }] }))
+      .toThrow('Blackouts need both a start and an end');
+    expect(() => getMergePolicy({ blackouts: [{ start: 'soon', end: '2024-12-20' }] }))
+      .toThrow('Invalid blackout date: soon');
+  });
+});
+
+describe('findBlackout', () => {
+  const policy = getMergePolicy({
+    blackouts: [{
+      start: '2024-12-20',
+      end: '2025-01-02',
+      timezone: 'Europe/Berlin',
+      reason: 'Holiday freeze'
+    }]
+  });
+
+  test('finds the blackout covering a date', () => {
+    const blackout = findBlackout(new Date('2024-12-25T12:00:00Z'), policy);
+    expect(blackout.reason).toBe('Holiday freeze');
+  });
+
+  test('treats a date-only end as inclusive', () => {
+    expect(findBlackout(new Date('2025-01-02T20:00:00Z'), policy)).not.toBeNull();
+    expect(findBlackout(new Date('2025-01-02T23:00:00Z'), policy)).toBeNull();
+  });
+
+  test('returns null outside blackouts', () => {
+    expect(findBlackout(new Date('2024-12-19T12:00:00Z'), policy)).toBeNull();
+  });
+
+  test('describes the blackout', () => {
+    const blackout = findBlackout(new Date('2024-12-25T12:00:00Z'), policy);
+    expect(describeBlackout(blackout))
+      .toBe('Holiday freeze (2024-12-19T23:00:00.000Z – 2025-01-02T23:00:00.000Z)');
+    expect(describeBlackout({ ...blackout, reason: undefined }))
+      .toBe('2024-12-19T23:00:00.000Z – 2025-01-02T23:00:00.000Z');
+  });
+
+  test('accepts blackout boundaries with times', () => {
+    const timed = getMergePolicy({ blackouts: [{ start: '2024-12-20 18:00', end: '2024-12-21 06:00' }] });
+    expect(findBlackout(new Date('2024-12-20T19:00:00Z'), timed)).not.toBeNull();
+    expect(findBlackout(new Date('2024-12-21T07:00:00Z'), timed)).toBeNull();
+  });
+});
+
+describe('isInMergeWindow', () => {
+  const policy = getMergePolicy(businessHours);
+
+  test('allows any time without windows', () => {
+    expect(isInMergeWindow(new Date('2024-01-06T03:00:00Z'), getMergePolicy({}))).toBe(true);
+  });
+
+  test('allows times inside a window', () => {
+    // Monday 10:00 in New York
+    expect(isInMergeWindow(new Date('2024-01-08T15:00:00Z'), policy)).toBe(true);
+  });
+
+  test('rejects times outside a window', () => {
+    // Monday 18:00 in New York
+    expect(isInMergeWindow(new Date('2024-01-08T23:00:00Z'), policy)).toBe(false);
+    // Saturday 10:00 in New York
+    expect(isInMergeWindow(new Date('2024-01-06T15:00:00Z'), policy)).toBe(false);
+  });
+});
+
+describe('isInMergeWindow across midnight', () => {
+  const policy = getMergePolicy({
+    'merge-windows': [{ days: ['fri'], start: '22:00', end: '02:00' }]
+  });
+
+  test('allows the evening of a listed day', () => {
+    // Friday 23:00
+    expect(isInMergeWindow(new Date('2024-01-05T23:00:00Z'), policy)).toBe(true);
+  });
+
+  test('allows the early hours after a listed day', () => {
+    // Saturday 01:30
+    expect(isInMergeWindow(new Date('2024-01-06T01:30:00Z'), policy)).toBe(true);
+  });
+
+  test('rejects times outside the overnight window', () => {
+    // Saturday 02:00, Friday 01:00 and Saturday 23:00
+    expect(isInMergeWindow(new Date('2024-01-06T02:00:00Z'), policy)).toBe(false);
+    expect(isInMergeWindow(new Date('2024-01-05T01:00:00Z'), policy)).toBe(false);
+    expect(isInMergeWindow(new Date('2024-01-06T23:00:00Z'), policy)).toBe(false);
+  });
+
+  test('opens at the start on a listed day', () => {
+    const opening = getNextMergeOpening(new Date('2024-01-06T03:00:00Z'), policy);
+    expect(opening.toISOString()).toBe('2024-01-12T22:00:00.000Z');
+  });
+});
+
+describe('getNextMergeOpening', () => {
+  test('returns the date itself when merging is allowed', () => {
+    const date = new Date('2024-01-08T15:00:00Z');
+    expect(getNextMergeOpening(date, getMergePolicy(businessHours))).toEqual(date);
+  });
+
+  test('skips to the next window after a weekend', () => {
+    // Saturday -> Monday 09:00 New York
+    const opening = getNextMergeOpening(new Date('2024-01-06T15:00:00Z'), getMergePolicy(businessHours));
+    expect(opening.toISOString()).toBe('2024-01-08T14:00:00.000Z');
+  });
+
+  test('skips past blackouts into the next window', () => {
+    const policy = getMergePolicy({
+      ...businessHours,
+      blackouts: [{ start: '2024-01-08', end: '2024-01-09', timezone: 'America/New_York' }]
+    });
+
+    // Monday 10:00 New York is blacked out until Wednesday 00:00, then waits for 09:00
+    const opening = getNextMergeOpening(new Date('2024-01-08T15:00:00Z'), policy);
+    expect(opening.toISOString()).toBe('2024-01-10T14:00:00.000Z');
+  });
+
+  test('returns null when no window ever opens', () => {
+    const policy = getMergePolicy({ 'merge-windows': [{ days: [] }] });
+    expect(getNextMergeOpening(new Date('2024-01-08T15:00:00Z'), policy)).toBeNull();
+  });
+});
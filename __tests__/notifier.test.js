@@ -0,0 +1,191 @@
+const http = require('http');
+const crypto = require('crypto');
+const core = require('@actions/core');
+const {
+  createNotifier,
+  parseWebhookUrls,
+  buildEvent,
+  formatPayload
+} = require('../src/notifier');
+
+jest.mock('@actions/core');
+
+describe('parseWebhookUrls', () => {
+  test('splits lines and commas', () => {
+    expect(parseWebhookUrls('https://example.com/a,\n http://localhost:8080/b\n\n')).toEqual([
+      'https://example.com/a',
+      'http://localhost:8080/b'
+    ]);
+    expect(parseWebhookUrls('')).toEqual([]);
+  });
+
+  test('rejects URLs that are not http or https without echoing them', () => {
+    expect(() => parseWebhookUrls('ftp://example.com/secret-token'))
+      .toThrow('Invalid webhook-urls: each URL must start with http:// or https://');
+    expect(() => parseWebhookUrls('not a url')).toThrow('Invalid webhook-urls');
+  });
+});
+
+describe('formatPayload', () => {
+  const event = {
+    ...buildEvent('scheduled', 'owner', 'repo', 12, {
+      scheduleTime: '2024-01-02T19:30:00.000Z',
+      timezone: 'EST',
+      scheduledBy: 'alice'
+    }),
+    sentAt: '2024-01-01T12:00:00.000Z'
+  };
+
+  test('sends the event as is by default', () => {
+    expect(formatPayload(event, 'json')).toEqual({
+      event: 'scheduled',
+      repository: 'owner/repo',
+      number: 12,
+      url: 'https://github.com/owner/repo/pull/12',
+      scheduleTime: '2024-01-02T19:30:00.000Z',
+      timezone: 'EST',
+      scheduledBy: 'alice',
+      sentAt: '2024-01-01T12:00:00.000Z'
+    });
+  });
+
+  test('formats a Slack message', () => {
+    expect(formatPayload(event, 'slack')).toEqual({
+      text: '*📅 Merge scheduled*\n<https://github.com/owner/repo/pull/12|owner/repo#12> will merge at 2024-01-02 19:30 UTC (EST), scheduled by @alice.'
+    });
+  });
+
+  test('formats a Teams Adaptive Card', () => {
+    const cancelled = buildEvent('cancelled', 'owner', 'repo', 12, { actor: 'bob', reason: 'new commits were pushed (abc1234)' });
+    const { attachments } = formatPayload(cancelled, 'teams');
+
+    expect(attachments[0].contentType).toBe('application/vnd.microsoft.card.adaptive');
+    expect(attachments[0].content.body).toEqual([
+      { type: 'TextBlock', text: '🚫 Scheduled merge cancelled', weight: 'Bolder' },
+      {
+        type: 'TextBlock',
+        text: 'The scheduled merge of [owner/repo#12](https://github.com/owner/repo/pull/12) was cancelled by @bob because new commits were pushed (abc1234).',
+        wrap: true
+      }
+    ]);
+  });
+
+  test('describes merged and failed events', () => {
+    const text = type => formatPayload(buildEvent(type, 'owner', 'repo', 12, { reason: 'merge conflicts' }), 'slack').text;
+
+    expect(text('merged')).toContain('owner/repo#12> was merged as scheduled.');
+    expect(text('failed')).toContain('owner/repo#12> could not be merged: merge conflicts');
+  });
+});
+
+describe('createNotifier', () => {
+  let server;
+  let requests;
+  let statuses;
+  let baseUrl;
+
+  beforeAll(async () => {
+    server = http.createServer((request, response) => {
+      let body = '';
+      request.on('data', chunk => {
+        body += chunk;
+      });
+      request.on('end', () => {
+        requests.push({ url: request.url, headers: request.headers, body });
+        response.statusCode = statuses.shift() || 200;
+        response.end();
+      });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  afterAll(async () => {
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    requests = [];
+    statuses = [];
+  });
+
+  test('does nothing without webhook URLs', async () => {
+    await createNotifier().notify('merged', 'owner', 'repo', 12);
+
+    expect(requests).toEqual([]);
+  });
+
+  test('posts the event to every URL', async () => {
+    const notifier = createNotifier({ urls: [`${baseUrl}/a`, `${baseUrl}/b`] });
+
+    await notifier.notify('merged', 'owner', 'repo', 12, { mergeMethod: 'squash' });
+
+    expect(requests.map(({ url }) => url)).toEqual(['/a', '/b']);
+    expect(requests[0].headers['content-type']).toBe('application/json');
+    expect(requests[0].headers['x-merge-scheduler-event']).toBe('merged');
+    expect(requests[0].headers['x-merge-scheduler-signature-256']).toBeUndefined();
+    expect(JSON.parse(requests[0].body)).toMatchObject({
+      event: 'merged',
+      repository: 'owner/repo',
+      number: 12,
+      mergeMethod: 'squash'
+    });
+  });
+
+  test('signs the payload with the secret', async () => {
+    const notifier = createNotifier({ urls: [baseUrl], secret: 'shh' });
+
+    await notifier.notify('scheduled', 'owner', 'repo', 12, { scheduleTime: '2024-01-02T19:30:00.000Z' });
+
+    const [{ headers, body }] = requests;
+    const expected = crypto.createHmac('sha256', 'shh').update(body).digest('hex');
+    expect(headers['x-merge-scheduler-signature-256']).toBe(`sha256=${expected}`);
+  });
+
+  test('retries server errors', async () => {
+    statuses = [503, 500];
+    const notifier = createNotifier({ urls: [baseUrl], retries: 2, retryDelay: 1 });
+
+    await notifier.notify('merged', 'owner', 'repo', 12);
+
+    expect(requests).toHaveLength(3);
+    expect(core.warning).not.toHaveBeenCalled();
+  });
+
+  test('warns instead of throwing when delivery fails', async () => {
+    statuses = [500, 500];
+    const notifier = createNotifier({ urls: [baseUrl], retries: 1, retryDelay: 1 });
+
+    await expect(notifier.notify('failed', 'owner', 'repo', 12, { reason: 'conflicts' })).resolves.toBeUndefined();
+
+    expect(requests).toHaveLength(2);
+    expect(core.warning).toHaveBeenCalledWith(
+      `Unable to send the failed notification for PR #12 to ${new URL(baseUrl).host}: HTTP 500`
+    );
+  });
+
+  test('does not retry client errors', async () => {
+    statuses = [404];
+    const notifier = createNotifier({ urls: [baseUrl], retries: 2, retryDelay: 1 });
+
+    await notifier.notify('merged', 'owner', 'repo', 12);
+
+    expect(requests).toHaveLength(1);
+    expect(core.warning).toHaveBeenCalledWith(expect.stringContaining('HTTP 404'));
+  });
+
+  test('records the webhook instead of sending it in a dry run', async () => {
+    const dryRun = { record: jest.fn() };
+    const notifier = createNotifier({ urls: [`${baseUrl}/hook`] }, dryRun);
+
+    await notifier.notify('cancelled', 'owner', 'repo', 12);
+
+    expect(requests).toEqual([]);
+    expect(dryRun.record).toHaveBeenCalledWith({
+      endpoint: 'webhook',
+      target: new URL(baseUrl).host,
+      details: 'cancelled owner/repo#12'
+    });
+  });
+});
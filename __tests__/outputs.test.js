@@ -0,0 +1,72 @@
+const { setCommentOutputs, setSchedulerOutputs } = require('../src/outputs');
+const core = require('@actions/core');
+
+jest.mock('@actions/core');
+
+describe('setCommentOutputs', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  test('sets the schedule of a scheduled merge', () => {
+    setCommentOutputs({ action: 'scheduled', scheduleTime: '2024-01-02T19:30:00.000Z', timezone: 'EST' });
+
+    expect(core.setOutput).toHaveBeenCalledWith('action', 'scheduled');
+    expect(core.setOutput).toHaveBeenCalledWith('schedule-time', '2024-01-02T19:30:00.000Z');
+    expect(core.setOutput).toHaveBeenCalledWith('timezone', 'EST');
+    expect(core.setOutput).toHaveBeenCalledWith('error', '');
+  });
+
+  test('sets the error of a rejected command', () => {
+    setCommentOutputs({ action: 'rejected', error: 'Invalid command format' });
+
+    expect(core.setOutput).toHaveBeenCalledWith('action', 'rejected');
+    expect(core.setOutput).toHaveBeenCalledWith('schedule-time', '');
+    expect(core.setOutput).toHaveBeenCalledWith('error', 'Invalid command format');
+  });
+
+  test('sets empty outputs without a result', () => {
+    setCommentOutputs(undefined);
+
+    expect(core.setOutput).toHaveBeenCalledTimes(4);
+    expect(core.setOutput).toHaveBeenCalledWith('action', '');
+  });
+});
+
+describe('setSchedulerOutputs', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  test('groups the results by outcome', () => {
+    const result = (number, outcome, reason) => ({ owner: 'owner', repo: 'repo', number, outcome, reason });
+
+    setSchedulerOutputs([
+      result(1, 'merged'),
+      result(2, 'failed', 'merge conflicts'),
+      result(3, 'error', 'Server Error'),
+      result(4, 'held', 'merge window closed'),
+      result(5, 'queued', 'behind #4'),
+      result(6, 'scheduled', 'due at 2024-01-02 14:30 UTC')
+    ]);
+
+    expect(core.setOutput).toHaveBeenCalledWith('merged',
+      JSON.stringify([{ repository: 'owner/repo', number: 1, reason: '' }]));
+    expect(core.setOutput).toHaveBeenCalledWith('failed', JSON.stringify([
+      { repository: 'owner/repo', number: 2, reason: 'merge conflicts' },
+      { repository: 'owner/repo', number: 3, reason: 'Server Error' }
+    ]));
+    expect(core.setOutput).toHaveBeenCalledWith('deferred', JSON.stringify([
+      { repository: 'owner/repo', number: 4, reason: 'merge window closed' },
+      { repository: 'owner/repo', number: 5, reason: 'behind #4' }
+    ]));
+  });
+
+  test('sets empty arrays when nothing was due', () => {
+    setSchedulerOutputs([]);
+
+    expect(core.setOutput).toHaveBeenCalledWith('merged', '[]');
+    expect(core.setOutput).toHaveBeenCalledWith('failed', '[]');
+    expect(core.setOutput).toHaveBeenCalledWith('deferred', '[]');
+  });
+});
@@ -0,0 +1,115 @@
+const { buildScheduleRows, formatScheduleTable, writeScheduleSummary } = require('../src/schedule-report');
+const { getLatestScheduleComment } = require('../src/utils');
+const core = require('@actions/core');
+
+jest.mock('@actions/core');
+jest.mock('../src/utils');
+
+describe('buildScheduleRows', () => {
+  let mockOctokit;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockOctokit = {
+      rest: {
+        pulls: {
+          get: jest.fn().mockResolvedValue({
+            data: { title: 'Add widgets', mergeable_state: 'clean' }
+          })
+        }
+      }
+    };
+    getLatestScheduleComment.mockResolvedValue({ user: { login: 'alice' } });
+  });
+
+  test('describes each scheduled PR in schedule order', async () => {
+    const rows = await buildScheduleRows(mockOctokit, [
+      { owner: 'owner', repo: 'repo', number: 2, scheduleTime: '2024-01-03T15:00:00Z', timezone: 'America/New_York' },
+      { owner: 'owner', repo: 'repo', number: 1, scheduleTime: '2024-01-02T09:30:00Z' }
+    ]);
+
+    expect(rows).toEqual([
+      {
+        pr: 'owner/repo#1',
+        title: 'Add widgets',
+        utcTime: '2024-01-02 09:30 UTC',
+        localTime: '2024-01-02 09:30 UTC',
+        scheduledBy: '@alice',
+        mergeability: '✅ Mergeable'
+      },
+      {
+        pr: 'owner/repo#2',
+        title: 'Add widgets',
+        utcTime: '2024-01-03 15:00 UTC',
+        localTime: '2024-01-03 10:00 America/New_York',
+        scheduledBy: '@alice',
+        mergeability: '✅ Mergeable'
+      }
+    ]);
+    expect(getLatestScheduleComment).toHaveBeenCalledWith(mockOctokit, 'owner', 'repo', 1);
+  });
+
+  test('prefers the requester stored with the schedule', async () => {
+    const [row] = await buildScheduleRows(mockOctokit, [
+      { owner: 'owner', repo: 'repo', number: 1, scheduleTime: '2024-01-02T09:30:00Z', scheduledBy: 'bob' }
+    ]);
+
+    expect(row.scheduledBy).toBe('@bob');
+    expect(getLatestScheduleComment).not.toHaveBeenCalled();
+  });
+
+  test('keeps the row when the PR details cannot be loaded', async () => {
+    mockOctokit.rest.pulls.get.mockRejectedValue(new Error('Not Found'));
+
+    const [row] = await buildScheduleRows(mockOctokit, [
+      { owner: 'owner', repo: 'repo', number: 1, scheduleTime: '2024-01-02T09:30:00Z' }
+    ]);
+
+    expect(row).toMatchObject({ pr: 'owner/repo#1', title: '—', scheduledBy: '—', mergeability: 'Unavailable' });
+  });
+});
+
+describe('formatScheduleTable', () => {
+  test('renders a markdown table', () => {
+    const table = formatScheduleTable([{
+      pr: 'owner/repo#1',
+      title: 'Fix a | b',
+      utcTime: '2024-01-02 09:30 UTC',
+      localTime: '2024-01-02 09:30 UTC',
+      scheduledBy: '@alice',
+      mergeability: '⚠️ Behind base'
+    }]);
+
+    expect(table).toBe([
+      '| PR | Title | Scheduled (UTC) | Requester time | Scheduled by | Mergeability |',
+      '| --- | --- | --- | --- | --- | --- |',
+      '| owner/repo#1 | Fix a \\| b | 2024-01-02 09:30 UTC | 2024-01-02 09:30 UTC | @alice | ⚠️ Behind base |'
+    ].join('\n'));
+  });
+
+  test('says when nothing is scheduled', () => {
+    expect(formatScheduleTable([])).toBe('No merges are scheduled.');
+  });
+});
+
+describe('writeScheduleSummary', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  test('writes the table to the job summary', async () => {
+    await writeScheduleSummary({}, []);
+
+    expect(core.summary.addHeading).toHaveBeenCalledWith('Scheduled merges', 2);
+    expect(core.summary.addRaw).toHaveBeenCalledWith('No merges are scheduled.', true);
+    expect(core.summary.write).toHaveBeenCalled();
+  });
+
+  test('only warns when the summary cannot be written', async () => {
+    core.summary.write.mockRejectedValueOnce(new Error('No summary file'));
+
+    await writeScheduleSummary({}, []);
+
+    expect(core.warning).toHaveBeenCalledWith('Unable to write the job summary: No summary file');
+  });
+});
@@ -0,0 +1,115 @@
+const { isStackCommand, findStack, retargetStackedPR } = require('../src/stack');
+const { createComment } = require('../src/utils');
+
+jest.mock('@actions/core');
+jest.mock('../src/utils');
+
+describe('isStackCommand', () => {
+  test('detects the --stack flag', () => {
+    expect(isStackCommand('@merge-at 2024-01-02 14:30 --stack')).toBe(true);
+    expect(isStackCommand('@merge-at 2024-01-02 14:30')).toBe(false);
+  });
+});
+
+describe('findStack', () => {
+  let mockOctokit;
+  const branches = {
+    'feature-b': [{ number: 2, base: { ref: 'feature-a' }, head: { ref: 'feature-b' } }],
+    'feature-a': [{ number: 1, base: { ref: 'main' }, head: { ref: 'feature-a' } }]
+  };
+
+  beforeEach(() => {
+    mockOctokit = {
+      rest: {
+        pulls: {
+          list: jest.fn().mockImplementation(({ head }) => Promise.resolve({
+            data: branches[head.split(':')[1]] || []
+          }))
+        }
+      }
+    };
+  });
+
+  test('walks down to the PR based on the stack base', async () => {
+    const top = { number: 3, base: { ref: 'feature-b' } };
+
+    const { base, below } = await findStack(mockOctokit, 'owner', 'repo', top);
+
+    expect(base).toBe('main');
+    expect(below.map(({ number }) => number)).toEqual([1, 2]);
+    expect(mockOctokit.rest.pulls.list).toHaveBeenCalledWith({
+      owner: 'owner',
+      repo: 'repo',
+      state: 'open',
+      head: 'owner:feature-b'
+    });
+  });
+
+  test('returns an empty stack for a PR based on the main branch', async () => {
+    const { base, below } = await findStack(mockOctokit, 'owner', 'repo', { number: 1, base: { ref: 'main' } });
+
+    expect(base).toBe('main');
+    expect(below).toEqual([]);
+  });
+
+  test('stops at PRs already in the stack', async () => {
+    mockOctokit.rest.pulls.list.mockResolvedValue({
+      data: [{ number: 3, base: { ref: 'feature-b' } }]
+    });
+
+    const { below } = await findStack(mockOctokit, 'owner', 'repo', { number: 3, base: { ref: 'feature-b' } });
+
+    expect(below).toEqual([]);
+  });
+
+  test('rejects stacks that are too deep', async () => {
+    let next = 100;
+    mockOctokit.rest.pulls.list.mockImplementation(() => Promise.resolve({
+      data: [{ number: next++, base: { ref: `branch-${next}` } }]
+    }));
+
+    await expect(findStack(mockOctokit, 'owner', 'repo', { number: 1, base: { ref: 'branch-0' } }))
+      .rejects.toThrow('Stacks deeper than 20 PRs are not supported');
+  });
+});
+
+describe('retargetStackedPR', () => {
+  let mockOctokit;
+  let store;
+  const pr = { owner: 'owner', repo: 'repo', number: 2, stackBase: 'main' };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockOctokit = {
+      rest: {
+        pulls: {
+          get: jest.fn().mockResolvedValue({ data: { base: { ref: 'feature-a' } } }),
+          update: jest.fn().mockResolvedValue({})
+        }
+      }
+    };
+    store = { update: jest.fn() };
+  });
+
+  test('moves the PR onto the stack base and waits for checks', async () => {
+    await expect(retargetStackedPR(mockOctokit, store, pr))
+      .resolves.toBe('retargeted to main, waiting for checks');
+
+    expect(mockOctokit.rest.pulls.update).toHaveBeenCalledWith({
+      owner: 'owner',
+      repo: 'repo',
+      pull_number: 2,
+      base: 'main'
+    });
+    expect(store.update).toHaveBeenCalledWith(pr, { retargeted: true });
+    expect(createComment).toHaveBeenCalledWith(mockOctokit, 'owner', 'repo', 2,
+      expect.stringContaining('🔀 The PR below this one in the stack has merged'));
+  });
+
+  test('leaves PRs already on the stack base alone', async () => {
+    mockOctokit.rest.pulls.get.mockResolvedValue({ data: { base: { ref: 'main' } } });
+
+    await expect(retargetStackedPR(mockOctokit, store, pr)).resolves.toBeNull();
+    expect(mockOctokit.rest.pulls.update).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,312 @@
+const { createScheduleStore } = require('../src/storage');
+
+jest.mock('@actions/core');
+
+const BOT = { login: 'github-actions[bot]', type: 'Bot' };
+
+function encodeState(document) {
+  return Buffer.from(JSON.stringify(document)).toString('base64');
+}
+
+function writtenState(call) {
+  return JSON.parse(Buffer.from(call[0].content, 'base64').toString('utf8'));
+}
+
+describe('createScheduleStore', () => {
+  let mockOctokit;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockOctokit = {
+      rest: {
+        issues: {
+          addLabels: jest.fn(),
+          removeLabel: jest.fn(),
+          createComment: jest.fn(),
+          listComments: jest.fn().mockResolvedValue({ data: [] }),
+          getComment: jest.fn(),
+          updateComment: jest.fn(),
+          deleteComment: jest.fn()
+        },
+        search: {
+          issuesAndPullRequests: jest.fn().mockResolvedValue({ data: { items: [], total_count: 0 } })
+        },
+        repos: {
+          getContent: jest.fn(),
+          createOrUpdateFileContents: jest.fn()
+        },
+        git: {
+          getRef: jest.fn(),
+          createTree: jest.fn().mockResolvedValue({ data: { sha: 'tree-sha' } }),
+          createCommit: jest.fn().mockResolvedValue({ data: { sha: 'commit-sha' } }),
+          createRef: jest.fn()
+        },
+        actions: {
+          getRepoVariable: jest.fn(),
+          createRepoVariable: jest.fn(),
+          updateRepoVariable: jest.fn()
+        }
+      }
+    };
+  });
+
+  test('rejects unknown backends', () => {
+    expect(() => createScheduleStore(mockOctokit, { backend: 'cache' }))
+      .toThrow('Unknown storage backend: cache');
+  });
+
+  test('requires a repository for document backends', () => {
+    expect(() => createScheduleStore(mockOctokit, { backend: 'branch' }))
+      .toThrow('The branch storage backend needs a storage repository');
+  });
+
+  describe('comment backend', () => {
+    test('reads schedules from the PR comments', async () => {
+      mockOctokit.rest.issues.listComments.mockResolvedValue({
+        data: [{ id: 7, body: '<!-- MERGE_SCHEDULE_INFO {"version":1,"scheduleDate":"2024-01-01T12:00:00.000Z"} -->', user: BOT }]
+      });
+      const store = createScheduleStore(mockOctokit);
+
+      const schedule = await store.get('owner', 'repo', 123);
+
+      expect(schedule).toMatchObject({ owner: 'owner', repo: 'repo', number: 123, commentId: 7 });
+      expect(store.migrate).toBeUndefined();
+    });
+
+    test('updates the schedule comment', async () => {
+      mockOctokit.rest.issues.getComment.mockResolvedValue({
+        data: { body: '<!-- MERGE_SCHEDULE_INFO {"version":1} -->', user: BOT }
+      });
+      const store = createScheduleStore(mockOctokit);
+
+      await store.update({ owner: 'owner', repo: 'repo', number: 123, commentId: 7 }, { attempts: 1 });
+
+      expect(mockOctokit.rest.issues.updateComment).toHaveBeenCalledWith({
+        owner: 'owner',
+        repo: 'repo',
+        comment_id: 7,
+        body: '<!-- MERGE_SCHEDULE_INFO {"version":1,"attempts":1} -->'
+      });
+    });
+  });
+
+  describe('branch backend', () => {
+    let store;
+
+    beforeEach(() => {
+      store = createScheduleStore(mockOctokit, { backend: 'branch', repository: 'owner/state' });
+    });
+
+    test('creates the state branch on the first save', async () => {
+      mockOctokit.rest.repos.getContent.mockRejectedValue({ status: 404 });
+      mockOctokit.rest.git.getRef.mockRejectedValue({ status: 404 });
+
+      await store.save('owner', 'repo', 123, new Date('2024-01-02T14:30:00Z'),
+        '2024-01-02 02:30 PM', '2024-01-02 14:30', 'UTC', { mergeMethod: 'merge' });
+
+      const { tree } = mockOctokit.rest.git.createTree.mock.calls[0][0];
+      expect(JSON.parse(tree[0].content)).toEqual({
+        version: 1,
+        schedules: {
+          'owner/repo#123': {
+            type: 'merge-schedule-info',
+            version: 1,
+            scheduleDate: '2024-01-02T14:30:00.000Z',
+            timezone: 'UTC',
+            mergeMethod: 'merge'
+          }
+        }
+      });
+      expect(mockOctokit.rest.git.createCommit).toHaveBeenCalledWith(expect.objectContaining({ parents: [] }));
+      expect(mockOctokit.rest.git.createRef).toHaveBeenCalledWith({
+        owner: 'owner',
+        repo: 'state',
+        ref: 'refs/heads/merge-scheduler-state',
+        sha: 'commit-sha'
+      });
+      expect(mockOctokit.rest.issues.addLabels).toHaveBeenCalledWith(expect.objectContaining({ issue_number: 123 }));
+
+      const { body } = mockOctokit.rest.issues.createComment.mock.calls[0][0];
+      expect(body).toContain('📅 PR merge scheduled for:');
+      expect(body).not.toContain('MERGE_SCHEDULE_INFO');
+    });
+
+    test('lists schedules in scope and upgrades old records', async () => {
+      mockOctokit.rest.repos.getContent.mockResolvedValue({
+        data: {
+          sha: 'file-sha',
+          content: encodeState({
+            version: 1,
+            schedules: {
+              'owner/repo#123': { scheduleDate: '2024-01-02T14:30:00.000Z' },
+              'other/repo#5': { version: 1, scheduleDate: '2024-01-03T14:30:00.000Z', mergeMethod: 'rebase' }
+            }
+          })
+        }
+      });
+
+      const scheduledPRs = await store.list(['repo:owner/repo']);
+
+      expect(scheduledPRs).toEqual([{
+        owner: 'owner',
+        repo: 'repo',
+        number: 123,
+        scheduleTime: new Date('2024-01-02T14:30:00.000Z')
+      }]);
+      expect(mockOctokit.rest.repos.getContent).toHaveBeenCalledWith({
+        owner: 'owner',
+        repo: 'state',
+        path: 'schedules.json',
+        ref: 'merge-scheduler-state'
+      });
+    });
+
+    test('retries an update that raced another run', async () => {
+      const state = {
+        version: 1,
+        schedules: { 'owner/repo#123': { version: 1, scheduleDate: '2024-01-02T14:30:00.000Z' } }
+      };
+      mockOctokit.rest.repos.getContent.mockResolvedValue({
+        data: { sha: 'file-sha', content: encodeState(state) }
+      });
+      mockOctokit.rest.repos.createOrUpdateFileContents
+        .mockRejectedValueOnce({ status: 409 })
+        .mockResolvedValueOnce({});
+
+      await store.update({ owner: 'owner', repo: 'repo', number: 123 }, { attempts: 2 });
+
+      expect(mockOctokit.rest.repos.createOrUpdateFileContents).toHaveBeenCalledTimes(2);
+      const [call] = mockOctokit.rest.repos.createOrUpdateFileContents.mock.calls;
+      expect(call[0]).toMatchObject({ branch: 'merge-scheduler-state', sha: 'file-sha' });
+      expect(writtenState(call).schedules['owner/repo#123'].attempts).toBe(2);
+    });
+
+    test('removes the schedule and its label', async () => {
+      mockOctokit.rest.repos.getContent.mockResolvedValue({
+        data: {
+          sha: 'file-sha',
+          content: encodeState({ version: 1, schedules: { 'owner/repo#123': { version: 1 } } })
+        }
+      });
+
+      await store.remove('owner', 'repo', 123);
+
+      const [call] = mockOctokit.rest.repos.createOrUpdateFileContents.mock.calls;
+      expect(writtenState(call).schedules).toEqual({});
+      expect(mockOctokit.rest.issues.removeLabel).toHaveBeenCalledWith(expect.objectContaining({ issue_number: 123 }));
+    });
+
+    test('rejects state written by a newer version', async () => {
+      mockOctokit.rest.repos.getContent.mockResolvedValue({
+        data: { sha: 'file-sha', content: encodeState({ version: 99, schedules: {} }) }
+      });
+
+      await expect(store.list()).rejects.toThrow('Stored schedules use version 99');
+    });
+
+    test('migrates comment-based schedules once', async () => {
+      mockOctokit.rest.repos.getContent.mockResolvedValue({
+        data: { sha: 'file-sha', content: encodeState({ version: 1, schedules: {} }) }
+      });
+      mockOctokit.rest.search.issuesAndPullRequests.mockResolvedValue({
+        data: {
+          total_count: 1,
+          items: [{ number: 123, repository_url: 'https://api.github.com/repos/owner/repo' }]
+        }
+      });
+      const body = '<!-- MERGE_SCHEDULE_INFO {"type":"merge-schedule-info","scheduleDate":"2024-01-02T14:30:00.000Z"} -->\n\n📅 PR merge scheduled';
+      mockOctokit.rest.issues.listComments.mockResolvedValue({ data: [{ id: 7, body, user: BOT }] });
+      mockOctokit.rest.issues.getComment.mockResolvedValue({ data: { body, user: BOT } });
+
+      const migrated = await store.migrate(['repo:owner/repo']);
+
+      expect(migrated).toEqual([{ owner: 'owner', repo: 'repo', number: 123, commentId: 7 }]);
+      const state = writtenState(mockOctokit.rest.repos.createOrUpdateFileContents.mock.calls[0]);
+      expect(state.migrated).toBe(true);
+      expect(state.schedules['owner/repo#123']).toEqual({
+        type: 'merge-schedule-info',
+        version: 1,
+        scheduleDate: '2024-01-02T14:30:00.000Z'
+      });
+      expect(mockOctokit.rest.issues.updateComment).toHaveBeenCalledWith({
+        owner: 'owner',
+        repo: 'repo',
+        comment_id: 7,
+        body: '📅 PR merge scheduled'
+      });
+    });
+
+    test('does not import or edit schedule blocks posted by other users', async () => {
+      mockOctokit.rest.repos.getContent.mockResolvedValue({
+        data: { sha: 'file-sha', content: encodeState({ version: 1, schedules: {} }) }
+      });
+      mockOctokit.rest.search.issuesAndPullRequests.mockResolvedValue({
+        data: {
+          total_count: 1,
+          items: [{ number: 123, repository_url: 'https://api.github.com/repos/owner/repo' }]
+        }
+      });
+      mockOctokit.rest.issues.listComments.mockResolvedValue({
+        data: [{
+          id: 8,
+          body: '<!-- MERGE_SCHEDULE_INFO {"type":"merge-schedule-info","scheduleDate":"2020-01-01T00:00:00.000Z"} -->',
+          user: { login: 'mallory', type: 'User' }
+        }]
+      });
+
+      expect(await store.migrate(['repo:owner/repo'])).toEqual([]);
+      const state = writtenState(mockOctokit.rest.repos.createOrUpdateFileContents.mock.calls[0]);
+      expect(state.schedules).toEqual({});
+      expect(mockOctokit.rest.issues.updateComment).not.toHaveBeenCalled();
+    });
+
+    test('skips migration once it has run', async () => {
+      mockOctokit.rest.repos.getContent.mockResolvedValue({
+        data: { sha: 'file-sha', content: encodeState({ version: 1, migrated: true, schedules: {} }) }
+      });
+
+      expect(await store.migrate()).toEqual([]);
+      expect(mockOctokit.rest.search.issuesAndPullRequests).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('variable backend', () => {
+    let store;
+
+    beforeEach(() => {
+      store = createScheduleStore(mockOctokit, { backend: 'variable', repository: 'owner/state' });
+    });
+
+    test('creates the variable on the first save', async () => {
+      mockOctokit.rest.actions.getRepoVariable.mockRejectedValue({ status: 404 });
+
+      await store.save('owner', 'repo', 123, new Date('2024-01-02T14:30:00Z'),
+        '2024-01-02 02:30 PM', '2024-01-02 14:30', 'UTC');
+
+      const { name, value } = mockOctokit.rest.actions.createRepoVariable.mock.calls[0][0];
+      expect(name).toBe('MERGE_SCHEDULER_STATE');
+      expect(JSON.parse(value).schedules['owner/repo#123']).toMatchObject({ scheduleDate: '2024-01-02T14:30:00.000Z' });
+    });
+
+    test('updates an existing variable', async () => {
+      mockOctokit.rest.actions.getRepoVariable.mockResolvedValue({
+        data: {
+          value: JSON.stringify({ version: 1, schedules: { 'owner/repo#123': { version: 1 } } }),
+          updated_at: '2024-01-01T00:00:00Z'
+        }
+      });
+
+      await store.update({ owner: 'owner', repo: 'repo', number: 123 }, { heldUntil: 'none' });
+
+      const { value } = mockOctokit.rest.actions.updateRepoVariable.mock.calls[0][0];
+      expect(JSON.parse(value).schedules['owner/repo#123']).toEqual({ version: 1, heldUntil: 'none' });
+    });
+
+    test('fails to update a missing schedule', async () => {
+      mockOctokit.rest.actions.getRepoVariable.mockRejectedValue({ status: 404 });
+
+      await expect(store.update({ owner: 'owner', repo: 'repo', number: 123 }, {}))
+        .rejects.toThrow('No schedule stored for owner/repo#123');
+    });
+  });
+});
@@ -0,0 +1,104 @@
+const { handleSynchronize } = require('../src/synchronize-handler');
+const { createComment, getScheduleInfo, updateScheduleInfo, removeScheduleInfo } = require('../src/utils');
+const { isBranchUpdate } = require('../src/branch-updater');
+const github = require('@actions/github');
+
+jest.mock('@actions/core');
+jest.mock('@actions/github');
+jest.mock('../src/utils');
+jest.mock('../src/branch-updater');
+
+describe('handleSynchronize', () => {
+  let mockOctokit;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockOctokit = {
+      rest: {
+        pulls: {
+          get: jest.fn().mockResolvedValue({
+            data: { head: { sha: 'def5678901' }, base: { ref: 'main' } }
+          })
+        }
+      }
+    };
+    github.getOctokit.mockReturnValue(mockOctokit);
+    getScheduleInfo.mockResolvedValue({ commentId: 42, headSha: 'abc1234567' });
+  });
+
+  test('does nothing when the PR has no schedule', async () => {
+    getScheduleInfo.mockResolvedValue(null);
+
+    await handleSynchronize('token', 'owner/repo', 123);
+
+    expect(mockOctokit.rest.pulls.get).not.toHaveBeenCalled();
+    expect(createComment).not.toHaveBeenCalled();
+  });
+
+  test('does nothing when the schedule already points at the head', async () => {
+    getScheduleInfo.mockResolvedValue({ commentId: 42, headSha: 'def5678901' });
+
+    await handleSynchronize('token', 'owner/repo', 123);
+
+    expect(removeScheduleInfo).not.toHaveBeenCalled();
+    expect(createComment).not.toHaveBeenCalled();
+  });
+
+  test('cancels the schedule by default', async () => {
+    await handleSynchronize('token', 'owner/repo', 123);
+
+    expect(removeScheduleInfo).toHaveBeenCalledWith(mockOctokit, 'owner', 'repo', 123);
+    expect(createComment).toHaveBeenCalledWith(
+      mockOctokit,
+      'owner',
+      'repo',
+      123,
+      '🚫 Scheduled merge has been cancelled because new commits were pushed (def5678). Post a new @merge-at command to reschedule.'
+    );
+  });
+
+  test('pauses the schedule until it is confirmed', async () => {
+    await handleSynchronize('token', 'owner/repo', 123, { policy: 'reconfirm' });
+
+    expect(removeScheduleInfo).not.toHaveBeenCalled();
+    expect(updateScheduleInfo).toHaveBeenCalledWith(mockOctokit, 'owner', 'repo', 42, { awaitingConfirmation: true });
+    expect(createComment).toHaveBeenCalledWith(
+      mockOctokit,
+      'owner',
+      'repo',
+      123,
+      expect.stringContaining('@merge-at confirm')
+    );
+  });
+
+  test('moves the schedule to the new head when keeping it', async () => {
+    await handleSynchronize('token', 'owner/repo', 123, { policy: 'keep' });
+
+    expect(updateScheduleInfo).toHaveBeenCalledWith(mockOctokit, 'owner', 'repo', 42, { headSha: 'def5678901' });
+    expect(createComment).toHaveBeenCalledWith(
+      mockOctokit,
+      'owner',
+      'repo',
+      123,
+      'ℹ️ New commits were pushed. The scheduled merge will now merge commit def5678.'
+    );
+  });
+
+  test('keeps the schedule when the scheduler updated the branch', async () => {
+    getScheduleInfo.mockResolvedValue({ commentId: 42, headSha: 'abc1234567', branchUpdatedFrom: 'abc1234567' });
+    isBranchUpdate.mockResolvedValue(true);
+
+    await handleSynchronize('token', 'owner/repo', 123);
+
+    expect(isBranchUpdate).toHaveBeenCalledWith(mockOctokit, 'owner', 'repo', 'def5678901', 'abc1234567', 'main');
+    expect(updateScheduleInfo).toHaveBeenCalledWith(mockOctokit, 'owner', 'repo', 42, { headSha: 'def5678901' });
+    expect(removeScheduleInfo).not.toHaveBeenCalled();
+    expect(createComment).not.toHaveBeenCalled();
+  });
+
+  test('rethrows API errors', async () => {
+    getScheduleInfo.mockRejectedValue(new Error('API Error'));
+
+    await expect(handleSynchronize('token', 'owner/repo', 123)).rejects.toThrow('API Error');
+  });
+});
@@ -0,0 +1,115 @@
+const {
+  parseScheduleExpression,
+  parseScheduleCommand,
+  isScheduleExpression,
+  parseTimeOfDay
+} = require('../src/time-parser');
+
+// Monday, 2024-01-01 12:00 UTC
+const now = new Date('2024-01-01T12:00:00Z');
+
+describe('parseScheduleExpression', () => {
+  test('parses absolute dates', () => {
+    expect(parseScheduleExpression('2024-01-02 02:30 PM', 'UTC', now).toISOString())
+      .toBe('2024-01-02T14:30:00.000Z');
+    expect(parseScheduleExpression('2024-01-02 14:30', 'America/New_York', now).toISOString())
+      .toBe('2024-01-02T19:30:00.000Z');
+  });
+
+  test('parses offsets', () => {
+    expect(parseScheduleExpression('+2h', 'UTC', now).toISOString()).toBe('2024-01-01T14:00:00.000Z');
+    expect(parseScheduleExpression('+1h30m', 'UTC', now).toISOString()).toBe('2024-01-01T13:30:00.000Z');
+    expect(parseScheduleExpression('+1d', 'UTC', now).toISOString()).toBe('2024-01-02T12:00:00.000Z');
+  });
+
+  test('parses "in" durations', () => {
+    expect(parseScheduleExpression('in 30 minutes', 'UTC', now).toISOString()).toBe('2024-01-01T12:30:00.000Z');
+    expect(parseScheduleExpression('in an hour', 'UTC', now).toISOString()).toBe('2024-01-01T13:00:00.000Z');
+    expect(parseScheduleExpression('in 1 day and 2 hours', 'UTC', now).toISOString()).toBe('2024-01-02T14:00:00.000Z');
+  });
+
+  test('parses today and tomorrow in the requested timezone', () => {
+    expect(parseScheduleExpression('tomorrow 9am', 'America/Chicago', now).toISOString())
+      .toBe('2024-01-02T15:00:00.000Z');
+    expect(parseScheduleExpression('today 17:00', 'UTC', now).toISOString())
+      .toBe('2024-01-01T17:00:00.000Z');
+  });
+
+  test('uses the calendar day of the requested timezone', () => {
+    // 2024-01-01 12:00 UTC is already 2024-01-02 in Auckland
+    expect(parseScheduleExpression('tomorrow 09:00', 'Pacific/Auckland', now).toISOString())
+      .toBe('2024-01-02T20:00:00.000Z');
+  });
+
+  test('parses weekdays', () => {
+    expect(parseScheduleExpression('friday 10:00', 'UTC', now).toISOString())
+      .toBe('2024-01-05T10:00:00.000Z');
+    expect(parseScheduleExpression('next monday 08:00', 'Europe/Berlin', now).toISOString())
+      .toBe('2024-01-08T07:00:00.000Z');
+  });
+
+  test('treats a plain weekday as today when the time has not passed', () => {
+    expect(parseScheduleExpression('monday 18:00', 'UTC', now).toISOString())
+      .toBe('2024-01-01T18:00:00.000Z');
+    expect(parseScheduleExpression('monday 08:00', 'UTC', now).toISOString())
+      .toBe('2024-01-08T08:00:00.000Z');
+  });
+
+  test('rejects invalid times in relative expressions', () => {
+    expect(() => parseScheduleExpression('tomorrow 25:00', 'UTC', now)).toThrow('Invalid time format');
+    expect(() => parseScheduleExpression('tomorrow 9', 'UTC', now)).toThrow('Invalid time format');
+  });
+
+  test('rejects invalid timezones in relative expressions', () => {
+    expect(() => parseScheduleExpression('tomorrow 9am', 'Foo/Bar', now)).toThrow('Invalid timezone: Foo/Bar');
+  });
+
+  test('rejects incomplete absolute dates', () => {
+    expect(() => parseScheduleExpression('2024-01-02', 'UTC', now)).toThrow('Date and time must be provided');
+  });
+});
+
+describe('parseScheduleCommand', () => {
+  test('splits a trailing timezone', () => {
+    expect(parseScheduleCommand('2024-01-02 14:30 America/New_York'))
+      .toEqual({ expression: '2024-01-02 14:30', timezone: 'America/New_York' });
+    expect(parseScheduleCommand('tomorrow 9am America/Chicago'))
+      .toEqual({ expression: 'tomorrow 9am', timezone: 'America/Chicago' });
+    expect(parseScheduleCommand('next monday 08:00 Europe/Berlin'))
+      .toEqual({ expression: 'next monday 08:00', timezone: 'Europe/Berlin' });
+  });
+
+  test('keeps expressions without a timezone intact', () => {
+    expect(parseScheduleCommand('2024-01-02 02:30 PM'))
+      .toEqual({ expression: '2024-01-02 02:30 PM', timezone: undefined });
+    expect(parseScheduleCommand('in 30 minutes'))
+      .toEqual({ expression: 'in 30 minutes', timezone: undefined });
+    expect(parseScheduleCommand('+2h'))
+      .toEqual({ expression: '+2h', timezone: undefined });
+    expect(parseScheduleCommand('+2h 30m'))
+      .toEqual({ expression: '+2h 30m', timezone: undefined });
+  });
+
+  test('returns null for unrecognized commands', () => {
+    expect(parseScheduleCommand('invalid-format')).toBeNull();
+    expect(parseScheduleCommand('in 2 months')).toBeNull();
+    expect(parseScheduleCommand('   ')).toBeNull();
+  });
+});
+
+describe('isScheduleExpression', () => {
+  test('recognizes supported expressions', () => {
+    expect(isScheduleExpression('+2h')).toBe(true);
+    expect(isScheduleExpression('tomorrow 9am')).toBe(true);
+    expect(isScheduleExpression('yesterday 9am')).toBe(false);
+  });
+});
+
+describe('parseTimeOfDay', () => {
+  test('normalizes 12-hour and 24-hour times', () => {
+    expect(parseTimeOfDay('9am')).toBe('09:00');
+    expect(parseTimeOfDay('12:15 AM')).toBe('00:15');
+    expect(parseTimeOfDay('12pm')).toBe('12:00');
+    expect(parseTimeOfDay('7:05')).toBe('07:05');
+  });
+});
@@ -0,0 +1,91 @@
+const {
+  isValidTimezone,
+  suggestTimezone,
+  validateTimezone,
+  getUserTimezones,
+  resolveTimezone
+} = require('../src/timezones');
+
+describe('isValidTimezone', () => {
+  test('accepts IANA names and their links', () => {
+    expect(isValidTimezone('America/Los_Angeles')).toBe(true);
+    expect(isValidTimezone('UTC')).toBe(true);
+    expect(isValidTimezone('EST')).toBe(true);
+    expect(isValidTimezone('US/Pacific')).toBe(true);
+  });
+
+  test('rejects unknown names', () => {
+    expect(isValidTimezone('Foo/Bar')).toBe(false);
+    expect(isValidTimezone('Los Angeles')).toBe(false);
+  });
+});
+
+describe('suggestTimezone', () => {
+  test('suggests the closest name for a typo', () => {
+    expect(suggestTimezone('America/Los_Angles')).toBe('America/Los_Angeles');
+    expect(suggestTimezone('Europe/Berln')).toBe('Europe/Berlin');
+    expect(suggestTimezone('Amercia/New_York')).toBe('America/New_York');
+  });
+
+  test('suggests the zone of a city given on its own', () => {
+    expect(suggestTimezone('Los Angeles')).toBe('America/Los_Angeles');
+    expect(suggestTimezone('tokyo')).toBe('Asia/Tokyo');
+  });
+
+  test('suggests nothing for names that match no zone', () => {
+    expect(suggestTimezone('Foo/Bar')).toBeNull();
+  });
+});
+
+describe('validateTimezone', () => {
+  test('returns valid timezones unchanged', () => {
+    expect(validateTimezone('Europe/London')).toBe('Europe/London');
+  });
+
+  test('explains invalid timezones', () => {
+    expect(() => validateTimezone('Europe/Londn')).toThrow('Unknown timezone "Europe/Londn". Did you mean Europe/London?');
+    expect(() => validateTimezone('Foo/Bar', 'in default-timezone'))
+      .toThrow('Unknown timezone "Foo/Bar" in default-timezone. Use an IANA timezone name such as America/Los_Angeles');
+  });
+});
+
+describe('getUserTimezones', () => {
+  test('maps logins case-insensitively', () => {
+    const users = getUserTimezones({ timezones: { Octocat: 'America/Los_Angeles', '@hubot': 'Europe/Berlin' } });
+
+    expect(users.get('octocat')).toBe('America/Los_Angeles');
+    expect(users.get('hubot')).toBe('Europe/Berlin');
+  });
+
+  test('rejects invalid entries', () => {
+    expect(() => getUserTimezones({ timezones: ['America/Los_Angeles'] }))
+      .toThrow('timezones must be a mapping of GitHub logins to timezones');
+  });
+
+  test('keeps a bad entry from affecting other users', () => {
+    const users = getUserTimezones({ timezones: { octocat: 'America/Los_Angels', hubot: 'Europe/Berlin' } });
+
+    expect(users.get('hubot')).toBe('Europe/Berlin');
+    expect(() => resolveTimezone(undefined, 'octocat', users))
+      .toThrow('Unknown timezone "America/Los_Angels" for @octocat in timezones. Did you mean America/Los_Angeles?');
+    expect(resolveTimezone('Asia/Tokyo', 'octocat', users)).toBe('Asia/Tokyo');
+  });
+});
+
+describe('resolveTimezone', () => {
+  const users = getUserTimezones({ timezones: { octocat: 'America/Los_Angeles' } });
+
+  test('prefers the timezone from the command', () => {
+    expect(resolveTimezone('Asia/Tokyo', 'octocat', users, 'Europe/Berlin')).toBe('Asia/Tokyo');
+  });
+
+  test('falls back to the user and then the repository default', () => {
+    expect(resolveTimezone(undefined, 'OctoCat', users, 'Europe/Berlin')).toBe('America/Los_Angeles');
+    expect(resolveTimezone(undefined, 'hubot', users, 'Europe/Berlin')).toBe('Europe/Berlin');
+    expect(resolveTimezone(undefined, 'hubot', users)).toBe('UTC');
+  });
+
+  test('validates the timezone from the command', () => {
+    expect(() => resolveTimezone('Foo/Bar', 'octocat', users)).toThrow('Unknown timezone "Foo/Bar"');
+  });
+});
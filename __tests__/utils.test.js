@@ -1,8 +1,21 @@
-const { createComment, getLatestScheduleComment, storeScheduleInfo, removeScheduleInfo, getScheduledPRs } = require('../src/utils');
+const {
+  createComment,
+  getLatestScheduleComment,
+  storeScheduleInfo,
+  getScheduleInfo,
+  migrateScheduleInfo,
+  removeScheduleInfo,
+  updateScheduleInfo,
+  getScheduledPRs,
+  parseRepositoryScopes,
+  buildSearchQueries
+} = require('../src/utils');
 const core = require('@actions/core');
 
 jest.mock('@actions/core');
 
+const BOT = { login: 'github-actions[bot]', type: 'Bot' };
+
 describe('Utils', () => {
   let mockOctokit;
   beforeEach(() => {
@@ -12,6 +25,8 @@ describe('Utils', () => {
       rest: {
         issues: {
           createComment: jest.fn(),
+          getComment: jest.fn(),
+          updateComment: jest.fn(),
           listComments: jest.fn(),
           addLabels: jest.fn(),
           removeLabel: jest.fn(),
@@ -60,6 +75,20 @@ describe('Utils', () => {
       expect(result.body).toBe('@merge-at 2024-01-01 12:00');
     });
 
+    test('skips cancel commands and replies that quote a command', async () => {
+      mockOctokit.rest.issues.listComments.mockResolvedValue({
+        data: [
+          { body: '@merge-at 2024-01-01 12:00', user: { login: 'alice', type: 'User' } },
+          { body: '<!-- MERGE_SCHEDULE_INFO {} -->\n\n@merge-at cancel', user: { login: 'github-actions[bot]', type: 'Bot' } },
+          { body: '❌ Invalid command format. Please use: @merge-at YYYY-MM-DD HH:mm', user: { login: 'github-actions[bot]', type: 'Bot' } },
+          { body: '@merge-at cancel', user: { login: 'bob', type: 'User' } }
+        ]
+      });
+
+      const result = await getLatestScheduleComment(mockOctokit, 'owner', 'repo', 123);
+      expect(result.user.login).toBe('alice');
+    });
+
     test('returns undefined when no schedule comments exist', async () => {
       mockOctokit.rest.issues.listComments.mockResolvedValue({
         data: [{ body: 'regular comment' }]
@@ -99,6 +128,76 @@ describe('Utils', () => {
       });
     });
 
+    test('stores the merge method in the schedule info', async () => {
+      const scheduleDate = new Date('2024-01-01T12:00:00Z');
+
+      await storeScheduleInfo(mockOctokit, 'owner', 'repo', 123, scheduleDate,
+        '2024-01-01 12:00 PM', '2024-01-01 12:00', 'UTC', { mergeMethod: 'rebase' });
+
+      const { body } = mockOctokit.rest.issues.createComment.mock.calls[0][0];
+      expect(body).toContain('"mergeMethod":"rebase"');
+      expect(body).toContain('Merge method: rebase');
+    });
+
+    test('stores the commit details and shows a preview', async () => {
+      const scheduleDate = new Date('2024-01-01T12:00:00Z');
+
+      await storeScheduleInfo(mockOctokit, 'owner', 'repo', 123, scheduleDate,
+        '2024-01-01 12:00 PM', '2024-01-01 12:00', 'UTC', {
+          commitTitle: 'feat: Add widgets (#123)',
+          commitMessage: 'Closes --> #1'
+        });
+
+      const { body } = mockOctokit.rest.issues.createComment.mock.calls[0][0];
+      const match = body.match(/MERGE_SCHEDULE_INFO (.+) -->/);
+      expect(JSON.parse(match[1])).toMatchObject({
+        commitTitle: 'feat: Add widgets (#123)',
+        commitMessage: 'Closes --> #1'
+      });
+      expect(body).toContain('Commit preview:\n```\nfeat: Add widgets (#123)\n\nCloses --> #1\n```');
+    });
+
+    test('stores the head commit the schedule applies to', async () => {
+      const scheduleDate = new Date('2024-01-01T12:00:00Z');
+
+      await storeScheduleInfo(mockOctokit, 'owner', 'repo', 123, scheduleDate,
+        '2024-01-01 12:00 PM', '2024-01-01 12:00', 'UTC', { headSha: 'abc1234567' });
+
+      const { body } = mockOctokit.rest.issues.createComment.mock.calls[0][0];
+      expect(body).toContain('"headSha":"abc1234567"');
+      expect(body).toContain('Commit: abc1234');
+    });
+
+    test('records who scheduled the merge', async () => {
+      await storeScheduleInfo(mockOctokit, 'owner', 'repo', 123, new Date('2024-01-01T12:00:00Z'),
+        '2024-01-01 12:00 PM', '2024-01-01 12:00', 'UTC', { scheduledBy: 'alice' });
+
+      const { body } = mockOctokit.rest.issues.createComment.mock.calls[0][0];
+      expect(body).toContain('"scheduledBy":"alice"');
+      expect(body).toContain('Scheduled by: @alice\nMerge method: squash');
+    });
+
+    test('shows the queue priority', async () => {
+      await storeScheduleInfo(mockOctokit, 'owner', 'repo', 123, new Date('2024-01-01T12:00:00Z'),
+        '2024-01-01 12:00 PM', '2024-01-01 12:00', 'UTC', { priority: 0 });
+
+      const { body } = mockOctokit.rest.issues.createComment.mock.calls[0][0];
+      expect(body).toContain('"priority":0');
+      expect(body).toContain('Merge method: squash\nPriority: 0');
+    });
+
+    test('confirms other scheduled actions without merge details', async () => {
+      await storeScheduleInfo(mockOctokit, 'owner', 'repo', 123, new Date('2024-01-01T12:00:00Z'),
+        '2024-01-01 12:00 PM', '2024-01-01 12:00', 'UTC', { action: 'label', label: 'stale', scheduledBy: 'alice' });
+
+      const { body } = mockOctokit.rest.issues.createComment.mock.calls[0][0];
+      expect(body).toContain('"action":"label","label":"stale"');
+      expect(body).not.toContain('mergeMethod');
+      expect(body).toContain('📅 PR label scheduled for:');
+      expect(body).toContain('Scheduled by: @alice\nLabel: stale');
+      expect(body).toContain('I\'ll add the "stale" label at the scheduled time.\nTo cancel, comment: @label-at cancel');
+    });
+
     test('handles storage error', async () => {
       mockOctokit.rest.issues.addLabels.mockRejectedValue(new Error('API Error'));
 
@@ -108,12 +207,159 @@ describe('Utils', () => {
     });
   });
 
+  describe('migrateScheduleInfo', () => {
+    test('upgrades schedules written before schema versions', () => {
+      expect(migrateScheduleInfo({ type: 'merge-schedule-info', scheduleDate: '2024-01-01T12:00:00.000Z' })).toEqual({
+        type: 'merge-schedule-info',
+        scheduleDate: '2024-01-01T12:00:00.000Z',
+        version: 1
+      });
+    });
+
+    test('keeps current schedules as they are', () => {
+      const scheduleInfo = { version: 1, scheduleDate: '2024-01-01T12:00:00.000Z', mergeMethod: 'rebase' };
+      expect(migrateScheduleInfo(scheduleInfo)).toBe(scheduleInfo);
+    });
+
+    test('rejects schedules from a newer schema', () => {
+      expect(() => migrateScheduleInfo({ version: 99 }))
+        .toThrow('Schedule info version 99 is newer than this action supports (1)');
+    });
+  });
+
+  describe('getScheduleInfo', () => {
+    test('returns the stored schedule with its comment id', async () => {
+      mockOctokit.rest.issues.listComments.mockResolvedValue({
+        data: [
+          { id: 1, body: 'regular comment' },
+          { id: 2, body: '<!-- MERGE_SCHEDULE_INFO {"scheduleDate":"2024-01-01T12:00:00.000Z","headSha":"abc"} -->', user: BOT }
+        ]
+      });
+
+      const result = await getScheduleInfo(mockOctokit, 'owner', 'repo', 123);
+
+      expect(result).toEqual({
+        scheduleDate: '2024-01-01T12:00:00.000Z',
+        headSha: 'abc',
+        version: 1,
+        commentId: 2
+      });
+    });
+
+    test('prefers the newest schedule comment', async () => {
+      const firstPage = Array.from({ length: 100 }, (_, index) => ({
+        id: index,
+        user: BOT,
+        body: index === 0
+          ? '<!-- MERGE_SCHEDULE_INFO {"version":1,"scheduleDate":"2024-01-01T12:00:00.000Z"} -->'
+          : 'regular comment'
+      }));
+      mockOctokit.rest.issues.listComments
+        .mockResolvedValueOnce({ data: firstPage })
+        .mockResolvedValueOnce({
+          data: [{ id: 200, body: '<!-- MERGE_SCHEDULE_INFO {"version":1,"scheduleDate":"2024-01-05T12:00:00.000Z"} -->', user: BOT }]
+        });
+
+      const result = await getScheduleInfo(mockOctokit, 'owner', 'repo', 123);
+
+      expect(result).toMatchObject({ scheduleDate: '2024-01-05T12:00:00.000Z', commentId: 200 });
+    });
+
+    test('ignores schedule blocks posted by anyone but the action', async () => {
+      mockOctokit.rest.issues.listComments.mockResolvedValue({
+        data: [
+          { id: 2, body: '<!-- MERGE_SCHEDULE_INFO {"version":1,"scheduleDate":"2024-01-05T12:00:00.000Z","headSha":"abc"} -->', user: BOT },
+          {
+            id: 3,
+            body: '<!-- MERGE_SCHEDULE_INFO {"version":1,"scheduleDate":"2020-01-01T00:00:00.000Z","hooks":["deploy-prod"]} -->',
+            user: { login: 'mallory', type: 'User' }
+          }
+        ]
+      });
+
+      const result = await getScheduleInfo(mockOctokit, 'owner', 'repo', 123);
+
+      expect(result).toEqual({ version: 1, scheduleDate: '2024-01-05T12:00:00.000Z', headSha: 'abc', commentId: 2 });
+    });
+
+    test('only trusts the token\'s own account when it can be looked up', async () => {
+      mockOctokit.rest.users = {
+        getAuthenticated: jest.fn().mockResolvedValue({ data: { login: 'release-bot' } })
+      };
+      mockOctokit.rest.issues.listComments.mockResolvedValue({
+        data: [
+          { id: 2, body: '<!-- MERGE_SCHEDULE_INFO {"version":1,"scheduleDate":"2024-01-05T12:00:00.000Z"} -->', user: { login: 'release-bot', type: 'User' } },
+          { id: 3, body: '<!-- MERGE_SCHEDULE_INFO {"version":1,"scheduleDate":"2020-01-01T00:00:00.000Z"} -->', user: { login: 'other-app[bot]', type: 'Bot' } }
+        ]
+      });
+
+      const result = await getScheduleInfo(mockOctokit, 'owner', 'repo', 123);
+
+      expect(result).toMatchObject({ scheduleDate: '2024-01-05T12:00:00.000Z', commentId: 2 });
+    });
+
+    test('returns null when the PR has no schedule', async () => {
+      mockOctokit.rest.issues.listComments.mockResolvedValue({
+        data: [{ id: 1, body: 'regular comment' }]
+      });
+
+      expect(await getScheduleInfo(mockOctokit, 'owner', 'repo', 123)).toBeNull();
+    });
+  });
+
+  describe('updateScheduleInfo', () => {
+    test('refuses to write into a comment the action did not post', async () => {
+      mockOctokit.rest.issues.getComment.mockResolvedValue({
+        data: { body: '<!-- MERGE_SCHEDULE_INFO {"version":1} -->', user: { login: 'mallory', type: 'User' } }
+      });
+
+      await expect(updateScheduleInfo(mockOctokit, 'owner', 'repo', 456, { attempts: 1 }))
+        .rejects.toThrow('Comment 456 does not contain schedule info');
+      expect(mockOctokit.rest.issues.updateComment).not.toHaveBeenCalled();
+    });
+
+    test('merges updates into the stored schedule info', async () => {
+      mockOctokit.rest.issues.getComment.mockResolvedValue({
+        data: {
+          body: '<!-- MERGE_SCHEDULE_INFO {"type":"merge-schedule-info","scheduleDate":"2024-01-01T12:00:00.000Z"} -->\n\n📅 PR merge scheduled',
+          user: BOT
+        }
+      });
+
+      const result = await updateScheduleInfo(mockOctokit, 'owner', 'repo', 456, { heldUntil: '2024-01-02T09:00:00.000Z' });
+
+      expect(result).toEqual({
+        type: 'merge-schedule-info',
+        scheduleDate: '2024-01-01T12:00:00.000Z',
+        version: 1,
+        heldUntil: '2024-01-02T09:00:00.000Z'
+      });
+      expect(mockOctokit.rest.issues.updateComment).toHaveBeenCalledWith({
+        owner: 'owner',
+        repo: 'repo',
+        comment_id: 456,
+        body: '<!-- MERGE_SCHEDULE_INFO {"type":"merge-schedule-info","scheduleDate":"2024-01-01T12:00:00.000Z","version":1,"heldUntil":"2024-01-02T09:00:00.000Z"} -->\n\n📅 PR merge scheduled'
+      });
+    });
+
+    test('rejects comments without schedule info', async () => {
+      mockOctokit.rest.issues.getComment.mockResolvedValue({
+        data: { body: 'regular comment' }
+      });
+
+      await expect(updateScheduleInfo(mockOctokit, 'owner', 'repo', 456, {}))
+        .rejects.toThrow('Comment 456 does not contain schedule info');
+      expect(core.error).toHaveBeenCalled();
+    });
+  });
+
   describe('removeScheduleInfo', () => {
     test('removes all schedule information successfully', async () => {
       mockOctokit.rest.issues.listComments.mockResolvedValue({
         data: [{
           id: 456,
-          body: '<!-- MERGE_SCHEDULE_INFO {} -->'
+          body: '<!-- MERGE_SCHEDULE_INFO {} -->',
+          user: BOT
         }]
       });
 
@@ -127,6 +373,33 @@ describe('Utils', () => {
       });
     });
 
+    test('leaves schedule blocks posted by other users alone', async () => {
+      mockOctokit.rest.issues.listComments.mockResolvedValue({
+        data: [{ id: 789, body: '<!-- MERGE_SCHEDULE_INFO {} -->', user: { login: 'mallory', type: 'User' } }]
+      });
+
+      await removeScheduleInfo(mockOctokit, 'owner', 'repo', 123);
+
+      expect(mockOctokit.rest.issues.deleteComment).not.toHaveBeenCalled();
+    });
+
+    test('removes schedule comments beyond the first page', async () => {
+      const firstPage = Array.from({ length: 100 }, (_, index) => ({ id: index, body: 'regular comment' }));
+      mockOctokit.rest.issues.listComments
+        .mockResolvedValueOnce({ data: firstPage })
+        .mockResolvedValueOnce({ data: [{ id: 456, body: '<!-- MERGE_SCHEDULE_INFO {} -->', user: BOT }] });
+
+      await removeScheduleInfo(mockOctokit, 'owner', 'repo', 123);
+
+      expect(mockOctokit.rest.issues.listComments).toHaveBeenCalledWith(expect.objectContaining({ page: 2 }));
+      expect(mockOctokit.rest.issues.deleteComment).toHaveBeenCalledTimes(1);
+      expect(mockOctokit.rest.issues.deleteComment).toHaveBeenCalledWith({
+        owner: 'owner',
+        repo: 'repo',
+        comment_id: 456
+      });
+    });
+
     test('handles non-existent label gracefully', async () => {
       mockOctokit.rest.issues.removeLabel.mockRejectedValue({ status: 404 });
       mockOctokit.rest.issues.listComments.mockResolvedValue({ data: [] });
@@ -157,7 +430,8 @@ describe('Utils', () => {
 
       mockOctokit.rest.issues.listComments.mockResolvedValue({
         data: [{
-          body: '<!-- MERGE_SCHEDULE_INFO {"type":"merge-schedule-info","scheduleDate":"2024-01-01T12:00:00.000Z"} -->'
+          body: '<!-- MERGE_SCHEDULE_INFO {"type":"merge-schedule-info","scheduleDate":"2024-01-01T12:00:00.000Z"} -->',
+          user: BOT
         }]
       });
 
@@ -170,6 +444,118 @@ describe('Utils', () => {
         number: 123,
         scheduleTime: expect.any(Date)
       });
+      expect(result[0].mergeMethod).toBeUndefined();
+    });
+
+    test('returns the stored merge method', async () => {
+      mockOctokit.rest.search.issuesAndPullRequests.mockResolvedValue({
+        data: {
+          items: [{
+            number: 123,
+            repository_url: 'https://api.github.com/repos/owner/repo'
+          }]
+        }
+      });
+
+      mockOctokit.rest.issues.listComments.mockResolvedValue({
+        data: [{
+          body: '<!-- MERGE_SCHEDULE_INFO {"type":"merge-schedule-info","scheduleDate":"2024-01-01T12:00:00.000Z","mergeMethod":"rebase"} -->',
+          user: BOT
+        }]
+      });
+
+      const result = await getScheduledPRs(mockOctokit);
+      expect(result[0].mergeMethod).toBe('rebase');
+    });
+
+    test('returns the schedule comment id, hold state and retry state', async () => {
+      mockOctokit.rest.search.issuesAndPullRequests.mockResolvedValue({
+        data: {
+          items: [{
+            number: 123,
+            repository_url: 'https://api.github.com/repos/owner/repo'
+          }]
+        }
+      });
+
+      mockOctokit.rest.issues.listComments.mockResolvedValue({
+        data: [{
+          id: 456,
+          body: '<!-- MERGE_SCHEDULE_INFO {"type":"merge-schedule-info","scheduleDate":"2024-01-01T12:00:00.000Z","heldUntil":"2024-01-02T09:00:00.000Z","firstDueAt":"2024-01-01T12:05:00.000Z","attempts":2} -->',
+          user: BOT
+        }]
+      });
+
+      const result = await getScheduledPRs(mockOctokit);
+      expect(result[0]).toMatchObject({
+        commentId: 456,
+        heldUntil: '2024-01-02T09:00:00.000Z',
+        firstDueAt: '2024-01-01T12:05:00.000Z',
+        attempts: 2
+      });
+    });
+
+    test('scopes the search to the given repositories', async () => {
+      mockOctokit.rest.search.issuesAndPullRequests.mockResolvedValue({
+        data: { items: [] }
+      });
+
+      await getScheduledPRs(mockOctokit, ['repo:owner/repo', 'org:acme']);
+
+      expect(mockOctokit.rest.search.issuesAndPullRequests).toHaveBeenCalledWith({
+        q: 'is:pr is:open label:merge-scheduled repo:owner/repo org:acme',
+        per_page: 100,
+        page: 1
+      });
+    });
+
+    test('paginates through all search results', async () => {
+      const firstPage = Array.from({ length: 100 }, (_, i) => ({
+        number: i + 1,
+        repository_url: 'https://api.github.com/repos/owner/repo'
+      }));
+      mockOctokit.rest.search.issuesAndPullRequests
+        .mockResolvedValueOnce({ data: { total_count: 101, items: firstPage } })
+        .mockResolvedValueOnce({
+          data: {
+            total_count: 101,
+            items: [{ number: 101, repository_url: 'https://api.github.com/repos/owner/repo' }]
+          }
+        });
+      mockOctokit.rest.issues.listComments.mockResolvedValue({
+        data: [{
+          body: '<!-- MERGE_SCHEDULE_INFO {"type":"merge-schedule-info","scheduleDate":"2024-01-01T12:00:00.000Z"} -->',
+          user: BOT
+        }]
+      });
+
+      const result = await getScheduledPRs(mockOctokit, ['repo:owner/repo']);
+
+      expect(mockOctokit.rest.search.issuesAndPullRequests).toHaveBeenCalledTimes(2);
+      expect(mockOctokit.rest.search.issuesAndPullRequests).toHaveBeenLastCalledWith(
+        expect.objectContaining({ page: 2 })
+      );
+      expect(result).toHaveLength(101);
+    });
+
+    test('skips PRs returned by more than one query', async () => {
+      const scopes = Array.from({ length: 20 }, (_, i) => `repo:owner/repository-${i}`);
+      mockOctokit.rest.search.issuesAndPullRequests.mockResolvedValue({
+        data: {
+          items: [{ number: 123, repository_url: 'https://api.github.com/repos/owner/repo' }]
+        }
+      });
+      mockOctokit.rest.issues.listComments.mockResolvedValue({
+        data: [{
+          body: '<!-- MERGE_SCHEDULE_INFO {"type":"merge-schedule-info","scheduleDate":"2024-01-01T12:00:00.000Z"} -->',
+          user: BOT
+        }]
+      });
+
+      const result = await getScheduledPRs(mockOctokit, scopes);
+
+      expect(mockOctokit.rest.search.issuesAndPullRequests.mock.calls.length).toBeGreaterThan(1);
+      expect(result).toHaveLength(1);
     });
 
     test('handles invalid schedule info JSON', async () => {
@@ -184,7 +570,8 @@ describe('Utils', () => {
 
       mockOctokit.rest.issues.listComments.mockResolvedValue({
         data: [{
-          body: '<!-- MERGE_SCHEDULE_INFO invalid-json -->'
+          body: '<!-- MERGE_SCHEDULE_INFO invalid-json -->',
+          user: BOT
         }]
       });
 
@@ -279,9 +666,9 @@ describe('Utils', () => {
       const mockScheduleInfo = '<!-- MERGE_SCHEDULE_INFO {"type":"merge-schedule-info","scheduleDate":"2024-01-01T12:00:00.000Z"} -->';
 
       mockOctokit.rest.issues.listComments.mockResolvedValueOnce({
-        data: [{ body: mockScheduleInfo }]
+        data: [{ body: mockScheduleInfo, user: BOT }]
       }).mockResolvedValueOnce({
-        data: [{ body: mockScheduleInfo }]
+        data: [{ body: mockScheduleInfo, user: BOT }]
       });
 
       const result = await getScheduledPRs(mockOctokit);
@@ -313,7 +700,8 @@ describe('Utils', () => {
 
       mockOctokit.rest.issues.listComments.mockResolvedValue({
         data: [{
-          body: '<!-- MERGE_SCHEDULE_INFO {"type":"merge-schedule-info","scheduleDate":"invalid-date"} -->'
+          body: '<!-- MERGE_SCHEDULE_INFO {"type":"merge-schedule-info","scheduleDate":"invalid-date"} -->',
+          user: BOT
         }]
       });
 
@@ -371,7 +759,8 @@ describe('Utils', () => {
 
       mockOctokit.rest.issues.listComments.mockResolvedValue({
         data: [{
-          body: '<!-- MERGE_SCHEDULE_INFO -->'
+          body: '<!-- MERGE_SCHEDULE_INFO -->',
+          user: BOT
         }]
       });
 
@@ -379,4 +768,39 @@ describe('Utils', () => {
       expect(result).toHaveLength(0);
     });
   });
+
+  describe('parseRepositoryScopes', () => {
+    test('returns no scopes for empty input', () => {
+      expect(parseRepositoryScopes('')).toEqual([]);
+      expect(parseRepositoryScopes(undefined)).toEqual([]);
+    });
+
+    test('parses repositories and organizations', () => {
+      expect(parseRepositoryScopes('owner/repo, acme/*\norg:other-org'))
+        .toEqual(['repo:owner/repo', 'org:acme', 'org:other-org']);
+    });
+
+    test('rejects invalid entries', () => {
+      expect(() => parseRepositoryScopes('owner/repo/extra'))
+        .toThrow('Invalid repository scope: owner/repo/extra');
+    });
+  });
+
+  describe('buildSearchQueries', () => {
+    test('returns the unscoped query without scopes', () => {
+      expect(buildSearchQueries()).toEqual(['is:pr is:open label:merge-scheduled']);
+    });
+
+    test('splits long scope lists across queries', () => {
+      const scopes = Array.from({ length: 20 }, (_, i) => `repo:owner/repository-${i}`);
+      const queries = buildSearchQueries(scopes);
+
+      expect(queries.length).toBeGreaterThan(1);
+      queries.forEach(query => {
+        expect(query.length).toBeLessThanOrEqual(256);
+        expect(query.startsWith('is:pr is:open label:merge-scheduled repo:')).toBe(true);
+      });
+      expect(queries.join(' ').match(/repo:/g)).toHaveLength(20);
+    });
+  });
 });
@@ -0,0 +1,129 @@
+const TIME_USAGE = 'YYYY-MM-DD HH:mm[am|pm] [timezone]';
+const LABEL_ARGUMENT_REGEX = /^(?:"([^"]+)"|(\S+))\s*([\s\S]*)$/;
+const READY_FOR_REVIEW_MUTATION = `mutation($id: ID!) {
+  markPullRequestReadyForReview(input: { pullRequestId: $id }) {
+    pullRequest { isDraft }
+  }
+}`;
+
+function formatReference({ owner, repo, number }) {
+  return `${owner}/${repo}#${number}`;
+}
+
+async function getPullRequest(octokit, pr) {
+  const { data } = await octokit.rest.pulls.get({
+    owner: pr.owner,
+    repo: pr.repo,
+    pull_number: pr.number
+  });
+  return data;
+}
+
+function requireOpen(pullRequest) {
+  if (pullRequest.state !== 'open') {
+    throw new Error('This PR is not open');
+  }
+}
+
+// Merges are run by the merge scheduler itself, so they have no executor here
+const ACTION_TYPES = {
+  merge: {
+    title: 'merge',
+    usage: `@merge-at ${TIME_USAGE} [--method merge|squash|rebase]`,
+    details: scheduleInfo => [
+      scheduleInfo.mergeMethod && `Merge method: ${scheduleInfo.mergeMethod}`,
+      scheduleInfo.priority !== undefined && `Priority: ${scheduleInfo.priority}`,
+      scheduleInfo.dependencies && `After: ${scheduleInfo.dependencies.map(formatReference).join(', ')}`,
+      scheduleInfo.stackBase && `Stack base: ${scheduleInfo.stackBase}`,
+      scheduleInfo.hooks && `Then: ${scheduleInfo.hooks.join(', ')}`,
+      scheduleInfo.headSha && `Commit: ${scheduleInfo.headSha.slice(0, 7)}`
+    ],
+    promise: scheduleInfo =>
+      `merge this PR at the scheduled time${scheduleInfo.dependencies ? ' once the PRs it comes after have merged' : ''} if it's mergeable`
+  },
+
+  close: {
+    title: 'close',
+    usage: `@close-at ${TIME_USAGE}`,
+    validate: requireOpen,
+    promise: () => 'close this PR at the scheduled time',
+    async execute(octokit, pr) {
+      if ((await getPullRequest(octokit, pr)).state !== 'open') {
+        return 'ℹ️ This PR was already closed, so the scheduled close had nothing to do.';
+      }
+
+      await octokit.rest.pulls.update({
+        owner: pr.owner,
+        repo: pr.repo,
+        pull_number: pr.number,
+        state: 'closed'
+      });
+      return '✅ Closed as scheduled.';
+    }
+  },
+
+  ready: {
+    title: 'ready for review',
+    usage: `@ready-at ${TIME_USAGE}`,
+    validate(pullRequest) {
+      requireOpen(pullRequest);
+      if (!pullRequest.draft) {
+        throw new Error('This PR is already ready for review');
+      }
+    },
+    promise: () => 'mark this PR ready for review at the scheduled time',
+    async execute(octokit, pr) {
+      const pullRequest = await getPullRequest(octokit, pr);
+      if (!pullRequest.draft) {
+        return 'ℹ️ This PR was already ready for review, so the scheduled change had nothing to do.';
+      }
+
+      // The REST API can't take a PR out of draft
+      await octokit.graphql(READY_FOR_REVIEW_MUTATION, { id: pullRequest.node_id });
+      return '✅ Marked ready for review as scheduled.';
+    }
+  },
+
+  label: {
+    title: 'label',
+    usage: `@label-at <label> ${TIME_USAGE}`,
+    parse(text) {
+      const [, quoted, bare, rest] = LABEL_ARGUMENT_REGEX.exec(text.trim()) || [];
+      const label = quoted || bare;
+      return label ? { details: { label }, rest: rest.trim() } : null;
+    },
+    validate: requireOpen,
+    details: scheduleInfo => [`Label: ${scheduleInfo.label}`],
+    promise: scheduleInfo => `add the "${scheduleInfo.label}" label at the scheduled time`,
+    async execute(octokit, pr) {
+      await octokit.rest.issues.addLabels({
+        owner: pr.owner,
+        repo: pr.repo,
+        issue_number: pr.number,
+        labels: [pr.label]
+      });
+      return `✅ Added the "${pr.label}" label as scheduled.`;
+    }
+  }
+};
+
+const COMMAND_REGEX = new RegExp(`@(${Object.keys(ACTION_TYPES).join('|')})-at[^\\S\\r\\n]+([^\\r\\n]+)`);
+
+function getActionType(name = 'merge') {
+  const actionType = ACTION_TYPES[name];
+  if (!actionType) {
+    throw new Error(`Unknown scheduled action: ${name}`);
+  }
+  return { name, command: `@${name}-at`, ...actionType };
+}
+
+function parseCommand(commentBody) {
+  const match = COMMAND_REGEX.exec(commentBody);
+  return match ? { actionType: getActionType(match[1]), text: match[2].trim() } : null;
+}
+
+module.exports = {
+  getActionType,
+  parseCommand,
+  ACTION_TYPES
+};
@@ -0,0 +1,270 @@
+const core = require('@actions/core');
+const { getReviewSummary } = require('./merge-gate');
+
+// Collaborator roles from least to most privileged
+const PERMISSION_LEVELS = ['none', 'read', 'triage', 'write', 'maintain', 'admin'];
+const DEFAULT_PERMISSION = 'write';
+const SELF_SCHEDULE_POLICIES = ['allow', 'approved'];
+// Besides these, cancel rules may name teams as @team or @org/team
+const CANCEL_RULES = ['anyone', 'scheduler', 'author', 'admins'];
+const CODEOWNERS_PATHS = ['.github/CODEOWNERS', 'CODEOWNERS', 'docs/CODEOWNERS'];
+const FILES_PAGE_SIZE = 100;
+const GLOB_WILDCARDS = { '**': '(?:.*/)?', '*': '[^/]*', '?': '[^/]' };
+
+function getAuthorizationPolicy(config = {}) {
+  const authorization = (config && config.authorization) || {};
+  const permission = authorization.permission === undefined ? DEFAULT_PERMISSION : String(authorization.permission);
+  const teams = authorization.teams === undefined ? [] : [].concat(authorization.teams).map(String);
+  const selfSchedule = authorization['self-schedule'] === undefined ? 'allow' : authorization['self-schedule'];
+  const cancel = authorization.cancel === undefined ? ['anyone'] : [].concat(authorization.cancel).map(String);
+
+  if (!PERMISSION_LEVELS.includes(permission) || permission === 'none') {
+    throw new Error(`authorization.permission must be one of: ${PERMISSION_LEVELS.slice(1).join(', ')}`);
+  }
+
+  if (!SELF_SCHEDULE_POLICIES.includes(selfSchedule)) {
+    throw new Error(`authorization.self-schedule must be one of: ${SELF_SCHEDULE_POLICIES.join(', ')}`);
+  }
+
+  const invalidCancelRule = cancel.find(rule => !CANCEL_RULES.includes(rule) && !rule.startsWith('@'));
+  if (invalidCancelRule) {
+    throw new Error(`Invalid authorization.cancel rule "${invalidCancelRule}". Use ${CANCEL_RULES.join(', ')} or a @team`);
+  }
+
+  return {
+    permission,
+    teams,
+    codeowners: authorization.codeowners === true,
+    selfSchedule,
+    cancel
+  };
+}
+
+async function getPermissionLevel(octokit, owner, repo, username) {
+  try {
+    const { data } = await octokit.rest.repos.getCollaboratorPermissionLevel({
+      owner,
+      repo,
+      username
+    });
+
+    // role_name tells maintain and triage apart from write and read, but custom roles
+    // have their own names, so those fall back to the base permission they grant
+    return PERMISSION_LEVELS.includes(data.role_name) ? data.role_name : data.permission;
+  } catch (error) {
+    if (error.status === 404) {
+      return 'none';
+    }
+    throw error;
+  }
+}
+
+async function isTeamMember(octokit, owner, team, username) {
+  const [org, teamSlug] = team.includes('/') ? team.split('/') : [owner, team];
+
+  try {
+    const { data: membership } = await octokit.rest.teams.getMembershipForUserInOrg({
+      org,
+      team_slug: teamSlug,
+      username
+    });
+    return membership.state === 'active';
+  } catch (error) {
+    if (error.status === 404) {
+      return false;
+    }
+    throw error;
+  }
+}
+
+function patternToRegex(pattern) {
+  // CODEOWNERS patterns follow .gitignore rules
+  const anchored = pattern.startsWith('/') || pattern.slice(0, -1).includes('/');
+  const body = pattern
+    .replace(/^\//, '')
+    .replace(/\/(?:\*\*)?$/, '')
+    .replace(/[.+^${}()|[\]\\]/g, '\\$&')
+    .replace(/\*\*\/?|\*|\?/g, wildcard => GLOB_WILDCARDS[wildcard.slice(0, 2)]);
+
+  // A pattern also matches everything inside a matching directory
+  return new RegExp(`^${anchored ? '' : '(?:.*/)?'}${body}(?:/.*)?$`);
+}
+
+function parseCodeowners(content) {
+  return content
+    .split(/\r?\n/)
+    .map(line => line.replace(/(^|\s)#.*$/, '').trim())
+    .filter(Boolean)
+    .map(line => {
+      const [pattern, ...owners] = line.split(/\s+/);
+      return { regex: patternToRegex(pattern), owners };
+    });
+}
+
+function findCodeOwners(rules, path) {
+  // The last matching pattern takes precedence
+  const rule = [...rules].reverse().find(({ regex }) => regex.test(path));
+  return rule ? rule.owners : [];
+}
+
+async function loadCodeowners(octokit, owner, repo) {
+  for (const path of CODEOWNERS_PATHS) {
+    try {
+      const { data } = await octokit.rest.repos.getContent({ owner, repo, path });
+      return parseCodeowners(Buffer.from(data.content, data.encoding || 'base64').toString('utf8'));
+    } catch (error) {
+      if (error.status !== 404) {
+        throw error;
+      }
+    }
+  }
+
+  return [];
+}
+
+async function listChangedFiles(octokit, owner, repo, prNumber) {
+  const files = [];
+
+  for (let page = 1; ; page++) {
+    const { data } = await octokit.rest.pulls.listFiles({
+      owner,
+      repo,
+      pull_number: prNumber,
+      per_page: FILES_PAGE_SIZE,
+      page
+    });
+
+    files.push(...data.map(file => file.filename));
+
+    if (data.length < FILES_PAGE_SIZE) {
+      return files;
+    }
+  }
+}
+
+async function isCodeOwner(octokit, owner, repo, prNumber, username) {
+  const rules = await loadCodeowners(octokit, owner, repo);
+  if (!rules.length) {
+    return false;
+  }
+
+  const owners = new Set();
+  for (const path of await listChangedFiles(octokit, owner, repo, prNumber)) {
+    findCodeOwners(rules, path).forEach(codeOwner => owners.add(codeOwner));
+  }
+
+  if (owners.has(`@${username}`)) {
+    return true;
+  }
+
+  for (const codeOwner of owners) {
+    if (codeOwner.startsWith('@') && codeOwner.includes('/') &&
+      await isTeamMember(octokit, owner, codeOwner.slice(1), username)) {
+      return true;
+    }
+  }
+
+  return false;
+}
+
+async function checkPermission(octokit, owner, repo, username, policy) {
+  const level = await getPermissionLevel(octokit, owner, repo, username);
+
+  if (PERMISSION_LEVELS.indexOf(level) < PERMISSION_LEVELS.indexOf(policy.permission)) {
+    return {
+      rule: 'permission',
+      reason: `@${username} needs ${policy.permission} permission or higher, but has ${level}`
+    };
+  }
+
+  return null;
+}
+
+async function checkSchedulingRules(octokit, owner, repo, pullRequest, username, policy) {
+  // Listed teams and code owners are alternatives, so either one is enough
+  if (policy.teams.length || policy.codeowners) {
+    let member = false;
+    for (const team of policy.teams) {
+      if (await isTeamMember(octokit, owner, team, username)) {
+        member = true;
+        break;
+      }
+    }
+
+    if (!member && !(policy.codeowners && await isCodeOwner(octokit, owner, repo, pullRequest.number, username))) {
+      const allowed = [
+        policy.teams.length && `members of ${policy.teams.map(team => `@${team}`).join(', ')}`,
+        policy.codeowners && 'code owners of the changed files'
+      ].filter(Boolean).join(' or ');
+
+      return {
+        rule: [policy.teams.length && 'teams', policy.codeowners && 'codeowners'].filter(Boolean).join('/'),
+        reason: `only ${allowed} can schedule merges`
+      };
+    }
+  }
+
+  if (policy.selfSchedule === 'approved' && pullRequest.user.login === username) {
+    const { approvals } = await getReviewSummary(octokit, owner, repo, pullRequest.number);
+
+    if (!approvals.some(login => login !== username)) {
+      core.debug(`@${username} tried to schedule their own PR #${pullRequest.number} without an approval`);
+      return {
+        rule: 'self-schedule',
+        reason: 'authors can only schedule their own PRs after an approving review'
+      };
+    }
+  }
+
+  return null;
+}
+
+async function checkCancelRules(octokit, owner, repo, scheduleInfo, pullRequest, username, policy) {
+  const { cancel } = policy;
+
+  if (cancel.includes('anyone') ||
+    (cancel.includes('scheduler') && scheduleInfo.scheduledBy === username) ||
+    (cancel.includes('author') && pullRequest.user.login === username)) {
+    return null;
+  }
+
+  if (cancel.includes('admins') && await getPermissionLevel(octokit, owner, repo, username) === 'admin') {
+    return null;
+  }
+
+  const teams = cancel.filter(rule => rule.startsWith('@'));
+  for (const team of teams) {
+    if (await isTeamMember(octokit, owner, team.slice(1), username)) {
+      return null;
+    }
+  }
+
+  const allowed = [
+    cancel.includes('scheduler') && (scheduleInfo.scheduledBy ? `@${scheduleInfo.scheduledBy} (who scheduled it)` : 'whoever scheduled it'),
+    cancel.includes('author') && 'the PR author',
+    cancel.includes('admins') && 'admins',
+    teams.length && `members of ${teams.join(', ')}`
+  ].filter(Boolean);
+  const last = allowed.pop();
+
+  return {
+    rule: 'cancel',
+    reason: `only ${allowed.length ? `${allowed.join(', ')} or ${last}` : last} can cancel or replace this schedule`
+  };
+}
+
+function formatDenial(denied) {
+  return `Not allowed by the "${denied.rule}" rule: ${denied.reason}.`;
+}
+
+module.exports = {
+  getAuthorizationPolicy,
+  getPermissionLevel,
+  parseCodeowners,
+  findCodeOwners,
+  checkPermission,
+  checkSchedulingRules,
+  checkCancelRules,
+  formatDenial,
+  PERMISSION_LEVELS
+};
@@ -0,0 +1,63 @@
+const core = require('@actions/core');
+const { createComment } = require('./utils');
+
+async function updatePRBranch(octokit, owner, repo, prNumber, expectedSha) {
+  const { data: pr } = await octokit.rest.pulls.get({
+    owner,
+    repo,
+    pull_number: prNumber
+  });
+
+  if (pr.mergeable_state !== 'behind') {
+    core.debug(`PR #${prNumber} does not need a branch update (state: ${pr.mergeable_state})`);
+    return null;
+  }
+
+  // New commits are reported by the merge itself, so don't build on top of them
+  if (expectedSha && pr.head.sha !== expectedSha) {
+    core.info(`PR #${prNumber} head moved since it was scheduled, not updating the branch`);
+    return null;
+  }
+
+  try {
+    core.info(`Updating PR #${prNumber} from ${pr.base.ref}`);
+    await octokit.rest.pulls.updateBranch({
+      owner,
+      repo,
+      pull_number: prNumber,
+      expected_head_sha: pr.head.sha
+    });
+
+    return { previousSha: pr.head.sha };
+  } catch (error) {
+    const reason = error.status === 422
+      ? 'There are merge conflicts that need to be resolved.'
+      : error.message;
+    await createComment(octokit, owner, repo, prNumber,
+      `❌ Failed to update the branch from ${pr.base.ref} before the scheduled merge: ${reason}`);
+    throw new Error(`Failed to update branch: ${error.message}`);
+  }
+}
+
+async function isBranchUpdate(octokit, owner, repo, headSha, previousSha, baseRef) {
+  // Updating from the base creates a merge commit of the previous head and a commit on the base,
+  // anything else was pushed by someone and has to go through the synchronize policy.
+  // The base may have moved on since the update, so its second parent only has to be in the base's history
+  const { data: commit } = await octokit.rest.repos.getCommit({ owner, repo, ref: headSha });
+  if (commit.parents.length !== 2 || commit.parents[0].sha !== previousSha) {
+    return false;
+  }
+
+  const { data: comparison } = await octokit.rest.repos.compareCommits({
+    owner,
+    repo,
+    base: commit.parents[1].sha,
+    head: baseRef
+  });
+  return comparison.status === 'ahead' || comparison.status === 'identical';
+}
+
+module.exports = {
+  updatePRBranch,
+  isBranchUpdate
+};
@@ -1,83 +1,99 @@
 const core = require('@actions/core');
 const github = require('@actions/github');
-const { zonedTimeToUtc, utcToZonedTime } = require('date-fns-tz');
-const { format, isValid, addDays } = require('date-fns');
-const { createComment, storeScheduleInfo, removeScheduleInfo } = require('./utils');
+const { utcToZonedTime } = require('date-fns-tz');
+const { format, addDays } = require('date-fns');
+const { createComment, MERGE_METHODS, DEFAULT_MERGE_METHOD } = require('./utils');
+const { createScheduleStore } = require('./storage');
+const { parseCommitTemplate, renderCommitTemplates } = require('./commit-template');
+const { parseScheduleExpression, parseScheduleCommand } = require('./time-parser');
+const { loadRepoConfig } = require('./config');
+const { getMergePolicy, findBlackout, describeBlackout } = require('./merge-windows');
+const { buildScheduleRows, formatScheduleTable } = require('./schedule-report');
+const { parseDependencies, validateDependencies } = require('./dependencies');
+const { isStackCommand, findStack, STACK_FLAG_REGEX } = require('./stack');
+const { createDryRun, writeDryRunSummary } = require('./dry-run');
+const { createNotifier } = require('./notifier');
+const { getActionType, parseCommand } = require('./action-types');
+const { getMergeHooks, parseThenFlags, validateHookNames } = require('./merge-hooks');
+const { getUserTimezones, resolveTimezone } = require('./timezones');
+const {
+  getAuthorizationPolicy,
+  checkPermission,
+  checkSchedulingRules,
+  checkCancelRules,
+  formatDenial
+} = require('./authorization');
 
-const COMMAND_REGEX = /@merge-at\s+(\d{4}-\d{2}-\d{2}\s+\d{1,2}:\d{2}(?:\s*(?:AM|PM|am|pm))?)\s*([\w/]+)?/;
-const CANCEL_COMMAND = '@merge-at cancel';
+const FLAG_REGEX = /--[\w-]+(?:[^\S\r\n]+(?!--)\S+)?/g;
+const METHOD_FLAG_REGEX = /--method\s+(\S+)/;
+const PRIORITY_FLAG_REGEX = /--priority\s+(\S+)/;
 
-async function hasWritePermission(octokit, owner, repo, username) {
-  try {
-    const { data: permission } = await octokit.rest.repos.getCollaboratorPermissionLevel({
-      owner,
-      repo,
-      username
-    });
-
-    // Users need admin or write permission to merge PRs
-    return ['admin', 'write'].includes(permission.permission);
-  } catch (error) {
-    // If we can't get permissions, assume no access
-    return false;
-  }
-}
+// Maps each merge method to the repository setting that enables it
+const MERGE_METHOD_SETTINGS = {
+  merge: 'allow_merge_commit',
+  squash: 'allow_squash_merge',
+  rebase: 'allow_rebase_merge'
+};
 
-async function validateScheduleTime(dateStr, timezone = 'UTC') {
-  try {
-    let date;
-    const parsedDate = dateStr.trim();
+async function getAllowedMergeMethods(octokit, owner, repo) {
+  const { data: repository } = await octokit.rest.repos.get({
+    owner,
+    repo
+  });
 
-    // Split into date and time parts (now handles multiple spaces)
-    const [datePart, ...timeParts] = parsedDate.split(/\s+/);
-    const timeWithMeridiem = timeParts.join(' ');
+  return MERGE_METHODS.filter(method => repository[MERGE_METHOD_SETTINGS[method]]);
+}
 
-    if (!datePart || !timeWithMeridiem) {
-      throw new Error('Date and time must be provided');
-    }
+function parseMergeMethod(commentBody, defaultMethod = DEFAULT_MERGE_METHOD) {
+  const match = METHOD_FLAG_REGEX.exec(commentBody);
+  const mergeMethod = match ? match[1].toLowerCase() : defaultMethod;
 
-    // Remove any spaces and parse time components
-    const timeStr = timeWithMeridiem.replace(/\s+/g, '').toUpperCase();
-    const timeMatch = timeStr.match(/^(\d{1,2}):(\d{2})(AM|PM)?$/i);
+  if (!MERGE_METHODS.includes(mergeMethod)) {
+    throw new Error(`Invalid merge method "${mergeMethod}". Use one of: ${MERGE_METHODS.join(', ')}`);
+  }
 
-    if (!timeMatch) {
-      throw new Error('Invalid time format');
-    }
+  return mergeMethod;
+}
 
-    const [, hours, minutes, meridiem] = timeMatch;
-    const parsedHours = parseInt(hours, 10);
-    const parsedMinutes = parseInt(minutes, 10);
+function parsePriority(commentBody) {
+  const match = PRIORITY_FLAG_REGEX.exec(commentBody);
+  if (!match) {
+    return undefined;
+  }
 
-    if (meridiem) {
-      // 12-hour format validation
-      if (parsedHours < 1 || parsedHours > 12 || parsedMinutes < 0 || parsedMinutes > 59) {
-        throw new Error('Invalid time format');
-      }
+  if (!/^-?\d+$/.test(match[1])) {
+    throw new Error(`Invalid priority "${match[1]}". Use a whole number, e.g. --priority 10`);
+  }
 
-      let hour24 = parsedHours;
-      const isPM = meridiem.toUpperCase() === 'PM';
+  return parseInt(match[1], 10);
+}
 
-      if (isPM && parsedHours !== 12) {
-        hour24 += 12;
-      } else if (!isPM && parsedHours === 12) {
-        hour24 = 0;
-      }
+function resolveCommitDetails(pr, commentBody, options = {}) {
+  // A ```commit block in the comment takes precedence over the action inputs
+  const commentTemplates = parseCommitTemplate(commentBody) || {};
+  const templates = {
+    titleTemplate: commentTemplates.titleTemplate || options.commitTitleTemplate,
+    messageTemplate: commentTemplates.messageTemplate || options.commitMessageTemplate
+  };
 
-      const time24 = `${hour24.toString().padStart(2, '0')}:${minutes.toString().padStart(2, '0')}`;
-      date = zonedTimeToUtc(`${datePart} ${time24}`, timezone);
-    } else {
-      // 24-hour format validation
-      if (parsedHours < 0 || parsedHours > 23 || parsedMinutes < 0 || parsedMinutes > 59) {
-        throw new Error('Invalid time format');
-      }
-      date = zonedTimeToUtc(`${datePart} ${hours.padStart(2, '0')}:${minutes.padStart(2, '0')}`, timezone);
-    }
+  if (!templates.titleTemplate && !templates.messageTemplate) {
+    return {};
+  }
 
-    if (!isValid(date)) {
-      throw new Error('Invalid date format');
-    }
+  return renderCommitTemplates(templates, {
+    title: pr.title,
+    number: pr.number,
+    author: pr.user.login,
+    scheduler: options.scheduler,
+    scheduled_time: options.scheduledTime
+  });
+}
 
+async function validateScheduleTime(dateStr, timezone = 'UTC', policy = null) {
+  try {
     const now = new Date();
+    const date = parseScheduleExpression(dateStr, timezone, now);
+
     if (date <= now) {
       throw new Error('Scheduled time must be in the future');
     }
@@ -87,17 +103,219 @@ async function validateScheduleTime(dateStr, timezone = 'UTC') {
       throw new Error('Cannot schedule more than 30 days in advance');
     }
 
+    const blackout = policy && findBlackout(date, policy);
+    if (blackout) {
+      throw new Error(`Scheduled time falls within a blackout period: ${describeBlackout(blackout)}`);
+    }
+
     return date;
   } catch (error) {
     throw new Error(`Invalid date/time format: ${error.message}`);
   }
 }
 
-async function handleComment(token, repository, prNumber, commentBody) {
-  const octokit = github.getOctokit(token);
+async function reject(octokit, owner, repo, prNumber, message) {
+  await createComment(octokit, owner, repo, prNumber, `❌ ${message}`);
+  return { action: 'rejected', error: message };
+}
+
+async function authorize(octokit, owner, repo, prNumber, username, check) {
+  try {
+    const denied = await check();
+    return denied ? reject(octokit, owner, repo, prNumber, formatDenial(denied)) : null;
+  } catch (error) {
+    // Failed lookups are reported as such instead of looking like a denial
+    core.error(`Error checking whether @${username} may schedule merges:`);
+    core.error(error);
+    return reject(octokit, owner, repo, prNumber,
+      `Unable to check whether @${username} may schedule merges: ${error.message}. Please try again.`);
+  }
+}
+
+function findOtherActionType(scheduleInfo, actionType) {
+  const scheduled = scheduleInfo && getActionType(scheduleInfo.action);
+  return scheduled && scheduled.name !== actionType.name ? scheduled : null;
+}
+
+async function cancelSchedule(octokit, store, notifier, owner, repo, pullRequest, username, policy, actionType) {
+  const prNumber = pullRequest.number;
+  const scheduleInfo = await store.get(owner, repo, prNumber);
+
+  // Each command only cancels its own kind of schedule
+  const scheduled = findOtherActionType(scheduleInfo, actionType);
+  if (scheduled) {
+    return reject(octokit, owner, repo, prNumber,
+      `This PR has a scheduled ${scheduled.title}, not a ${actionType.title}. ` +
+      `Cancel it with \`${scheduled.command} cancel\` instead.`);
+  }
+
+  const rejected = await authorize(octokit, owner, repo, prNumber, username, async () =>
+    scheduleInfo && checkCancelRules(octokit, owner, repo, scheduleInfo, pullRequest, username, policy));
+
+  if (rejected) {
+    return rejected;
+  }
+
+  const { title } = getActionType(scheduleInfo ? scheduleInfo.action : undefined);
+  await store.remove(owner, repo, prNumber);
+  await createComment(octokit, owner, repo, prNumber, scheduleInfo && scheduleInfo.scheduledBy
+    ? `🚫 The ${title} scheduled by @${scheduleInfo.scheduledBy} has been cancelled by @${username}.`
+    : `🚫 Scheduled ${title} has been cancelled by @${username}.`);
+
+  // Webhooks only follow the merge lifecycle
+  if (scheduleInfo && !scheduleInfo.action) {
+    await notifier.notify('cancelled', owner, repo, prNumber, {
+      scheduledBy: scheduleInfo.scheduledBy,
+      actor: username
+    });
+  }
+  return { action: 'cancelled' };
+}
+
+async function confirmSchedule(octokit, store, owner, repo, pullRequest, actionType) {
+  const prNumber = pullRequest.number;
+  const scheduleInfo = await store.get(owner, repo, prNumber);
+
+  const scheduled = findOtherActionType(scheduleInfo, actionType);
+  if (scheduled) {
+    return reject(octokit, owner, repo, prNumber,
+      `This PR has a scheduled ${scheduled.title}, not a ${actionType.title}. ` +
+      `Confirm it with \`${scheduled.command} confirm\` instead.`);
+  }
+
+  if (!scheduleInfo || !scheduleInfo.awaitingConfirmation) {
+    return reject(octokit, owner, repo, prNumber, 'There is no scheduled merge waiting for confirmation.');
+  }
+
+  await store.update(scheduleInfo, {
+    headSha: pullRequest.head.sha,
+    awaitingConfirmation: false
+  });
+  await createComment(octokit, owner, repo, prNumber,
+    `✅ Scheduled merge confirmed for commit ${pullRequest.head.sha.slice(0, 7)}.`);
+  return { action: 'confirmed' };
+}
+
+async function listSchedules(octokit, store, owner, repo, prNumber) {
+  const scheduledPRs = await store.list([`repo:${owner}/${repo}`]);
+  const table = formatScheduleTable(await buildScheduleRows(octokit, scheduledPRs));
+
+  await createComment(octokit, owner, repo, prNumber,
+    `📋 Scheduled merges in ${owner}/${repo}:\n\n${table}`);
+}
+
+async function showScheduleStatus(octokit, store, owner, repo, prNumber) {
+  const scheduleInfo = await store.get(owner, repo, prNumber);
+
+  if (!scheduleInfo) {
+    await createComment(octokit, owner, repo, prNumber,
+      'ℹ️ This PR has no scheduled merge.');
+    return;
+  }
+
+  const rows = await buildScheduleRows(octokit, [{
+    owner,
+    repo,
+    number: prNumber,
+    scheduleTime: scheduleInfo.scheduleDate,
+    timezone: scheduleInfo.timezone,
+    scheduledBy: scheduleInfo.scheduledBy,
+    action: scheduleInfo.action
+  }]);
+
+  await createComment(octokit, owner, repo, prNumber,
+    `📋 Scheduled ${getActionType(scheduleInfo.action).title} for this PR:\n\n${formatScheduleTable(rows)}`);
+}
+
+async function clearSchedule(octokit, store, owner, repo, pullRequest, username, policy, actionType) {
+  const existing = await store.get(owner, repo, pullRequest.number);
+
+  // A PR holds one schedule, so a different kind of action never silently replaces it
+  const scheduled = findOtherActionType(existing, actionType);
+  if (scheduled) {
+    throw new Error(`This PR already has a scheduled ${scheduled.title}. ` +
+      `Cancel it with \`${scheduled.command} cancel\` before scheduling a ${actionType.title}.`);
+  }
+
+  // Replacing someone else's schedule follows the same rule as cancelling it
+  const denied = existing &&
+    await checkCancelRules(octokit, owner, repo, existing, pullRequest, username, policy);
+  if (denied) {
+    throw new Error(formatDenial(denied));
+  }
+
+  // Remove any existing schedule
+  await store.remove(owner, repo, pullRequest.number);
+}
+
+async function checkStackRules(octokit, store, owner, repo, stackedPRs, username, policy) {
+  // Each PR below has to pass the rules on its own, otherwise none of the stack is scheduled
+  for (const stackedPR of stackedPRs) {
+    const existing = await store.get(owner, repo, stackedPR.number);
+    if (existing && existing.action) {
+      const { title } = getActionType(existing.action);
+      throw new Error(`Cannot schedule the stack because #${stackedPR.number} already has a scheduled ${title}.`);
+    }
+
+    const denied = await checkSchedulingRules(octokit, owner, repo, stackedPR, username, policy) ||
+      (existing && await checkCancelRules(octokit, owner, repo, existing, stackedPR, username, policy));
+    if (denied) {
+      throw new Error(`Cannot schedule the stack because of #${stackedPR.number}. ${formatDenial(denied)}`);
+    }
+  }
+}
+
+function formatScheduleTimes(scheduleDate, timezone) {
+  return {
+    localTime: format(utcToZonedTime(scheduleDate, timezone), 'yyyy-MM-dd hh:mm a'),
+    utcTime: format(scheduleDate, 'yyyy-MM-dd HH:mm')
+  };
+}
+
+function resolveCommandTimezone(command, username, config, options = {}) {
+  // A zone in the command wins, then the commenter's own, then the repository default
+  return resolveTimezone(command.timezone, username, getUserTimezones(config), options.defaultTimezone);
+}
+
+async function scheduleAction(octokit, store, owner, repo, pullRequest, actionType, text, username, policy, config, options) {
+  const prNumber = pullRequest.number;
+  const parsed = actionType.parse ? actionType.parse(text) : { details: {}, rest: text };
+  const command = parsed && parsed.rest && parseScheduleCommand(parsed.rest);
+
+  if (!command) {
+    return reject(octokit, owner, repo, prNumber, `Invalid command format. Please use: ${actionType.usage}`);
+  }
+
+  try {
+    const timezone = resolveCommandTimezone(command, username, config, options);
+    // Blackouts only pause merges, so other actions aren't checked against them
+    const scheduleDate = await validateScheduleTime(command.expression, timezone);
+    actionType.validate(pullRequest, parsed.details);
+
+    await clearSchedule(octokit, store, owner, repo, pullRequest, username, policy, actionType);
+
+    const { localTime, utcTime } = formatScheduleTimes(scheduleDate, timezone);
+    await store.save(owner, repo, prNumber, scheduleDate, localTime, utcTime, timezone, {
+      action: actionType.name,
+      scheduledBy: username,
+      ...parsed.details
+    });
+
+    return { action: 'scheduled', scheduleTime: scheduleDate.toISOString(), timezone };
+  } catch (error) {
+    return reject(octokit, owner, repo, prNumber, error.message);
+  }
+}
+
+async function handleComment(token, repository, prNumber, commentBody, options = {}) {
+  const dryRun = options.dryRun && createDryRun();
+  const octokit = dryRun ? dryRun.wrap(github.getOctokit(token)) : github.getOctokit(token);
   const [owner, repo] = repository.split('/');
 
   try {
+    const store = createScheduleStore(octokit, options.storage);
+    const notifier = createNotifier(options.notifications, dryRun);
+
     // Get comment author
     const { data: comment } = await octokit.rest.issues.getComment({
       owner,
@@ -107,70 +325,175 @@ async function handleComment(token, repository, prNumber, commentBody) {
 
     const commentAuthor = comment.user.login;
 
-    // Check if user has permission to merge PRs
-    const hasPermission = await hasWritePermission(octokit, owner, repo, commentAuthor);
+    // Every command needs the configured collaborator permission
+    let config;
+    let authorization;
+    const denied = await authorize(octokit, owner, repo, prNumber, commentAuthor, async () => {
+      config = await loadRepoConfig(octokit, owner, repo);
+      authorization = getAuthorizationPolicy(config);
+      return checkPermission(octokit, owner, repo, commentAuthor, authorization);
+    });
+
+    if (denied) {
+      return denied;
+    }
+
+    const { actionType, text = '' } = parseCommand(commentBody) || { actionType: getActionType('merge') };
+    const subcommand = text.split(/\s+/)[0].toLowerCase();
 
-    if (!hasPermission) {
-      await createComment(octokit, owner, repo, prNumber,
-        '❌ Only users with write permission can schedule PR merges.');
-      return;
+    if (subcommand === 'list') {
+      await listSchedules(octokit, store, owner, repo, prNumber);
+      return { action: 'listed' };
     }
 
+    if (subcommand === 'status') {
+      await showScheduleStatus(octokit, store, owner, repo, prNumber);
+      return { action: 'status' };
+    }
+
+    const { data: pullRequest } = await octokit.rest.pulls.get({
+      owner,
+      repo,
+      pull_number: prNumber
+    });
+
     // Handle cancellation
-    if (commentBody.includes(CANCEL_COMMAND)) {
-      await removeScheduleInfo(octokit, owner, repo, prNumber);
-      await createComment(octokit, owner, repo, prNumber,
-        '🚫 Scheduled merge has been cancelled.');
-      return;
+    if (subcommand === 'cancel') {
+      return cancelSchedule(octokit, store, notifier, owner, repo, pullRequest, commentAuthor, authorization,
+        actionType);
+    }
+
+    // Scheduling and confirming also have to pass the team, code owner and self-scheduling rules
+    const rejected = await authorize(octokit, owner, repo, prNumber, commentAuthor, () =>
+      checkSchedulingRules(octokit, owner, repo, pullRequest, commentAuthor, authorization));
+
+    if (rejected) {
+      return rejected;
+    }
+
+    // Handle re-confirmation after new commits were pushed
+    if (subcommand === 'confirm') {
+      return confirmSchedule(octokit, store, owner, repo, pullRequest, actionType);
+    }
+
+    if (actionType.name !== 'merge') {
+      return scheduleAction(octokit, store, owner, repo, pullRequest, actionType, text, commentAuthor,
+        authorization, config, options);
     }
 
     // Parse command
-    const match = COMMAND_REGEX.exec(commentBody);
-    if (!match) {
-      await createComment(octokit, owner, repo, prNumber,
-        '❌ Invalid command format. Please use: @merge-at YYYY-MM-DD HH:mm[am|pm] [timezone]');
-      return;
+    const { dependencies, rest } = parseDependencies(
+      text.replace(STACK_FLAG_REGEX, '').replace(FLAG_REGEX, ''), owner, repo);
+    // "after #120" on its own merges as soon as the prerequisites have
+    const command = rest
+      ? parseScheduleCommand(rest)
+      : dependencies.length && { expression: null };
+    if (!command) {
+      return reject(octokit, owner, repo, prNumber, `Invalid command format. Please use: ${actionType.usage}`);
     }
 
-    const [, dateTimeStr, timezone = 'UTC'] = match;
+    const { expression: dateTimeStr } = command;
 
     try {
-      const scheduleDate = await validateScheduleTime(dateTimeStr, timezone);
+      const timezone = resolveCommandTimezone(command, commentAuthor, config, options);
+      const policy = getMergePolicy(config);
+      const scheduleDate = dateTimeStr
+        ? await validateScheduleTime(dateTimeStr, timezone, policy)
+        : new Date();
+      await validateDependencies(octokit, owner, repo, prNumber, dependencies);
+      const mergeMethod = parseMergeMethod(commentBody, options.mergeMethod);
+      const priority = parsePriority(commentBody);
+      const hooks = parseThenFlags(commentBody);
+      validateHookNames(hooks, getMergeHooks(config));
+
+      // Reject methods the repository settings would refuse at merge time
+      const allowedMethods = await getAllowedMergeMethods(octokit, owner, repo);
+      if (!allowedMethods.includes(mergeMethod)) {
+        throw new Error(`Merge method "${mergeMethod}" is not allowed in this repository. Allowed methods: ${allowedMethods.join(', ') || 'none'}`);
+      }
 
       // Format times for the message
-      const localTime = format(utcToZonedTime(scheduleDate, timezone),
-        'yyyy-MM-dd hh:mm a');
-      const utcTime = format(scheduleDate, 'yyyy-MM-dd HH:mm');
-
-      // Remove any existing schedule
-      await removeScheduleInfo(octokit, owner, repo, prNumber);
-
-      // Store schedule info and create the comment
-      await storeScheduleInfo(
-        octokit,
-        owner,
-        repo,
-        prNumber,
-        scheduleDate,
-        localTime,
-        utcTime,
-        timezone
-      );
+      const { localTime, utcTime } = formatScheduleTimes(scheduleDate, timezone);
+
+      const scheduleOptions = {
+        ...options,
+        scheduler: commentAuthor,
+        scheduledTime: `${utcTime} UTC`
+      };
+      const saveSchedule = async (pr, details) => {
+        await clearSchedule(octokit, store, owner, repo, pr, commentAuthor, authorization, actionType);
 
+        // Store schedule info and create the comment
+        await store.save(
+          owner,
+          repo,
+          pr.number,
+          scheduleDate,
+          localTime,
+          utcTime,
+          timezone,
+          {
+            mergeMethod,
+            priority,
+            scheduledBy: commentAuthor,
+            ...details,
+            headSha: pr.head.sha,
+            ...resolveCommitDetails(pr, commentBody, scheduleOptions)
+          }
+        );
+
+        await notifier.notify('scheduled', owner, repo, pr.number, {
+          scheduleTime: scheduleDate.toISOString(),
+          timezone,
+          mergeMethod,
+          scheduledBy: commentAuthor
+        });
+      };
+
+      // A stacked PR schedules every PR below it, each merging after the one beneath
+      let stackBase;
+      let below;
+      if (isStackCommand(commentBody)) {
+        const stack = await findStack(octokit, owner, repo, pullRequest);
+        stackBase = stack.base;
+        await checkStackRules(octokit, store, owner, repo, stack.below, commentAuthor, authorization);
+
+        for (const stackedPR of stack.below) {
+          await saveSchedule(stackedPR, { dependencies: below && [below], stackBase });
+          below = { owner, repo, number: stackedPR.number };
+        }
+      }
+
+      const allDependencies = below ? [...dependencies, below] : dependencies;
+      // Hooks follow the PR they were requested on, so a stack triggers them once at the top
+      await saveSchedule(pullRequest, {
+        dependencies: allDependencies.length ? allDependencies : undefined,
+        stackBase,
+        hooks: hooks.length ? hooks : undefined
+      });
+
+      return { action: 'scheduled', scheduleTime: scheduleDate.toISOString(), timezone };
     } catch (error) {
-      await createComment(octokit, owner, repo, prNumber,
-        `❌ ${error.message}`);
+      return reject(octokit, owner, repo, prNumber, error.message);
     }
   } catch (error) {
     core.error('Error handling comment:');
     core.error(error);
     await createComment(octokit, owner, repo, prNumber,
       '❌ An error occurred while processing your command. Please try again.');
+    return { action: 'failed', error: error.message };
+  } finally {
+    if (dryRun) {
+      await writeDryRunSummary([], dryRun.actions);
+    }
   }
 }
 
 module.exports = {
   handleComment,
   validateScheduleTime,
-  hasWritePermission
+  getAllowedMergeMethods,
+  parseMergeMethod,
+  parsePriority,
+  resolveCommitDetails
 };
@@ -0,0 +1,42 @@
+const COMMIT_BLOCK_REGEX = /```commit[^\S\r\n]*\r?\n([\s\S]*?)\r?\n?```/;
+const PLACEHOLDER_REGEX = /\{\{\s*(\w+)\s*\}\}/g;
+
+function renderTemplate(template, values) {
+  if (!template) {
+    return undefined;
+  }
+
+  // Unknown placeholders are left untouched so typos are visible in the preview
+  return template.replace(PLACEHOLDER_REGEX, (placeholder, key) =>
+    Object.prototype.hasOwnProperty.call(values, key) ? String(values[key]) : placeholder
+  );
+}
+
+function parseCommitTemplate(commentBody) {
+  const match = COMMIT_BLOCK_REGEX.exec(commentBody);
+  if (!match) {
+    return null;
+  }
+
+  // First line is the commit title, everything after it is the message
+  const [title, ...messageLines] = match[1].split(/\r?\n/);
+  const message = messageLines.join('\n').trim();
+
+  return {
+    titleTemplate: title.trim() || undefined,
+    messageTemplate: message || undefined
+  };
+}
+
+function renderCommitTemplates({ titleTemplate, messageTemplate }, values) {
+  return {
+    commitTitle: renderTemplate(titleTemplate, values),
+    commitMessage: renderTemplate(messageTemplate, values)
+  };
+}
+
+module.exports = {
+  renderTemplate,
+  parseCommitTemplate,
+  renderCommitTemplates
+};
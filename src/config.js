@@ -0,0 +1,66 @@
+const core = require('@actions/core');
+const yaml = require('js-yaml');
+
+const CONFIG_PATH = '.github/merge-scheduler.yml';
+
+// Config files are read at most once per repository per run
+const configCache = new Map();
+
+async function fetchRepoConfig(octokit, owner, repo) {
+  try {
+    const { data } = await octokit.rest.repos.getContent({
+      owner,
+      repo,
+      path: CONFIG_PATH
+    });
+
+    const content = Buffer.from(data.content, data.encoding || 'base64').toString('utf8');
+    // CORE_SCHEMA keeps dates like 2024-12-24 as plain strings
+    const config = yaml.load(content, { schema: yaml.CORE_SCHEMA });
+
+    if (config === null || config === undefined) {
+      return {};
+    }
+
+    if (typeof config !== 'object' || Array.isArray(config)) {
+      throw new Error(`${CONFIG_PATH} must contain a YAML mapping`);
+    }
+
+    return config;
+  } catch (error) {
+    // A missing config file just means the defaults apply
+    if (error.status === 404) {
+      core.debug(`No ${CONFIG_PATH} found in ${owner}/${repo}`);
+      return {};
+    }
+
+    core.error(`Error loading ${CONFIG_PATH} from ${owner}/${repo}:`);
+    core.error(error);
+    throw new Error(`Unable to load ${CONFIG_PATH}: ${error.message}`);
+  }
+}
+
+async function loadRepoConfig(octokit, owner, repo) {
+  const key = `${owner}/${repo}`;
+
+  if (!configCache.has(key)) {
+    configCache.set(key, fetchRepoConfig(octokit, owner, repo));
+  }
+
+  try {
+    return await configCache.get(key);
+  } catch (error) {
+    configCache.delete(key);
+    throw error;
+  }
+}
+
+function clearConfigCache() {
+  configCache.clear();
+}
+
+module.exports = {
+  loadRepoConfig,
+  clearConfigCache,
+  CONFIG_PATH
+};
@@ -0,0 +1,161 @@
+const core = require('@actions/core');
+const { createComment } = require('./utils');
+
+const AFTER_REGEX = /\bafter\s+((?:[\w.-]+\/[\w.-]+)?#\d+(?:[\s,]+(?:[\w.-]+\/[\w.-]+)?#\d+)*)/i;
+const PR_REFERENCE_REGEX = /(?:([\w.-]+)\/([\w.-]+))?#(\d+)/g;
+
+function prKey({ owner, repo, number }) {
+  return `${owner}/${repo}#${number}`;
+}
+
+function formatReference(dependency, owner, repo) {
+  // References within the same repository are shown the short way
+  return dependency.owner === owner && dependency.repo === repo
+    ? `#${dependency.number}`
+    : prKey(dependency);
+}
+
+function parseDependencies(text, owner, repo) {
+  const match = AFTER_REGEX.exec(text);
+  if (!match) {
+    return { dependencies: [], rest: text.trim() };
+  }
+
+  const dependencies = [];
+  for (const [, refOwner, refRepo, number] of match[1].matchAll(PR_REFERENCE_REGEX)) {
+    const dependency = { owner: refOwner || owner, repo: refRepo || repo, number: parseInt(number, 10) };
+    if (!dependencies.some(existing => prKey(existing) === prKey(dependency))) {
+      dependencies.push(dependency);
+    }
+  }
+
+  return {
+    dependencies,
+    rest: text.replace(match[0], ' ').replace(/\s+/g, ' ').trim()
+  };
+}
+
+async function validateDependencies(octokit, owner, repo, prNumber, dependencies) {
+  for (const dependency of dependencies) {
+    const reference = formatReference(dependency, owner, repo);
+
+    if (prKey(dependency) === prKey({ owner, repo, number: prNumber })) {
+      throw new Error('A PR cannot be scheduled to merge after itself');
+    }
+
+    let pr;
+    try {
+      ({ data: pr } = await octokit.rest.pulls.get({
+        owner: dependency.owner,
+        repo: dependency.repo,
+        pull_number: dependency.number
+      }));
+    } catch (error) {
+      if (error.status === 404) {
+        throw new Error(`Prerequisite ${reference} was not found`);
+      }
+      throw error;
+    }
+
+    if (pr.state === 'closed' && !pr.merged) {
+      throw new Error(`Prerequisite ${reference} was closed without merging`);
+    }
+  }
+}
+
+function orderByDependencies(scheduledPRs) {
+  const byKey = new Map(scheduledPRs.map(pr => [prKey(pr), pr]));
+  const visited = new Map();
+  const ordered = [];
+  const cycles = [];
+
+  // Depth-first so prerequisites come before the PRs that wait for them
+  function visit(pr, path) {
+    const key = prKey(pr);
+
+    if (visited.get(key) === 'visiting') {
+      cycles.push([...path.slice(path.indexOf(key)), key]);
+      return;
+    }
+    if (visited.has(key)) {
+      return;
+    }
+
+    visited.set(key, 'visiting');
+    for (const dependency of pr.dependencies || []) {
+      const prerequisite = byKey.get(prKey(dependency));
+      if (prerequisite) {
+        visit(prerequisite, [...path, key]);
+      }
+    }
+    visited.set(key, 'done');
+    ordered.push(pr);
+  }
+
+  scheduledPRs.forEach(pr => visit(pr, []));
+
+  const cyclic = new Set(cycles.flat());
+  return {
+    ordered: ordered.filter(pr => !cyclic.has(prKey(pr))),
+    cycles: cycles.map(cycle => cycle.map(key => byKey.get(key)))
+  };
+}
+
+async function reportDependencyCycle(octokit, store, cycle) {
+  const members = cycle.slice(0, -1);
+
+  for (const pr of members) {
+    const path = cycle.map(member => formatReference(member, pr.owner, pr.repo)).join(' → ');
+    core.error(`PR #${pr.number} is part of a dependency cycle: ${path}`);
+
+    await createComment(octokit, pr.owner, pr.repo, pr.number,
+      `❌ Scheduled merge removed because of a dependency cycle: ${path}. Reschedule without the circular "after" dependency.`);
+    await store.remove(pr.owner, pr.repo, pr.number);
+  }
+}
+
+async function checkPrerequisites(octokit, store, pr, mergedKeys = new Set()) {
+  const waiting = [];
+
+  for (const dependency of pr.dependencies) {
+    const reference = formatReference(dependency, pr.owner, pr.repo);
+
+    if (mergedKeys.has(prKey(dependency))) {
+      continue;
+    }
+
+    const { data: prerequisite } = await octokit.rest.pulls.get({
+      owner: dependency.owner,
+      repo: dependency.repo,
+      pull_number: dependency.number
+    });
+
+    if (prerequisite.merged) {
+      continue;
+    }
+
+    if (prerequisite.state === 'closed') {
+      // Only explain the hold once per closed prerequisite
+      if (pr.blockedBy !== reference) {
+        await createComment(octokit, pr.owner, pr.repo, pr.number,
+          `⏸️ Scheduled merge is on hold because prerequisite ${reference} was closed without merging. Reopen and merge it, or post a new @merge-at command without it.`);
+        await store.update(pr, { blockedBy: reference });
+      }
+      return `prerequisite ${reference} to be reopened`;
+    }
+
+    waiting.push(reference);
+  }
+
+  return waiting.length ? `prerequisites ${waiting.join(', ')} to merge` : null;
+}
+
+module.exports = {
+  prKey,
+  formatReference,
+  parseDependencies,
+  validateDependencies,
+  orderByDependencies,
+  reportDependencyCycle,
+  checkPrerequisites
+};
@@ -0,0 +1,149 @@
+const core = require('@actions/core');
+const { escapeCell } = require('./schedule-report');
+
+// Endpoints that change something on GitHub, by namespace
+const MUTATING_ENDPOINTS = {
+  issues: ['createComment', 'updateComment', 'deleteComment', 'addLabels', 'removeLabel', 'update'],
+  pulls: ['merge', 'update', 'updateBranch'],
+  git: ['createTree', 'createCommit', 'createRef', 'deleteRef'],
+  repos: ['createOrUpdateFileContents', 'createDispatchEvent'],
+  actions: ['createRepoVariable', 'updateRepoVariable', 'createWorkflowDispatch']
+};
+
+const GRAPHQL_MUTATION_REGEX = /^\s*mutation\b[^{]*\{\s*(\w+)/;
+
+// Just enough of each response for the calling code to carry on
+const DRY_RUN_RESPONSES = {
+  'pulls.merge': { merged: true },
+  'git.createTree': { sha: 'dry-run' },
+  'git.createCommit': { sha: 'dry-run' }
+};
+
+const OUTCOME_LABELS = {
+  merged: '✅ Would merge',
+  completed: '✅ Would run',
+  failed: '❌ Would fail',
+  error: '❌ Error',
+  deferred: '⏳ Deferred',
+  waiting: '⏳ Waiting',
+  held: '⏸️ Held',
+  queued: '🚦 Queued',
+  scheduled: '📅 Not due yet',
+  skipped: '⚠️ Needs confirmation'
+};
+
+function describeCall(endpoint, params) {
+  const number = params.pull_number || params.issue_number;
+  const target = `${params.owner}/${params.repo}${number ? `#${number}` : ''}`;
+
+  let details = '';
+  if (endpoint === 'pulls.merge') {
+    details = `${params.merge_method} merge${params.sha ? ` of ${params.sha.slice(0, 7)}` : ''}`;
+  } else if (params.body) {
+    // Hidden schedule metadata follows the visible first line
+    details = params.body.split('\n')[0];
+  } else if (params.labels || params.name) {
+    details = [].concat(params.labels || params.name).join(', ');
+  } else if (params.comment_id) {
+    details = `comment ${params.comment_id}`;
+  } else if (params.base) {
+    details = `base ${params.base}`;
+  } else if (params.workflow_id) {
+    details = `${params.workflow_id} on ${params.ref}`;
+  } else if (params.event_type) {
+    details = params.event_type;
+  } else if (params.state) {
+    details = `state ${params.state}`;
+  } else if (params.ref) {
+    details = params.ref;
+  }
+
+  return { endpoint, target, details };
+}
+
+function createDryRun() {
+  const actions = [];
+
+  function record(action) {
+    core.info(`[dry-run] Skipped ${action.endpoint} on ${action.target}${action.details ? `: ${action.details}` : ''}`);
+    actions.push(action);
+  }
+
+  function wrap(octokit) {
+    const rest = new Proxy(octokit.rest, {
+      get(namespaces, namespace) {
+        const endpoints = MUTATING_ENDPOINTS[namespace];
+        if (!endpoints) {
+          return namespaces[namespace];
+        }
+
+        return new Proxy(namespaces[namespace], {
+          get(api, method) {
+            if (!endpoints.includes(method)) {
+              return api[method];
+            }
+
+            return async (params = {}) => {
+              const action = describeCall(`${namespace}.${method}`, params);
+              record(action);
+              return { data: DRY_RUN_RESPONSES[action.endpoint] || {} };
+            };
+          }
+        });
+      }
+    });
+
+    // GraphQL queries still run, only mutations are skipped
+    const graphql = async (query, params = {}) => {
+      const mutation = GRAPHQL_MUTATION_REGEX.exec(query);
+      if (!mutation) {
+        return octokit.graphql(query, params);
+      }
+
+      record({ endpoint: `graphql.${mutation[1]}`, target: params.id || 'GraphQL' });
+      return {};
+    };
+
+    return new Proxy(octokit, {
+      get(target, property) {
+        if (property === 'rest') {
+          return rest;
+        }
+        return property === 'graphql' ? graphql : target[property];
+      }
+    });
+  }
+
+  return { actions, record, wrap };
+}
+
+async function writeDryRunSummary(results, actions) {
+  try {
+    core.summary.addHeading('Dry run', 2);
+    core.summary.addRaw('No changes were made. This is what the run would have done.', true);
+
+    if (results.length) {
+      const lines = ['| PR | Result | Why |', '| --- | --- | --- |'];
+      for (const { owner, repo, number, outcome, reason } of results) {
+        const cells = [`${owner}/${repo}#${number}`, OUTCOME_LABELS[outcome] || outcome, reason || '—'];
+        lines.push(`| ${cells.map(escapeCell).join(' | ')} |`);
+      }
+      core.summary.addRaw(`\n${lines.join('\n')}`, true);
+    }
+
+    const lines = ['| Skipped call | Target | Details |', '| --- | --- | --- |'];
+    for (const { endpoint, target, details } of actions) {
+      lines.push(`| ${[endpoint, target, details || '—'].map(escapeCell).join(' | ')} |`);
+    }
+    core.summary.addRaw(actions.length ? `\n${lines.join('\n')}` : '\nNo changes would have been made.', true);
+
+    await core.summary.write();
+  } catch (error) {
+    core.warning(`Unable to write the dry run summary: ${error.message}`);
+  }
+}
+
+module.exports = {
+  createDryRun,
+  writeDryRunSummary
+};
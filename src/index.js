@@ -1,11 +1,57 @@
 const core = require('@actions/core');
 const { handleComment } = require('./comment-handler');
 const { processScheduledMerges } = require('./merge-scheduler');
+const { handleSynchronize, SYNCHRONIZE_POLICIES, DEFAULT_SYNCHRONIZE_POLICY } = require('./synchronize-handler');
+const { MERGE_METHODS, DEFAULT_MERGE_METHOD, parseRepositoryScopes } = require('./utils');
+const { STORAGE_BACKENDS, DEFAULT_STORAGE_BACKEND } = require('./storage');
+const { setCommentOutputs, setSchedulerOutputs } = require('./outputs');
+const { validateTimezone } = require('./timezones');
+const {
+  parseWebhookUrls,
+  WEBHOOK_FORMATS,
+  DEFAULT_WEBHOOK_FORMAT,
+  DEFAULT_WEBHOOK_RETRIES
+} = require('./notifier');
 
 async function run() {
   try {
     const mode = core.getInput('mode');
     const token = core.getInput('github-token');
+    const mergeMethod = core.getInput('merge-method') || DEFAULT_MERGE_METHOD;
+    const dryRun = core.getInput('dry-run') === 'true';
+
+    if (!MERGE_METHODS.includes(mergeMethod)) {
+      throw new Error(`Invalid merge-method: ${mergeMethod}`);
+    }
+
+    const storage = {
+      backend: core.getInput('storage') || DEFAULT_STORAGE_BACKEND,
+      repository: core.getInput('storage-repository') || process.env.GITHUB_REPOSITORY,
+      branch: core.getInput('storage-branch') || undefined,
+      variable: core.getInput('storage-variable') || undefined
+    };
+
+    if (!STORAGE_BACKENDS.includes(storage.backend)) {
+      throw new Error(`Invalid storage: ${storage.backend}`);
+    }
+
+    const notifications = {
+      urls: parseWebhookUrls(core.getInput('webhook-urls')),
+      format: core.getInput('webhook-format') || DEFAULT_WEBHOOK_FORMAT,
+      secret: core.getInput('webhook-secret') || undefined,
+      retries: parseInt(core.getInput('webhook-retries') || String(DEFAULT_WEBHOOK_RETRIES), 10)
+    };
+
+    // Webhook URLs often carry their own credentials
+    notifications.urls.forEach(url => core.setSecret(url));
+
+    if (!WEBHOOK_FORMATS.includes(notifications.format)) {
+      throw new Error(`Invalid webhook-format: ${notifications.format}`);
+    }
+
+    if (isNaN(notifications.retries) || notifications.retries < 0) {
+      throw new Error(`Invalid webhook-retries: ${core.getInput('webhook-retries')}`);
+    }
 
     if (mode === 'comment') {
       const commentBody = core.getInput('comment-body');
@@ -16,9 +62,62 @@ async function run() {
         throw new Error('Missing required inputs for comment handling');
       }
 
-      await handleComment(token, repository, prNumber, commentBody);
+      // Only commands read the default timezone, so other modes don't fail on it
+      const defaultTimezone = validateTimezone(core.getInput('default-timezone') || 'UTC', 'in default-timezone');
+
+      const result = await handleComment(token, repository, prNumber, commentBody, {
+        mergeMethod,
+        defaultTimezone,
+        storage,
+        dryRun,
+        notifications,
+        commitTitleTemplate: core.getInput('commit-title-template'),
+        commitMessageTemplate: core.getInput('commit-message-template')
+      });
+      setCommentOutputs(result);
+    } else if (mode === 'synchronize') {
+      const prNumber = parseInt(core.getInput('pr-number'), 10);
+      const repository = core.getInput('repository');
+      const policy = core.getInput('synchronize-policy') || DEFAULT_SYNCHRONIZE_POLICY;
+
+      if (!prNumber || !repository) {
+        throw new Error('Missing required inputs for synchronize handling');
+      }
+
+      if (!SYNCHRONIZE_POLICIES.includes(policy)) {
+        throw new Error(`Invalid synchronize-policy: ${policy}`);
+      }
+
+      await handleSynchronize(token, repository, prNumber, { policy, storage, dryRun, notifications });
     } else if (mode === 'scheduler') {
-      await processScheduledMerges(token);
+      const repositories = parseRepositoryScopes(core.getInput('repositories') || process.env.GITHUB_REPOSITORY);
+
+      const gracePeriod = parseInt(core.getInput('grace-period') || '0', 10);
+
+      if (isNaN(gracePeriod) || gracePeriod < 0) {
+        throw new Error(`Invalid grace-period: ${core.getInput('grace-period')}`);
+      }
+
+      const queue = core.getInput('queue') === 'true';
+      const updateBranch = core.getInput('update-branch') === 'true';
+      const updateBranchLead = parseInt(core.getInput('update-branch-lead') || '0', 10);
+
+      if (isNaN(updateBranchLead) || updateBranchLead < 0) {
+        throw new Error(`Invalid update-branch-lead: ${core.getInput('update-branch-lead')}`);
+      }
+
+      const results = await processScheduledMerges(token, {
+        mergeMethod,
+        repositories,
+        gracePeriod,
+        storage,
+        queue,
+        updateBranch,
+        updateBranchLead,
+        dryRun,
+        notifications
+      });
+      setSchedulerOutputs(results);
     } else {
       throw new Error(`Invalid mode: ${mode}`);
     }
@@ -0,0 +1,165 @@
+const core = require('@actions/core');
+
+// GitHub's closing keywords, followed by #N or owner/repo#N
+const CLOSING_REFERENCE_REGEX = /\b(?:close[sd]?|fix(?:e[sd])?|resolve[sd]?)\s*:?\s+(?:([\w.-]+)\/([\w.-]+))?#(\d+)\b/gi;
+
+function readFlag(postMerge, key) {
+  const value = postMerge[key];
+  if (value !== undefined && typeof value !== 'boolean') {
+    throw new Error(`post-merge.${key} must be true or false`);
+  }
+  return value === true;
+}
+
+function readLabels(labels, key) {
+  const value = labels[key] === undefined ? [] : labels[key];
+  if (!Array.isArray(value) && typeof value !== 'string') {
+    throw new Error(`post-merge.labels.${key} must be a label or a list of labels`);
+  }
+  return [].concat(value).map(String);
+}
+
+function getMergeCleanup(config = {}) {
+  const postMerge = (config && config['post-merge']) || {};
+  if (typeof postMerge !== 'object' || Array.isArray(postMerge)) {
+    throw new Error('post-merge must be a mapping');
+  }
+
+  const labels = postMerge.labels || {};
+  if (typeof labels !== 'object' || Array.isArray(labels)) {
+    throw new Error('post-merge.labels must be a mapping with remove and add lists');
+  }
+
+  return {
+    deleteBranch: readFlag(postMerge, 'delete-branch'),
+    closeIssues: readFlag(postMerge, 'close-issues'),
+    removeLabels: readLabels(labels, 'remove'),
+    addLabels: readLabels(labels, 'add')
+  };
+}
+
+function findClosingReferences(body, owner, repo) {
+  const references = new Map();
+
+  for (const match of (body || '').matchAll(CLOSING_REFERENCE_REGEX)) {
+    const reference = { owner: match[1] || owner, repo: match[2] || repo, number: parseInt(match[3], 10) };
+    references.set(`${reference.owner}/${reference.repo}#${reference.number}`.toLowerCase(), reference);
+  }
+
+  return [...references.values()];
+}
+
+async function deleteHeadBranch(octokit, owner, repo, pullRequest) {
+  const branch = pullRequest.head.ref;
+
+  if (!pullRequest.head.repo || pullRequest.head.repo.full_name !== `${owner}/${repo}`) {
+    return `kept ${branch} because it belongs to a fork`;
+  }
+
+  const { data: details } = await octokit.rest.repos.getBranch({ owner, repo, branch });
+  if (details.protected) {
+    return `kept ${branch} because it is protected`;
+  }
+
+  // Deleting the branch would close the PRs stacked on top of it
+  const { data: basedOn } = await octokit.rest.pulls.list({ owner, repo, state: 'open', base: branch, per_page: 1 });
+  if (basedOn.length) {
+    return `kept ${branch} because open PRs are based on it`;
+  }
+
+  try {
+    await octokit.rest.git.deleteRef({ owner, repo, ref: `heads/${branch}` });
+  } catch (error) {
+    // The repository may already delete head branches on merge
+    if (error.status === 422 || error.status === 404) {
+      return `${branch} was already deleted`;
+    }
+    throw error;
+  }
+
+  return `deleted ${branch}`;
+}
+
+async function closeIssue(octokit, reference) {
+  const { data: issue } = await octokit.rest.issues.get({
+    owner: reference.owner,
+    repo: reference.repo,
+    issue_number: reference.number
+  });
+
+  if (issue.state !== 'open') {
+    return 'already closed';
+  }
+
+  await octokit.rest.issues.update({
+    owner: reference.owner,
+    repo: reference.repo,
+    issue_number: reference.number,
+    state: 'closed',
+    state_reason: 'completed'
+  });
+  return 'closed';
+}
+
+async function removeLabels(octokit, owner, repo, pullRequest, labels) {
+  const current = (pullRequest.labels || []).map(({ name }) => name);
+  const present = labels.filter(label => current.includes(label));
+
+  for (const name of present) {
+    await octokit.rest.issues.removeLabel({ owner, repo, issue_number: pullRequest.number, name });
+  }
+
+  return present.length ? `removed ${present.join(', ')}` : 'none of the labels were set';
+}
+
+async function addLabels(octokit, owner, repo, pullRequest, labels) {
+  await octokit.rest.issues.addLabels({ owner, repo, issue_number: pullRequest.number, labels });
+  return `added ${labels.join(', ')}`;
+}
+
+async function runMergeCleanup(octokit, owner, repo, pullRequest, cleanup) {
+  const steps = [];
+
+  if (cleanup.deleteBranch) {
+    steps.push({ name: 'delete-branch', run: () => deleteHeadBranch(octokit, owner, repo, pullRequest) });
+  }
+
+  if (cleanup.closeIssues) {
+    for (const reference of findClosingReferences(pullRequest.body, owner, repo)) {
+      const label = reference.owner === owner && reference.repo === repo
+        ? `#${reference.number}`
+        : `${reference.owner}/${reference.repo}#${reference.number}`;
+      steps.push({ name: `close ${label}`, run: () => closeIssue(octokit, reference) });
+    }
+  }
+
+  if (cleanup.removeLabels.length) {
+    steps.push({ name: 'remove-labels', run: () => removeLabels(octokit, owner, repo, pullRequest, cleanup.removeLabels) });
+  }
+
+  if (cleanup.addLabels.length) {
+    steps.push({ name: 'add-labels', run: () => addLabels(octokit, owner, repo, pullRequest, cleanup.addLabels) });
+  }
+
+  const results = [];
+
+  // The merge has already happened, so a failed step is only reported
+  for (const step of steps) {
+    try {
+      const message = await step.run();
+      core.info(`Post-merge cleanup ${step.name} for PR #${pullRequest.number}: ${message}`);
+      results.push({ name: step.name, ok: true, message });
+    } catch (error) {
+      core.warning(`Post-merge cleanup ${step.name} for PR #${pullRequest.number} failed: ${error.message}`);
+      results.push({ name: step.name, ok: false, message: error.message });
+    }
+  }
+
+  return results;
+}
+
+module.exports = {
+  getMergeCleanup,
+  findClosingReferences,
+  runMergeCleanup
+};
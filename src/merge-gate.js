@@ -0,0 +1,150 @@
+const core = require('@actions/core');
+
+const PASSING_CONCLUSIONS = ['success', 'neutral', 'skipped'];
+const STATUS_STATES = { success: 'success', pending: 'pending' };
+const PAGE_SIZE = 100;
+
+function getMergeGate(config = {}) {
+  const gate = config['merge-gate'] || {};
+  const checks = gate.checks === undefined ? 'none' : gate.checks;
+  const approvals = gate.approvals === undefined ? 0 : Number(gate.approvals);
+
+  if (!['all', 'none'].includes(checks) && !Array.isArray(checks)) {
+    throw new Error('merge-gate.checks must be "all", "none" or a list of check names');
+  }
+
+  if (!Number.isInteger(approvals) || approvals < 0) {
+    throw new Error('merge-gate.approvals must be a non-negative integer');
+  }
+
+  return {
+    checks: Array.isArray(checks) ? checks.map(String) : checks,
+    approvals
+  };
+}
+
+function isGateActive(gate) {
+  return Boolean(gate) && (gate.checks !== 'none' || gate.approvals > 0);
+}
+
+async function listAllPages(list, pick) {
+  const items = [];
+
+  for (let page = 1; ; page++) {
+    const { data } = await list({ per_page: PAGE_SIZE, page });
+    const pageItems = pick(data);
+
+    items.push(...pageItems);
+
+    if (pageItems.length < PAGE_SIZE) {
+      return items;
+    }
+  }
+}
+
+async function getCheckResults(octokit, owner, repo, sha) {
+  const [statuses, checkRuns] = await Promise.all([
+    listAllPages(params => octokit.rest.repos.getCombinedStatusForRef({ owner, repo, ref: sha, ...params }),
+      data => data.statuses),
+    listAllPages(params => octokit.rest.checks.listForRef({ owner, repo, ref: sha, ...params }),
+      data => data.check_runs)
+  ]);
+
+  const statusResults = statuses.map(status => ({
+    name: status.context,
+    state: STATUS_STATES[status.state] || 'failure',
+    detail: status.state
+  }));
+
+  const runs = checkRuns.map(run => {
+    let state = 'failure';
+    if (run.status !== 'completed') {
+      state = 'pending';
+    } else if (PASSING_CONCLUSIONS.includes(run.conclusion)) {
+      state = 'success';
+    }
+    return { name: run.name, state, detail: run.status === 'completed' ? run.conclusion : run.status };
+  });
+
+  return [...statusResults, ...runs];
+}
+
+async function getReviewSummary(octokit, owner, repo, prNumber) {
+  const reviews = await listAllPages(
+    params => octokit.rest.pulls.listReviews({ owner, repo, pull_number: prNumber, ...params }),
+    data => data);
+
+  // Only each reviewer's latest approving or blocking review counts
+  const latest = new Map();
+  for (const review of reviews) {
+    if (['APPROVED', 'CHANGES_REQUESTED', 'DISMISSED'].includes(review.state)) {
+      latest.set(review.user.login, review.state);
+    }
+  }
+
+  const reviewers = [...latest.entries()];
+  return {
+    approvals: reviewers.filter(([, state]) => state === 'APPROVED').map(([login]) => login),
+    changesRequested: reviewers.filter(([, state]) => state === 'CHANGES_REQUESTED').map(([login]) => login)
+  };
+}
+
+async function evaluateMergeGate(octokit, owner, repo, prNumber, headSha, gate) {
+  const failures = [];
+  const pending = [];
+
+  if (gate.checks !== 'none') {
+    const results = await getCheckResults(octokit, owner, repo, headSha);
+    const required = gate.checks === 'all'
+      ? results
+      : gate.checks.map(name => results.find(result => result.name === name) || { name, state: 'missing' });
+
+    // Checks on a freshly pushed head may not have started yet
+    if (gate.awaitChecks && gate.checks === 'all' && !results.length) {
+      pending.push('checks to report');
+      failures.push('No checks have reported on this commit yet');
+    }
+
+    for (const result of required) {
+      if (result.state === 'pending') {
+        pending.push(result.name);
+        failures.push(`Check \`${result.name}\` is still ${result.detail}`);
+      } else if (result.state === 'missing' && gate.awaitChecks) {
+        pending.push(result.name);
+        failures.push(`Required check \`${result.name}\` has not reported yet`);
+      } else if (result.state === 'missing') {
+        failures.push(`Required check \`${result.name}\` has not reported`);
+      } else if (result.state === 'failure') {
+        failures.push(`Check \`${result.name}\` did not pass (${result.detail})`);
+      }
+    }
+  }
+
+  if (gate.approvals > 0) {
+    const { approvals, changesRequested } = await getReviewSummary(octokit, owner, repo, prNumber);
+
+    if (approvals.length < gate.approvals) {
+      failures.push(`Needs ${gate.approvals} approving review(s), has ${approvals.length}`);
+    }
+
+    for (const login of changesRequested) {
+      failures.push(`Changes requested by @${login}`);
+    }
+  }
+
+  core.debug(`Merge gate for PR #${prNumber}: ${failures.length ? failures.join('; ') : 'passed'}`);
+
+  return { passed: failures.length === 0, failures, pending };
+}
+
+function formatGateFailures(failures) {
+  return `Merge requirements not met:\n${failures.map(failure => `- ${failure}`).join('\n')}`;
+}
+
+module.exports = {
+  getMergeGate,
+  isGateActive,
+  evaluateMergeGate,
+  formatGateFailures,
+  getReviewSummary
+};
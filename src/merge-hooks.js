@@ -0,0 +1,182 @@
+const core = require('@actions/core');
+const { renderTemplate } = require('./commit-template');
+
+const THEN_FLAG_REGEX = /--then\s+(\S+)/g;
+
+function isMapping(value) {
+  return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+}
+
+function normalizeHook(name, hook) {
+  const label = `merge-hooks.${name}`;
+
+  if (!isMapping(hook) || Boolean(hook.workflow) === Boolean(hook.event)) {
+    throw new Error(`${label} needs either a workflow or an event`);
+  }
+
+  if (hook.workflow) {
+    if (hook.inputs !== undefined && !isMapping(hook.inputs)) {
+      throw new Error(`${label}.inputs must be a mapping of input names to values`);
+    }
+
+    return {
+      name,
+      workflow: String(hook.workflow),
+      ref: hook.ref === undefined ? undefined : String(hook.ref),
+      inputs: hook.inputs || {}
+    };
+  }
+
+  if (hook.payload !== undefined && !isMapping(hook.payload)) {
+    throw new Error(`${label}.payload must be a mapping`);
+  }
+
+  return {
+    name,
+    event: String(hook.event),
+    payload: hook.payload || {}
+  };
+}
+
+function getMergeHooks(config = {}) {
+  const definitions = config['merge-hooks'] || {};
+  if (!isMapping(definitions)) {
+    throw new Error('merge-hooks must be a mapping of hook names to hooks');
+  }
+
+  const hooks = {};
+  for (const [name, hook] of Object.entries(definitions)) {
+    hooks[name] = normalizeHook(name, hook);
+  }
+
+  const postMerge = config['post-merge'] || {};
+  const defaults = [].concat(postMerge.hooks || []).map(String);
+  const unknown = defaults.find(name => !hooks[name]);
+  if (unknown) {
+    throw new Error(`post-merge.hooks lists "${unknown}", which is not defined under merge-hooks`);
+  }
+
+  return { hooks, defaults };
+}
+
+function parseThenFlags(commentBody) {
+  const names = [];
+
+  for (const [, value] of commentBody.matchAll(THEN_FLAG_REGEX)) {
+    names.push(...value.split(',').filter(Boolean));
+  }
+
+  return [...new Set(names)];
+}
+
+function validateHookNames(names, mergeHooks) {
+  const unknown = names.find(name => !mergeHooks.hooks[name]);
+  if (!unknown) {
+    return;
+  }
+
+  const defined = Object.keys(mergeHooks.hooks);
+  throw new Error(defined.length
+    ? `Unknown merge hook "${unknown}". Defined hooks: ${defined.join(', ')}`
+    : `Unknown merge hook "${unknown}". No hooks are defined under merge-hooks in the repository config`);
+}
+
+function selectHooks(mergeHooks, names = []) {
+  // The repository's hooks run first, each hook at most once
+  return [...new Set([...mergeHooks.defaults, ...names])]
+    .map(name => mergeHooks.hooks[name] || { name });
+}
+
+function renderValues(values, context) {
+  const rendered = {};
+  for (const [key, value] of Object.entries(values)) {
+    rendered[key] = typeof value === 'string' ? renderTemplate(value, context) : value;
+  }
+  return rendered;
+}
+
+async function runHook(octokit, owner, repo, hook, merge) {
+  const context = {
+    sha: merge.sha,
+    head_sha: merge.headSha,
+    base: merge.base,
+    number: merge.number,
+    title: merge.title,
+    author: merge.author,
+    merge_method: merge.mergeMethod
+  };
+
+  if (hook.workflow) {
+    const ref = hook.ref || merge.base;
+    // Workflow inputs are always passed as strings
+    const inputs = {};
+    for (const [key, value] of Object.entries(renderValues(hook.inputs, context))) {
+      inputs[key] = String(value);
+    }
+
+    await octokit.rest.actions.createWorkflowDispatch({
+      owner,
+      repo,
+      workflow_id: hook.workflow,
+      ref,
+      inputs
+    });
+    return `started the ${hook.workflow} workflow on ${ref}`;
+  }
+
+  if (hook.event) {
+    await octokit.rest.repos.createDispatchEvent({
+      owner,
+      repo,
+      event_type: hook.event,
+      client_payload: {
+        ...renderValues(hook.payload, context),
+        sha: merge.sha,
+        merge_method: merge.mergeMethod,
+        pull_request: {
+          number: merge.number,
+          title: merge.title,
+          author: merge.author,
+          head_sha: merge.headSha,
+          base: merge.base
+        }
+      }
+    });
+    return `sent the ${hook.event} repository_dispatch event`;
+  }
+
+  throw new Error('the hook is no longer defined under merge-hooks');
+}
+
+async function runMergeHooks(octokit, owner, repo, hooks, merge) {
+  const results = [];
+
+  // A hook that fails is reported, but never undoes or fails the merge
+  for (const hook of hooks) {
+    try {
+      const message = await runHook(octokit, owner, repo, hook, merge);
+      core.info(`Post-merge hook ${hook.name} for PR #${merge.number}: ${message}`);
+      results.push({ name: hook.name, ok: true, message });
+    } catch (error) {
+      core.warning(`Post-merge hook ${hook.name} for PR #${merge.number} failed: ${error.message}`);
+      results.push({ name: hook.name, ok: false, message: error.message });
+    }
+  }
+
+  return results;
+}
+
+function formatPostMergeResults(results) {
+  return results
+    .map(({ name, ok, message }) => `- ${ok ? '✅' : '❌'} ${name}: ${message}`)
+    .join('\n');
+}
+
+module.exports = {
+  getMergeHooks,
+  parseThenFlags,
+  validateHookNames,
+  selectHooks,
+  runMergeHooks,
+  formatPostMergeResults
+};
@@ -1,8 +1,74 @@
 const core = require('@actions/core');
 const github = require('@actions/github');
-const { createComment, removeScheduleInfo, getScheduledPRs } = require('./utils');
+const { createComment, DEFAULT_MERGE_METHOD } = require('./utils');
+const { createScheduleStore } = require('./storage');
+const { loadRepoConfig } = require('./config');
+const {
+  getMergePolicy,
+  findBlackout,
+  isInMergeWindow,
+  getNextMergeOpening,
+  describeBlackout
+} = require('./merge-windows');
+const { getMergeGate, isGateActive, evaluateMergeGate, formatGateFailures } = require('./merge-gate');
+const { updatePRBranch, isBranchUpdate } = require('./branch-updater');
+const { writeScheduleSummary } = require('./schedule-report');
+const { prKey, orderByDependencies, reportDependencyCycle, checkPrerequisites } = require('./dependencies');
+const { retargetStackedPR } = require('./stack');
+const { createDryRun, writeDryRunSummary } = require('./dry-run');
+const { createNotifier } = require('./notifier');
+const { getMergeTrains, findDueOccurrence, hasTrainRun, listTrainPRs, formatTrainSummary } = require('./merge-trains');
+const { getActionType } = require('./action-types');
+const { getMergeHooks, selectHooks, runMergeHooks, formatPostMergeResults } = require('./merge-hooks');
+const { getMergeCleanup, runMergeCleanup } = require('./merge-cleanup');
+
+const BRANCH_UPDATE_TIMEOUT_MINUTES = 15;
+const RECHECK_PERIOD_MINUTES = 30;
+
+function headChangedMessage(sha) {
+  return `New commits were pushed after the merge was scheduled for ${sha.slice(0, 7)}. Please reschedule to merge the latest changes.`;
+}
+
+async function diagnoseMergeFailure(octokit, owner, repo, prNumber, headSha, gate) {
+  // Explain a rejected merge by checking every status and check run, plus the configured approvals
+  try {
+    const approvals = gate ? gate.approvals : 0;
+    return await evaluateMergeGate(octokit, owner, repo, prNumber, headSha, { checks: 'all', approvals });
+  } catch (error) {
+    core.debug(`Unable to diagnose merge failure for PR #${prNumber}: ${error.message}`);
+    return { failures: [], pending: [] };
+  }
+}
+
+function isOnlyPending({ failures, pending }) {
+  return pending.length > 0 && pending.length === failures.length;
+}
+
+async function runAfterMerge(prNumber, step, run) {
+  try {
+    return await run();
+  } catch (error) {
+    core.warning(`PR #${prNumber} was merged, but ${step} failed: ${error.message}`);
+    return null;
+  }
+}
+
+async function mergePR(octokit, owner, repo, prNumber, options = {}) {
+  const {
+    mergeMethod = DEFAULT_MERGE_METHOD,
+    commitTitle,
+    commitMessage,
+    gate,
+    sha,
+    store = createScheduleStore(octokit),
+    notifier = createNotifier(),
+    hooks = [],
+    cleanup,
+    allowRetry = false
+  } = options;
+  let headSha;
+  let pullRequest;
 
-async function mergePR(octokit, owner, repo, prNumber) {
   try {
     // Check if PR is mergeable
     try {
@@ -15,46 +81,100 @@ async function mergePR(octokit, owner, repo, prNumber) {
       core.info(`Checking mergability for PR #${prNumber}`);
       core.debug(`PR Status - Mergeable: ${pr.mergeable}, State: ${pr.mergeable_state}`);
 
+      // GitHub reports null while it is still computing mergeability
+      if (pr.mergeable === null && allowRetry) {
+        return { merged: false, reason: 'GitHub is still checking whether the PR is mergeable' };
+      }
+
       if (!pr.mergeable) {
-        const error = new Error('PR is not mergeable. There might be conflicts.');
-        await createComment(octokit, owner, repo, prNumber,
-          `❌ Failed to merge PR: ${error.message}`);
+        const error = new Error(`Failed to merge PR: ${pr.mergeable === null
+          ? 'GitHub has not finished checking whether the PR is mergeable.'
+          : 'PR is not mergeable. There might be conflicts.'}`);
+        await createComment(octokit, owner, repo, prNumber, `❌ ${error.message}`);
+        throw error;
+      }
+
+      headSha = pr.head && pr.head.sha;
+      pullRequest = pr;
+
+      // Only the commit that was scheduled may land
+      if (sha && headSha !== sha) {
+        const error = new Error(`Failed to merge PR: ${headChangedMessage(sha)}`);
+        await createComment(octokit, owner, repo, prNumber, `❌ ${error.message}`);
         throw error;
       }
     } catch (error) {
       if (error.status === 404) {
-        const notFoundError = new Error('PR not found or you may not have permission to merge.');
-        await createComment(octokit, owner, repo, prNumber,
-          `❌ Failed to merge PR: ${notFoundError.message}`);
+        const notFoundError = new Error('Failed to merge PR: PR not found or you may not have permission to merge.');
+        await createComment(octokit, owner, repo, prNumber, `❌ ${notFoundError.message}`);
         throw notFoundError;
       }
       throw error;
     }
 
+    // Check required checks and reviews before merging
+    if (isGateActive(gate)) {
+      const result = await evaluateMergeGate(octokit, owner, repo, prNumber, headSha, gate);
+      const { passed, failures } = result;
+      if (!passed && allowRetry && isOnlyPending(result)) {
+        return { merged: false, reason: `waiting for ${result.pending.join(', ')}` };
+      }
+      if (!passed) {
+        const errorMessage = `Failed to merge PR: ${formatGateFailures(failures)}`;
+        core.error(`Merge gate failed for PR #${prNumber}`);
+        await createComment(octokit, owner, repo, prNumber, `❌ ${errorMessage}`);
+        throw new Error(errorMessage);
+      }
+    }
+
     // Attempt to merge
+    let merge;
     try {
       core.info(`Attempting to merge PR #${prNumber}`);
+      core.debug(`Merge method: ${mergeMethod}`);
 
-      await octokit.rest.pulls.merge({
+      const mergeParams = {
         owner,
         repo,
         pull_number: prNumber,
-        merge_method: 'squash'
-      });
+        merge_method: mergeMethod
+      };
 
-      core.info(`Successfully merged PR #${prNumber}`);
+      if (sha) {
+        mergeParams.sha = sha;
+      }
 
-      await createComment(octokit, owner, repo, prNumber,
-        '✅ Successfully merged as scheduled!');
+      // Rebase merges don't create a merge commit, so there's nothing to title
+      if (mergeMethod !== 'rebase') {
+        if (commitTitle) {
+          mergeParams.commit_title = commitTitle;
+        }
+        if (commitMessage) {
+          mergeParams.commit_message = commitMessage;
+        }
+      }
 
-      // Clean up schedule info after successful merge
-      await removeScheduleInfo(octokit, owner, repo, prNumber);
-      core.info(`Cleaned up schedule info for PR #${prNumber}`);
+      ({ data: merge } = await octokit.rest.pulls.merge(mergeParams));
+
+      core.info(`Successfully merged PR #${prNumber}`);
     } catch (mergeError) {
       let errorMessage = 'Failed to merge PR: ';
 
-      if (mergeError.status === 405) {
+      const diagnosis = mergeError.status === 405
+        ? await diagnoseMergeFailure(octokit, owner, repo, prNumber, headSha, gate)
+        : { failures: [], pending: [] };
+      const { failures } = diagnosis;
+
+      if (allowRetry && isOnlyPending(diagnosis)) {
+        return { merged: false, reason: `waiting for ${diagnosis.pending.join(', ')}` };
+      }
+
+      if (failures.length) {
+        errorMessage += formatGateFailures(failures);
+      } else if (mergeError.status === 405) {
         errorMessage += 'PR is not mergeable at this time. Please resolve any conflicts or check branch protection rules.';
+      } else if (mergeError.status === 409 && sha) {
+        errorMessage += headChangedMessage(sha);
       } else if (mergeError.status === 404) {
         errorMessage += 'PR not found or you may not have permission to merge.';
       } else {
@@ -65,6 +185,39 @@ async function mergePR(octokit, owner, repo, prNumber) {
       await createComment(octokit, owner, repo, prNumber, `❌ ${errorMessage}`);
       throw new Error(errorMessage);
     }
+
+    // The PR has landed, so from here on a failing step is only a warning and never a failed merge
+    const hookResults = await runAfterMerge(prNumber, 'the post-merge hooks', () =>
+      runMergeHooks(octokit, owner, repo, hooks, {
+        number: prNumber,
+        title: pullRequest.title,
+        author: pullRequest.user && pullRequest.user.login,
+        base: pullRequest.base && pullRequest.base.ref,
+        headSha,
+        sha: merge && merge.sha,
+        mergeMethod
+      })) || [];
+
+    const cleanupResults = (cleanup && await runAfterMerge(prNumber, 'the post-merge cleanup', () =>
+      runMergeCleanup(octokit, owner, repo, pullRequest, cleanup))) || [];
+
+    await runAfterMerge(prNumber, 'posting the merge comment', () =>
+      createComment(octokit, owner, repo, prNumber, [
+        '✅ Successfully merged as scheduled!',
+        hookResults.length && `Post-merge hooks:\n${formatPostMergeResults(hookResults)}`,
+        cleanupResults.length && `Post-merge cleanup:\n${formatPostMergeResults(cleanupResults)}`
+      ].filter(Boolean).join('\n\n')));
+
+    // Clean up schedule info after successful merge
+    await runAfterMerge(prNumber, 'removing the schedule', async () => {
+      await store.remove(owner, repo, prNumber);
+      core.info(`Cleaned up schedule info for PR #${prNumber}`);
+    });
+
+    await runAfterMerge(prNumber, 'the merged notification', () =>
+      notifier.notify('merged', owner, repo, prNumber, { mergeMethod, sha: merge && merge.sha }));
+
+    return { merged: true };
   } catch (error) {
     core.error(`Error processing PR #${prNumber}:`);
     core.error(error);
@@ -72,54 +225,456 @@ async function mergePR(octokit, owner, repo, prNumber) {
       await createComment(octokit, owner, repo, prNumber,
         `❌ Failed to merge PR: ${error.message}`);
     }
+    await notifier.notify('failed', owner, repo, prNumber, {
+      mergeMethod,
+      reason: error.message.replace(/^Failed to merge PR: /, '')
+    });
     throw error;
   }
 }
 
-async function processScheduledMerges(token) {
+async function holdScheduledMerge(octokit, store, pr, policy, now) {
+  const blackout = findBlackout(now, policy);
+  const opening = getNextMergeOpening(now, policy);
+  const heldUntil = opening ? opening.toISOString() : 'none';
+
+  const reason = blackout
+    ? `merges are paused for a blackout period: ${describeBlackout(blackout)}`
+    : 'the current time is outside the configured merge windows';
+
+  core.info(`Holding PR #${pr.number} until ${heldUntil}`);
+
+  // Only explain the delay once per hold, not on every scheduler run
+  if (pr.heldUntil === heldUntil) {
+    return reason;
+  }
+
+  const next = opening
+    ? `It will be merged when the next merge window opens at ${heldUntil}.`
+    : 'No upcoming merge window was found, so it will stay on hold until the merge scheduler config changes.';
+
+  await createComment(octokit, pr.owner, pr.repo, pr.number,
+    `⏸️ Scheduled merge is on hold because ${reason}. ${next}`);
+  await store.update(pr, { heldUntil });
+  return reason;
+}
+
+async function refreshBranch(octokit, store, pr, now) {
+  // An update was requested on an earlier run, so adopt its merge commit once it lands
+  if (pr.headSha && pr.branchUpdatedFrom === pr.headSha) {
+    const { data: current } = await octokit.rest.pulls.get({
+      owner: pr.owner,
+      repo: pr.repo,
+      pull_number: pr.number
+    });
+
+    if (current.head.sha === pr.headSha) {
+      if (!pr.branchUpdateRequestedAt) {
+        await store.update(pr, { branchUpdateRequestedAt: now.toISOString() });
+        return 'waiting for the branch update to finish';
+      }
+
+      if (now - new Date(pr.branchUpdateRequestedAt) < BRANCH_UPDATE_TIMEOUT_MINUTES * 60 * 1000) {
+        return 'waiting for the branch update to finish';
+      }
+
+      // GitHub accepted the update but never pushed it, so stop waiting for it
+      await store.update(pr, { branchUpdatedFrom: undefined, branchUpdateRequestedAt: undefined });
+      const message = `The update from ${current.base.ref} did not land within ${BRANCH_UPDATE_TIMEOUT_MINUTES} minutes`;
+      await createComment(octokit, pr.owner, pr.repo, pr.number,
+        `⚠️ ${message}, so the scheduled merge was cancelled. Update the branch and schedule it again.`);
+      throw new Error(message);
+    }
+
+    if (await isBranchUpdate(octokit, pr.owner, pr.repo, current.head.sha, pr.headSha, current.base.ref)) {
+      core.info(`PR #${pr.number} was updated from its base, now at ${current.head.sha.slice(0, 7)}`);
+      await store.update(pr, { headSha: current.head.sha, branchUpdateRequestedAt: undefined });
+      pr.headSha = current.head.sha;
+    }
+
+    return null;
+  }
+
+  const update = await updatePRBranch(octokit, pr.owner, pr.repo, pr.number, pr.headSha);
+  if (!update) {
+    return null;
+  }
+
+  // Waiting for the new head's checks starts over from here
+  await store.update(pr, {
+    branchUpdatedFrom: update.previousSha,
+    branchUpdateRequestedAt: now.toISOString(),
+    firstDueAt: undefined
+  });
+  return 'updated the branch from its base, waiting for checks on the new head';
+}
+
+function orderMergeQueue(scheduledPRs) {
+  // Earliest schedule first, then highest priority, then oldest PR
+  return [...scheduledPRs].sort((a, b) =>
+    new Date(a.scheduleTime) - new Date(b.scheduleTime) ||
+    (b.priority || 0) - (a.priority || 0) ||
+    a.number - b.number
+  );
+}
+
+async function reportQueuePosition(octokit, store, pr, ahead) {
+  const position = ahead.length + 1;
+  core.info(`PR #${pr.number} is waiting in the merge queue at position ${position}`);
+
+  if (pr.queuePosition !== position) {
+    const message = ahead.length
+      ? `🚦 Scheduled merge is waiting in the merge queue at position ${position}, behind ${ahead.map(number => `#${number}`).join(', ')}.`
+      : '🚦 Scheduled merge is next in the merge queue. It will be updated with the changes that just merged and merged on a following run.';
+    await createComment(octokit, pr.owner, pr.repo, pr.number, message);
+    await store.update(pr, { queuePosition: position });
+  }
+
+  ahead.push(pr.number);
+}
+
+async function processScheduledPR(octokit, store, pr, now, options) {
+  try {
+    core.info(`Processing PR #${pr.number}`);
+    core.info(`→ Owner: ${pr.owner}`);
+    core.info(`→ Repo: ${pr.repo}`);
+    core.info(`→ Scheduled for: ${pr.scheduleTime}`);
+
+    const mergeMethod = pr.mergeMethod || options.mergeMethod || DEFAULT_MERGE_METHOD;
+
+    const scheduleTime = new Date(pr.scheduleTime);
+
+    // Nothing else happens to a dependent PR until everything it merges after has merged
+    if (pr.dependencies && pr.dependencies.length && !pr.awaitingConfirmation && scheduleTime <= now) {
+      const waitingFor = await checkPrerequisites(octokit, store, pr, options.mergedKeys);
+      if (waitingFor) {
+        core.info(`PR #${pr.number} is waiting for ${waitingFor}`);
+        return { outcome: 'waiting', reason: `waiting for ${waitingFor}` };
+      }
+    }
+
+    // A stacked PR moves onto the stack's base once the PR below it has merged
+    if (pr.stackBase && !pr.awaitingConfirmation && scheduleTime <= now) {
+      const waitingFor = await retargetStackedPR(octokit, store, pr);
+      if (waitingFor) {
+        core.info(`Deferring PR #${pr.number}: ${waitingFor}`);
+        return { outcome: 'deferred', reason: waitingFor };
+      }
+    }
+
+    // Branches are brought up to date ahead of the merge so their checks can finish in time
+    const updateBranchAt = scheduleTime.getTime() - (options.updateBranchLead || 0) * 60 * 1000;
+    if (options.updateBranch && !pr.awaitingConfirmation && updateBranchAt <= now.getTime()) {
+      try {
+        const waitingFor = await refreshBranch(octokit, store, pr, now);
+        if (waitingFor) {
+          core.info(`Deferring PR #${pr.number}: ${waitingFor}`);
+          return { outcome: 'deferred', reason: waitingFor };
+        }
+      } catch (updateError) {
+        core.error(`Failed to update branch for PR #${pr.number}:`);
+        core.error(updateError);
+
+        await store.remove(pr.owner, pr.repo, pr.number);
+        await options.notifier.notify('failed', pr.owner, pr.repo, pr.number, { reason: updateError.message });
+        return { outcome: 'failed', reason: updateError.message };
+      }
+    }
+
+    if (scheduleTime > now) {
+      core.info(`PR #${pr.number} is scheduled for future execution`);
+      core.info(`→ Waiting time: ${Math.round((scheduleTime - now) / 1000 / 60)} minutes`);
+      return { outcome: 'scheduled', reason: `due at ${scheduleTime.toISOString()}` };
+    }
+
+    core.info(`Time to merge PR #${pr.number}`);
+    core.info(`→ Scheduled: ${scheduleTime.toISOString()}`);
+    core.info(`→ Current: ${now.toISOString()}`);
+
+    if (pr.awaitingConfirmation) {
+      core.info(`PR #${pr.number} is waiting for @merge-at confirm after new commits`);
+      return { outcome: 'skipped', reason: 'waiting for @merge-at confirm after new commits' };
+    }
+
+    const config = await loadRepoConfig(octokit, pr.owner, pr.repo);
+    const policy = getMergePolicy(config);
+    if (findBlackout(now, policy) || !isInMergeWindow(now, policy)) {
+      const reason = await holdScheduledMerge(octokit, store, pr, policy, now);
+      return { outcome: 'held', reason };
+    }
+
+    // Pending checks are retried on later runs until the grace period since first due runs out
+    const firstDueAt = pr.firstDueAt ? new Date(pr.firstDueAt) : now;
+    const gracePeriod = (options.gracePeriod || 0) * 60 * 1000;
+    // After a branch update or retarget the checks must report and finish again before merging
+    const branchUpdated = Boolean(pr.branchUpdatedFrom) && pr.branchUpdatedFrom !== pr.headSha;
+    const recheck = branchUpdated || Boolean(pr.retargeted) || Boolean(pr.recheckUntil);
+    const retryPeriod = recheck ? Math.max(gracePeriod, RECHECK_PERIOD_MINUTES * 60 * 1000) : gracePeriod;
+    const retryUntil = pr.recheckUntil ? new Date(pr.recheckUntil) : new Date(firstDueAt.getTime() + retryPeriod);
+    const allowRetry = now < retryUntil;
+    let gate = getMergeGate(config);
+    const hooks = selectHooks(getMergeHooks(config), pr.hooks);
+    const cleanup = getMergeCleanup(config);
+    if (recheck) {
+      gate = { ...gate, checks: gate.checks === 'none' ? 'all' : gate.checks, awaitChecks: true };
+    }
+
+    try {
+      const result = await mergePR(octokit, pr.owner, pr.repo, pr.number, {
+        mergeMethod,
+        commitTitle: pr.commitTitle,
+        commitMessage: pr.commitMessage,
+        gate,
+        sha: pr.headSha,
+        store,
+        notifier: options.notifier,
+        hooks,
+        cleanup,
+        allowRetry
+      });
+
+      if (result && !result.merged) {
+        const attempts = (pr.attempts || 0) + 1;
+        core.info(`Deferring PR #${pr.number} (attempt ${attempts}): ${result.reason}`);
+        const updates = { firstDueAt: firstDueAt.toISOString(), attempts };
+        // The retarget has been rechecked once, from here on only its deadline matters
+        if (pr.retargeted) {
+          updates.retargeted = undefined;
+          updates.recheckUntil = retryUntil.toISOString();
+        }
+        await store.update(pr, updates);
+        return { outcome: 'deferred', reason: result.reason };
+      }
+
+      core.info(`Successfully processed PR #${pr.number}`);
+      return {
+        outcome: 'merged',
+        reason: isGateActive(gate) ? 'due and the merge gate passed' : 'due and mergeable'
+      };
+    } catch (mergeError) {
+      core.error(`Failed to merge PR #${pr.number}:`);
+      core.error(mergeError);
+
+      // The failure has been reported, so stop retrying it on every run
+      await store.remove(pr.owner, pr.repo, pr.number);
+      return { outcome: 'failed', reason: mergeError.message };
+    }
+  } catch (prError) {
+    core.error(`Error processing PR #${pr.number}:`);
+    core.error(prError);
+    return { outcome: 'error', reason: prError.message };
+  }
+}
+
+async function runScheduledAction(octokit, store, pr, now, actionType) {
+  const scheduleTime = new Date(pr.scheduleTime);
+
+  if (scheduleTime > now) {
+    core.info(`PR #${pr.number} has a scheduled ${actionType.title} for future execution`);
+    return { outcome: 'scheduled', reason: `${actionType.title} due at ${scheduleTime.toISOString()}` };
+  }
+
   try {
-    const octokit = github.getOctokit(token);
-    const scheduledPRs = await getScheduledPRs(octokit);
+    core.info(`Time to ${actionType.title} PR #${pr.number}`);
+    const message = await actionType.execute(octokit, pr);
+    await createComment(octokit, pr.owner, pr.repo, pr.number, message);
+    await store.remove(pr.owner, pr.repo, pr.number);
+    return { outcome: 'completed', reason: `scheduled ${actionType.title}` };
+  } catch (actionError) {
+    core.error(`Failed to ${actionType.title} PR #${pr.number}:`);
+    core.error(actionError);
+
+    // Like a failed merge, the failure is reported once rather than retried on every run
+    try {
+      await createComment(octokit, pr.owner, pr.repo, pr.number,
+        `❌ Failed to ${actionType.title} PR: ${actionError.message}`);
+      await store.remove(pr.owner, pr.repo, pr.number);
+    } catch (reportError) {
+      core.error(`Error reporting the failed ${actionType.title} for PR #${pr.number}:`);
+      core.error(reportError);
+    }
+    return { outcome: 'failed', reason: actionError.message };
+  }
+}
+
+async function runMergeTrain(octokit, store, owner, repo, train, occurrence, now, options) {
+  core.info(`Running merge train "${train.name}" in ${owner}/${repo} for ${occurrence.local} ${train.timezone}`);
+
+  const config = await loadRepoConfig(octokit, owner, repo);
+  const gate = getMergeGate(config);
+  const hooks = selectHooks(getMergeHooks(config));
+  const cleanup = getMergeCleanup(config);
+  const policy = getMergePolicy(config);
+  const blackout = findBlackout(now, policy);
+  const pullRequests = await listTrainPRs(octokit, owner, repo, train);
+
+  // A held run isn't recorded, so a later scheduler run picks it up while the occurrence is still due
+  if (blackout || !isInMergeWindow(now, policy)) {
+    const reason = blackout
+      ? `merges are paused for a blackout period: ${describeBlackout(blackout)}`
+      : 'the current time is outside the configured merge windows';
+    core.info(`Holding merge train "${train.name}" in ${owner}/${repo}: ${reason}`);
+    return pullRequests.map(pr => ({ owner, repo, number: pr.number, outcome: 'held', reason }));
+  }
+
+  const landed = [];
+  const skipped = [];
+
+  for (const pr of pullRequests) {
+    if (pr.draft) {
+      skipped.push({ ...pr, outcome: 'skipped', reason: 'the PR is a draft' });
+      continue;
+    }
+
+    try {
+      await mergePR(octokit, owner, repo, pr.number, {
+        mergeMethod: train.mergeMethod || options.mergeMethod || DEFAULT_MERGE_METHOD,
+        gate,
+        sha: pr.head.sha,
+        store,
+        notifier: options.notifier,
+        hooks,
+        cleanup
+      });
+      landed.push(pr);
+    } catch (mergeError) {
+      // mergePR has already explained the failure on the PR
+      skipped.push({ ...pr, outcome: 'failed', reason: mergeError.message.replace(/^Failed to merge PR: /, '') });
+    }
+  }
+
+  await createComment(octokit, owner, repo, train.issue, formatTrainSummary(train, occurrence, landed, skipped));
+
+  return [
+    ...landed.map(pr => ({ owner, repo, number: pr.number, outcome: 'merged', reason: `merge train "${train.name}"` })),
+    ...skipped.map(pr => ({ owner, repo, number: pr.number, outcome: pr.outcome, reason: pr.reason }))
+  ];
+}
+
+async function processMergeTrains(octokit, store, now, options) {
+  const results = [];
+
+  // Trains live in each repository's config, so only repositories named outright are checked
+  const repositories = (options.repositories || [])
+    .filter(scope => scope.startsWith('repo:'))
+    .map(scope => scope.slice('repo:'.length).split('/'));
+
+  for (const [owner, repo] of repositories) {
+    let trains;
+    try {
+      trains = getMergeTrains(await loadRepoConfig(octokit, owner, repo));
+    } catch (configError) {
+      core.error(`Unable to read the merge trains of ${owner}/${repo}:`);
+      core.error(configError);
+      continue;
+    }
+
+    for (const train of trains) {
+      try {
+        const occurrence = findDueOccurrence(train, now);
+        if (!occurrence || await hasTrainRun(octokit, owner, repo, train, occurrence)) {
+          continue;
+        }
+
+        results.push(...await runMergeTrain(octokit, store, owner, repo, train, occurrence, now, options));
+      } catch (trainError) {
+        core.error(`Error running merge train "${train.name}" in ${owner}/${repo}:`);
+        core.error(trainError);
+      }
+    }
+  }
+
+  return results;
+}
+
+async function processScheduledMerges(token, options = {}) {
+  try {
+    const dryRun = options.dryRun && createDryRun();
+    const octokit = dryRun ? dryRun.wrap(github.getOctokit(token)) : github.getOctokit(token);
+    const store = createScheduleStore(octokit, options.storage);
+    const notifier = createNotifier(options.notifications, dryRun);
+
+    if (store.migrate) {
+      await store.migrate(options.repositories);
+    }
+
+    const scheduledPRs = await store.list(options.repositories);
 
     core.info(`Found ${scheduledPRs.length} scheduled PRs`); // Changed from debug to info
 
+    await writeScheduleSummary(octokit, scheduledPRs);
+
     const now = new Date();
     core.info(`Current time: ${now.toISOString()}`);
 
-    for (const pr of scheduledPRs) {
+    // What happened to each scheduled PR during this run
+    const results = [];
+
+    const { ordered: queue, cycles } = orderByDependencies(orderMergeQueue(scheduledPRs));
+    for (const cycle of cycles) {
+      cycle.slice(0, -1).forEach(({ owner, repo, number }) =>
+        results.push({ owner, repo, number, outcome: 'failed', reason: 'part of a dependency cycle' }));
       try {
-        core.info(`Processing PR #${pr.number}`);
-        core.info(`→ Owner: ${pr.owner}`);
-        core.info(`→ Repo: ${pr.repo}`);
-        core.info(`→ Scheduled for: ${pr.scheduleTime}`);
-
-        const scheduleTime = new Date(pr.scheduleTime);
-
-        if (scheduleTime <= now) {
-          core.info(`Time to merge PR #${pr.number}`);
-          core.info(`→ Scheduled: ${scheduleTime.toISOString()}`);
-          core.info(`→ Current: ${now.toISOString()}`);
-
-          try {
-            await mergePR(octokit, pr.owner, pr.repo, pr.number);
-            core.info(`Successfully processed PR #${pr.number}`);
-          } catch (mergeError) {
-            core.error(`Failed to merge PR #${pr.number}:`);
-            core.error(mergeError);
-            // Continue to next PR
-          }
-        } else {
-          core.info(`PR #${pr.number} is scheduled for future execution`);
-          core.info(`→ Waiting time: ${Math.round((scheduleTime - now) / 1000 / 60)} minutes`);
+        await reportDependencyCycle(octokit, store, cycle);
+      } catch (cycleError) {
+        core.error('Error removing schedules in a dependency cycle:');
+        core.error(cycleError);
+      }
+    }
+
+    // Repositories whose base moved or that have a merge in flight during this run
+    const queues = new Map();
+    // PRs merged earlier in this run, so their dependents can follow right away
+    const mergedKeys = new Set();
+
+    for (const pr of queue) {
+      // Scheduled actions other than merges skip the merge queue entirely
+      const actionType = getActionType(pr.action);
+      if (actionType.execute) {
+        const { outcome, reason } = await runScheduledAction(octokit, store, pr, now, actionType);
+        results.push({ owner: pr.owner, repo: pr.repo, number: pr.number, outcome, reason });
+        continue;
+      }
+
+      const repoQueue = queues.get(`${pr.owner}/${pr.repo}`);
+
+      if (options.queue && repoQueue && new Date(pr.scheduleTime) <= now && !pr.awaitingConfirmation) {
+        results.push({ owner: pr.owner, repo: pr.repo, number: pr.number, outcome: 'queued', reason: `queue position ${repoQueue.length + 1}` });
+        try {
+          await reportQueuePosition(octokit, store, pr, repoQueue);
+        } catch (queueError) {
+          core.error(`Error updating queue position for PR #${pr.number}:`);
+          core.error(queueError);
         }
-      } catch (prError) {
-        core.error(`Error processing PR #${pr.number}:`);
-        core.error(prError);
-        // Continue to next PR
+        continue;
+      }
+
+      const { outcome, reason } = await processScheduledPR(octokit, store, pr, now, {
+        ...options,
+        // The head of the queue is always brought up to date with what merged before it
+        updateBranch: options.updateBranch || options.queue,
+        mergedKeys,
+        notifier
+      });
+      results.push({ owner: pr.owner, repo: pr.repo, number: pr.number, outcome, reason });
+
+      if (outcome === 'merged') {
+        mergedKeys.add(prKey(pr));
       }
+
+      if (options.queue && ['merged', 'deferred'].includes(outcome)) {
+        queues.set(`${pr.owner}/${pr.repo}`, outcome === 'deferred' ? [pr.number] : []);
+      }
+    }
+
+    results.push(...await processMergeTrains(octokit, store, now, { ...options, notifier }));
+
+    if (dryRun) {
+      await writeDryRunSummary(results, dryRun.actions);
     }
 
     core.info('Completed processing scheduled merges');
+    return results;
   } catch (error) {
     core.error('Failed to process scheduled merges:');
     core.error(error);
@@ -129,5 +684,6 @@ async function processScheduledMerges(token) {
 
 module.exports = {
   mergePR,
-  processScheduledMerges
+  processScheduledMerges,
+  orderMergeQueue
 };
@@ -0,0 +1,266 @@
+const { utcToZonedTime } = require('date-fns-tz');
+const { format, isValid } = require('date-fns');
+const { listAllComments, MERGE_METHODS } = require('./utils');
+
+const DAY_NAMES = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+const MONTH_NAMES = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+const CRON_FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'day of month', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12, names: MONTH_NAMES, offset: 1 },
+  // 7 is also Sunday
+  { name: 'day of week', min: 0, max: 7, names: DAY_NAMES, offset: 0 }
+];
+const CRON_PART_REGEX = /^(\*|\w+(?:-\w+)?)(?:\/(\d+))?$/;
+const TRAIN_ORDERS = ['created', 'updated', 'number'];
+const DEFAULT_TRAIN_ORDER = 'created';
+// Scheduled workflows can start late, so an occurrence stays due for a while
+const DEFAULT_MAX_DELAY = 120;
+const PULLS_PAGE_SIZE = 100;
+const TRAIN_RUN_REGEX = /MERGE_TRAIN_RUN (.+) -->/;
+
+function parseCronValue(token, field, expression) {
+  const named = field.names && field.names.indexOf(token.slice(0, 3).toLowerCase());
+  const value = named >= 0 && /^[a-z]+$/i.test(token)
+    ? named + field.offset
+    : /^\d+$/.test(token) ? parseInt(token, 10) : NaN;
+
+  if (isNaN(value) || value < field.min || value > field.max) {
+    throw new Error(`Invalid ${field.name} "${token}" in cron expression "${expression}"`);
+  }
+
+  return value;
+}
+
+function parseCronField(text, field, expression) {
+  const values = new Set();
+
+  for (const part of text.split(',')) {
+    const match = CRON_PART_REGEX.exec(part);
+    if (!match) {
+      throw new Error(`Invalid ${field.name} "${part}" in cron expression "${expression}"`);
+    }
+
+    const [, range, step = '1'] = match;
+    const [first, last] = range === '*'
+      ? [field.min, field.max]
+      : range.split('-').map(token => parseCronValue(token, field, expression));
+    // "5/15" means every 15 starting at 5
+    const end = last === undefined ? (match[2] ? field.max : first) : last;
+
+    if (end < first || parseInt(step, 10) === 0) {
+      throw new Error(`Invalid ${field.name} "${part}" in cron expression "${expression}"`);
+    }
+
+    for (let value = first; value <= end; value += parseInt(step, 10)) {
+      values.add(field.name === 'day of week' ? value % 7 : value);
+    }
+  }
+
+  return values;
+}
+
+function parseCron(expression) {
+  const parts = String(expression).trim().split(/\s+/);
+
+  if (parts.length !== CRON_FIELDS.length) {
+    throw new Error(`Invalid cron expression "${expression}": expected 5 fields (minute hour day month weekday)`);
+  }
+
+  const [minutes, hours, days, months, weekdays] = parts.map((part, index) =>
+    parseCronField(part, CRON_FIELDS[index], expression));
+
+  return {
+    minutes,
+    hours,
+    days,
+    months,
+    weekdays,
+    anyDay: parts[2] === '*',
+    anyWeekday: parts[4] === '*'
+  };
+}
+
+function matchesCron(cron, zoned) {
+  const dayMatches = cron.days.has(zoned.getDate());
+  const weekdayMatches = cron.weekdays.has(zoned.getDay());
+  // Like cron, a restricted day of month and day of week match if either does
+  const day = cron.anyDay || cron.anyWeekday
+    ? dayMatches && weekdayMatches
+    : dayMatches || weekdayMatches;
+
+  return day &&
+    cron.minutes.has(zoned.getMinutes()) &&
+    cron.hours.has(zoned.getHours()) &&
+    cron.months.has(zoned.getMonth() + 1);
+}
+
+function normalizeTrain(train, index) {
+  const name = train && train.name ? String(train.name) : '';
+  const label = `trains[${index}]${name ? ` (${name})` : ''}`;
+
+  if (!name) {
+    throw new Error(`trains[${index}] needs a name`);
+  }
+
+  if (!train.cron) {
+    throw new Error(`${label} needs a cron expression`);
+  }
+
+  const timezone = train.timezone || 'UTC';
+  if (!isValid(utcToZonedTime(new Date(), timezone))) {
+    throw new Error(`Invalid timezone in ${label}: ${timezone}`);
+  }
+
+  if (!train.label && !train.milestone) {
+    throw new Error(`${label} needs a label or milestone to pick its PRs`);
+  }
+
+  const order = train.order || DEFAULT_TRAIN_ORDER;
+  if (!TRAIN_ORDERS.includes(order)) {
+    throw new Error(`${label} order must be one of: ${TRAIN_ORDERS.join(', ')}`);
+  }
+
+  const mergeMethod = train['merge-method'];
+  if (mergeMethod !== undefined && !MERGE_METHODS.includes(mergeMethod)) {
+    throw new Error(`${label} merge-method must be one of: ${MERGE_METHODS.join(', ')}`);
+  }
+
+  const issue = Number(train.issue);
+  if (!Number.isInteger(issue) || issue <= 0) {
+    throw new Error(`${label} needs the number of the issue to post its summary on`);
+  }
+
+  const maxDelay = train['max-delay'] === undefined ? DEFAULT_MAX_DELAY : Number(train['max-delay']);
+  if (!Number.isInteger(maxDelay) || maxDelay < 0) {
+    throw new Error(`${label} max-delay must be a non-negative number of minutes`);
+  }
+
+  return {
+    name,
+    cron: parseCron(train.cron),
+    timezone,
+    label: train.label === undefined ? undefined : String(train.label),
+    milestone: train.milestone === undefined ? undefined : String(train.milestone),
+    order,
+    mergeMethod,
+    issue,
+    maxDelay
+  };
+}
+
+function getMergeTrains(config = {}) {
+  const trains = [].concat((config && config.trains) || []).map(normalizeTrain);
+
+  const names = trains.map(({ name }) => name);
+  const duplicate = names.find((name, index) => names.indexOf(name) !== index);
+  if (duplicate) {
+    throw new Error(`Merge train names must be unique, but "${duplicate}" is used twice`);
+  }
+
+  return trains;
+}
+
+function findDueOccurrence(train, now) {
+  // Walk back minute by minute, so daylight saving changes are handled by the zone conversion
+  const latest = Math.floor(now.getTime() / 60000) * 60000;
+
+  for (let minutes = 0; minutes <= train.maxDelay; minutes++) {
+    const at = new Date(latest - minutes * 60000);
+    const zoned = utcToZonedTime(at, train.timezone);
+
+    if (matchesCron(train.cron, zoned)) {
+      // The local time identifies the occurrence, even when a clock change repeats it
+      return { at, local: format(zoned, 'yyyy-MM-dd HH:mm') };
+    }
+  }
+
+  return null;
+}
+
+async function hasTrainRun(octokit, owner, repo, train, occurrence) {
+  const comments = await listAllComments(octokit, owner, repo, train.issue);
+
+  return comments.some(comment => {
+    const match = TRAIN_RUN_REGEX.exec(comment.body || '');
+    if (!match) {
+      return false;
+    }
+
+    try {
+      const run = JSON.parse(match[1]);
+      return run.train === train.name && run.at === occurrence.local;
+    } catch (error) {
+      return false;
+    }
+  });
+}
+
+function compareTrainPRs(order) {
+  if (order === 'number') {
+    return (a, b) => a.number - b.number;
+  }
+
+  const field = order === 'updated' ? 'updated_at' : 'created_at';
+  return (a, b) => new Date(a[field]) - new Date(b[field]) || a.number - b.number;
+}
+
+async function listTrainPRs(octokit, owner, repo, train) {
+  const pullRequests = [];
+
+  for (let page = 1; ; page++) {
+    const { data } = await octokit.rest.pulls.list({
+      owner,
+      repo,
+      state: 'open',
+      per_page: PULLS_PAGE_SIZE,
+      page
+    });
+
+    pullRequests.push(...data.filter(pr =>
+      (!train.label || (pr.labels || []).some(({ name }) => name === train.label)) &&
+      (!train.milestone || (pr.milestone && pr.milestone.title === train.milestone))));
+
+    if (data.length < PULLS_PAGE_SIZE) {
+      break;
+    }
+  }
+
+  return pullRequests.sort(compareTrainPRs(train.order));
+}
+
+function describeTrainFilter(train) {
+  return [
+    train.label && `label \`${train.label}\``,
+    train.milestone && `milestone \`${train.milestone}\``
+  ].filter(Boolean).join(' and ');
+}
+
+function formatTrainSummary(train, occurrence, landed, skipped) {
+  const lines = [`🚂 Merge train "${train.name}" for ${occurrence.local} ${train.timezone}`, ''];
+
+  if (!landed.length && !skipped.length) {
+    lines.push(`No open PRs have the ${describeTrainFilter(train)}.`, '');
+  }
+
+  if (landed.length) {
+    lines.push('**Landed:**', ...landed.map(pr => `- #${pr.number} ${pr.title}`), '');
+  }
+
+  if (skipped.length) {
+    lines.push('**Skipped:**', ...skipped.map(pr => `- #${pr.number} ${pr.title}: ${pr.reason.replace(/\s*\n[-\s]*/g, ' ')}`), '');
+  }
+
+  lines.push(`<!-- MERGE_TRAIN_RUN ${JSON.stringify({ train: train.name, at: occurrence.local })} -->`);
+  return lines.join('\n');
+}
+
+module.exports = {
+  parseCron,
+  getMergeTrains,
+  findDueOccurrence,
+  hasTrainRun,
+  listTrainPRs,
+  formatTrainSummary
+};
@@ -0,0 +1,183 @@
+const { zonedTimeToUtc, utcToZonedTime } = require('date-fns-tz');
+const { format, isValid, addDays } = require('date-fns');
+
+const DAY_NAMES = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+const TIME_REGEX = /^(\d{1,2}):(\d{2})$/;
+const DATE_ONLY_REGEX = /^\d{4}-\d{2}-\d{2}$/;
+
+// Upper bound on window/blackout hops when searching for the next opening
+const MAX_OPENING_LOOKUPS = 100;
+
+function parseDays(days) {
+  if (!days) {
+    return DAY_NAMES.map((_, index) => index);
+  }
+
+  return [].concat(days).map(day => {
+    const index = DAY_NAMES.indexOf(String(day).slice(0, 3).toLowerCase());
+    if (index === -1) {
+      throw new Error(`Invalid day in merge window: ${day}`);
+    }
+    return index;
+  });
+}
+
+function parseMinutes(time, label) {
+  const match = TIME_REGEX.exec(String(time));
+  const minutes = match ? parseInt(match[1], 10) * 60 + parseInt(match[2], 10) : NaN;
+
+  if (!match || parseInt(match[2], 10) > 59 || minutes > 24 * 60) {
+    throw new Error(`Invalid ${label} time in merge window: ${time}`);
+  }
+
+  return minutes;
+}
+
+function normalizeWindow(window) {
+  const timezone = window.timezone || 'UTC';
+  const start = window.start || '00:00';
+  const end = window.end || '24:00';
+  const startMinutes = parseMinutes(start, 'start');
+  const endMinutes = parseMinutes(end, 'end');
+
+  if (endMinutes === startMinutes) {
+    throw new Error(`Merge window end (${end}) must differ from its start (${start})`);
+  }
+
+  if (!isValid(utcToZonedTime(new Date(), timezone))) {
+    throw new Error(`Invalid timezone in merge window: ${timezone}`);
+  }
+
+  return {
+    days: parseDays(window.days),
+    start: `${String(Math.floor(startMinutes / 60)).padStart(2, '0')}:${String(startMinutes % 60).padStart(2, '0')}`,
+    startMinutes,
+    endMinutes,
+    // An end before the start runs past midnight into the next day
+    overnight: endMinutes < startMinutes,
+    timezone
+  };
+}
+
+function parseBoundary(value, timezone, isEnd) {
+  const str = String(value).trim();
+  let date;
+
+  if (DATE_ONLY_REGEX.test(str)) {
+    // A date-only end covers that whole day
+    date = zonedTimeToUtc(`${str} 00:00`, timezone);
+    if (isEnd) {
+      date = addDays(date, 1);
+    }
+  } else {
+    date = zonedTimeToUtc(str, timezone);
+  }
+
+  if (!isValid(date)) {
+    throw new Error(`Invalid blackout date: ${value}`);
+  }
+
+  return date;
+}
+
+function normalizeBlackout(blackout) {
+  const timezone = blackout.timezone || 'UTC';
+
+  if (!blackout.start || !blackout.end) {
+    throw new Error('Blackouts need both a start and an end');
+  }
+
+  return {
+    start: parseBoundary(blackout.start, timezone, false),
+    end: parseBoundary(blackout.end, timezone, true),
+    reason: blackout.reason
+  };
+}
+
+function getMergePolicy(config = {}) {
+  return {
+    windows: [].concat(config['merge-windows'] || []).map(normalizeWindow),
+    blackouts: [].concat(config.blackouts || []).map(normalizeBlackout)
+  };
+}
+
+function findBlackout(date, policy) {
+  return policy.blackouts.find(blackout => date >= blackout.start && date < blackout.end) || null;
+}
+
+function isInWindow(date, window) {
+  const zoned = utcToZonedTime(date, window.timezone);
+  const minutes = zoned.getHours() * 60 + zoned.getMinutes();
+
+  if (!window.overnight) {
+    return window.days.includes(zoned.getDay()) &&
+      minutes >= window.startMinutes &&
+      minutes < window.endMinutes;
+  }
+
+  // The early hours belong to the window that started the day before
+  const previousDay = (zoned.getDay() + 6) % 7;
+  return (window.days.includes(zoned.getDay()) && minutes >= window.startMinutes) ||
+    (window.days.includes(previousDay) && minutes < window.endMinutes);
+}
+
+function isInMergeWindow(date, policy) {
+  return !policy.windows.length || policy.windows.some(window => isInWindow(date, window));
+}
+
+function getNextWindowStart(date, window) {
+  const zoned = utcToZonedTime(date, window.timezone);
+
+  for (let offset = 0; offset <= 7; offset++) {
+    const day = addDays(zoned, offset);
+    if (!window.days.includes(day.getDay())) {
+      continue;
+    }
+
+    const start = zonedTimeToUtc(`${format(day, 'yyyy-MM-dd')} ${window.start}`, window.timezone);
+    if (start > date) {
+      return start;
+    }
+  }
+
+  return null;
+}
+
+function getNextMergeOpening(date, policy) {
+  let candidate = date;
+
+  for (let i = 0; i < MAX_OPENING_LOOKUPS; i++) {
+    const blackout = findBlackout(candidate, policy);
+    if (blackout) {
+      candidate = blackout.end;
+      continue;
+    }
+
+    if (isInMergeWindow(candidate, policy)) {
+      return candidate;
+    }
+
+    const starts = policy.windows
+      .map(window => getNextWindowStart(candidate, window))
+      .filter(Boolean);
+    if (!starts.length) {
+      return null;
+    }
+    candidate = new Date(Math.min(...starts));
+  }
+
+  return null;
+}
+
+function describeBlackout(blackout) {
+  const range = `${blackout.start.toISOString()} – ${blackout.end.toISOString()}`;
+  return blackout.reason ? `${blackout.reason} (${range})` : range;
+}
+
+module.exports = {
+  getMergePolicy,
+  findBlackout,
+  isInMergeWindow,
+  getNextMergeOpening,
+  describeBlackout
+};
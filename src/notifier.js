@@ -0,0 +1,190 @@
+const crypto = require('crypto');
+const core = require('@actions/core');
+
+const WEBHOOK_FORMATS = ['json', 'slack', 'teams'];
+const DEFAULT_WEBHOOK_FORMAT = 'json';
+const DEFAULT_WEBHOOK_RETRIES = 2;
+const RETRY_DELAY = 1000;
+const REQUEST_TIMEOUT = 10 * 1000;
+const EVENT_HEADER = 'X-Merge-Scheduler-Event';
+const SIGNATURE_HEADER = 'X-Merge-Scheduler-Signature-256';
+
+const EVENT_TITLES = {
+  scheduled: '📅 Merge scheduled',
+  merged: '✅ Merged as scheduled',
+  failed: '❌ Scheduled merge failed',
+  cancelled: '🚫 Scheduled merge cancelled'
+};
+
+function parseWebhookUrls(input) {
+  const urls = (input || '').split(/[\n,]/).map(url => url.trim()).filter(Boolean);
+
+  for (const url of urls) {
+    let protocol;
+    try {
+      ({ protocol } = new URL(url));
+    } catch (_error) {
+      protocol = null;
+    }
+
+    // The URL itself isn't repeated, since webhook URLs usually embed a secret
+    if (!['http:', 'https:'].includes(protocol)) {
+      throw new Error('Invalid webhook-urls: each URL must start with http:// or https://');
+    }
+  }
+
+  return urls;
+}
+
+function buildEvent(type, owner, repo, prNumber, details = {}) {
+  const serverUrl = process.env.GITHUB_SERVER_URL || 'https://github.com';
+
+  return {
+    event: type,
+    repository: `${owner}/${repo}`,
+    number: prNumber,
+    url: `${serverUrl}/${owner}/${repo}/pull/${prNumber}`,
+    ...details,
+    sentAt: new Date().toISOString()
+  };
+}
+
+function describeEvent(event, link) {
+  const pr = link(`${event.repository}#${event.number}`, event.url);
+
+  if (event.event === 'scheduled') {
+    return `${pr} will merge at ${event.scheduleTime.slice(0, 16).replace('T', ' ')} UTC` +
+      `${event.timezone && event.timezone !== 'UTC' ? ` (${event.timezone})` : ''}` +
+      `${event.scheduledBy ? `, scheduled by @${event.scheduledBy}` : ''}.`;
+  }
+
+  if (event.event === 'merged') {
+    return `${pr} was merged as scheduled.`;
+  }
+
+  if (event.event === 'failed') {
+    return `${pr} could not be merged: ${event.reason}`;
+  }
+
+  return `The scheduled merge of ${pr} was cancelled` +
+    `${event.actor ? ` by @${event.actor}` : ''}${event.reason ? ` because ${event.reason}` : ''}.`;
+}
+
+function formatPayload(event, format) {
+  const title = EVENT_TITLES[event.event];
+
+  if (format === 'slack') {
+    return { text: `*${title}*\n${describeEvent(event, (text, url) => `<${url}|${text}>`)}` };
+  }
+
+  if (format === 'teams') {
+    // Teams workflows take Adaptive Cards wrapped in a message
+    return {
+      type: 'message',
+      attachments: [{
+        contentType: 'application/vnd.microsoft.card.adaptive',
+        content: {
+          $schema: 'http://adaptivecards.io/schemas/adaptive-card.json',
+          type: 'AdaptiveCard',
+          version: '1.4',
+          body: [
+            { type: 'TextBlock', text: title, weight: 'Bolder' },
+            { type: 'TextBlock', text: describeEvent(event, (text, url) => `[${text}](${url})`), wrap: true }
+          ]
+        }
+      }]
+    };
+  }
+
+  return event;
+}
+
+function signPayload(body, secret) {
+  return `sha256=${crypto.createHmac('sha256', secret).update(body).digest('hex')}`;
+}
+
+function isRetryable(error) {
+  // Network failures and timeouts have no status
+  return !error.status || error.status === 429 || error.status >= 500;
+}
+
+async function deliver(url, body, headers, retries, retryDelay) {
+  for (let attempt = 1; ; attempt++) {
+    try {
+      const response = await fetch(url, {
+        method: 'POST',
+        headers,
+        body,
+        signal: AbortSignal.timeout(REQUEST_TIMEOUT)
+      });
+
+      if (!response.ok) {
+        throw Object.assign(new Error(`HTTP ${response.status}`), { status: response.status });
+      }
+      return;
+    } catch (error) {
+      if (!isRetryable(error) || attempt > retries) {
+        throw error;
+      }
+      core.debug(`Webhook request failed (${error.message}), retrying (attempt ${attempt + 1})`);
+      await new Promise(resolve => setTimeout(resolve, retryDelay * 2 ** (attempt - 1)));
+    }
+  }
+}
+
+function createNotifier(options = {}, dryRun) {
+  const {
+    urls = [],
+    format = DEFAULT_WEBHOOK_FORMAT,
+    secret,
+    retries = DEFAULT_WEBHOOK_RETRIES,
+    retryDelay = RETRY_DELAY
+  } = options;
+
+  async function notify(type, owner, repo, prNumber, details) {
+    if (!urls.length) {
+      return;
+    }
+
+    const event = buildEvent(type, owner, repo, prNumber, details);
+    const body = JSON.stringify(formatPayload(event, format));
+    const headers = {
+      'Content-Type': 'application/json',
+      'User-Agent': 'pr-merge-scheduler',
+      [EVENT_HEADER]: type
+    };
+    if (secret) {
+      headers[SIGNATURE_HEADER] = signPayload(body, secret);
+    }
+
+    for (const url of urls) {
+      const { host } = new URL(url);
+
+      if (dryRun) {
+        dryRun.record({ endpoint: 'webhook', target: host, details: `${type} ${event.repository}#${prNumber}` });
+        continue;
+      }
+
+      // A webhook that is down must never hold up a merge
+      try {
+        await deliver(url, body, headers, retries, retryDelay);
+        core.info(`Sent the ${type} notification for PR #${prNumber} to ${host}`);
+      } catch (error) {
+        core.warning(`Unable to send the ${type} notification for PR #${prNumber} to ${host}: ${error.message}`);
+      }
+    }
+  }
+
+  return { notify };
+}
+
+module.exports = {
+  createNotifier,
+  parseWebhookUrls,
+  buildEvent,
+  formatPayload,
+  signPayload,
+  WEBHOOK_FORMATS,
+  DEFAULT_WEBHOOK_FORMAT,
+  DEFAULT_WEBHOOK_RETRIES
+};
@@ -0,0 +1,35 @@
+const core = require('@actions/core');
+
+// Scheduler outcomes reported under each output; 'scheduled' PRs are not due yet and 'completed'
+// ones ran an action other than a merge, so both are left out
+const SCHEDULER_OUTPUTS = {
+  merged: ['merged'],
+  failed: ['failed', 'error'],
+  deferred: ['deferred', 'waiting', 'held', 'queued', 'skipped']
+};
+
+function setCommentOutputs(result = {}) {
+  core.setOutput('action', result.action || '');
+  core.setOutput('schedule-time', result.scheduleTime || '');
+  core.setOutput('timezone', result.timezone || '');
+  core.setOutput('error', result.error || '');
+}
+
+function setSchedulerOutputs(results = []) {
+  for (const [name, outcomes] of Object.entries(SCHEDULER_OUTPUTS)) {
+    const prs = results
+      .filter(({ outcome }) => outcomes.includes(outcome))
+      .map(({ owner, repo, number, reason }) => ({
+        repository: `${owner}/${repo}`,
+        number,
+        reason: reason || ''
+      }));
+
+    core.setOutput(name, JSON.stringify(prs));
+  }
+}
+
+module.exports = {
+  setCommentOutputs,
+  setSchedulerOutputs
+};
@@ -0,0 +1,111 @@
+const core = require('@actions/core');
+const { utcToZonedTime } = require('date-fns-tz');
+const { format } = require('date-fns');
+const { getLatestScheduleComment } = require('./utils');
+const { getActionType } = require('./action-types');
+
+// Human-readable versions of the pull request's mergeable_state
+const MERGEABILITY_LABELS = {
+  clean: '✅ Mergeable',
+  has_hooks: '✅ Mergeable',
+  unstable: '⚠️ Checks failing',
+  behind: '⚠️ Behind base',
+  blocked: '⛔ Blocked',
+  dirty: '❌ Conflicts',
+  draft: '📝 Draft'
+};
+
+function formatZonedTime(date, timezone) {
+  return `${format(utcToZonedTime(date, timezone), 'yyyy-MM-dd HH:mm')} ${timezone}`;
+}
+
+function escapeCell(value) {
+  return String(value).replace(/\|/g, '\\|').replace(/\r?\n/g, ' ');
+}
+
+async function buildScheduleRow(octokit, scheduledPR) {
+  const { owner, repo, number } = scheduledPR;
+  const scheduleTime = new Date(scheduledPR.scheduleTime);
+  const timezone = scheduledPR.timezone || 'UTC';
+  const row = {
+    // Other scheduled actions share the table with merges, so they're named
+    pr: `${owner}/${repo}#${number}${scheduledPR.action ? ` (${getActionType(scheduledPR.action).title})` : ''}`,
+    title: '—',
+    utcTime: formatZonedTime(scheduleTime, 'UTC'),
+    localTime: formatZonedTime(scheduleTime, timezone),
+    scheduledBy: '—',
+    mergeability: '⏳ Checking'
+  };
+
+  try {
+    const { data: pr } = await octokit.rest.pulls.get({
+      owner,
+      repo,
+      pull_number: number
+    });
+
+    row.title = pr.title;
+    row.mergeability = MERGEABILITY_LABELS[pr.mergeable_state] || row.mergeability;
+
+    // Schedules saved before the requester was recorded fall back to the command comment
+    const command = !scheduledPR.scheduledBy && await getLatestScheduleComment(octokit, owner, repo, number);
+    const requester = scheduledPR.scheduledBy || (command && command.user.login);
+    if (requester) {
+      row.scheduledBy = `@${requester}`;
+    }
+  } catch (error) {
+    core.debug(`Unable to load details for ${row.pr}: ${error.message}`);
+    row.mergeability = 'Unavailable';
+  }
+
+  return row;
+}
+
+async function buildScheduleRows(octokit, scheduledPRs) {
+  const sorted = [...scheduledPRs].sort((a, b) => new Date(a.scheduleTime) - new Date(b.scheduleTime));
+  const rows = [];
+
+  for (const scheduledPR of sorted) {
+    rows.push(await buildScheduleRow(octokit, scheduledPR));
+  }
+
+  return rows;
+}
+
+function formatScheduleTable(rows) {
+  if (!rows.length) {
+    return 'No merges are scheduled.';
+  }
+
+  const lines = [
+    '| PR | Title | Scheduled (UTC) | Requester time | Scheduled by | Mergeability |',
+    '| --- | --- | --- | --- | --- | --- |'
+  ];
+
+  for (const row of rows) {
+    const cells = [row.pr, row.title, row.utcTime, row.localTime, row.scheduledBy, row.mergeability];
+    lines.push(`| ${cells.map(escapeCell).join(' | ')} |`);
+  }
+
+  return lines.join('\n');
+}
+
+async function writeScheduleSummary(octokit, scheduledPRs) {
+  try {
+    const table = formatScheduleTable(await buildScheduleRows(octokit, scheduledPRs));
+
+    core.summary.addHeading('Scheduled merges', 2);
+    core.summary.addRaw(table, true);
+    await core.summary.write();
+  } catch (error) {
+    // The summary is informational, so never fail the scheduler run over it
+    core.warning(`Unable to write the job summary: ${error.message}`);
+  }
+}
+
+module.exports = {
+  escapeCell,
+  buildScheduleRows,
+  formatScheduleTable,
+  writeScheduleSummary
+};
@@ -0,0 +1,74 @@
+const core = require('@actions/core');
+const { createComment } = require('./utils');
+
+const STACK_FLAG_REGEX = /--stack\b/i;
+// Deep stacks are rare, and a cap keeps a misconfigured chain from looping
+const MAX_STACK_DEPTH = 20;
+
+function isStackCommand(commentBody) {
+  return STACK_FLAG_REGEX.test(commentBody);
+}
+
+async function findStack(octokit, owner, repo, pullRequest) {
+  const below = [];
+  const seen = new Set([pullRequest.number]);
+  let current = pullRequest;
+
+  // Walk down while the base branch is the head of another open PR
+  for (;;) {
+    const { data: candidates } = await octokit.rest.pulls.list({
+      owner,
+      repo,
+      state: 'open',
+      head: `${owner}:${current.base.ref}`
+    });
+
+    const next = candidates.find(candidate => !seen.has(candidate.number));
+    if (!next) {
+      break;
+    }
+    if (below.length >= MAX_STACK_DEPTH) {
+      throw new Error(`Stacks deeper than ${MAX_STACK_DEPTH} PRs are not supported`);
+    }
+
+    seen.add(next.number);
+    below.unshift(next);
+    current = next;
+  }
+
+  return { base: current.base.ref, below };
+}
+
+async function retargetStackedPR(octokit, store, pr) {
+  const { data: pullRequest } = await octokit.rest.pulls.get({
+    owner: pr.owner,
+    repo: pr.repo,
+    pull_number: pr.number
+  });
+
+  if (pullRequest.base.ref === pr.stackBase) {
+    return null;
+  }
+
+  core.info(`Retargeting PR #${pr.number} from ${pullRequest.base.ref} to ${pr.stackBase}`);
+  await octokit.rest.pulls.update({
+    owner: pr.owner,
+    repo: pr.repo,
+    pull_number: pr.number,
+    base: pr.stackBase
+  });
+
+  // Checks have to pass against the new base before the merge continues
+  await store.update(pr, { retargeted: true, firstDueAt: undefined });
+  await createComment(octokit, pr.owner, pr.repo, pr.number,
+    `🔀 The PR below this one in the stack has merged, so this PR now targets ${pr.stackBase}. It will merge once its checks pass.`);
+
+  return `retargeted to ${pr.stackBase}, waiting for checks`;
+}
+
+module.exports = {
+  isStackCommand,
+  findStack,
+  retargetStackedPR,
+  STACK_FLAG_REGEX
+};
@@ -0,0 +1,380 @@
+const core = require('@actions/core');
+const {
+  createComment,
+  getScheduledPRs,
+  storeScheduleInfo,
+  getScheduleInfo,
+  updateScheduleInfo,
+  removeScheduleInfo,
+  migrateScheduleInfo,
+  buildScheduleInfo,
+  formatScheduleConfirmation,
+  toScheduledPR,
+  getActionLogin,
+  isScheduleComment,
+  SCHEDULE_LABEL,
+  SCHEDULE_INFO_REGEX,
+  SCHEMA_VERSION
+} = require('./utils');
+
+const STORAGE_BACKENDS = ['comment', 'branch', 'variable'];
+const DEFAULT_STORAGE_BACKEND = 'comment';
+const DEFAULT_STATE_BRANCH = 'merge-scheduler-state';
+const DEFAULT_STATE_VARIABLE = 'MERGE_SCHEDULER_STATE';
+const STATE_FILE = 'schedules.json';
+const SCHEDULE_KEY_REGEX = /^([^/]+)\/([^#]+)#(\d+)$/;
+
+// A write that races another run is retried on fresh state a few times
+const MAX_WRITE_ATTEMPTS = 3;
+const CONFLICT_STATUSES = [409, 422];
+
+function scheduleKey(owner, repo, prNumber) {
+  return `${owner}/${repo}#${prNumber}`;
+}
+
+function matchesScopes(owner, repo, scopes) {
+  return !scopes.length || scopes.some(scope =>
+    scope === `repo:${owner}/${repo}` || scope === `org:${owner}`
+  );
+}
+
+function createCommentStore(octokit) {
+  return {
+    backend: 'comment',
+
+    async get(owner, repo, prNumber) {
+      const scheduleInfo = await getScheduleInfo(octokit, owner, repo, prNumber);
+      return scheduleInfo && { ...scheduleInfo, owner, repo, number: prNumber };
+    },
+
+    list(scopes = []) {
+      return getScheduledPRs(octokit, scopes);
+    },
+
+    save(owner, repo, prNumber, ...details) {
+      return storeScheduleInfo(octokit, owner, repo, prNumber, ...details);
+    },
+
+    update(schedule, updates) {
+      return updateScheduleInfo(octokit, schedule.owner, schedule.repo, schedule.commentId, updates);
+    },
+
+    remove(owner, repo, prNumber) {
+      return removeScheduleInfo(octokit, owner, repo, prNumber);
+    }
+  };
+}
+
+function createBranchLocation(octokit, owner, repo, branch) {
+  async function createBranch(content) {
+    // The state branch shares no history with the code
+    const { data: tree } = await octokit.rest.git.createTree({
+      owner,
+      repo,
+      tree: [{ path: STATE_FILE, mode: '100644', type: 'blob', content }]
+    });
+    const { data: commit } = await octokit.rest.git.createCommit({
+      owner,
+      repo,
+      message: 'Create merge scheduler state',
+      tree: tree.sha,
+      parents: []
+    });
+    await octokit.rest.git.createRef({
+      owner,
+      repo,
+      ref: `refs/heads/${branch}`,
+      sha: commit.sha
+    });
+  }
+
+  async function branchExists() {
+    try {
+      await octokit.rest.git.getRef({ owner, repo, ref: `heads/${branch}` });
+      return true;
+    } catch (error) {
+      if (error.status === 404) {
+        return false;
+      }
+      throw error;
+    }
+  }
+
+  return {
+    async read() {
+      try {
+        const { data } = await octokit.rest.repos.getContent({
+          owner,
+          repo,
+          path: STATE_FILE,
+          ref: branch
+        });
+
+        return {
+          document: JSON.parse(Buffer.from(data.content, data.encoding || 'base64').toString('utf8')),
+          revision: data.sha
+        };
+      } catch (error) {
+        if (error.status === 404) {
+          return null;
+        }
+        throw error;
+      }
+    },
+
+    async write(document, revision) {
+      const content = `${JSON.stringify(document, null, 2)}\n`;
+
+      if (!revision && !(await branchExists())) {
+        await createBranch(content);
+        return;
+      }
+
+      await octokit.rest.repos.createOrUpdateFileContents({
+        owner,
+        repo,
+        path: STATE_FILE,
+        branch,
+        message: 'Update merge schedules',
+        content: Buffer.from(content).toString('base64'),
+        sha: revision
+      });
+    }
+  };
+}
+
+function createVariableLocation(octokit, owner, repo, name) {
+  // Variables have no revision check, so concurrent runs can overwrite each other
+  return {
+    async read() {
+      try {
+        const { data } = await octokit.rest.actions.getRepoVariable({ owner, repo, name });
+        return { document: JSON.parse(data.value), revision: data.updated_at };
+      } catch (error) {
+        if (error.status === 404) {
+          return null;
+        }
+        throw error;
+      }
+    },
+
+    async write(document, revision) {
+      const value = JSON.stringify(document);
+
+      if (revision) {
+        await octokit.rest.actions.updateRepoVariable({ owner, repo, name, value });
+      } else {
+        await octokit.rest.actions.createRepoVariable({ owner, repo, name, value });
+      }
+    }
+  };
+}
+
+async function stripScheduleComment(octokit, owner, repo, commentId) {
+  const { data: comment } = await octokit.rest.issues.getComment({
+    owner,
+    repo,
+    comment_id: commentId
+  });
+
+  // Never edit a comment the action didn't write
+  if (!isScheduleComment(comment, await getActionLogin(octokit))) {
+    core.warning(`Comment ${commentId} in ${owner}/${repo} was not written by the action, so it was left as is`);
+    return;
+  }
+
+  await octokit.rest.issues.updateComment({
+    owner,
+    repo,
+    comment_id: commentId,
+    body: comment.body.replace(new RegExp(`<!-- ${SCHEDULE_INFO_REGEX.source}\\s*`), '')
+  });
+}
+
+function createDocumentStore(octokit, backend, location) {
+  async function load() {
+    const state = await location.read();
+    const document = state ? state.document : { version: SCHEMA_VERSION, schedules: {} };
+
+    if (document.version > SCHEMA_VERSION) {
+      throw new Error(`Stored schedules use version ${document.version}, newer than this action supports (${SCHEMA_VERSION})`);
+    }
+
+    return { document, revision: state && state.revision };
+  }
+
+  async function change(mutate) {
+    for (let attempt = 1; ; attempt++) {
+      const { document, revision } = await load();
+      const result = mutate(document);
+
+      if (result === false) {
+        return result;
+      }
+
+      try {
+        await location.write({ ...document, version: SCHEMA_VERSION }, revision);
+        return result;
+      } catch (error) {
+        if (!CONFLICT_STATUSES.includes(error.status) || attempt >= MAX_WRITE_ATTEMPTS) {
+          throw error;
+        }
+        core.debug(`Schedule state changed while saving, retrying (attempt ${attempt + 1})`);
+      }
+    }
+  }
+
+  return {
+    backend,
+
+    async get(owner, repo, prNumber) {
+      const { document } = await load();
+      const scheduleInfo = document.schedules[scheduleKey(owner, repo, prNumber)];
+      return scheduleInfo ? { ...migrateScheduleInfo(scheduleInfo), owner, repo, number: prNumber } : null;
+    },
+
+    async list(scopes = []) {
+      const { document } = await load();
+      const scheduledPRs = [];
+
+      for (const [key, scheduleInfo] of Object.entries(document.schedules)) {
+        const [, owner, repo, number] = key.match(SCHEDULE_KEY_REGEX) || [];
+        if (!owner || !matchesScopes(owner, repo, scopes)) {
+          continue;
+        }
+
+        try {
+          const scheduledPR = toScheduledPR(owner, repo, Number(number), migrateScheduleInfo(scheduleInfo));
+          if (isNaN(scheduledPR.scheduleTime.getTime())) {
+            core.error(`Invalid schedule date for ${key}`);
+            continue;
+          }
+          scheduledPRs.push(scheduledPR);
+        } catch (error) {
+          core.error(`Error reading schedule for ${key}: ${error.message}`);
+        }
+      }
+
+      return scheduledPRs;
+    },
+
+    async save(owner, repo, prNumber, scheduleDate, localTime, utcTime, timezone, options = {}) {
+      try {
+        // The label still marks scheduled PRs in the GitHub UI
+        await octokit.rest.issues.addLabels({
+          owner,
+          repo,
+          issue_number: prNumber,
+          labels: [SCHEDULE_LABEL]
+        });
+
+        const scheduleInfo = buildScheduleInfo(scheduleDate, timezone, options);
+        await change(document => {
+          document.schedules[scheduleKey(owner, repo, prNumber)] = scheduleInfo;
+        });
+
+        await createComment(octokit, owner, repo, prNumber,
+          formatScheduleConfirmation(scheduleInfo, localTime, utcTime));
+      } catch (error) {
+        core.error('Error storing schedule info:');
+        core.error(error);
+        throw error;
+      }
+    },
+
+    update(schedule, updates) {
+      const key = scheduleKey(schedule.owner, schedule.repo, schedule.number);
+
+      return change(document => {
+        if (!document.schedules[key]) {
+          throw new Error(`No schedule stored for ${key}`);
+        }
+        document.schedules[key] = { ...migrateScheduleInfo(document.schedules[key]), ...updates };
+        return document.schedules[key];
+      });
+    },
+
+    async remove(owner, repo, prNumber) {
+      const key = scheduleKey(owner, repo, prNumber);
+
+      await change(document => {
+        if (!document.schedules[key]) {
+          return false;
+        }
+        delete document.schedules[key];
+      });
+
+      // Also clears the label and any comment-based schedule left from before a migration
+      await removeScheduleInfo(octokit, owner, repo, prNumber);
+    },
+
+    async migrate(scopes = []) {
+      const { document } = await load();
+      if (document.migrated) {
+        return [];
+      }
+
+      const commentSchedules = await getScheduledPRs(octokit, scopes);
+
+      const migrated = await change(next => {
+        const imported = [];
+        for (const { owner, repo, number, scheduleTime, commentId, ...fields } of commentSchedules) {
+          const key = scheduleKey(owner, repo, number);
+          // Schedules saved since switching backends are newer than their old comments
+          if (!next.schedules[key]) {
+            next.schedules[key] = {
+              type: 'merge-schedule-info',
+              version: SCHEMA_VERSION,
+              scheduleDate: new Date(scheduleTime).toISOString(),
+              ...fields
+            };
+            imported.push({ owner, repo, number, commentId });
+          }
+        }
+        next.migrated = true;
+        return imported;
+      });
+
+      for (const { owner, repo, number, commentId } of migrated) {
+        core.info(`Migrated the schedule of ${scheduleKey(owner, repo, number)} to ${backend} storage`);
+        await stripScheduleComment(octokit, owner, repo, commentId);
+      }
+
+      return migrated;
+    }
+  };
+}
+
+function createScheduleStore(octokit, options = {}) {
+  const {
+    backend = DEFAULT_STORAGE_BACKEND,
+    repository,
+    branch = DEFAULT_STATE_BRANCH,
+    variable = DEFAULT_STATE_VARIABLE
+  } = options;
+
+  if (backend === 'comment') {
+    return createCommentStore(octokit);
+  }
+
+  if (!STORAGE_BACKENDS.includes(backend)) {
+    throw new Error(`Unknown storage backend: ${backend}`);
+  }
+
+  if (!repository) {
+    throw new Error(`The ${backend} storage backend needs a storage repository`);
+  }
+
+  const [owner, repo] = repository.split('/');
+  const location = backend === 'branch'
+    ? createBranchLocation(octokit, owner, repo, branch)
+    : createVariableLocation(octokit, owner, repo, variable);
+
+  return createDocumentStore(octokit, backend, location);
+}
+
+module.exports = {
+  createScheduleStore,
+  STORAGE_BACKENDS,
+  DEFAULT_STORAGE_BACKEND
+};
@@ -0,0 +1,90 @@
+const core = require('@actions/core');
+const github = require('@actions/github');
+const { createComment } = require('./utils');
+const { createScheduleStore } = require('./storage');
+const { isBranchUpdate } = require('./branch-updater');
+const { createDryRun, writeDryRunSummary } = require('./dry-run');
+const { createNotifier } = require('./notifier');
+
+const SYNCHRONIZE_POLICIES = ['cancel', 'reconfirm', 'keep'];
+const DEFAULT_SYNCHRONIZE_POLICY = 'cancel';
+
+async function handleSynchronize(token, repository, prNumber, options = {}) {
+  const { policy = DEFAULT_SYNCHRONIZE_POLICY } = options;
+  const dryRun = options.dryRun && createDryRun();
+  const octokit = dryRun ? dryRun.wrap(github.getOctokit(token)) : github.getOctokit(token);
+  const [owner, repo] = repository.split('/');
+
+  try {
+    const store = createScheduleStore(octokit, options.storage);
+    const scheduleInfo = await store.get(owner, repo, prNumber);
+
+    if (!scheduleInfo) {
+      core.info(`PR #${prNumber} has no scheduled merge`);
+      return;
+    }
+
+    // Only merges are tied to the commits they were scheduled for
+    if (scheduleInfo.action) {
+      core.info(`PR #${prNumber} has a scheduled ${scheduleInfo.action}, which new commits don't affect`);
+      return;
+    }
+
+    const { data: pr } = await octokit.rest.pulls.get({
+      owner,
+      repo,
+      pull_number: prNumber
+    });
+
+    const newSha = pr.head.sha;
+    const shortSha = newSha.slice(0, 7);
+
+    if (scheduleInfo.headSha === newSha) {
+      core.info(`Schedule for PR #${prNumber} already points at ${shortSha}`);
+      return;
+    }
+
+    // The scheduler's own update from the base keeps the schedule
+    if (scheduleInfo.headSha && scheduleInfo.branchUpdatedFrom === scheduleInfo.headSha &&
+      await isBranchUpdate(octokit, owner, repo, newSha, scheduleInfo.headSha, pr.base.ref)) {
+      core.info(`PR #${prNumber} was updated from its base by the scheduler, now at ${shortSha}`);
+      await store.update(scheduleInfo, { headSha: newSha, branchUpdateRequestedAt: undefined });
+      return;
+    }
+
+    core.info(`New commits pushed to PR #${prNumber}, applying "${policy}" policy`);
+
+    if (policy === 'keep') {
+      await store.update(scheduleInfo, { headSha: newSha });
+      await createComment(octokit, owner, repo, prNumber,
+        `ℹ️ New commits were pushed. The scheduled merge will now merge commit ${shortSha}.`);
+    } else if (policy === 'reconfirm') {
+      await store.update(scheduleInfo, { awaitingConfirmation: true });
+      await createComment(octokit, owner, repo, prNumber,
+        `⚠️ New commits were pushed (${shortSha}). The scheduled merge is paused until it is confirmed.
+To keep the schedule, comment: @merge-at confirm`);
+    } else {
+      await store.remove(owner, repo, prNumber);
+      await createComment(octokit, owner, repo, prNumber,
+        `🚫 Scheduled merge has been cancelled because new commits were pushed (${shortSha}). Post a new @merge-at command to reschedule.`);
+      await createNotifier(options.notifications, dryRun).notify('cancelled', owner, repo, prNumber, {
+        scheduledBy: scheduleInfo.scheduledBy,
+        reason: `new commits were pushed (${shortSha})`
+      });
+    }
+  } catch (error) {
+    core.error(`Error handling new commits on PR #${prNumber}:`);
+    core.error(error);
+    throw error;
+  } finally {
+    if (dryRun) {
+      await writeDryRunSummary([], dryRun.actions);
+    }
+  }
+}
+
+module.exports = {
+  handleSynchronize,
+  SYNCHRONIZE_POLICIES,
+  DEFAULT_SYNCHRONIZE_POLICY
+};
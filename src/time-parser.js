@@ -0,0 +1,204 @@
+const { zonedTimeToUtc, utcToZonedTime } = require('date-fns-tz');
+const { format, isValid, addDays, addMinutes } = require('date-fns');
+
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+const DURATION_UNITS = {
+  m: 1,
+  min: 1,
+  mins: 1,
+  minute: 1,
+  minutes: 1,
+  h: 60,
+  hr: 60,
+  hrs: 60,
+  hour: 60,
+  hours: 60,
+  d: 24 * 60,
+  day: 24 * 60,
+  days: 24 * 60
+};
+
+const UNIT_PATTERN = 'minutes|minute|mins|min|m|hours|hour|hrs|hr|h|days|day|d';
+const DURATION_PART = `(\\d+|an?)\\s*(${UNIT_PATTERN})`;
+const DURATION_PART_REGEX = new RegExp(DURATION_PART, 'gi');
+
+const ABSOLUTE_REGEX = /^\d{4}-\d{2}-\d{2}\s+\S/;
+const OFFSET_REGEX = new RegExp(`^\\+\\s*(?:${DURATION_PART}\\s*)+$`, 'i');
+const IN_REGEX = new RegExp(`^in\\s+(?:${DURATION_PART}(?:\\s*,\\s*|\\s+and\\s+|\\s*))+$`, 'i');
+const RELATIVE_DAY_REGEX = /^(today|tomorrow)\s+(.+)$/i;
+const WEEKDAY_REGEX = new RegExp(`^(next\\s+)?(${WEEKDAYS.join('|')})\\s+(.+)$`, 'i');
+const MERIDIEM_REGEX = /^(am|pm)$/i;
+const TIMEZONE_TOKEN_REGEX = /^[A-Za-z][\w+\-/]*$/;
+
+function parseTimeOfDay(timeStr) {
+  const match = timeStr.replace(/\s+/g, '').match(/^(\d{1,2})(?::(\d{2}))?(am|pm)?$/i);
+
+  // A bare hour like "9" is ambiguous, so require minutes or a meridiem
+  if (!match || (!match[2] && !match[3])) {
+    throw new Error('Invalid time format');
+  }
+
+  const [, hours, minutes = '00', meridiem] = match;
+  let parsedHours = parseInt(hours, 10);
+  const parsedMinutes = parseInt(minutes, 10);
+
+  if (meridiem) {
+    if (parsedHours < 1 || parsedHours > 12 || parsedMinutes > 59) {
+      throw new Error('Invalid time format');
+    }
+
+    const isPM = meridiem.toUpperCase() === 'PM';
+    if (isPM && parsedHours !== 12) {
+      parsedHours += 12;
+    } else if (!isPM && parsedHours === 12) {
+      parsedHours = 0;
+    }
+  } else if (parsedHours > 23 || parsedMinutes > 59) {
+    throw new Error('Invalid time format');
+  }
+
+  return `${parsedHours.toString().padStart(2, '0')}:${parsedMinutes.toString().padStart(2, '0')}`;
+}
+
+function parseAbsolute(expression, timezone) {
+  // Split into date and time parts (handles multiple spaces)
+  const [datePart, ...timeParts] = expression.split(/\s+/);
+  const timeWithMeridiem = timeParts.join(' ');
+
+  if (!datePart || !timeWithMeridiem) {
+    throw new Error('Date and time must be provided');
+  }
+
+  const date = zonedTimeToUtc(`${datePart} ${parseTimeOfDay(timeWithMeridiem)}`, timezone);
+
+  if (!isValid(date)) {
+    throw new Error('Invalid date format');
+  }
+
+  return date;
+}
+
+function parseDuration(durationStr) {
+  let totalMinutes = 0;
+
+  // Drop "and" first so its "an" isn't read as an amount
+  const parts = durationStr.replace(/\band\b/gi, ' ');
+
+  for (const [, amount, unit] of parts.matchAll(DURATION_PART_REGEX)) {
+    const value = /^an?$/i.test(amount) ? 1 : parseInt(amount, 10);
+    totalMinutes += value * DURATION_UNITS[unit.toLowerCase()];
+  }
+
+  return totalMinutes;
+}
+
+function zonedToday(now, timezone) {
+  const zonedNow = utcToZonedTime(now, timezone);
+
+  if (!isValid(zonedNow)) {
+    throw new Error(`Invalid timezone: ${timezone}`);
+  }
+
+  return zonedNow;
+}
+
+function atTimeOnDay(zonedDay, timeStr, timezone) {
+  return zonedTimeToUtc(`${format(zonedDay, 'yyyy-MM-dd')} ${parseTimeOfDay(timeStr)}`, timezone);
+}
+
+function parseRelativeDay(match, timezone, now) {
+  const [, day, timeStr] = match;
+  const zonedNow = zonedToday(now, timezone);
+  const offset = day.toLowerCase() === 'tomorrow' ? 1 : 0;
+
+  return atTimeOnDay(addDays(zonedNow, offset), timeStr, timezone);
+}
+
+function parseWeekday(match, timezone, now) {
+  const [, next, weekday, timeStr] = match;
+  const zonedNow = zonedToday(now, timezone);
+  let daysAhead = (WEEKDAYS.indexOf(weekday.toLowerCase()) - zonedNow.getDay() + 7) % 7;
+
+  // "next monday" always means a later day; a plain "monday" may be today if the time hasn't passed
+  if (next && daysAhead === 0) {
+    daysAhead = 7;
+  }
+
+  const date = atTimeOnDay(addDays(zonedNow, daysAhead), timeStr, timezone);
+  return date <= now ? atTimeOnDay(addDays(zonedNow, daysAhead + 7), timeStr, timezone) : date;
+}
+
+const EXPRESSIONS = [
+  {
+    regex: ABSOLUTE_REGEX,
+    resolve: (match, timezone) => parseAbsolute(match.input, timezone)
+  },
+  {
+    regex: OFFSET_REGEX,
+    resolve: (match, _timezone, now) => addMinutes(now, parseDuration(match.input))
+  },
+  {
+    regex: IN_REGEX,
+    resolve: (match, _timezone, now) => addMinutes(now, parseDuration(match.input.replace(/^in\s+/i, '')))
+  },
+  {
+    regex: RELATIVE_DAY_REGEX,
+    resolve: parseRelativeDay
+  },
+  {
+    regex: WEEKDAY_REGEX,
+    resolve: parseWeekday
+  }
+];
+
+function findExpression(expression) {
+  for (const { regex, resolve } of EXPRESSIONS) {
+    const match = expression.match(regex);
+    if (match) {
+      return { match, resolve };
+    }
+  }
+  return null;
+}
+
+function isScheduleExpression(expression) {
+  return Boolean(findExpression(expression.trim()));
+}
+
+function parseScheduleCommand(text) {
+  const tokens = text.trim().split(/\s+/).filter(Boolean);
+  if (!tokens.length) {
+    return null;
+  }
+
+  // The trailing token is a timezone only if what precedes it is a complete expression
+  const lastToken = tokens[tokens.length - 1];
+  const rest = tokens.slice(0, -1).join(' ');
+  const isTimezoneToken = TIMEZONE_TOKEN_REGEX.test(lastToken) && !MERIDIEM_REGEX.test(lastToken);
+  if (rest && isTimezoneToken && isScheduleExpression(rest)) {
+    return { expression: rest, timezone: lastToken };
+  }
+
+  const expression = tokens.join(' ');
+  return isScheduleExpression(expression) ? { expression, timezone: undefined } : null;
+}
+
+function parseScheduleExpression(expression, timezone = 'UTC', now = new Date()) {
+  const trimmed = expression.trim();
+  const found = findExpression(trimmed);
+
+  // Fall back to the absolute parser so incomplete dates get a specific error
+  if (!found) {
+    return parseAbsolute(trimmed, timezone);
+  }
+
+  return found.resolve(found.match, timezone, now);
+}
+
+module.exports = {
+  parseScheduleExpression,
+  parseScheduleCommand,
+  isScheduleExpression,
+  parseTimeOfDay
+};
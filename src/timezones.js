@@ -0,0 +1,120 @@
+const EXAMPLE_TIMEZONE = 'America/Los_Angeles';
+
+let timezoneNames;
+
+function getTimezoneNames() {
+  if (!timezoneNames) {
+    timezoneNames = ['UTC', ...Intl.supportedValuesOf('timeZone').filter(name => name !== 'UTC')];
+  }
+  return timezoneNames;
+}
+
+function isValidTimezone(timezone) {
+  try {
+    // Intl knows every IANA name, including links like US/Pacific and EST
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+function normalizeName(name) {
+  return name.toLowerCase().replace(/[\s-]+/g, '_');
+}
+
+function editDistance(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (_, index) => index);
+
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+    }
+    previous = current;
+  }
+
+  return previous[b.length];
+}
+
+function suggestTimezone(timezone) {
+  const wanted = normalizeName(String(timezone));
+  // Close enough to be a typo rather than a different place
+  const maxDistance = Math.max(2, Math.floor(wanted.length / 3));
+  let best = null;
+
+  for (const name of getTimezoneNames()) {
+    const full = normalizeName(name);
+    const city = full.slice(full.lastIndexOf('/') + 1);
+
+    // "Los Angeles" or "Foo/Los_Angeles" still name the city
+    if (city === wanted || city === wanted.slice(wanted.lastIndexOf('/') + 1)) {
+      return name;
+    }
+
+    const distance = Math.min(editDistance(wanted, full), editDistance(wanted, city));
+    if (distance <= maxDistance && (!best || distance < best.distance)) {
+      best = { name, distance };
+    }
+  }
+
+  return best && best.name;
+}
+
+function validateTimezone(timezone, source) {
+  if (isValidTimezone(timezone)) {
+    return timezone;
+  }
+
+  const unknown = `Unknown timezone "${timezone}"${source ? ` ${source}` : ''}`;
+  const suggestion = suggestTimezone(timezone);
+  throw new Error(suggestion
+    ? `${unknown}. Did you mean ${suggestion}?`
+    : `${unknown}. Use an IANA timezone name such as ${EXAMPLE_TIMEZONE}`);
+}
+
+function getUserTimezones(config = {}) {
+  const timezones = (config && config.timezones) || {};
+  if (typeof timezones !== 'object' || Array.isArray(timezones)) {
+    throw new Error('timezones must be a mapping of GitHub logins to timezones');
+  }
+
+  // GitHub logins are case-insensitive. A bad entry is kept as its error,
+  // so it only fails commands from that user instead of everyone's
+  const users = new Map();
+  for (const [key, timezone] of Object.entries(timezones)) {
+    const login = key.replace(/^@/, '');
+    try {
+      users.set(login.toLowerCase(), validateTimezone(String(timezone), `for @${login} in timezones`));
+    } catch (error) {
+      users.set(login.toLowerCase(), error);
+    }
+  }
+
+  return users;
+}
+
+function resolveTimezone(timezone, username, userTimezones, defaultTimezone = 'UTC') {
+  if (timezone) {
+    return validateTimezone(timezone);
+  }
+
+  const userTimezone = userTimezones.get(username.toLowerCase());
+  if (userTimezone instanceof Error) {
+    throw userTimezone;
+  }
+
+  return userTimezone || defaultTimezone;
+}
+
+module.exports = {
+  isValidTimezone,
+  suggestTimezone,
+  validateTimezone,
+  getUserTimezones,
+  resolveTimezone
+};
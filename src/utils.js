@@ -1,6 +1,20 @@
 const core = require('@actions/core');
+const { getActionType } = require('./action-types');
 
 const SCHEDULE_LABEL = 'merge-scheduled';
+const MERGE_METHODS = ['merge', 'squash', 'rebase'];
+const DEFAULT_MERGE_METHOD = 'squash';
+const SCHEDULE_INFO_REGEX = /MERGE_SCHEDULE_INFO (.+) -->/;
+// Bump when the stored schedule shape changes, and teach migrateScheduleInfo the old one
+const SCHEMA_VERSION = 1;
+// A line starting with a schedule command, as opposed to cancel/confirm or a bot reply quoting one
+const SCHEDULE_COMMAND_REGEX = /^\s*@merge-at[^\S\r\n]+(?!(?:cancel|confirm|list|status)\b)\S/m;
+const SEARCH_PAGE_SIZE = 100;
+const COMMENTS_PAGE_SIZE = 100;
+// GitHub search only returns the first 1000 results of any query
+const SEARCH_RESULT_LIMIT = 1000;
+// GitHub rejects search queries longer than 256 characters
+const SEARCH_QUERY_MAX_LENGTH = 256;
 
 async function createComment(octokit, owner, repo, issueNumber, body) {
   try {
@@ -17,18 +31,77 @@ async function createComment(octokit, owner, repo, issueNumber, body) {
   }
 }
 
-async function getLatestScheduleComment(octokit, owner, repo, prNumber) {
-  try {
-    const { data: comments } = await octokit.rest.issues.listComments({
+async function listAllComments(octokit, owner, repo, issueNumber) {
+  const comments = [];
+
+  for (let page = 1; ; page++) {
+    const { data } = await octokit.rest.issues.listComments({
       owner,
       repo,
-      issue_number: prNumber,
-      per_page: 100 // Increase if needed
+      issue_number: issueNumber,
+      per_page: COMMENTS_PAGE_SIZE,
+      page
     });
 
+    comments.push(...data);
+
+    if (data.length < COMMENTS_PAGE_SIZE) {
+      return comments;
+    }
+  }
+}
+
+const actionLogins = new WeakMap();
+
+async function lookUpActionLogin(octokit) {
+  try {
+    const { data: user } = await octokit.rest.users.getAuthenticated();
+    return user.login;
+  } catch (error) {
+    // Installation tokens such as GITHUB_TOKEN can't look themselves up
+    core.debug(`Unable to look up the account the action comments as: ${error.message}`);
+    return null;
+  }
+}
+
+function getActionLogin(octokit) {
+  if (!actionLogins.has(octokit)) {
+    actionLogins.set(octokit, lookUpActionLogin(octokit));
+  }
+  return actionLogins.get(octokit);
+}
+
+function isScheduleComment(comment, actionLogin) {
+  if (!SCHEDULE_INFO_REGEX.test(comment.body || '') || !comment.user) {
+    return false;
+  }
+
+  // Anyone can comment, so only the action's own comments are trusted to hold a schedule
+  return actionLogin ? comment.user.login === actionLogin : comment.user.type === 'Bot';
+}
+
+async function listScheduleComments(octokit, owner, repo, prNumber) {
+  const [comments, actionLogin] = await Promise.all([
+    listAllComments(octokit, owner, repo, prNumber),
+    getActionLogin(octokit)
+  ]);
+  return comments.filter(comment => isScheduleComment(comment, actionLogin));
+}
+
+function findScheduleComment(scheduleComments) {
+  // Comments come oldest first, and the newest schedule wins if several are left behind
+  return scheduleComments[scheduleComments.length - 1];
+}
+
+async function getLatestScheduleComment(octokit, owner, repo, prNumber) {
+  try {
+    const comments = await listAllComments(octokit, owner, repo, prNumber);
+
     return comments
       .reverse()
-      .find(comment => comment.body.includes('@merge-at'));
+      .find(comment => SCHEDULE_COMMAND_REGEX.test(comment.body) &&
+        !comment.body.includes('MERGE_SCHEDULE_INFO') &&
+        (!comment.user || comment.user.type !== 'Bot'));
   } catch (error) {
     core.error('Error getting latest schedule comment:');
     core.error(error);
@@ -36,7 +109,120 @@ async function getLatestScheduleComment(octokit, owner, repo, prNumber) {
   }
 }
 
-async function storeScheduleInfo(octokit, owner, repo, prNumber, scheduleDate, localTime, utcTime, timezone) {
+function serializeScheduleInfo(scheduleInfo) {
+  // Escape ">" so user-supplied text can't close the HTML comment early
+  return JSON.stringify(scheduleInfo).replace(/>/g, '\\u003e');
+}
+
+function migrateScheduleInfo(scheduleInfo) {
+  const version = scheduleInfo.version || 0;
+
+  if (version > SCHEMA_VERSION) {
+    throw new Error(`Schedule info version ${version} is newer than this action supports (${SCHEMA_VERSION})`);
+  }
+
+  // Version 0 predates schema versions. Without a stored merge method it still
+  // follows the merge-method input, so none is filled in here
+  if (version === 0) {
+    return { ...scheduleInfo, version: SCHEMA_VERSION };
+  }
+
+  return scheduleInfo;
+}
+
+function parseScheduleInfo(body) {
+  const match = body.match(SCHEDULE_INFO_REGEX);
+  return match ? migrateScheduleInfo(JSON.parse(match[1])) : null;
+}
+
+function buildScheduleInfo(scheduleDate, timezone, options = {}) {
+  const {
+    action,
+    label,
+    mergeMethod = DEFAULT_MERGE_METHOD,
+    priority,
+    scheduledBy,
+    dependencies,
+    stackBase,
+    hooks,
+    commitTitle,
+    commitMessage,
+    headSha
+  } = options;
+
+  return {
+    type: 'merge-schedule-info',
+    version: SCHEMA_VERSION,
+    // Merges leave the action out, as schedules did before there were other actions
+    action: action === 'merge' ? undefined : action,
+    label,
+    scheduleDate: scheduleDate.toISOString(),
+    timezone,
+    mergeMethod: action && action !== 'merge' ? undefined : mergeMethod,
+    priority,
+    scheduledBy,
+    dependencies,
+    stackBase,
+    hooks,
+    headSha,
+    commitTitle,
+    commitMessage
+  };
+}
+
+function formatScheduleConfirmation(scheduleInfo, localTime, utcTime) {
+  const { timezone, scheduledBy, commitTitle, commitMessage } = scheduleInfo;
+  const actionType = getActionType(scheduleInfo.action);
+  const details = [
+    scheduledBy && `Scheduled by: @${scheduledBy}`,
+    ...(actionType.details ? actionType.details(scheduleInfo) : [])
+  ].filter(Boolean).join('\n');
+  const commitPreview = commitTitle || commitMessage
+    ? `\n\nCommit preview:\n\`\`\`\n${[commitTitle, commitMessage].filter(Boolean).join('\n\n')}\n\`\`\``
+    : '';
+
+  return `📅 PR ${actionType.title} scheduled for:
+• ${localTime} ${timezone}
+• ${utcTime} UTC
+${details ? `\n${details}` : ''}${commitPreview}
+
+I'll ${actionType.promise(scheduleInfo)}.
+To cancel, comment: ${actionType.command} cancel`;
+}
+
+function toScheduledPR(owner, repo, number, scheduleInfo, commentId) {
+  return {
+    owner,
+    repo,
+    number,
+    action: scheduleInfo.action,
+    label: scheduleInfo.label,
+    scheduleTime: new Date(scheduleInfo.scheduleDate),
+    timezone: scheduleInfo.timezone,
+    mergeMethod: scheduleInfo.mergeMethod,
+    priority: scheduleInfo.priority,
+    scheduledBy: scheduleInfo.scheduledBy,
+    dependencies: scheduleInfo.dependencies,
+    blockedBy: scheduleInfo.blockedBy,
+    stackBase: scheduleInfo.stackBase,
+    hooks: scheduleInfo.hooks,
+    retargeted: scheduleInfo.retargeted,
+    recheckUntil: scheduleInfo.recheckUntil,
+    headSha: scheduleInfo.headSha,
+    awaitingConfirmation: scheduleInfo.awaitingConfirmation,
+    commitTitle: scheduleInfo.commitTitle,
+    commitMessage: scheduleInfo.commitMessage,
+    heldUntil: scheduleInfo.heldUntil,
+    firstDueAt: scheduleInfo.firstDueAt,
+    attempts: scheduleInfo.attempts,
+    branchUpdatedFrom: scheduleInfo.branchUpdatedFrom,
+    branchUpdateRequestedAt: scheduleInfo.branchUpdateRequestedAt,
+    queuePosition: scheduleInfo.queuePosition,
+    commentId
+  };
+}
+
+async function storeScheduleInfo(octokit, owner, repo, prNumber, scheduleDate, localTime, utcTime, timezone, options = {}) {
   try {
     await octokit.rest.issues.addLabels({
       owner,
@@ -45,19 +231,10 @@ async function storeScheduleInfo(octokit, owner, repo, prNumber, scheduleDate, l
       labels: [SCHEDULE_LABEL]
     });
 
-    const scheduleInfo = {
-      type: 'merge-schedule-info',
-      scheduleDate: scheduleDate.toISOString()
-    };
+    const scheduleInfo = buildScheduleInfo(scheduleDate, timezone, options);
+    const confirmationMessage = `<!-- MERGE_SCHEDULE_INFO ${serializeScheduleInfo(scheduleInfo)} -->
 
-    const confirmationMessage = `<!-- MERGE_SCHEDULE_INFO ${JSON.stringify(scheduleInfo)} -->
-
-📅 PR merge scheduled for:
-• ${localTime} ${timezone}
-• ${utcTime} UTC
-
-I'll merge this PR at the scheduled time if it's mergeable.
-To cancel, comment: @merge-at cancel`;
+${formatScheduleConfirmation(scheduleInfo, localTime, utcTime)}`;
 
     await createComment(octokit, owner, repo, prNumber, confirmationMessage);
   } catch (error) {
@@ -67,6 +244,53 @@ To cancel, comment: @merge-at cancel`;
   }
 }
 
+async function getScheduleInfo(octokit, owner, repo, prNumber) {
+  try {
+    const scheduleComment = findScheduleComment(await listScheduleComments(octokit, owner, repo, prNumber));
+    const scheduleInfo = scheduleComment && parseScheduleInfo(scheduleComment.body);
+
+    if (!scheduleInfo) {
+      return null;
+    }
+
+    return { ...scheduleInfo, commentId: scheduleComment.id };
+  } catch (error) {
+    core.error('Error getting schedule info:');
+    core.error(error);
+    throw error;
+  }
+}
+
+async function updateScheduleInfo(octokit, owner, repo, commentId, updates) {
+  try {
+    const { data: comment } = await octokit.rest.issues.getComment({
+      owner,
+      repo,
+      comment_id: commentId
+    });
+
+    const match = isScheduleComment(comment, await getActionLogin(octokit)) && comment.body.match(SCHEDULE_INFO_REGEX);
+    if (!match) {
+      throw new Error(`Comment ${commentId} does not contain schedule info`);
+    }
+
+    const scheduleInfo = { ...migrateScheduleInfo(JSON.parse(match[1])), ...updates };
+
+    await octokit.rest.issues.updateComment({
+      owner,
+      repo,
+      comment_id: commentId,
+      body: comment.body.replace(match[0], `MERGE_SCHEDULE_INFO ${serializeScheduleInfo(scheduleInfo)} -->`)
+    });
+
+    return scheduleInfo;
+  } catch (error) {
+    core.error('Error updating schedule info:');
+    core.error(error);
+    throw error;
+  }
+}
+
 async function removeScheduleInfo(octokit, owner, repo, prNumber) {
   try {
     try {
@@ -83,16 +307,7 @@ async function removeScheduleInfo(octokit, owner, repo, prNumber) {
       }
     }
 
-    const { data: comments } = await octokit.rest.issues.listComments({
-      owner,
-      repo,
-      issue_number: prNumber,
-      per_page: 100
-    });
-
-    const scheduleComments = comments.filter(comment => 
-      comment.body.includes('MERGE_SCHEDULE_INFO')
-    );
+    const scheduleComments = await listScheduleComments(octokit, owner, repo, prNumber);
 
     for (const comment of scheduleComments) {
       await octokit.rest.issues.deleteComment({
@@ -108,16 +323,89 @@ async function removeScheduleInfo(octokit, owner, repo, prNumber) {
   }
 }
 
-async function getScheduledPRs(octokit) {
-  try {
-    const scheduledPRs = [];
+function parseRepositoryScopes(input) {
+  if (!input) {
+    return [];
+  }
 
-    const query = `is:pr is:open label:${SCHEDULE_LABEL}`;
-    const { data: { items } } = await octokit.rest.search.issuesAndPullRequests({
+  return input
+    .split(/[\s,]+/)
+    .filter(Boolean)
+    .map(entry => {
+      const orgMatch = entry.match(/^(?:org:([\w.-]+)|([\w.-]+)\/\*)$/);
+      if (orgMatch) {
+        return `org:${orgMatch[1] || orgMatch[2]}`;
+      }
+
+      if (/^[\w.-]+\/[\w.-]+$/.test(entry)) {
+        return `repo:${entry}`;
+      }
+
+      throw new Error(`Invalid repository scope: ${entry}. Use owner/repo, owner/* or org:owner`);
+    });
+}
+
+function buildSearchQueries(scopes = []) {
+  const baseQuery = `is:pr is:open label:${SCHEDULE_LABEL}`;
+
+  if (!scopes.length) {
+    return [baseQuery];
+  }
+
+  // Repeated repo:/org: qualifiers are OR'ed, so split them across as few
+  // queries as the length limit allows
+  const queries = [];
+  let current = baseQuery;
+
+  for (const scope of scopes) {
+    if (current !== baseQuery && current.length + scope.length + 1 > SEARCH_QUERY_MAX_LENGTH) {
+      queries.push(current);
+      current = baseQuery;
+    }
+    current += ` ${scope}`;
+  }
+  queries.push(current);
+
+  return queries;
+}
+
+async function searchAllIssues(octokit, query) {
+  const items = [];
+
+  for (let page = 1; ; page++) {
+    const { data } = await octokit.rest.search.issuesAndPullRequests({
       q: query,
-      per_page: 100
+      per_page: SEARCH_PAGE_SIZE,
+      page
     });
 
+    items.push(...data.items);
+
+    const total = Math.min(data.total_count || items.length, SEARCH_RESULT_LIMIT);
+    if (data.items.length < SEARCH_PAGE_SIZE || items.length >= total) {
+      return items;
+    }
+  }
+}
+
+async function getScheduledPRs(octokit, scopes = []) {
+  try {
+    const scheduledPRs = [];
+    const seen = new Set();
+    const items = [];
+
+    for (const query of buildSearchQueries(scopes)) {
+      core.debug(`Searching for scheduled PRs: ${query}`);
+      for (const item of await searchAllIssues(octokit, query)) {
+        // The same PR can match more than one query when scopes overlap
+        const key = `${item.repository_url}#${item.number}`;
+        if (!seen.has(key)) {
+          seen.add(key);
+          items.push(item);
+        }
+      }
+    }
+
     for (const item of items) {
       try {
         // Handle malformed repository URLs
@@ -134,36 +422,21 @@ async function getScheduledPRs(octokit) {
 
         const [owner, repo] = urlParts.slice(-2);
 
-        const { data: comments } = await octokit.rest.issues.listComments({
-          owner,
-          repo,
-          issue_number: item.number,
-          per_page: 100
-        });
-
-        const scheduleComment = comments.find(comment =>
-          comment.body.includes('MERGE_SCHEDULE_INFO')
-        );
+        const scheduleComment = findScheduleComment(await listScheduleComments(octokit, owner, repo, item.number));
 
         if (scheduleComment) {
           try {
-            const match = scheduleComment.body.match(/MERGE_SCHEDULE_INFO (.+) -->/);
-            if (match) {
-              const scheduleInfo = JSON.parse(match[1]);
-              const scheduleTime = new Date(scheduleInfo.scheduleDate);
+            const scheduleInfo = parseScheduleInfo(scheduleComment.body);
+            if (scheduleInfo) {
+              const scheduledPR = toScheduledPR(owner, repo, item.number, scheduleInfo, scheduleComment.id);
 
               // Validate the date
-              if (isNaN(scheduleTime.getTime())) {
+              if (isNaN(scheduledPR.scheduleTime.getTime())) {
                 core.error(`Invalid schedule date for PR #${item.number}`);
                 continue;
               }
 
-              scheduledPRs.push({
-                owner,
-                repo,
-                number: item.number,
-                scheduleTime
-              });
+              scheduledPRs.push(scheduledPR);
             }
           } catch (error) {
             core.error(`Error parsing schedule info for PR #${item.number}:`, error);
@@ -184,10 +457,26 @@ async function getScheduledPRs(octokit) {
 
 module.exports = {
   createComment,
+  listAllComments,
   getLatestScheduleComment,
+  getActionLogin,
+  isScheduleComment,
   getScheduledPRs,
+  parseRepositoryScopes,
+  buildSearchQueries,
   storeScheduleInfo,
+  getScheduleInfo,
+  updateScheduleInfo,
   removeScheduleInfo,
-  SCHEDULE_LABEL
+  migrateScheduleInfo,
+  parseScheduleInfo,
+  buildScheduleInfo,
+  formatScheduleConfirmation,
+  toScheduledPR,
+  SCHEDULE_LABEL,
+  SCHEDULE_INFO_REGEX,
+  SCHEMA_VERSION,
+  MERGE_METHODS,
+  DEFAULT_MERGE_METHOD
 };
 